@@ -0,0 +1,178 @@
+/**
+ * Service worker - offline reading
+ *
+ * The app shell (index.html, the built assets it links and the images the
+ * reader uses) is cached on install. Pages are fetched network first and fall
+ * back to the cached shell, hashed /assets/ files are served cache first.
+ * Books downloaded for offline reading (src/services/offlineBook.js) keep
+ * their media - images, page borders, karaoke audio, videos - in per-book
+ * caches, and anything found there is answered from the cache, with range
+ * requests cut from the cached file so audio and video can seek.
+ * Firestore, Auth and other API traffic is left to the network. Registered in
+ * production builds only (main.jsx).
+ */
+
+const SHELL_CACHE = 'app-shell-v1';
+const FONT_CACHE = 'fonts-v1';
+const BOOK_CACHE_PREFIX = 'offline-book:'; // Matches offlineBook.js
+const STATIC_URLS = [
+  '/manifest.webmanifest',
+  '/icon-192.png',
+  '/icon-512.png',
+  '/wagothflake.png',
+  '/favicon.gif',
+  '/feather.png',
+  '/dinkus.png',
+  '/ditherfirst.jpg',
+  '/smallerborder.png',
+];
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+const MEDIA_DESTINATIONS = ['image', 'audio', 'video', 'track', 'font', 'style'];
+
+const getLinkedAssets = (html) =>
+  Array.from(html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g), (match) => match[1]);
+
+// Built asset names change with every deploy; keep only the ones the current index.html links
+const pruneShellAssets = async (html) => {
+  const linked = new Set(getLinkedAssets(html));
+  const cache = await caches.open(SHELL_CACHE);
+  const requests = await cache.keys();
+  await Promise.all(requests.map((request) => {
+    const { pathname } = new URL(request.url);
+    return pathname.startsWith('/assets/') && !linked.has(pathname) ? cache.delete(request) : null;
+  }));
+};
+
+const precacheShell = async () => {
+  const cache = await caches.open(SHELL_CACHE);
+  const response = await fetch('/', { cache: 'no-cache' });
+  if (!response.ok) return;
+  const html = await response.clone().text();
+  await cache.put('/', response);
+  await cache.addAll([...STATIC_URLS, ...getLinkedAssets(html)]);
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  // Old shell versions go; downloaded books stay until the reader removes them
+  const current = [SHELL_CACHE, FONT_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then((names) => Promise.all(names
+        .filter((name) => !current.includes(name) && !name.startsWith(BOOK_CACHE_PREFIX))
+        .map((name) => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Every route is the single-page app, so any navigation is answered with index.html
+const handleNavigation = async (request) => {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const html = await response.clone().text();
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.put('/', response.clone());
+      pruneShellAssets(html);
+    }
+    return response;
+  } catch (err) {
+    const cached = await caches.match('/', { cacheName: SHELL_CACHE });
+    if (cached) return cached;
+    throw err;
+  }
+};
+
+const cacheFirst = async (request, cacheName) => {
+  const cached = await caches.match(request, { cacheName });
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') {
+    const cache = await caches.open(cacheName);
+    await cache.put(request, response.clone());
+  }
+  return response;
+};
+
+// Reused while a fresh copy is fetched for next time
+const staleWhileRevalidate = async (request, cacheName) => {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  const fresh = fetch(request)
+    .then((response) => {
+      if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached);
+  return cached || fresh;
+};
+
+// "bytes=start-end" against a cached full response
+const createRangeResponse = async (cached, rangeHeader) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(rangeHeader.trim());
+  const blob = await cached.blob();
+  if (!match) return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${blob.size}` } });
+  let start = match[1] === '' ? null : Number(match[1]);
+  let end = match[2] === '' ? blob.size - 1 : Math.min(Number(match[2]), blob.size - 1);
+  if (start === null) {
+    // Suffix range: the last N bytes
+    start = Math.max(blob.size - Number(match[2]), 0);
+    end = blob.size - 1;
+  }
+  if (start > end || start >= blob.size) {
+    return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${blob.size}` } });
+  }
+  const headers = new Headers(cached.headers);
+  headers.set('Content-Range', `bytes ${start}-${end}/${blob.size}`);
+  headers.set('Content-Length', String(end - start + 1));
+  return new Response(blob.slice(start, end + 1), { status: 206, statusText: 'Partial Content', headers });
+};
+
+const handleBookMedia = async (request, cached) => {
+  const range = request.headers.get('range');
+  // Opaque copies (hosts without CORS) can't be sliced or handed to CORS requests
+  if (cached.type === 'opaque') {
+    return request.mode === 'cors' || range ? fetch(request).catch(() => cached) : cached;
+  }
+  return range ? createRangeResponse(cached, range) : cached;
+};
+
+const findInBookCaches = async (request) => {
+  const names = (await caches.keys()).filter((name) => name.startsWith(BOOK_CACHE_PREFIX));
+  for (const name of names) {
+    const cached = await caches.match(request.url, { cacheName: name, ignoreVary: true });
+    if (cached) return cached;
+  }
+  return null;
+};
+
+const handleRequest = async (request) => {
+  const url = new URL(request.url);
+  const cached = await findInBookCaches(request);
+  if (cached) return handleBookMedia(request, cached);
+
+  if (url.origin === self.location.origin) {
+    if (url.pathname.startsWith('/assets/')) return cacheFirst(request, SHELL_CACHE);
+    return staleWhileRevalidate(request, SHELL_CACHE);
+  }
+  if (FONT_HOSTS.includes(url.hostname)) return staleWhileRevalidate(request, FONT_CACHE);
+  return fetch(request);
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (!url.protocol.startsWith('http')) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+    return;
+  }
+  // Other hosts only for what the page displays; API calls (Firestore, Auth) have no destination
+  if (url.origin !== self.location.origin && !MEDIA_DESTINATIONS.includes(request.destination)) return;
+  event.respondWith(handleRequest(request));
+});
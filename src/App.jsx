@@ -1,24 +1,50 @@
-import { useEffect, useState, useRef } from 'react';
+import { useEffect, useState, useRef, useMemo, useCallback } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
 import { Chapter, applyInkEffectToTextMobile } from './components/Chapter';
 import { ChapterEditor } from './components/ChapterEditor';
 import { EditorSetup } from './pages/EditorSetup';
 import { useEditorMode } from './hooks/useEditorMode';
-import { getChapters, getSubchapters, addChapter, addSubchapter, updateChapter, updateSubchapter, deleteChapter, deleteSubchapter, getChapterById, getSubchapterById, reorderChapters } from './services/firestore';
+import { getChapters, getSubchapters, addChapter, addSubchapter, updateChapter, updateSubchapter, deleteChapter, deleteSubchapter, getChapterById, getSubchapterById, getRevisions, createCollabChannel, reorderChapters, getBooks, addBook, renameBook, archiveBook, updateBook } from './services/firestore';
 import './App.css';
+import './readerThemes.css';
+import { getOfflineBook, getOfflineBooks, refreshOfflineBook } from './services/offlineBook';
 import { getBookmark } from './utils/bookmark';
+import { isVisibleToReaders } from './utils/publishing';
 import { DndContext, closestCenter } from '@dnd-kit/core';
 import { arrayMove, SortableContext, verticalListSortingStrategy } from '@dnd-kit/sortable';
 import { DraggableChapter } from './components/DraggableChapter';
 import { PageReader } from './components/PageReader';
 import { useReadingPosition } from './hooks/useReadingPosition';
+import { useReaderTheme } from './hooks/useReaderTheme';
+import { applyReaderTheme } from './utils/readerThemes';
+import { useReducedMotion } from './hooks/useReducedMotion';
+import { applyReducedMotion } from './utils/motionPreference';
 import { FeatherCursor } from './components/FeatherCursor';
 import { DitheredLoader } from './components/DitheredLoader';
+import { Library } from './components/Library';
+import { LIBRARY_PATH, buildReaderPath, parseReaderPath, resolveRoutePosition } from './utils/readerRoutes';
 
-const BOOK_ID = 'primary';
+// Book that predates the books collection; its chapters live under books/primary
+// even when no metadata doc exists for it yet
+const LEGACY_BOOK_ID = 'primary';
+const LEGACY_BOOK = { id: LEGACY_BOOK_ID, title: 'Overstimulata', author: '', isPublished: true, isArchived: false };
 
 function App() {
   const { isEditor, canToggleEditorMode, previewingAsReader, togglePreviewMode } = useEditorMode();
   const [showSetup, setShowSetup] = useState(false);
+  const [books, setBooks] = useState([]);
+  const [booksLoading, setBooksLoading] = useState(true);
+  const [booksError, setBooksError] = useState('');
+  const [booksOffline, setBooksOffline] = useState(false);
+  const location = useLocation();
+  const navigate = useNavigate();
+  // The open book lives in the URL; no reader route means the library is shown
+  const route = useMemo(() => parseReaderPath(location.pathname), [location.pathname]);
+  const activeBookId = route?.bookId ?? null;
+  const routeRef = useRef(route);
+  routeRef.current = route;
+  // Deep-link position resolved when chapters load; takes precedence over the bookmark
+  const routePositionRef = useRef(null);
   const [editingChapter, setEditingChapter] = useState(null);
   const [showNewChapterEditor, setShowNewChapterEditor] = useState(false);
   const [parentChapterForNewSub, setParentChapterForNewSub] = useState(null);
@@ -32,7 +58,9 @@ function App() {
     if (typeof window === 'undefined') return false;
     return window.innerWidth <= 768;
   });
-  const { position: readingPosition, savePosition } = useReadingPosition();
+  const { position: readingPosition, savePosition, ready: positionReady } = useReadingPosition(activeBookId);
+  const { theme: readerTheme } = useReaderTheme();
+  const { reducedMotion } = useReducedMotion();
   const bookConceptRef = useRef(null);
   const settingsButtonRef = useRef(null);
 
@@ -49,33 +77,83 @@ function App() {
     };
   }, [editingChapter, showNewChapterEditor, parentChapterForNewSub]);
 
-  const load = async () => {
+  const loadBooks = async () => {
+    try {
+      const fetched = await getBooks();
+      const hasLegacyBook = fetched.some((book) => book.id === LEGACY_BOOK_ID);
+      setBooks(hasLegacyBook
+        ? fetched.map((book) => (book.id === LEGACY_BOOK_ID ? { ...LEGACY_BOOK, ...book } : book))
+        : [LEGACY_BOOK, ...fetched]);
+      setBooksError('');
+      setBooksOffline(false);
+    } catch (e) {
+      // No connection: the books saved on this device can still be read
+      const saved = await getOfflineBooks();
+      if (saved.length > 0) {
+        setBooks(saved);
+        setBooksError('');
+        setBooksOffline(true);
+      } else {
+        setBooksError(e?.message || 'Failed to load books');
+      }
+    } finally {
+      setBooksLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadBooks();
+  }, []);
+
+  // The library's entry for the book goes into its offline copy; loading does not wait for it
+  const booksRef = useRef(books);
+  booksRef.current = books;
+
+  const load = useCallback(async (bookId = activeBookId) => {
+    if (!bookId) return null;
     try {
       setPagesReady(false); // Reset pages ready state when loading new data
-      const chaps = await getChapters(BOOK_ID);
-      const withChildren = await Promise.all(
-        chaps.map(async (c) => {
-          const subs = await getSubchapters(BOOK_ID, c.id);
-          return {
-            ...c,
-            id: c.id,
-            content: c.contentHtml ?? '',
-            epigraph: c.epigraph ?? '',
-            version: c.version ?? 0,
-            children: subs.map((s) => ({
-              ...s,
-              id: s.id,
-              content: s.contentHtml ?? '',
-              epigraph: s.epigraph ?? '',
-              version: s.version ?? 0,
-              parentChapterId: c.id,
-            })),
-          };
-        })
-      );
+      const saved = await getOfflineBook(bookId);
+      let fetched = null;
+      // A saved copy opens straight away with no connection instead of waiting for Firestore to give up
+      if (!saved || navigator.onLine !== false) {
+        try {
+          // Editors also get drafts, so "Knjižni vpogled" previews them as readers would see them
+          const options = { includeDrafts: !!canToggleEditorMode };
+          const chaps = await getChapters(bookId, options);
+          fetched = await Promise.all(
+            chaps.map(async (c) => ({ ...c, children: await getSubchapters(bookId, c.id, options) }))
+          );
+        } catch (e) {
+          if (!saved) throw e;
+        }
+      }
+      if (fetched) {
+        // Saved copy catches up in the background when chapters changed; it holds what readers see
+        const published = fetched
+          .filter((c) => isVisibleToReaders(c))
+          .map((c) => ({ ...c, children: c.children.filter((s) => isVisibleToReaders(s)) }));
+        refreshOfflineBook(bookId, published, booksRef.current.find((book) => book.id === bookId));
+      }
+      const withChildren = (fetched || saved.chapters).map((c) => ({
+        ...c,
+        id: c.id,
+        content: c.contentHtml ?? '',
+        epigraph: c.epigraph ?? '',
+        version: c.version ?? 0,
+        children: (c.children || []).map((s) => ({
+          ...s,
+          id: s.id,
+          content: s.contentHtml ?? '',
+          epigraph: s.epigraph ?? '',
+          version: s.version ?? 0,
+          parentChapterId: c.id,
+        })),
+      }));
+      routePositionRef.current = resolveRoutePosition(withChildren, routeRef.current);
       setChapters(withChildren);
       // After loading, try to restore bookmark
-      const bm = getBookmark();
+      const bm = getBookmark(bookId);
       if (bm?.chapterId) {
         setDefaultExpandedChapterId(bm.chapterId);
         // Scroll after paint
@@ -95,11 +173,29 @@ function App() {
     } finally {
       setLoading(false);
     }
-  };
+  }, [activeBookId, canToggleEditorMode]);
 
+  // Load chapters whenever a book is opened from the library, and again once the device
+  // turns out to be an editor's (drafts are only loaded for editors)
   useEffect(() => {
-    load();
-  }, []);
+    if (!activeBookId) return;
+    setChapters([]);
+    setLoading(true);
+    load(activeBookId);
+  }, [activeBookId, load]);
+
+  const openBook = (book) => {
+    setEditingChapter(null);
+    setShowNewChapterEditor(false);
+    setParentChapterForNewSub(null);
+    navigate(buildReaderPath(book.id));
+  };
+
+  const closeBook = () => {
+    navigate(LIBRARY_PATH);
+    setChapters([]);
+    setPagesReady(false);
+  };
 
   // Keyboard shortcut to toggle settings button visibility (Ctrl+Shift+E or Cmd+Shift+E)
   // This allows potential editors to reveal the hidden settings button to log in
@@ -146,13 +242,21 @@ function App() {
     return parent ? parent.id : null;
   };
 
+  // Live co-editing channel of a chapter or subchapter; a new object each render, useCollaboration keys it by `id`
+  const getCollabChannel = (entityId) => {
+    const parentId = findParentIdForSubchapter(entityId);
+    return parentId
+      ? createCollabChannel(activeBookId, parentId, entityId)
+      : createCollabChannel(activeBookId, entityId);
+  };
+
   const openEditorWithLatest = async (entity) => {
     try {
       const isSubchapter = !!entity.parentChapterId;
       if (isSubchapter) {
         const parentId = entity.parentChapterId ?? findParentIdForSubchapter(entity.id);
         if (!parentId) throw new Error('Parent chapter not found for this subchapter.');
-        const fresh = await getSubchapterById(BOOK_ID, parentId, entity.id);
+        const fresh = await getSubchapterById(activeBookId, parentId, entity.id);
         if (!fresh) throw new Error('Failed to fetch subchapter.');
         setEditingChapter({
           ...fresh,
@@ -162,7 +266,7 @@ function App() {
           parentChapterId: parentId,
         });
       } else {
-        const fresh = await getChapterById(BOOK_ID, entity.id);
+        const fresh = await getChapterById(activeBookId, entity.id);
         if (!fresh) throw new Error('Failed to fetch chapter.');
         const matching = chapters.find((chapter) => chapter.id === entity.id);
         setEditingChapter({
@@ -272,7 +376,7 @@ function App() {
   // Disable body/html scrolling when PageReader is active
   useEffect(() => {
     if (typeof window === 'undefined' || typeof document === 'undefined') return;
-    const isReaderActive = isMobile && !isEditor && previewingAsReader;
+    const isReaderActive = isMobile && !isEditor && previewingAsReader && !!activeBookId;
     
     if (isReaderActive) {
       document.body.classList.add('with-page-reader');
@@ -286,7 +390,20 @@ function App() {
       document.body.classList.remove('with-page-reader');
       document.documentElement.classList.remove('with-page-reader');
     };
-  }, [isMobile, isEditor, previewingAsReader]);
+  }, [isMobile, isEditor, previewingAsReader, activeBookId]);
+
+  // Reader theme while a book is open (the reader, its overlays and the loader);
+  // the library and the chapter editor keep the light styling
+  useEffect(() => {
+    const hasEditor = editingChapter || showNewChapterEditor || parentChapterForNewSub;
+    applyReaderTheme(activeBookId && !hasEditor ? readerTheme : null);
+    return () => applyReaderTheme(null);
+  }, [activeBookId, readerTheme, editingChapter, showNewChapterEditor, parentChapterForNewSub]);
+
+  // Motion preference applies everywhere (cursor, loaders, karaoke)
+  useEffect(() => {
+    applyReducedMotion(reducedMotion);
+  }, [reducedMotion]);
 
   // Handle page change in PageReader
   const handlePageChange = (newPosition) => {
@@ -294,29 +411,77 @@ function App() {
   };
 
   return (
-    <div className={`app eink ${editingChapter || showNewChapterEditor || parentChapterForNewSub ? 'with-editor' : ''} ${isMobile && !isEditor && previewingAsReader ? 'with-page-reader' : ''}`}>
+    <div className={`app eink ${editingChapter || showNewChapterEditor || parentChapterForNewSub ? 'with-editor' : ''} ${isMobile && !isEditor && previewingAsReader && activeBookId ? 'with-page-reader' : ''}`}>
       <FeatherCursor>
+      {/* Library: landing view listing books until one is opened */}
+      {!activeBookId && (
+        <Library
+          books={books}
+          loading={booksLoading}
+          loadError={booksError}
+          offline={booksOffline}
+          isEditor={isEditor}
+          onOpenBook={openBook}
+          onCreateBook={async (data) => {
+            await addBook(data);
+            await loadBooks();
+          }}
+          onRenameBook={async (bookId, title) => {
+            await renameBook(bookId, title);
+            await loadBooks();
+          }}
+          onArchiveBook={async (bookId, isArchived) => {
+            await archiveBook(bookId, isArchived);
+            await loadBooks();
+          }}
+          onTogglePublished={async (bookId, isPublished) => {
+            await updateBook(bookId, { isPublished });
+            await loadBooks();
+          }}
+          onExportBook={async (book) => {
+            // Loaded on demand so the zip library stays out of the main bundle
+            const { exportBookAsEpub } = await import('./services/epubExport');
+            await exportBookAsEpub(book);
+          }}
+        />
+      )}
+      {/* Book opened but it has no chapters yet */}
+      {activeBookId && !loading && chapters.length === 0 && (
+        <div className="empty-book">
+          <p>{loadError ? `Couldn’t load chapters: ${loadError}` : 'Ta knjiga še nima poglavij.'}</p>
+          {isEditor && isMobile && (
+            <button className="add-chapter-btn" onClick={() => setShowNewChapterEditor(true)}>
+              + Dodaj poglavje
+            </button>
+          )}
+          <button className="setup-link" onClick={closeBook}>
+            ← Knjižnica
+          </button>
+        </div>
+      )}
         {/* PageReader: Rendered on both mobile and desktop (desktop shows PDF viewer) */}
       {/* Render PageReader when chapters are loaded, but keep loader visible until pages are ready */}
-      {!loading && chapters.length > 0 && (!isMobile || backgroundsReady) && (
+      {/* Wait for the synced reading position so PageReader opens at the right page */}
+      {activeBookId && !loading && chapters.length > 0 && positionReady && (!isMobile || backgroundsReady) && (
         <PageReader
+          bookId={activeBookId}
           chapters={chapters}
           onPageChange={handlePageChange}
-          initialPosition={readingPosition}
+          initialPosition={routePositionRef.current || readingPosition}
           onEditChapter={openEditorWithLatest}
           onAddSubchapter={(chapter) => setParentChapterForNewSub(chapter)}
           onDeleteChapter={async (chapterId) => {
-            await deleteChapter(BOOK_ID, chapterId);
+            await deleteChapter(activeBookId, chapterId);
             await refresh();
           }}
           onEditSubchapter={openEditorWithLatest}
           onDeleteSubchapter={async (subchapterId, parentChapterId) => {
-            await deleteSubchapter(BOOK_ID, parentChapterId, subchapterId);
+            await deleteSubchapter(activeBookId, parentChapterId, subchapterId);
             await refresh();
           }}
           onReorderChapters={async (orderedIds) => {
             try {
-              await reorderChapters(BOOK_ID, orderedIds);
+              await reorderChapters(activeBookId, orderedIds);
             } catch (err) {
 
             }
@@ -324,6 +489,7 @@ function App() {
           onOpenSettings={() => setShowSetup(true)}
           onAddChapter={() => setShowNewChapterEditor(true)}
           onToggleEditorReader={togglePreviewMode}
+          onOpenLibrary={closeBook}
           onPagesReady={() => setPagesReady(true)}
         />
       )}
@@ -331,10 +497,12 @@ function App() {
           a local dissolve when this flag goes from true -> false. */}
       <DitheredLoader
         active={
-          loading ||
-          (isMobile && !backgroundsReady) ||
-          chapters.length === 0 ||
-          !pagesReady
+          activeBookId
+            ? loading ||
+              !positionReady ||
+              (isMobile && !backgroundsReady) ||
+              (chapters.length > 0 && !pagesReady)
+            : booksLoading
         }
       />
 
@@ -377,7 +545,7 @@ function App() {
               <p>Couldn’t load chapters: {loadError}</p>
             )}
             {!loading && !loadError && chapters.length === 0 && (
-              <p>No chapters yet (book: {BOOK_ID}).</p>
+              <p>No chapters yet (book: {activeBookId}).</p>
             )}
             <DndContext 
               collisionDetection={closestCenter}
@@ -390,7 +558,7 @@ function App() {
                 setChapters(reordered);
                 // Persist order
                 const orderedIds = reordered.map(c => c.id);
-                try { await reorderChapters(BOOK_ID, orderedIds); } catch {}
+                try { await reorderChapters(activeBookId, orderedIds); } catch {}
               }}
             >
               <SortableContext items={chapters.map(c => c.id)} strategy={verticalListSortingStrategy}>
@@ -403,9 +571,9 @@ function App() {
                     onAddSubchapter={(chapter) => setParentChapterForNewSub(chapter)}
                     onDelete={async (chapterId, isSubchapter = false, parentChapterId = null) => {
                       if (isSubchapter && parentChapterId) {
-                        await deleteSubchapter(BOOK_ID, parentChapterId, chapterId);
+                        await deleteSubchapter(activeBookId, parentChapterId, chapterId);
                       } else {
-                        await deleteChapter(BOOK_ID, chapterId);
+                        await deleteChapter(activeBookId, chapterId);
                       }
                       await refresh();
                     }}
@@ -423,6 +591,15 @@ function App() {
       {/* Bottom actions - only show on desktop, mobile uses TOC footer */}
       {!isMobile && (
         <div className="bottom-actions">
+          {activeBookId && (
+            <button
+              className="mode-toggle"
+              onClick={closeBook}
+              tabIndex={window.innerWidth <= 768 ? -1 : 0}
+            >
+              Knjižnica
+            </button>
+          )}
           {canToggleEditorMode && (
             <button 
               className="mode-toggle" 
@@ -441,7 +618,7 @@ function App() {
           >
             ⚙ Nastavitve
           </button>
-          {isEditor && (
+          {isEditor && activeBookId && (
             <button 
               className="add-chapter-btn"
               onClick={() => setShowNewChapterEditor(true)}
@@ -460,112 +637,102 @@ function App() {
           chapter={editingChapter}
           parentChapter={parentChapterForNewSub}
           onSave={async (payload) => {
-            try {
-              if (editingChapter) {
-                const { version = 0, ...updateData } = payload;
-                const isMainChapter = chapters.some(c => c.id === editingChapter.id);
-                if (isMainChapter) {
-                  const updated = await updateChapter(BOOK_ID, editingChapter.id, updateData, version);
+            // Version conflicts (err.code 'version-conflict') are merged in ChapterEditor, or it reloads the latest version
+            if (editingChapter) {
+              const { version = 0, restoredFromVersion = null, collabSessionId = null, ...updateData } = payload;
+              const isMainChapter = chapters.some(c => c.id === editingChapter.id);
+              if (isMainChapter) {
+                const updated = await updateChapter(activeBookId, editingChapter.id, updateData, version, { restoredFromVersion, collabSessionId });
+                setChapters((prev) =>
+                  prev.map((chapter) => {
+                    if (chapter.id !== editingChapter.id) return chapter;
+                    const html = updated.contentHtml ?? updated.content ?? chapter.content;
+                    return {
+                      ...chapter,
+                      title: updated.title ?? chapter.title,
+                      epigraph: updated.epigraph ?? chapter.epigraph,
+                      content: html,
+                      contentHtml: updated.contentHtml ?? chapter.contentHtml,
+                      pageBorder: typeof updated.pageBorder === 'boolean' ? updated.pageBorder : chapter.pageBorder,
+                      pageBorderImageUrl: updated.pageBorderImageUrl ?? chapter.pageBorderImageUrl,
+                      version: updated.version ?? chapter.version,
+                    };
+                  })
+                );
+              } else {
+                const parentChapter = chapters.find(c =>
+                  c.children.some(child => child.id === editingChapter.id)
+                );
+                if (parentChapter) {
+                  const updated = await updateSubchapter(activeBookId, parentChapter.id, editingChapter.id, updateData, version, { restoredFromVersion, collabSessionId });
                   setChapters((prev) =>
                     prev.map((chapter) => {
-                      if (chapter.id !== editingChapter.id) return chapter;
-                      const html = updated.contentHtml ?? updated.content ?? chapter.content;
+                      if (chapter.id !== parentChapter.id) return chapter;
                       return {
                         ...chapter,
-                        title: updated.title ?? chapter.title,
-                        epigraph: updated.epigraph ?? chapter.epigraph,
-                        content: html,
-                        contentHtml: updated.contentHtml ?? chapter.contentHtml,
-                        pageBorder: typeof updated.pageBorder === 'boolean' ? updated.pageBorder : chapter.pageBorder,
-                        pageBorderImageUrl: updated.pageBorderImageUrl ?? chapter.pageBorderImageUrl,
-                        version: updated.version ?? chapter.version,
+                        children: chapter.children.map((child) => {
+                          if (child.id !== editingChapter.id) return child;
+                          const html = updated.contentHtml ?? updated.content ?? child.content;
+                          return {
+                            ...child,
+                            title: updated.title ?? child.title,
+                            epigraph: updated.epigraph ?? child.epigraph,
+                            content: html,
+                            contentHtml: updated.contentHtml ?? child.contentHtml,
+                            pageBorder: typeof updated.pageBorder === 'boolean' ? updated.pageBorder : child.pageBorder,
+                            pageBorderImageUrl: updated.pageBorderImageUrl ?? child.pageBorderImageUrl,
+                            version: updated.version ?? child.version,
+                          };
+                        }),
                       };
                     })
                   );
                 } else {
-                  const parentChapter = chapters.find(c =>
-                    c.children.some(child => child.id === editingChapter.id)
-                  );
-                  if (parentChapter) {
-                    const updated = await updateSubchapter(BOOK_ID, parentChapter.id, editingChapter.id, updateData, version);
-                    setChapters((prev) =>
-                      prev.map((chapter) => {
-                        if (chapter.id !== parentChapter.id) return chapter;
-                        return {
-                          ...chapter,
-                          children: chapter.children.map((child) => {
-                            if (child.id !== editingChapter.id) return child;
-                            const html = updated.contentHtml ?? updated.content ?? child.content;
-                            return {
-                              ...child,
-                              title: updated.title ?? child.title,
-                              epigraph: updated.epigraph ?? child.epigraph,
-                              content: html,
-                              contentHtml: updated.contentHtml ?? child.contentHtml,
-                              pageBorder: typeof updated.pageBorder === 'boolean' ? updated.pageBorder : child.pageBorder,
-                              pageBorderImageUrl: updated.pageBorderImageUrl ?? child.pageBorderImageUrl,
-                              version: updated.version ?? child.version,
-                            };
-                          }),
-                        };
-                      })
-                    );
-                  } else {
-                    const err = new Error('Parent chapter not found for subchapter.');
-                    err.code = 'parent-not-found';
-                    throw err;
-                  }
+                  const err = new Error('Parent chapter not found for subchapter.');
+                  err.code = 'parent-not-found';
+                  throw err;
                 }
-              } else if (parentChapterForNewSub) {
-                await addSubchapter(BOOK_ID, parentChapterForNewSub.id, payload);
-              } else {
-                await addChapter(BOOK_ID, payload);
               }
+            } else if (parentChapterForNewSub) {
+              await addSubchapter(activeBookId, parentChapterForNewSub.id, payload);
+            } else {
+              await addChapter(activeBookId, payload);
+            }
 
-              const refreshed = await refresh();
-              if (editingChapter && refreshed) {
-                const updatedEntity = refreshed
-                  .flatMap((chapter) => [
-                    { ...chapter, parentChapterId: null },
-                    ...(chapter.children?.map((child) => ({
-                      ...child,
-                      parentChapterId: chapter.id,
-                      isSubchapter: true,
-                    })) ?? []),
-                  ])
-                  .find((entity) => entity.id === editingChapter.id);
-
-                if (updatedEntity) {
-                  setEditingChapter(updatedEntity);
-                }
-              }
-              setEditingChapter(null);
-              setShowNewChapterEditor(false);
-              setParentChapterForNewSub(null);
-            } catch (error) {
-              if (error?.code === 'version-conflict') {
-                alert('This content was updated in another session. Reloading the latest version so you can merge your changes.');
-                const updated = await refresh();
-                if (updated && editingChapter) {
-                  const updatedMain = updated.find((c) => c.id === editingChapter.id);
-                  if (updatedMain) {
-                    setEditingChapter(updatedMain);
-                  } else {
-                    const parentWithChild = updated.find((c) =>
-                      c.children?.some((child) => child.id === editingChapter.id)
-                    );
-                    if (parentWithChild) {
-                      const refreshedChild = parentWithChild.children.find((child) => child.id === editingChapter.id);
-                      if (refreshedChild) {
-                        setEditingChapter(refreshedChild);
-                      }
-                    }
-                  }
-                }
+            const refreshed = await refresh();
+            if (editingChapter && refreshed) {
+              const updatedEntity = refreshed
+                .flatMap((chapter) => [
+                  { ...chapter, parentChapterId: null },
+                  ...(chapter.children?.map((child) => ({
+                    ...child,
+                    parentChapterId: chapter.id,
+                    isSubchapter: true,
+                  })) ?? []),
+                ])
+                .find((entity) => entity.id === editingChapter.id);
+
+              if (updatedEntity) {
+                setEditingChapter(updatedEntity);
               }
-              throw error;
             }
+            setEditingChapter(null);
+            setShowNewChapterEditor(false);
+            setParentChapterForNewSub(null);
           }}
+          onLoadRevisions={editingChapter ? () => {
+            const parentId = findParentIdForSubchapter(editingChapter.id);
+            return parentId
+              ? getRevisions(activeBookId, parentId, editingChapter.id)
+              : getRevisions(activeBookId, editingChapter.id);
+          } : undefined}
+          onLoadLatest={editingChapter ? () => {
+            const parentId = findParentIdForSubchapter(editingChapter.id);
+            return parentId
+              ? getSubchapterById(activeBookId, parentId, editingChapter.id)
+              : getChapterById(activeBookId, editingChapter.id);
+          } : undefined}
+          collabChannel={editingChapter ? getCollabChannel(editingChapter.id) : null}
           onCancel={() => {
             setEditingChapter(null);
             setShowNewChapterEditor(false);
@@ -576,7 +743,7 @@ function App() {
               // Check if it's a main chapter or subchapter
               const isMainChapter = chapters.some(c => c.id === editingChapter.id);
               if (isMainChapter) {
-                await deleteChapter(BOOK_ID, editingChapter.id);
+                await deleteChapter(activeBookId, editingChapter.id);
                 await refresh();
               } else {
                 // For subchapters, we need to find the parent chapter ID
@@ -584,15 +751,15 @@ function App() {
                   c.children.some(child => child.id === editingChapter.id)
                 );
                 if (parentChapter) {
-                  await deleteSubchapter(BOOK_ID, parentChapter.id, editingChapter.id);
+                  await deleteSubchapter(activeBookId, parentChapter.id, editingChapter.id);
                   await refresh();
                 }
               }
             } else {
               if (isSubchapter && parentChapterId) {
-                await deleteSubchapter(BOOK_ID, parentChapterId, chapterId);
+                await deleteSubchapter(activeBookId, parentChapterId, chapterId);
               } else {
-                await deleteChapter(BOOK_ID, chapterId);
+                await deleteChapter(activeBookId, chapterId);
               }
               await refresh();
             }
@@ -0,0 +1,138 @@
+import { useState, useEffect, useRef } from 'react';
+import { createPortal } from 'react-dom';
+import { HIGHLIGHT_COLORS } from '../utils/annotations';
+import './AnnotationPopover.css';
+
+const POPOVER_WIDTH = 260;
+const VIEWPORT_MARGIN = 8;
+
+// Below the passage when there is room, otherwise above it
+const getPosition = (rect, estimatedHeight) => {
+  const halfWidth = POPOVER_WIDTH / 2 + VIEWPORT_MARGIN;
+  const left = Math.min(Math.max(rect.left + rect.width / 2, halfWidth), window.innerWidth - halfWidth);
+  const fitsBelow = rect.bottom + VIEWPORT_MARGIN + estimatedHeight < window.innerHeight;
+  return fitsBelow
+    ? { left, top: rect.bottom + VIEWPORT_MARGIN }
+    : { left, top: Math.max(rect.top - VIEWPORT_MARGIN, estimatedHeight), transform: 'translate(-50%, -100%)' };
+};
+
+const clearSelection = () => window.getSelection()?.removeAllRanges();
+
+const ColorSwatches = ({ value, onSelect }) => (
+  <div className="annotation-popover-colors" role="group" aria-label="Barva označbe">
+    {Object.entries(HIGHLIGHT_COLORS).map(([color, { label }]) => (
+      <button
+        key={color}
+        type="button"
+        className={`annotation-swatch annotation-${color} ${color === value ? 'active' : ''}`}
+        aria-label={label}
+        aria-pressed={color === value}
+        title={label}
+        // Keep the text selection while the button is pressed
+        onMouseDown={(e) => e.preventDefault()}
+        onClick={() => onSelect(color)}
+      />
+    ))}
+  </div>
+);
+
+/**
+ * AnnotationPopover - highlight colours and note for a selection or an existing highlight
+ * popover is { range, rect } for a new selection or { annotationId, rect, editing } for a highlight.
+ * Render with key={popover.annotationId} so the note field starts from the opened annotation.
+ */
+export const AnnotationPopover = ({ popover, annotations, onAdd, onUpdate, onRemove, onOpenAnnotation, onClose }) => {
+  const annotation = popover.annotationId ? annotations.find((a) => a.id === popover.annotationId) : null;
+  const [note, setNote] = useState(annotation?.note || '');
+  const popoverRef = useRef(null);
+  const isSelection = !!popover.range;
+
+  // Clicking elsewhere keeps the note typed so far
+  const finish = () => {
+    if (annotation && note.trim() !== annotation.note) onUpdate(annotation.id, { note: note.trim() });
+    onClose();
+  };
+  const finishRef = useRef(finish);
+  finishRef.current = finish;
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    const handlePointerDown = (e) => {
+      if (!popoverRef.current?.contains(e.target)) finishRef.current();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    document.addEventListener('pointerdown', handlePointerDown);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      document.removeEventListener('pointerdown', handlePointerDown);
+    };
+  }, [onClose]);
+
+  if (!isSelection && !annotation) return null;
+
+  // Portalled out of the zoomed / transformed page containers so fixed positioning uses the viewport
+  return createPortal(
+    <div
+      ref={popoverRef}
+      className={`annotation-popover ${isSelection ? 'annotation-popover-selection' : ''}`}
+      role="dialog"
+      aria-label={isSelection ? 'Označi besedilo' : 'Označba'}
+      style={{ width: POPOVER_WIDTH, ...getPosition(popover.rect, isSelection ? 48 : 200) }}
+    >
+      {isSelection ? (
+        <>
+          <ColorSwatches
+            onSelect={(color) => {
+              onAdd(popover.range, { color });
+              clearSelection();
+              onClose();
+            }}
+          />
+          <button
+            type="button"
+            className="annotation-popover-action"
+            onMouseDown={(e) => e.preventDefault()}
+            onClick={() => {
+              const created = onAdd(popover.range);
+              clearSelection();
+              onOpenAnnotation(created.id, popover.rect, true);
+            }}
+          >
+            Opomba
+          </button>
+        </>
+      ) : (
+        <>
+          <ColorSwatches value={annotation.color} onSelect={(color) => onUpdate(annotation.id, { color })} />
+          <textarea
+            className="annotation-popover-note"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder="Zapišite opombo …"
+            aria-label="Opomba"
+            rows={3}
+            autoFocus={popover.editing}
+          />
+          <div className="annotation-popover-footer">
+            <button
+              type="button"
+              className="annotation-popover-action annotation-popover-delete"
+              onClick={() => {
+                onRemove(annotation.id);
+                onClose();
+              }}
+            >
+              Izbriši
+            </button>
+            <button type="button" className="annotation-popover-action" onClick={finish}>
+              Shrani
+            </button>
+          </div>
+        </>
+      )}
+    </div>,
+    document.body
+  );
+};
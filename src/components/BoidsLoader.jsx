@@ -1,12 +1,15 @@
 import { useEffect, useRef } from 'react';
+import { useReducedMotion } from '../hooks/useReducedMotion';
 import './BoidsLoader.css';
 
 // Simple Boids-based loader animation, inspired by
 // https://vanhunteradams.com/Pico/Animal_Movement/Boids_Lab.html
 // Separation, alignment, cohesion, plus a loose screen bounding box.
+// With reduced motion the flock is drawn once and stays still.
 
 export const BoidsLoader = () => {
   const canvasRef = useRef(null);
+  const { reducedMotion } = useReducedMotion();
 
   useEffect(() => {
     const canvas = canvasRef.current;
@@ -224,7 +227,7 @@ export const BoidsLoader = () => {
         drawCircle(-mainRadius * 1.5, trailRadius2, baseAlpha * 0.45);
       }
 
-      animationFrameId = requestAnimationFrame(step);
+      if (!reducedMotion) animationFrameId = requestAnimationFrame(step);
     };
 
     animationFrameId = requestAnimationFrame(step);
@@ -233,7 +236,7 @@ export const BoidsLoader = () => {
       window.removeEventListener('resize', resize);
       if (animationFrameId) cancelAnimationFrame(animationFrameId);
     };
-  }, []);
+  }, [reducedMotion]);
 
   return (
     <div className="boids-loader">
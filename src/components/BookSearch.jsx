@@ -0,0 +1,80 @@
+import { useState, useMemo, useDeferredValue } from 'react';
+import { buildSearchIndex, findPageForResult, MIN_QUERY_LENGTH, searchBook } from '../utils/bookSearch';
+import './BookSearch.css';
+
+const KIND_LABELS = {
+  footnote: 'Opomba',
+  epigraph: 'Moto',
+  karaoke: 'Karaoke',
+};
+
+/**
+ * BookSearch - search field and results for the tables of contents
+ * Selecting a result calls onSelect(page, query) with the page holding the match.
+ * inputRef, when given, receives the search field (to focus it from a shortcut).
+ */
+export const BookSearch = ({ chapters = [], pages = [], onSelect, variant = 'desktop', inputRef }) => {
+  const [query, setQuery] = useState('');
+  const deferredQuery = useDeferredValue(query);
+  const isSearching = deferredQuery.trim().length >= MIN_QUERY_LENGTH;
+
+  // Built on the first search, rebuilt when chapters change
+  const index = useMemo(
+    () => (isSearching ? buildSearchIndex(chapters) : null),
+    [chapters, isSearching]
+  );
+  const results = useMemo(
+    () => (index ? searchBook(index, deferredQuery) : []),
+    [index, deferredQuery]
+  );
+
+  return (
+    <div className={`book-search book-search-${variant}`}>
+      <input
+        ref={inputRef}
+        type="search"
+        className="book-search-input"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Escape') setQuery('');
+        }}
+        placeholder="Iskanje po knjigi"
+        aria-label="Iskanje po knjigi"
+      />
+      {isSearching && (
+        <ul className="book-search-results" aria-live="polite">
+          {results.length === 0 && <li className="book-search-empty">Ni zadetkov</li>}
+          {results.map((result) => {
+            const page = findPageForResult(pages, result);
+            const pageNumber = page ? pages.indexOf(page) + 1 : null;
+            return (
+              <li key={result.id}>
+                <button
+                  type="button"
+                  className="book-search-result"
+                  disabled={!page}
+                  onClick={() => page && onSelect?.(page, deferredQuery.trim())}
+                >
+                  <span className="book-search-result-title">
+                    {result.chapterTitle}
+                    {result.subchapterTitle ? ` › ${result.subchapterTitle}` : ''}
+                    {KIND_LABELS[result.kind] && (
+                      <span className="book-search-result-kind">{KIND_LABELS[result.kind]}</span>
+                    )}
+                    {pageNumber && <span className="book-search-result-page">{pageNumber}</span>}
+                  </span>
+                  <span className="book-search-result-snippet">
+                    {result.snippet.before}
+                    <mark>{result.snippet.match}</mark>
+                    {result.snippet.after}
+                  </span>
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
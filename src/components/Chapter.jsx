@@ -5,6 +5,7 @@ import './Chapter.css';
 import { SortableSubchapters } from './SortableSubchapters';
 import { setBookmark } from '../utils/bookmark';
 import { IsolatedButton } from './IsolatedButton';
+import { getScreenReaderMode } from '../utils/readerAccessibility';
 
 const KARAOKE_DEBUG = true;
 
@@ -24,6 +25,9 @@ export const applyInkEffectToTextMobile = (element, options = {}) => {
   
   // Only run on mobile devices
   if (window.innerWidth > 768) return;
+
+  // Per-character spans are read out letter by letter
+  if (getScreenReaderMode()) return;
   
   // Skip karaoke players - they handle their own ink effect
   // But allow ink effect on karaoke slices (we'll preserve <br> tags)
@@ -1,6 +1,6 @@
 import { useState, useEffect, useRef, useLayoutEffect } from 'react';
 import { createPortal } from 'react-dom';
-import { useEditor, EditorContent } from '@tiptap/react';
+import { useEditor, EditorContent, generateHTML, generateJSON } from '@tiptap/react';
 import StarterKit from '@tiptap/starter-kit';
 import TextAlign from '@tiptap/extension-text-align';
 import Link from '@tiptap/extension-link';
@@ -13,9 +13,47 @@ import { KaraokeBlock, Dinkus, Highlight, TextColor, Underline, FootnoteRef, Ind
 import Subscript from '@tiptap/extension-subscript';
 import Superscript from '@tiptap/extension-superscript';
 import { FootnotePlugin } from '../extensions/footnotePlugin.js';
+import { RevisionHistoryPanel } from './RevisionHistoryPanel';
+import { MergeConflictPanel } from './MergeConflictPanel';
+import { buildMergedContent, mergeContent, mergeFields } from '../utils/threeWayMerge';
+import { useCollaboration } from '../hooks/useCollaboration';
+import { DraftRecoveryPanel } from './DraftRecoveryPanel';
+import { getDraftKey, getDraft, saveDraft, deleteDraft, hasDraftChanges } from '../utils/editorDrafts';
+import { getPublishState, toPublishFields, toDateTimeLocalValue, fromDateTimeLocalValue } from '../utils/publishing';
 import './ChapterEditor.css';
 
-export const ChapterEditor = ({ chapter, parentChapter, onSave, onCancel, onDelete }) => {
+// Settings merged field by field when a save conflicts (the title is part of the content)
+const MERGE_FIELDS = ['epigraph', 'hideTitle', 'backgroundImageUrl', 'pageBorderImageUrl', 'pageBorderWidth', 'pageBorderSlicePercent', 'isPublished', 'publishAt'];
+
+// Save button per publication state
+const SAVE_LABELS = {
+  published: { idle: 'Objavi', saving: 'Objavljam' },
+  draft: { idle: 'Shrani osnutek', saving: 'Shranjujem' },
+  scheduled: { idle: 'Načrtuj objavo', saving: 'Shranjujem' },
+};
+
+// Settings of a saved chapter as the editor holds them (epigraphs are objects, border defaults filled in)
+const getMergeFields = (entity) => {
+  const rawEpigraph = entity?.epigraph;
+  let epigraph = null;
+  if (rawEpigraph && typeof rawEpigraph === 'object') {
+    epigraph = { text: rawEpigraph.text || '', author: rawEpigraph.author || '', align: rawEpigraph.align || 'center' };
+  } else if (typeof rawEpigraph === 'string' && rawEpigraph.trim()) {
+    epigraph = { text: rawEpigraph, author: '', align: 'center' };
+  }
+  const pageBorderImageUrl = entity?.pageBorderImageUrl || null;
+  return {
+    epigraph,
+    hideTitle: !!entity?.hideTitle,
+    backgroundImageUrl: entity?.backgroundImageUrl || null,
+    pageBorderImageUrl,
+    pageBorderWidth: pageBorderImageUrl ? (entity.pageBorderWidth || 8) : null,
+    pageBorderSlicePercent: pageBorderImageUrl ? (entity.pageBorderSlicePercent || 4) : null,
+    ...toPublishFields(getPublishState(entity), entity?.publishAt ?? null),
+  };
+};
+
+export const ChapterEditor = ({ chapter, parentChapter, onSave, onCancel, onDelete, onLoadRevisions, onLoadLatest, collabChannel }) => {
   const [epigraph, setEpigraph] = useState(chapter?.epigraph || null);
   const [content, setContent] = useState('');
   const [backgroundImageUrl, setBackgroundImageUrl] = useState(chapter?.backgroundImageUrl || '');
@@ -25,6 +63,10 @@ export const ChapterEditor = ({ chapter, parentChapter, onSave, onCancel, onDele
   // Border slice percentage for border-image (controls corner size, default 4% for 1024×1024px images)
   const [pageBorderSlicePercent, setPageBorderSlicePercent] = useState(chapter?.pageBorderSlicePercent || 4);
   const [hideTitle, setHideTitle] = useState(!!chapter?.hideTitle);
+  // 'published' | 'draft' | 'scheduled' (utils/publishing.js); publishAt is the scheduled time in ms
+  // New chapters start published, as addChapter writes them
+  const [publishState, setPublishState] = useState(() => (chapter ? getPublishState(chapter) : 'published'));
+  const [publishAt, setPublishAt] = useState(chapter?.publishAt ?? null);
   const [saving, setSaving] = useState(false);
   const [autosaveStatus, setAutosaveStatus] = useState('Ready');
   const [highlightColor, setHighlightColor] = useState('#ffeb3b');
@@ -57,6 +99,7 @@ export const ChapterEditor = ({ chapter, parentChapter, onSave, onCancel, onDele
   const videoFileInputRef = useRef(null);
   const fieldNotesImageInputRef = useRef(null);
   const autosaveTimerRef = useRef(null);
+  const writeDraftRef = useRef(null); // Writes the draft the autosave timer is waiting to write
   const colorInputRef = useRef(null);
   const highlightInputRef = useRef(null);
   const userChangedColorRef = useRef(false); // Track when user manually changes text color
@@ -91,6 +134,14 @@ export const ChapterEditor = ({ chapter, parentChapter, onSave, onCancel, onDele
   const backgroundImageInputRef = useRef(null);
   const pageBorderImageInputRef = useRef(null);
   const [showLinkDialog, setShowLinkDialog] = useState(false);
+  const [historySnapshot, setHistorySnapshot] = useState(null); // Editor state the history panel compares with; set while it is open
+  const [mergeState, setMergeState] = useState(null); // Merge of a conflicting save, while the merge dialog is open
+  const mergeBaseRef = useRef(chapter); // Saved version the draft started from
+  const restoredDraftBaseRef = useRef(false); // A restored draft keeps its older base until it is saved
+  const latestRef = useRef(null); // This render's helpers, for effects that run on triggers of their own
+  const draftKey = getDraftKey(chapter?.id, parentChapter?.id);
+  const [draftChecked, setDraftChecked] = useState(false); // Stored draft looked at (and offered back if any)
+  const [draftRecovery, setDraftRecovery] = useState(null); // { draft, saved } while the recovery dialog is open
   const [linkDraft, setLinkDraft] = useState({
     url: '',
     text: '',
@@ -595,6 +646,8 @@ export const ChapterEditor = ({ chapter, parentChapter, onSave, onCancel, onDele
       setPageBorderImageUrl(chapter?.pageBorderImageUrl || '');
       setPageBorderWidth(chapter?.pageBorderWidth || 8);
       setPageBorderSlicePercent(chapter?.pageBorderSlicePercent || 4);
+      setPublishState(getPublishState(chapter));
+      setPublishAt(chapter?.publishAt ?? null);
       if (rawEpigraph && typeof rawEpigraph === 'object') {
         setEpigraph({
           text: rawEpigraph.text || '',
@@ -862,6 +915,9 @@ export const ChapterEditor = ({ chapter, parentChapter, onSave, onCancel, onDele
     }
   }, [chapter?.id, chapter?.contentHtml, chapter?.content, parentChapter?.id, editor]);
 
+  // Live co-editing; joins once the content above is in the editor
+  const collab = useCollaboration(editor, chapter ? collabChannel : null, chapter?.version ?? 0);
+
   // Sanitize editor HTML before saving:
   // - Strip foreign container tags (e.g. <section> from pasted content)
   // - Keep our semantic structure (p, br, lists, headings, images, videos, karaoke blocks)
@@ -1005,28 +1061,92 @@ export const ChapterEditor = ({ chapter, parentChapter, onSave, onCancel, onDele
     // TipTap's onUpdate callback already handles this
   };
 
-  // Debounced local autosave
+  // The saved chapter in the shape of getEditorSnapshot, for comparing drafts with
+  const getSavedSnapshot = () => {
+    const base = mergeBaseRef.current;
+    const fields = getMergeFields(base);
+    return {
+      ...fields,
+      title: base?.title || '',
+      contentHtml: base?.contentHtml ?? base?.content ?? '',
+      pageBorder: !!fields.pageBorderImageUrl,
+    };
+  };
+
+  // Offer back a draft a closed or crashed tab left unsaved; drafts are not written until this is settled.
+  // With co-editing, wait for the session's document to be in the editor.
+  const collabJoining = collab.status === 'connecting' || (!!chapter && !!collabChannel && collab.status === 'off');
+  useEffect(() => {
+    if (!editor || draftChecked || collabJoining) return undefined;
+    let cancelled = false;
+    getDraft(draftKey)
+      .then((draft) => {
+        if (cancelled) return;
+        const { getEditorSnapshot: getSnapshot, getSavedSnapshot: getSaved } = latestRef.current;
+        const current = getSnapshot();
+        const alreadyInEditor = draft
+          && draft.contentHtml === current.contentHtml
+          && JSON.stringify(getMergeFields(draft)) === JSON.stringify(getMergeFields(current));
+        const saved = getSaved();
+        if (draft && !alreadyInEditor && hasDraftChanges(draft, saved)) {
+          setDraftRecovery({ draft, saved });
+        }
+        setDraftChecked(true);
+      })
+      .catch(() => {
+        if (!cancelled) setDraftChecked(true);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [editor, draftChecked, collabJoining, draftKey]);
+
+  // Debounced draft autosave to IndexedDB, together with the version the draft is based on
   useEffect(() => {
     // Skip initial mount when no content
-    if (!content) return;
+    if (!content || !draftChecked || draftRecovery) return undefined;
     setAutosaveStatus('Saving draft...');
     if (autosaveTimerRef.current) {
       clearTimeout(autosaveTimerRef.current);
     }
-    autosaveTimerRef.current = setTimeout(() => {
-      try {
-        const key = `draft:${chapter?.id || parentChapter?.id || 'new'}`;
-        const data = { content, ts: Date.now() };
-        localStorage.setItem(key, JSON.stringify(data));
-        setAutosaveStatus('Draft saved');
-      } catch (e) {
-        setAutosaveStatus('Draft save failed');
-      }
-    }, 800);
+    writeDraftRef.current = () => {
+      autosaveTimerRef.current = null;
+      const { getEditorSnapshot: getSnapshot, getSavedSnapshot: getSaved, normalizeForMerge: normalize } = latestRef.current;
+      const snapshot = getSnapshot();
+      const saved = getSaved();
+      const unchanged = snapshot.contentHtml === normalize(saved.contentHtml)
+        && JSON.stringify(getMergeFields(snapshot)) === JSON.stringify(getMergeFields(saved));
+      const request = unchanged
+        ? deleteDraft(draftKey)
+        : saveDraft(draftKey, { ...snapshot, baseVersion: entityVersion });
+      request
+        .then(() => setAutosaveStatus(unchanged ? 'Ready' : 'Draft saved'))
+        .catch(() => setAutosaveStatus('Draft save failed'));
+    };
+    autosaveTimerRef.current = setTimeout(() => writeDraftRef.current(), 800);
     return () => {
       if (autosaveTimerRef.current) clearTimeout(autosaveTimerRef.current);
+      autosaveTimerRef.current = null;
+    };
+  }, [content, epigraph, hideTitle, backgroundImageUrl, pageBorderImageUrl, pageBorderWidth, pageBorderSlicePercent, publishState, publishAt, entityVersion, draftChecked, draftRecovery, draftKey]);
+
+  // A tab being closed or put away may not come back; write the pending draft now
+  useEffect(() => {
+    const flushDraft = () => {
+      if (!autosaveTimerRef.current) return;
+      clearTimeout(autosaveTimerRef.current);
+      writeDraftRef.current?.();
+    };
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') flushDraft();
+    };
+    window.addEventListener('pagehide', flushDraft);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      window.removeEventListener('pagehide', flushDraft);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
     };
-  }, [content, chapter?.id, parentChapter?.id]);
+  }, []);
 
   // Sync toolbar with selection changes
   useEffect(() => {
@@ -1155,39 +1275,132 @@ export const ChapterEditor = ({ chapter, parentChapter, onSave, onCancel, onDele
     return () => document.removeEventListener('keydown', onKeyDown, false);
   }, [editor, refreshToolbarState]); // FIXED: Add dependencies to prevent stale closures
 
-  const handleSave = async () => {
-    setSaving(true);
-    const currentContent = editor ? editor.getHTML() : '';
-    const extractedTitle = extractTitleFromContent(currentContent);
-    
-    // Validate that title exists (skip validation for special pages: first page and cover page)
-    const isSpecialPage = chapter?.isFirstPage || chapter?.isCover;
-    if (!extractedTitle.trim() && !isSpecialPage) {
-      alert('Prosimo, dodajte naslov poglavja z gumbom "Naslov" v orodni vrstici.');
-      setSaving(false);
-      return;
+  useEffect(() => {
+    mergeBaseRef.current = chapter;
+  }, [chapter]);
+
+  const applyMergeFields = (fields) => {
+    setEpigraph(fields.epigraph);
+    setHideTitle(fields.hideTitle);
+    setBackgroundImageUrl(fields.backgroundImageUrl || '');
+    setPageBorderImageUrl(fields.pageBorderImageUrl || '');
+    setPageBorderWidth(fields.pageBorderWidth || 8);
+    setPageBorderSlicePercent(fields.pageBorderSlicePercent || 4);
+    setPublishState(getPublishState(fields));
+    setPublishAt(fields.publishAt ?? null);
+  };
+
+  // Someone saved from the shared session: continue from their version, taking the settings
+  // they changed unless they were changed here too (the content is already shared).
+  // Not while a restored draft waits to be saved, which has to merge with everything since its base.
+  useEffect(() => {
+    const { getEditorSnapshot: getSnapshot, applyMergeFields: applyFields, onLoadLatest: loadLatest } = latestRef.current;
+    if (collab.chapterVersion === null || collab.chapterVersion <= entityVersion || !loadLatest) return undefined;
+    if (restoredDraftBaseRef.current) return undefined;
+    let cancelled = false;
+    loadLatest()
+      .then((latest) => {
+        if (cancelled || restoredDraftBaseRef.current || !latest || (latest.version ?? 0) !== collab.chapterVersion) return;
+        const { merged } = mergeFields(
+          MERGE_FIELDS,
+          getMergeFields(mergeBaseRef.current),
+          getMergeFields(getSnapshot()),
+          getMergeFields(latest)
+        );
+        applyFields(merged);
+        mergeBaseRef.current = latest;
+        setEntityVersion(latest.version ?? 0);
+      })
+      .catch(() => {
+        // The next save conflicts and opens the merge dialog instead
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [collab.chapterVersion, entityVersion]);
+
+  // Content as the editor would produce it, so formatting-only differences don't count as changes
+  const normalizeForMerge = (html) => {
+    const { extensions } = editor.extensionManager;
+    return generateHTML(generateJSON(html || '', extensions), extensions);
+  };
+
+  // Replace the editor content without it counting as an edit
+  const replaceContent = (html) => {
+    isSettingContentRef.current = true;
+    lastSetContentRef.current = html;
+    editor.commands.setContent(html);
+    setContent(html);
+    setTimeout(() => {
+      isSettingContentRef.current = false;
+    }, 100);
+  };
+
+  // Put the latest saved version in the editor and continue from it
+  const reloadLatest = async () => {
+    if (!editor || !onLoadLatest) return false;
+    let latest = null;
+    try {
+      latest = await onLoadLatest();
+    } catch {
+      return false;
     }
-    
-    // For special pages, use the chapter title if no title is extracted from content
-    const titleToSave = extractedTitle.trim() || (isSpecialPage ? (chapter?.title || '') : '');
-    
+    if (!latest) return false;
+    replaceContent(latest.contentHtml ?? latest.content ?? '');
+    applyMergeFields(getMergeFields(latest));
+    restoredDraftBaseRef.current = false;
+    mergeBaseRef.current = latest;
+    setEntityVersion(latest.version ?? 0);
+    return true;
+  };
+
+  // Another session saved first: merge the draft with that save against the version the draft started from
+  const startMerge = async (payload) => {
+    if (!editor || !onLoadLatest) return false;
+    let latest = null;
     try {
-      await onSave({
-        title: titleToSave,
-        epigraph,
-        contentHtml: currentContent,
-        version: entityVersion,
-        backgroundImageUrl: backgroundImageUrl || null,
-        pageBorder: !!(pageBorderImageUrl),
-        pageBorderImageUrl: pageBorderImageUrl || null,
-        pageBorderWidth: pageBorderImageUrl ? pageBorderWidth : null,
-        pageBorderSlicePercent: pageBorderImageUrl ? pageBorderSlicePercent : null,
-        hideTitle: !!hideTitle,
-      });
+      latest = await onLoadLatest();
+    } catch {
+      return false;
+    }
+    if (!latest) return false;
+
+    const base = mergeBaseRef.current || {};
+    const mine = getMergeFields(payload);
+    const theirs = getMergeFields(latest);
+    const { merged, conflicts } = mergeFields(MERGE_FIELDS, getMergeFields(base), mine, theirs);
+    setMergeState({
+      chunks: mergeContent(
+        normalizeForMerge(base.contentHtml ?? base.content),
+        normalizeForMerge(payload.contentHtml),
+        normalizeForMerge(latest.contentHtml)
+      ),
+      fieldConflicts: conflicts.map((field) => ({ field, mine: mine[field], theirs: theirs[field] })),
+      mergedFields: merged,
+      theirVersion: latest.version ?? 0,
+      latest,
+      payload,
+    });
+    setAutosaveStatus('Chapter updated elsewhere. Merge your changes.');
+    return true;
+  };
+
+  // Save through onSave (a version-checked transaction in App) and report failures
+  const submitSave = async (payload) => {
+    setSaving(true);
+    try {
+      await onSave(payload);
     } catch (err) {
-      if (err?.code === 'version-conflict') {
+      if (err?.code === 'version-conflict' && typeof payload.restoredFromVersion !== 'number' && await startMerge(payload)) {
+        setSaving(false);
+        return false;
+      }
+      if (err?.code === 'version-conflict' && await reloadLatest()) {
         setAutosaveStatus('Chapter updated elsewhere. Reloaded latest content.');
         alert('This chapter was updated in another session. The latest version has been loaded—please review and reapply your changes.');
+      } else if (err?.code === 'version-conflict') {
+        setAutosaveStatus('Chapter updated elsewhere. Save rejected; draft kept.');
+        alert('This chapter was updated in another session and the latest version could not be loaded, so your save was rejected. Your changes are kept in the editor.');
       } else if (err?.code === 'permission-denied') {
         setAutosaveStatus('Permission denied.');
         alert('Your device is not whitelisted for editor access. Please sign in with an allowed email to whitelist this device.');
@@ -1196,9 +1409,138 @@ export const ChapterEditor = ({ chapter, parentChapter, onSave, onCancel, onDele
         alert(err?.message || 'Failed to save changes. Please try again.');
       }
       setSaving(false);
-      return;
+      return false;
     }
+    clearTimeout(autosaveTimerRef.current);
+    autosaveTimerRef.current = null;
+    deleteDraft(draftKey).catch(() => {});
+    restoredDraftBaseRef.current = false;
     setSaving(false);
+    return true;
+  };
+
+  const getEditorSnapshot = () => {
+    const currentContent = editor ? editor.getHTML() : '';
+    return {
+      title: extractTitleFromContent(currentContent).trim(),
+      epigraph,
+      contentHtml: currentContent,
+      backgroundImageUrl: backgroundImageUrl || null,
+      pageBorder: !!(pageBorderImageUrl),
+      pageBorderImageUrl: pageBorderImageUrl || null,
+      pageBorderWidth: pageBorderImageUrl ? pageBorderWidth : null,
+      pageBorderSlicePercent: pageBorderImageUrl ? pageBorderSlicePercent : null,
+      hideTitle: !!hideTitle,
+      ...toPublishFields(publishState, publishAt),
+    };
+  };
+
+  latestRef.current = { getEditorSnapshot, getSavedSnapshot, normalizeForMerge, applyMergeFields, onLoadLatest };
+
+  const handleSave = async () => {
+    const snapshot = getEditorSnapshot();
+    
+    // Validate that title exists (skip validation for special pages: first page and cover page)
+    const isSpecialPage = chapter?.isFirstPage || chapter?.isCover;
+    if (!snapshot.title && !isSpecialPage) {
+      alert('Prosimo, dodajte naslov poglavja z gumbom "Naslov" v orodni vrstici.');
+      return;
+    }
+    
+    if (publishState === 'scheduled' && typeof publishAt !== 'number') {
+      alert('Izberite čas objave.');
+      return;
+    }
+
+    // For special pages, use the chapter title if no title is extracted from content
+    const titleToSave = snapshot.title || (isSpecialPage ? (chapter?.title || '') : '');
+    
+    await submitSave({
+      ...snapshot,
+      title: titleToSave,
+      version: entityVersion,
+      collabSessionId: collab.sessionId,
+    });
+  };
+
+  // Save the merge as the version after the other save; the merged text is put in the editor first,
+  // so it is kept if this save fails too
+  const handleMerge = async (resolutions, fieldResolutions) => {
+    const { chunks, fieldConflicts, mergedFields, theirVersion, latest, payload } = mergeState;
+    const contentHtml = buildMergedContent(chunks, resolutions);
+    const fields = { ...mergedFields };
+    fieldConflicts.forEach(({ field, theirs }) => {
+      if (fieldResolutions[field] === 'theirs') fields[field] = theirs;
+    });
+
+    replaceContent(contentHtml);
+    applyMergeFields(fields);
+    setEntityVersion(theirVersion);
+    mergeBaseRef.current = latest;
+
+    const saved = await submitSave({
+      ...payload,
+      ...fields,
+      title: extractTitleFromContent(contentHtml).trim() || payload.title,
+      contentHtml,
+      pageBorder: !!fields.pageBorderImageUrl,
+      version: theirVersion,
+      collabSessionId: collab.sessionId,
+    });
+    // A further conflict opens a new merge in submitSave
+    if (saved) setMergeState(null);
+  };
+
+  // A draft edited from an older version keeps that version as its base, so publishing it
+  // conflicts and goes through the merge dialog instead of overwriting what was saved since
+  const handleRestoreDraft = async () => {
+    const draft = draftRecovery?.draft;
+    setDraftRecovery(null);
+    if (!editor || !draft) return;
+
+    replaceContent(draft.contentHtml || '');
+    applyMergeFields(getMergeFields(draft));
+
+    const baseVersion = draft.baseVersion ?? 0;
+    if (baseVersion === entityVersion || !onLoadRevisions) return;
+    try {
+      const revisions = await onLoadRevisions();
+      const base = revisions.find((revision) => revision.version === baseVersion);
+      if (base) {
+        restoredDraftBaseRef.current = true;
+        mergeBaseRef.current = base;
+        setEntityVersion(baseVersion);
+      }
+    } catch {
+      // Without the base, publishing the draft replaces the newer version
+    }
+  };
+
+  const handleDiscardDraft = () => {
+    setDraftRecovery(null);
+    deleteDraft(draftKey).catch(() => {});
+  };
+
+  // Restoring saves the revision as the next version; App closes the editor as after any save
+  const handleRestoreRevision = async (revision) => {
+    const restored = await submitSave({
+      title: revision.title ?? chapter?.title ?? '',
+      epigraph: revision.epigraph ?? null,
+      contentHtml: revision.contentHtml ?? '',
+      version: entityVersion,
+      backgroundImageUrl: revision.backgroundImageUrl ?? null,
+      pageBorder: !!revision.pageBorder,
+      pageBorderImageUrl: revision.pageBorderImageUrl ?? null,
+      pageBorderWidth: revision.pageBorderWidth ?? null,
+      pageBorderSlicePercent: revision.pageBorderSlicePercent ?? null,
+      hideTitle: !!revision.hideTitle,
+      // Revisions from before drafts existed keep the publication state the editor has now
+      ...(revision.isPublished == null
+        ? toPublishFields(publishState, publishAt)
+        : toPublishFields(getPublishState(revision), revision.publishAt ?? null)),
+      restoredFromVersion: revision.version,
+    });
+    if (!restored) setHistorySnapshot(null);
   };
 
   const handleDelete = async () => {
@@ -2939,12 +3281,64 @@ export const ChapterEditor = ({ chapter, parentChapter, onSave, onCancel, onDele
                     <span style={{ fontSize: '0.9em' }}>BG</span>
                   </button>
                 )}
+                {onLoadRevisions && (
+                  <button
+                    type="button"
+                    className={`toolbar-btn ${historySnapshot ? 'active' : ''}`}
+                    onClick={() => setHistorySnapshot(getEditorSnapshot())}
+                    title="Zgodovina različic"
+                  >
+                    <span>🕘</span>
+                  </button>
+                )}
+                {collab.status !== 'off' && (
+                  <div
+                    className={`collab-presence collab-presence-${collab.status}`}
+                    title={collab.status === 'offline'
+                      ? 'Skupno urejanje ni dosegljivo, urejate sami'
+                      : collab.collaborators.length
+                        ? `Urejajo tudi: ${collab.collaborators.map((person) => person.name).join(', ')}`
+                        : 'Poglavja trenutno ne ureja nihče drug'}
+                  >
+                    {collab.collaborators.map((person) => (
+                      <span
+                        key={person.clientId}
+                        className="collab-presence-avatar"
+                        style={{ backgroundColor: person.color }}
+                        aria-label={person.name}
+                      >
+                        {(person.name || '?').charAt(0).toUpperCase()}
+                      </span>
+                    ))}
+                    {collab.status === 'connecting' && <span className="collab-presence-note">Povezujem</span>}
+                    {collab.status === 'offline' && <span className="collab-presence-note">Brez povezave</span>}
+                  </div>
+                )}
+                <select
+                  className="toolbar-publish-select"
+                  value={publishState}
+                  onChange={(e) => setPublishState(e.target.value)}
+                  title="Kdaj bralci vidijo poglavje"
+                >
+                  <option value="published">Objavljeno</option>
+                  <option value="draft">Osnutek</option>
+                  <option value="scheduled">Načrtovano</option>
+                </select>
+                {publishState === 'scheduled' && (
+                  <input
+                    type="datetime-local"
+                    className="toolbar-publish-time"
+                    value={toDateTimeLocalValue(publishAt)}
+                    onChange={(e) => setPublishAt(fromDateTimeLocalValue(e.target.value))}
+                    aria-label="Čas objave"
+                  />
+                )}
                 <button 
                   className="toolbar-save-btn"
                   onClick={handleSave}
                   disabled={saving}
                 >
-                  {saving ? 'Objavljam' : 'Objavi'}
+                  {saving ? SAVE_LABELS[publishState].saving : SAVE_LABELS[publishState].idle}
                 </button>
               </div>
             </div>
@@ -3155,6 +3549,44 @@ export const ChapterEditor = ({ chapter, parentChapter, onSave, onCancel, onDele
         document.body
       )}
 
+      {/* Revision history: diffs between saved revisions and restore */}
+      {historySnapshot && createPortal(
+        <RevisionHistoryPanel
+          loadRevisions={onLoadRevisions}
+          current={historySnapshot}
+          onRestore={handleRestoreRevision}
+          onClose={() => setHistorySnapshot(null)}
+        />,
+        document.body
+      )}
+
+      {/* Draft a closed or crashed tab left unsaved */}
+      {draftRecovery && createPortal(
+        <DraftRecoveryPanel
+          draft={draftRecovery.draft}
+          saved={draftRecovery.saved}
+          currentVersion={entityVersion}
+          onRestore={handleRestoreDraft}
+          onDiscard={handleDiscardDraft}
+        />,
+        document.body
+      )}
+
+      {/* Merge dialog for a save that conflicted with another session's */}
+      {mergeState && createPortal(
+        <MergeConflictPanel
+          key={mergeState.theirVersion}
+          merge={mergeState}
+          saving={saving}
+          onMerge={handleMerge}
+          onCancel={() => {
+            setMergeState(null);
+            setAutosaveStatus('Merge cancelled. Publishing will conflict again.');
+          }}
+        />,
+        document.body
+      )}
+
       {/* Epigraph mini editor dialog */}
       {showEpigraphDialog && createPortal(
         <div 
@@ -0,0 +1,101 @@
+// @vitest-environment jsdom
+import { act } from 'react';
+import { createRoot } from 'react-dom/client';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { ChapterEditor } from './ChapterEditor';
+
+const collab = vi.hoisted(() => ({ current: null }));
+const drafts = vi.hoisted(() => ({ stored: null }));
+
+vi.mock('../hooks/useCollaboration', () => ({ useCollaboration: () => collab.current }));
+vi.mock('../services/storage', () => ({ uploadImageToStorage: vi.fn(), uploadVideoToStorage: vi.fn() }));
+vi.mock('../services/autoTiming', () => ({ generateWordTimingsWithDeepgram: vi.fn() }));
+// No async functions or object spread in the factories: vite.config's es2015 target turns those
+// into helpers the hoisted factories cannot reach
+vi.mock('../utils/editorDrafts', (importOriginal) => importOriginal().then((actual) => Object.assign({}, actual, {
+  getDraft: vi.fn(() => Promise.resolve(drafts.stored)),
+  saveDraft: vi.fn(() => Promise.resolve()),
+  deleteDraft: vi.fn(() => Promise.resolve()),
+})));
+
+const CHAPTER = {
+  id: 'c1',
+  title: 'Prvo',
+  contentHtml: '<h3>Prvo</h3><p>Besedilo različice 5</p>',
+  version: 5,
+  isPublished: true,
+  publishAt: null,
+};
+
+const wait = (ms) => act(() => new Promise((resolve) => setTimeout(resolve, ms)));
+
+const findButton = (label) => [...document.body.querySelectorAll('button')]
+  .find((button) => button.textContent.trim() === label);
+
+describe('ChapterEditor draft recovery during co-editing', () => {
+  let container;
+  let root;
+
+  beforeEach(() => {
+    globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+    globalThis.ResizeObserver ??= class {
+      observe() {}
+      unobserve() {}
+      disconnect() {}
+    };
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    root = createRoot(container);
+  });
+
+  afterEach(async () => {
+    await act(async () => root.unmount());
+    container.remove();
+    vi.restoreAllMocks();
+  });
+
+  it('keeps a restored draft on its base version so saving it merges with the session saves since', async () => {
+    collab.current = { status: 'live', sessionId: 'session-1', chapterVersion: 5, collaborators: [] };
+    drafts.stored = {
+      key: 'c1',
+      contentHtml: '<h3>Prvo</h3><p>Osnutek iz različice 3</p>',
+      baseVersion: 3,
+      savedAt: Date.now() - 60000,
+      isPublished: true,
+      publishAt: null,
+    };
+    const onSave = vi.fn(async () => {});
+    const onLoadLatest = vi.fn(async () => ({ ...CHAPTER }));
+    const onLoadRevisions = vi.fn(async () => [
+      { version: 3, title: 'Prvo', contentHtml: '<h3>Prvo</h3><p>Besedilo različice 3</p>', isPublished: true, publishAt: null },
+    ]);
+
+    await act(async () => {
+      root.render(
+        <ChapterEditor
+          chapter={CHAPTER}
+          onSave={onSave}
+          onCancel={() => {}}
+          onDelete={() => {}}
+          onLoadRevisions={onLoadRevisions}
+          onLoadLatest={onLoadLatest}
+          collabChannel={{ id: 'c1' }}
+        />
+      );
+    });
+    await wait(50);
+
+    await act(async () => findButton('Obnovi osnutek').click());
+    await wait(50);
+    await act(async () => findButton('Objavi').click());
+    await wait(50);
+
+    expect(onLoadLatest).not.toHaveBeenCalled();
+    expect(onSave).toHaveBeenCalledTimes(1);
+    expect(onSave.mock.calls[0][0]).toMatchObject({
+      version: 3,
+      collabSessionId: 'session-1',
+      contentHtml: expect.stringContaining('Osnutek iz različice 3'),
+    });
+  });
+});
@@ -0,0 +1,110 @@
+import { useEffect, useMemo, useRef } from 'react';
+import { buildContinuousText } from '../utils/readerAccessibility';
+import './ReaderAccessibility.css';
+import './ContinuousText.css';
+
+const ID_PREFIX = 'continuous';
+
+/**
+ * ContinuousText - the whole book as one scrolling, semantic document
+ * An alternative to the swiped pages for screen readers and keyboard users:
+ * headings per chapter and subchapter, a contents list, karaoke as plain text
+ * and footnotes as links to notes at the end of each section. Opens at the
+ * reader's current section; Escape closes it.
+ */
+export const ContinuousText = ({ chapters = [], currentChapterId, currentSubchapterId, onClose }) => {
+  const panelRef = useRef(null);
+  const sections = useMemo(() => buildContinuousText(chapters, ID_PREFIX), [chapters]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  // Start at the section current when the view opened, and give focus back to whatever opened it
+  const openedAtRef = useRef({ sections, chapterId: currentChapterId, subchapterId: currentSubchapterId || null });
+  useEffect(() => {
+    const opener = document.activeElement;
+    const { sections: openedSections, chapterId, subchapterId } = openedAtRef.current;
+    const current = openedSections.find((s) => s.chapterId === chapterId && s.subchapterId === subchapterId)
+      || openedSections.find((s) => s.chapterId === chapterId);
+    const heading = current && document.getElementById(`${current.id}-title`);
+    (heading || panelRef.current?.querySelector('h1'))?.focus();
+    heading?.scrollIntoView({ block: 'start' });
+    return () => opener?.focus?.();
+  }, []);
+
+  // In-document links (contents, footnotes) move focus without touching the URL
+  const handleClick = (e) => {
+    const link = e.target.closest('a[href^="#"]');
+    if (!link) return;
+    const target = document.getElementById(link.getAttribute('href').slice(1));
+    if (!target) return;
+    e.preventDefault();
+    e.stopPropagation();
+    target.focus();
+    target.scrollIntoView({ block: 'start' });
+  };
+
+  return (
+    <div className="continuous-text-overlay">
+      <div
+        ref={panelRef}
+        className="continuous-text-panel"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={`${ID_PREFIX}-title`}
+        onClick={handleClick}
+      >
+        <div className="continuous-text-header">
+          <h1 id={`${ID_PREFIX}-title`} tabIndex={-1}>Neprekinjeno besedilo</h1>
+          <button type="button" className="continuous-text-close" onClick={onClose}>
+            Nazaj na strani
+          </button>
+        </div>
+
+        <nav className="continuous-text-contents" aria-label="Kazalo">
+          <ol>
+            {sections.filter((s) => s.title).map((s) => (
+              <li key={s.id} className={`continuous-text-contents-level-${s.level}`}>
+                <a href={`#${s.id}-title`}>{s.title}</a>
+              </li>
+            ))}
+          </ol>
+        </nav>
+
+        {sections.map((s) => {
+          const Heading = s.level === 2 ? 'h2' : 'h3';
+          return (
+            <section key={s.id} className="continuous-text-section" aria-labelledby={s.title ? `${s.id}-title` : undefined}>
+              {s.title && <Heading id={`${s.id}-title`} tabIndex={-1}>{s.title}</Heading>}
+              {s.epigraph && (
+                <blockquote className="continuous-text-epigraph">
+                  <p>{s.epigraph.text}</p>
+                  {s.epigraph.author && <footer>– {s.epigraph.author}</footer>}
+                </blockquote>
+              )}
+              {s.html && <div className="continuous-text-content" dangerouslySetInnerHTML={{ __html: s.html }} />}
+              {s.notes.length > 0 && (
+                <aside className="continuous-text-notes" aria-label="Opombe">
+                  <ol>
+                    {s.notes.map((note) => (
+                      <li key={note.number} id={`${ID_PREFIX}-note-${note.number}`} value={note.number} tabIndex={-1}>
+                        <span dangerouslySetInnerHTML={{ __html: note.html }} />
+                        {' '}
+                        <a href={`#${ID_PREFIX}-ref-${note.number}`} aria-label="Nazaj na besedilo">↩</a>
+                      </li>
+                    ))}
+                  </ol>
+                </aside>
+              )}
+            </section>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
@@ -5,9 +5,22 @@ import { PDFTopBar } from './PDFTopBar';
 import { ReaderTopBar } from './ReaderTopBar';
 import { DesktopTOC } from './DesktopTOC';
 import { useKaraokePlayer } from '../hooks/useKaraokePlayer';
+import { printPagesAsPdf } from '../utils/pdfExport';
+import { getTypographyVariables } from '../utils/readerTypography';
+import { clearSearchHighlights, highlightSearchMatches } from '../utils/bookSearch';
+import { renderAnnotationHighlights } from '../utils/annotations';
+import { applyAuthorColorContrast, READER_THEMES } from '../utils/readerThemes';
+import { useReaderTheme } from '../hooks/useReaderTheme';
+import { decoratePageForScreenReader } from '../utils/readerAccessibility';
+import { useScreenReaderMode } from '../hooks/useScreenReaderMode';
+import { useAnnotationPopover } from '../hooks/useAnnotationPopover';
+import { useReadAloud } from '../hooks/useReadAloud';
+import { AnnotationPopover } from './AnnotationPopover';
 import paperTexture from '../assets/paper-7-origami-TEX.png';
 import borderFrame from '../assets/smallerborder.png';
 
+const PDF_FILENAME = 'weird-attachments.pdf';
+
 /**
  * DesktopPageReader - Desktop-specific page reader component
  * Renders all pages in a scrollable two-page spread PDF-style viewer
@@ -19,7 +32,18 @@ export const DesktopPageReader = ({
   currentChapterIndex,
   currentPageIndex,
   currentSubchapterId,
+  isPaginating = false,
+  pdfZoom,
+  pagesZoom = 1,
+  pagesTypography,
+  onOpenTypography,
+  onOpenNotes,
+  annotations = [],
+  onAddAnnotation,
+  onUpdateAnnotation,
+  onRemoveAnnotation,
   onJumpToPage,
+  onVisiblePageChange,
   onEditChapter,
   onAddSubchapter,
   onDeleteChapter,
@@ -29,7 +53,7 @@ export const DesktopPageReader = ({
 }) => {
   // IMPORTANT: All hooks must be called before any conditional returns
   // This ensures the hook order remains consistent across renders
-  const { initializeKaraokeSlices, observePage, unobservePage } = useKaraokePlayer({
+  const { initializeKaraokeSlices, stopAllKaraoke, observePage, unobservePage } = useKaraokePlayer({
     isDesktop: true,
     karaokeSources
   });
@@ -43,6 +67,11 @@ export const DesktopPageReader = ({
   const prevTopBarPageIndexRef = useRef(0);
   const prevMostVisiblePageRef = useRef(null);
   const prevMostVisiblePageIndexRef = useRef(null);
+  const pagesContainerRef = useRef(null);
+  const [isPreparingPdf, setIsPreparingPdf] = useState(false);
+  const [searchHighlight, setSearchHighlight] = useState(null); // { query, chapterIndex, pageIndex } of an opened search result
+  const { theme } = useReaderTheme();
+  const { screenReaderMode } = useScreenReaderMode();
   
   // Create pagesWithTOC array early (before hooks that depend on it)
   const pagesWithTOC = useMemo(() => {
@@ -233,53 +262,183 @@ export const DesktopPageReader = ({
       : 0;
   }, [mostVisiblePage, pagesWithTOC]);
   
+  // Page we are scrolling to programmatically; visible-page reports are held back until it's reached
+  const scrollTargetRef = useRef(null);
+  const scrollTargetTimeoutRef = useRef(null);
+  
+  const scrollToPageIndex = useCallback((index, behavior = 'smooth', block = 'start') => {
+    const pageElement = document.getElementById(`pdf-page-${index}`);
+    if (!pageElement) return;
+    scrollTargetRef.current = index;
+    clearTimeout(scrollTargetTimeoutRef.current);
+    // Release the hold even if the target never becomes the most centered page (e.g. last page)
+    scrollTargetTimeoutRef.current = setTimeout(() => {
+      scrollTargetRef.current = null;
+    }, 1500);
+    pageElement.scrollIntoView({ behavior, block });
+  }, []);
+  
+  useEffect(() => () => clearTimeout(scrollTargetTimeoutRef.current), []);
+  
+  // Explicit navigation (TOC, top bar): scroll there and let the parent record it as a new position
+  const goToPageIndex = useCallback((index, block = 'start') => {
+    if (index < 0 || index >= pagesWithTOC.length) return;
+    scrollToPageIndex(index, 'smooth', block);
+    const page = pagesWithTOC[index];
+    if (page && !page.isTOC && onJumpToPage) {
+      onJumpToPage(page.chapterIndex, page.pageIndex);
+    }
+  }, [pagesWithTOC, scrollToPageIndex, onJumpToPage]);
+  
+  // Scroll to the current position when it changes from outside (restored bookmark, deep link, back/forward)
+  useEffect(() => {
+    const index = pagesWithTOC.findIndex(
+      (p) => !p.isTOC && p.chapterIndex === currentChapterIndex && p.pageIndex === currentPageIndex
+    );
+    if (index < 0 || index === prevTopBarPageIndexRef.current || index === scrollTargetRef.current) return;
+    scrollToPageIndex(index, 'auto');
+  }, [pagesWithTOC, currentChapterIndex, currentPageIndex, scrollToPageIndex]);
+  
+  // Report the page the user scrolled to. Only scrolling reports it: the current position
+  // moving from outside must not send the page still in view back as the new position.
+  const visiblePageContextRef = useRef(null);
+  visiblePageContextRef.current = { pagesWithTOC, currentChapterIndex, currentPageIndex, onVisiblePageChange };
+  useEffect(() => {
+    if (scrollTargetRef.current !== null) {
+      if (topBarPageIndex === scrollTargetRef.current) scrollTargetRef.current = null;
+      return;
+    }
+    const context = visiblePageContextRef.current;
+    const page = context.pagesWithTOC[topBarPageIndex];
+    if (!page || page.isTOC) return;
+    if (page.chapterIndex === context.currentChapterIndex && page.pageIndex === context.currentPageIndex) return;
+    context.onVisiblePageChange?.(page);
+  }, [topBarPageIndex]);
+  
   // Handler to scroll to a specific page number
   const handlePageChange = (pageNum) => {
-    const pageIndex = pageNum - 1;
-    if (pageIndex >= 0 && pageIndex < pagesWithTOC.length) {
-      const pageElement = document.getElementById(`pdf-page-${pageIndex}`);
-      if (pageElement) {
-        pageElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
-      }
-    }
+    goToPageIndex(pageNum - 1, 'center');
   };
   
   // Handler for previous page
   const handlePreviousPage = () => {
     if (topBarPageIndex > 0) {
-      const prevPageIndex = topBarPageIndex - 1;
-      const pageElement = document.getElementById(`pdf-page-${prevPageIndex}`);
-      if (pageElement) {
-        pageElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
-      }
+      goToPageIndex(topBarPageIndex - 1, 'center');
     }
   };
   
   // Handler for next page
   const handleNextPage = () => {
     if (topBarPageIndex < pagesWithTOC.length - 1) {
-      const nextPageIndex = topBarPageIndex + 1;
-      const pageElement = document.getElementById(`pdf-page-${nextPageIndex}`);
-      if (pageElement) {
-        pageElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
-      }
+      goToPageIndex(topBarPageIndex + 1, 'center');
     }
   };
   
-  // Handler for zoom in (placeholder for now)
-  const handleZoomIn = () => {
-    // Zoom in functionality
-  };
+  // Re-paginated at a new zoom: bring the current page back into view before the scroll position is read
+  const prevPagesZoomRef = useRef(pagesZoom);
+  useLayoutEffect(() => {
+    if (prevPagesZoomRef.current === pagesZoom) return;
+    prevPagesZoomRef.current = pagesZoom;
+    const index = pagesWithTOC.findIndex(
+      (p) => !p.isTOC && p.chapterIndex === currentChapterIndex && p.pageIndex === currentPageIndex
+    );
+    if (index >= 0) scrollToPageIndex(index, 'auto', 'center');
+  }, [pagesZoom, pagesWithTOC, currentChapterIndex, currentPageIndex, scrollToPageIndex]);
   
-  // Handler for zoom out (placeholder for now)
-  const handleZoomOut = () => {
-    // Zoom out functionality
+  // Download PDF: print the rendered pages (waits until every chapter is paginated)
+  const handleDownload = async () => {
+    if (isPaginating || isPreparingPdf) return;
+    setIsPreparingPdf(true);
+    try {
+      await printPagesAsPdf({
+        container: pagesContainerRef.current,
+        title: PDF_FILENAME.replace(/\.pdf$/, ''),
+      });
+    } finally {
+      setIsPreparingPdf(false);
+    }
   };
   
-  // Handler for download (placeholder for now)
-  const handleDownload = () => {
-    // Download PDF functionality
-  };
+  // Highlight the opened search result's match; re-applied when pages re-render (hyphenation, re-pagination)
+  useEffect(() => {
+    if (!searchHighlight) return;
+    const index = pagesWithTOC.findIndex(
+      (p) => !p.isTOC && p.chapterIndex === searchHighlight.chapterIndex && p.pageIndex === searchHighlight.pageIndex
+    );
+    const pageElement = index >= 0 ? document.getElementById(`pdf-page-${index}`) : null;
+    if (!pageElement) return;
+    // After karaoke initialization has rebuilt the page's text
+    const timeoutId = setTimeout(() => highlightSearchMatches(pageElement, searchHighlight.query), 150);
+    return () => {
+      clearTimeout(timeoutId);
+      clearSearchHighlights(pageElement);
+    };
+  }, [searchHighlight, pagesWithTOC]);
+  
+  // Highlights and notes: selections on a page map back to the page they were made on
+  const {
+    popover: annotationPopover,
+    openAnnotation,
+    closePopover: closeAnnotationPopover,
+    handleHighlightClick,
+  } = useAnnotationPopover({
+    containerRef: pagesContainerRef,
+    resolvePage: (node) => {
+      const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+      const wrapper = element?.closest('.pdf-page-wrapper');
+      const page = wrapper ? pagesWithTOC[Number(wrapper.id.replace('pdf-page-', ''))] : null;
+      const root = wrapper?.querySelector('.page-content');
+      return page && !page.isTOC && root ? { root, page } : null;
+    },
+  });
+
+  // Draw highlights into every rendered page; re-applied when pages re-render or annotations change
+  useEffect(() => {
+    const timeoutId = setTimeout(() => {
+      pagesWithTOC.forEach((page, index) => {
+        if (page.isTOC) return;
+        const root = document.getElementById(`pdf-page-${index}`)?.querySelector('.page-content');
+        if (root) renderAnnotationHighlights(root, page, annotations);
+      });
+    }, 150);
+    return () => clearTimeout(timeoutId);
+  }, [annotations, pagesWithTOC]);
+
+  // Keep inline author colours legible in the reader theme
+  useEffect(() => {
+    const timeoutId = setTimeout(() => {
+      pagesWithTOC.forEach((page, index) => {
+        if (!page.isTOC) applyAuthorColorContrast(document.getElementById(`pdf-page-${index}`), theme);
+      });
+    }, 150);
+    return () => clearTimeout(timeoutId);
+  }, [theme, pagesWithTOC]);
+
+  // Read aloud from the page in view; turning pages scrolls to them
+  const readAloud = useReadAloud({
+    pages: pagesWithTOC,
+    currentPage: topBarPageIndex,
+    getPageElement: (index) => document.getElementById(`pdf-page-${index}`)?.querySelector('.page-content') || null,
+    onTurnPage: goToPageIndex,
+    onStart: stopAllKaraoke,
+  });
+
+  // Screen-reader mode: karaoke play controls and footnote links on every page
+  useEffect(() => {
+    if (!screenReaderMode) return;
+    const cleanups = [];
+    const timeoutId = setTimeout(() => {
+      pagesWithTOC.forEach((page, index) => {
+        if (page.isTOC) return;
+        const root = document.getElementById(`pdf-page-${index}`)?.querySelector('.page-content');
+        if (root) cleanups.push(decoratePageForScreenReader(root));
+      });
+    }, 150);
+    return () => {
+      clearTimeout(timeoutId);
+      cleanups.forEach((cleanup) => cleanup());
+    };
+  }, [screenReaderMode, pagesWithTOC]);
   
   // Initialize karaoke for all pages after render
   // This hook must be called even when pages.length === 0 to maintain hook order
@@ -607,9 +766,11 @@ export const DesktopPageReader = ({
     const slicePercent = page?.borderSlicePercent || 4; // Default 4% for 1024x1024px images
 
     // Inline border-image styles so each chapter/subchapter can have its own frame
+    // Dark themes leave out the frame's fill so the text sits on the theme's paper
+    const borderFill = READER_THEMES[theme].dark ? '' : ' fill';
     const borderStyle = hasBorder && borderImageUrl ? {
       border: `${borderWidth}px solid transparent`,
-      borderImage: `url(${borderImageUrl}) ${slicePercent}% fill round`,
+      borderImage: `url(${borderImageUrl}) ${slicePercent}%${borderFill} round`,
       borderImageOutset: `${borderOutset}px`,
       borderRadius: 0,
     } : {};
@@ -650,22 +811,11 @@ export const DesktopPageReader = ({
               currentPageIndex={currentPageIndex}
               currentSubchapterId={currentSubchapterId}
               onJumpToPage={(chapterIndex, pageIndex) => {
-                // Scroll to the target page using data attributes
-                requestAnimationFrame(() => {
-                  const allPageSheets = document.querySelectorAll('.page-sheet');
-                  allPageSheets.forEach((sheet) => {
-                    const sheetChapterIndex = parseInt(sheet.getAttribute('data-chapter-index'));
-                    const sheetPageIndex = parseInt(sheet.getAttribute('data-page-index'));
-                    if (sheetChapterIndex === chapterIndex && sheetPageIndex === pageIndex) {
-                      sheet.scrollIntoView({ behavior: 'smooth', block: 'start' });
-                    }
-                  });
-                });
-                
-                // Call original callback for bookmark saving
-                if (onJumpToPage) {
-                  onJumpToPage({ chapterIndex, pageIndex });
-                }
+                // Scroll to the target page and record it as the new position
+                const targetIndex = pagesWithTOC.findIndex(
+                  (p) => !p.isTOC && p.chapterIndex === chapterIndex && p.pageIndex === pageIndex
+                );
+                requestAnimationFrame(() => goToPageIndex(targetIndex));
               }}
               onEditChapter={onEditChapter}
               onAddSubchapter={onAddSubchapter}
@@ -673,6 +823,13 @@ export const DesktopPageReader = ({
               onEditSubchapter={onEditSubchapter}
               onDeleteSubchapter={onDeleteSubchapter}
               onReorderChapters={onReorderChapters}
+              onSearchSelect={(targetPage, query) => {
+                const targetIndex = pagesWithTOC.findIndex(
+                  (p) => !p.isTOC && p.chapterIndex === targetPage.chapterIndex && p.pageIndex === targetPage.pageIndex
+                );
+                setSearchHighlight({ query, chapterIndex: targetPage.chapterIndex, pageIndex: targetPage.pageIndex });
+                requestAnimationFrame(() => goToPageIndex(targetIndex, 'center'));
+              }}
             />
           ) : page?.isCover ? (
             <div 
@@ -746,7 +903,7 @@ export const DesktopPageReader = ({
         )}
       </article>
     );
-  }, [chapters, pages, currentChapterIndex, currentPageIndex, currentSubchapterId, onJumpToPage, onEditChapter, onAddSubchapter, onDeleteChapter, onEditSubchapter, onDeleteSubchapter, onReorderChapters, createPageContentRef, paperTexture]);
+  }, [chapters, pages, currentChapterIndex, currentPageIndex, currentSubchapterId, pagesWithTOC, goToPageIndex, onEditChapter, onAddSubchapter, onDeleteChapter, onEditSubchapter, onDeleteSubchapter, onReorderChapters, createPageContentRef, paperTexture, theme]);
 
   // Clean up refs when pages change to prevent memory leaks and handle content updates
   useEffect(() => {
@@ -825,31 +982,52 @@ export const DesktopPageReader = ({
         onPageChange={handlePageChange}
         onPreviousPage={handlePreviousPage}
         onNextPage={handleNextPage}
-        onZoomIn={handleZoomIn}
-        onZoomOut={handleZoomOut}
+        zoom={pdfZoom?.zoom ?? pagesZoom}
+        zoomMode={pdfZoom?.zoomMode}
+        onZoomIn={pdfZoom?.zoomIn}
+        onZoomOut={pdfZoom?.zoomOut}
+        onFitToWidth={pdfZoom?.fitToWidth}
+        onFitToPage={pdfZoom?.fitToPage}
+        zoomInDisabled={!pdfZoom?.canZoomIn}
+        zoomOutDisabled={!pdfZoom?.canZoomOut}
+        onOpenTypography={onOpenTypography}
+        onOpenNotes={onOpenNotes}
+        onToggleReadAloud={readAloud.supported ? readAloud.toggle : undefined}
+        isReadingAloud={readAloud.isReading}
         onDownload={handleDownload}
-        filename="weird-attachments.pdf"
+        downloadDisabled={isPaginating || isPreparingPdf}
+        filename={PDF_FILENAME}
       />
     <PDFViewer
       currentPage={1}
         totalPages={pagesWithTOC.length}
       onPageChange={(pageNum) => {
           // Scroll to the page
-        const pageIndex = pageNum - 1;
-          const page = pagesWithTOC[pageIndex];
-        if (page) {
-            const pageElement = document.getElementById(`pdf-page-${pageIndex}`);
-            if (pageElement) {
-              pageElement.scrollIntoView({ behavior: 'smooth', block: 'start' });
-          }
-        }
+        goToPageIndex(pageNum - 1);
       }}
-      filename="weird-attachments.pdf"
+      filename={PDF_FILENAME}
     >
-      <div className="pdf-pages-container">
+      <div
+        className="pdf-pages-container"
+        ref={pagesContainerRef}
+        style={{ zoom: pagesZoom, ...getTypographyVariables(pagesTypography) }}
+        onClick={handleHighlightClick}
+      >
           {renderedPages}
       </div>
     </PDFViewer>
+      {annotationPopover && (
+        <AnnotationPopover
+          key={annotationPopover.annotationId || 'selection'}
+          popover={annotationPopover}
+          annotations={annotations}
+          onAdd={onAddAnnotation}
+          onUpdate={onUpdateAnnotation}
+          onRemove={onRemoveAnnotation}
+          onOpenAnnotation={openAnnotation}
+          onClose={closeAnnotationPopover}
+        />
+      )}
       {/* Desktop Progress Bar - only show for regular pages */}
       {mostVisiblePage && !mostVisiblePage.isFirstPage && !mostVisiblePage.isCover && !mostVisiblePage.isTOC && chapterProgress > 0 && typeof document !== 'undefined' && createPortal(
         <div className="chapter-progress-bar desktop-progress-bar">
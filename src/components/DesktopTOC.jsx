@@ -3,6 +3,8 @@ import { useEditorMode } from '../hooks/useEditorMode';
 import { DndContext, closestCenter } from '@dnd-kit/core';
 import { arrayMove, SortableContext, useSortable, verticalListSortingStrategy } from '@dnd-kit/sortable';
 import { CSS } from '@dnd-kit/utilities';
+import { BookSearch } from './BookSearch';
+import { PublishStateBadge } from './PublishStateBadge';
 import './DesktopTOC.css';
 
 export const DesktopTOC = ({
@@ -18,6 +20,7 @@ export const DesktopTOC = ({
   onEditSubchapter,
   onDeleteSubchapter,
   onReorderChapters,
+  onSearchSelect,
 }) => {
   const { isEditor } = useEditorMode();
   const [expandedChapters, setExpandedChapters] = useState(new Set());
@@ -183,6 +186,7 @@ export const DesktopTOC = ({
             <span className="desktop-toc-expand-icon">{isExpanded ? '▼' : '▶'}</span>
           )}
           <span className="desktop-toc-chapter-title">{chapter.title}</span>
+          <PublishStateBadge entity={chapter} />
           {isEditor && (
             <div className="desktop-toc-editor-controls">
               <button
@@ -243,6 +247,7 @@ export const DesktopTOC = ({
                   onClick={() => handleSubchapterClick(subchapter, chapter.id)}
                 >
                   <span className="desktop-toc-subchapter-title">{subchapter.title}</span>
+                  <PublishStateBadge entity={subchapter} />
                   {isEditor && (
                     <div className="desktop-toc-editor-controls">
                       <button
@@ -305,8 +310,9 @@ export const DesktopTOC = ({
   };
 
   return (
-    <div className="desktop-toc-page">
+    <div className="desktop-toc-page" role="navigation" aria-label="Kazalo">
       <div className="desktop-toc-content">
+        <BookSearch chapters={chapters} pages={pages} onSelect={onSearchSelect} />
         {/* Special pages for editor mode: First Page and Cover Page */}
         {isEditor && (
           <>
@@ -414,6 +420,7 @@ export const DesktopTOC = ({
                     <span className="desktop-toc-expand-icon">{isExpanded ? '▼' : '▶'}</span>
                   )}
                   <span className="desktop-toc-chapter-title">{chapter.title}</span>
+                  <PublishStateBadge entity={chapter} />
                   {isEditor && (
                     <div className="desktop-toc-editor-controls">
                       <button
@@ -466,6 +473,7 @@ export const DesktopTOC = ({
                           onClick={() => handleSubchapterClick(subchapter, chapter.id)}
                         >
                           <span className="desktop-toc-subchapter-title">{subchapter.title}</span>
+                          <PublishStateBadge entity={subchapter} />
                           {isEditor && (
                             <div className="desktop-toc-editor-controls">
                               <button
@@ -1,7 +1,14 @@
 import { useEffect, useRef, useState } from 'react';
+import { useReducedMotion } from '../hooks/useReducedMotion';
 import './DitheredLoader.css';
 
+/**
+ * DitheredLoader - full-screen dithered image with shimmering noise and sparkles,
+ * melting away pixel by pixel when active turns false
+ * With reduced motion the image stays still and disappears without the melt.
+ */
 export const DitheredLoader = ({ active }) => {
+  const { reducedMotion } = useReducedMotion();
   const canvasRef = useRef(null);
   const sparkleCanvasRef = useRef(null);
   const imageRef = useRef(null);
@@ -157,11 +164,16 @@ export const DitheredLoader = ({ active }) => {
     const ctx = canvas.getContext('2d');
     if (!ctx) return;
 
-    if (!active || isDissolving) {
+    if (!active || isDissolving || reducedMotion) {
       if (noiseAnimationRef.current) {
         cancelAnimationFrame(noiseAnimationRef.current);
         noiseAnimationRef.current = null;
       }
+      // Back to the still image if the noise was running
+      if (reducedMotion && ditherDataRef.current) {
+        const { data, width, height } = ditherDataRef.current;
+        ctx.putImageData(new ImageData(new Uint8ClampedArray(data), width, height), 0, 0);
+      }
       return;
     }
 
@@ -240,7 +252,7 @@ export const DitheredLoader = ({ active }) => {
         noiseAnimationRef.current = null;
       }
     };
-  }, [active, isDissolving]);
+  }, [active, isDissolving, reducedMotion]);
 
   // Sparkle effect - random white points appearing and disappearing, influenced by dither pattern
   useEffect(() => {
@@ -250,6 +262,11 @@ export const DitheredLoader = ({ active }) => {
     const sparkleCtx = sparkleCanvas.getContext('2d');
     if (!sparkleCtx) return;
 
+    if (reducedMotion) {
+      sparkleCtx.clearRect(0, 0, sparkleCanvas.width, sparkleCanvas.height);
+      return;
+    }
+
     const resizeSparkleCanvas = () => {
       const width = window.innerWidth;
       const height = window.innerHeight;
@@ -376,7 +393,7 @@ export const DitheredLoader = ({ active }) => {
         sparkleAnimationRef.current = null;
       }
     };
-  }, []);
+  }, [reducedMotion]);
 
   // Respond to active flag from parent: when active becomes false, start a local
   // JS-driven pixel melt. We never tell the parent when we're done; this is purely visual.
@@ -392,8 +409,8 @@ export const DitheredLoader = ({ active }) => {
       // Start pixel melt only if we have image data ready
       const canvas = canvasRef.current;
       const ctx = canvas ? canvas.getContext('2d') : null;
-      if (!canvas || !ctx || !originalImageDataRef.current || !pixelIndicesRef.current) {
-        // If we can't safely animate, just hide
+      if (reducedMotion || !canvas || !ctx || !originalImageDataRef.current || !pixelIndicesRef.current) {
+        // With reduced motion, or if we can't safely animate, just hide
         setIsVisible(false);
         return;
       }
@@ -443,7 +460,7 @@ export const DitheredLoader = ({ active }) => {
 
       dissolveAnimationRef.current = requestAnimationFrame(animateDissolve);
     }
-  }, [active, isVisible, isDissolving]);
+  }, [active, isVisible, isDissolving, reducedMotion]);
 
   const classes = [
     'dithered-loader',
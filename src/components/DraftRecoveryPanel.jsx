@@ -0,0 +1,56 @@
+import { useMemo } from 'react';
+import { diffContent, getChangedSettings } from '../utils/revisionDiff';
+import { DiffParagraph } from './RevisionDiff';
+import './DraftRecoveryPanel.css';
+
+const formatTime = (ms) => (ms
+  ? new Date(ms).toLocaleString('sl-SI', { dateStyle: 'medium', timeStyle: 'short' })
+  : '');
+
+/**
+ * DraftRecoveryPanel - offers back a draft left unsaved by a closed or crashed tab
+ * Shows how the draft (utils/editorDrafts.js) differs from the saved chapter.
+ * @param {Object} props.draft - the stored draft, with baseVersion and savedAt
+ * @param {Object} props.saved - the saved chapter, in the shape of getEditorSnapshot
+ * @param {number} props.currentVersion - version of the saved chapter
+ */
+export const DraftRecoveryPanel = ({ draft, saved, currentVersion, onRestore, onDiscard }) => {
+  const diff = useMemo(() => ({
+    paragraphs: diffContent(saved?.contentHtml || '', draft.contentHtml || ''),
+    settings: getChangedSettings(saved, draft),
+  }), [draft, saved]);
+  const hasContentChanges = diff.paragraphs.some((paragraph) => paragraph.type !== 'same');
+  const isStale = (draft.baseVersion ?? 0) !== currentVersion;
+
+  return (
+    <div className="karaoke-dialog-overlay">
+      <div className="karaoke-dialog draft-recovery-dialog" role="dialog" aria-label="Neshranjen osnutek">
+        <div className="karaoke-dialog-content draft-recovery">
+          <h2 className="epigraph-dialog-title">Neshranjen osnutek</h2>
+          <p className="draft-recovery-summary">
+            Osnutek z dne {formatTime(draft.savedAt)} ni bil objavljen.
+            {isStale && ` Nastal je iz različice ${draft.baseVersion}, medtem pa je bila objavljena različica ${currentVersion}; ob objavi ga boste združili z njo.`}
+          </p>
+          {diff.settings.length > 0 && (
+            <p className="draft-recovery-summary">Spremenjeno tudi: {diff.settings.join(', ')}</p>
+          )}
+          <div className="revision-diff">
+            {hasContentChanges ? (
+              diff.paragraphs.map((paragraph, index) => <DiffParagraph key={index} paragraph={paragraph} />)
+            ) : (
+              <p className="draft-recovery-summary">Besedilo je enako objavljenemu.</p>
+            )}
+          </div>
+          <div className="epigraph-actions">
+            <button type="button" className="epigraph-delete-btn" onClick={onDiscard}>
+              Zavrzi osnutek
+            </button>
+            <button type="button" className="epigraph-save-btn" onClick={onRestore}>
+              Obnovi osnutek
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -1,7 +1,14 @@
 import { useEffect, useRef, useState } from 'react';
+import { useReducedMotion } from '../hooks/useReducedMotion';
 import './FeatherCursor.css';
 
+/**
+ * FeatherCursor - feather-shaped cursor with a trail of falling feathers (desktop),
+ * feathers on touch (mobile)
+ * With reduced motion the cursor follows the pointer directly and drops no feathers.
+ */
 export const FeatherCursor = ({ children }) => {
+  const { reducedMotion } = useReducedMotion();
   const [isMobile, setIsMobile] = useState(() => {
     if (typeof window === 'undefined') return false;
     return window.innerWidth <= 768;
@@ -138,8 +145,8 @@ export const FeatherCursor = ({ children }) => {
       // Update target position
       mousePositionRef.current = { x: e.clientX, y: e.clientY };
       
-      // Initialize current position if it's the first move
-      if (currentPositionRef.current.x === 0 && currentPositionRef.current.y === 0) {
+      // Initialize current position if it's the first move (every move with reduced motion: no easing)
+      if (reducedMotion || (currentPositionRef.current.x === 0 && currentPositionRef.current.y === 0)) {
         currentPositionRef.current = { x: e.clientX, y: e.clientY };
         if (cursorRef.current) {
           cursorRef.current.style.left = `${e.clientX}px`;
@@ -148,7 +155,7 @@ export const FeatherCursor = ({ children }) => {
       }
       
       // Start animation if not already running
-      if (!animationFrameRef.current && cursorRef.current) {
+      if (!reducedMotion && !animationFrameRef.current && cursorRef.current) {
         animationFrameRef.current = requestAnimationFrame(animateCursor);
       }
       
@@ -203,7 +210,7 @@ export const FeatherCursor = ({ children }) => {
       // Create particles periodically (throttle to avoid too many)
       // Use the cursor's current position (damped) instead of raw mouse position
       const now = Date.now();
-      if (now - lastParticleTimeRef.current > 30) { // Every 30ms (more particles)
+      if (!reducedMotion && now - lastParticleTimeRef.current > 30) { // Every 30ms (more particles)
         // Use current cursor position (with damping) for particle spawn location
         const particleX = currentPositionRef.current.x || e.clientX;
         const particleY = currentPositionRef.current.y || e.clientY;
@@ -292,11 +299,11 @@ export const FeatherCursor = ({ children }) => {
       });
       particlesRef.current = [];
     };
-  }, [isMobile]);
+  }, [isMobile, reducedMotion]);
 
   // Mobile: Create particles on touch
   useEffect(() => {
-    if (!isMobile) return;
+    if (!isMobile || reducedMotion) return;
 
     const createTouchParticle = (x, y) => {
       // Create more particles per touch
@@ -380,7 +387,7 @@ export const FeatherCursor = ({ children }) => {
       });
       particlesRef.current = [];
     };
-  }, [isMobile]);
+  }, [isMobile, reducedMotion]);
 
   // Only render cursor element on desktop
   if (isMobile) {
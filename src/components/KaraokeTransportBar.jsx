@@ -0,0 +1,74 @@
+import { useEffect, useState } from 'react';
+import './KaraokeTransportBar.css';
+
+const AUDIO_EVENTS = ['play', 'pause', 'timeupdate', 'seeked', 'durationchange', 'loadedmetadata', 'ended'];
+
+const formatTime = (seconds) => {
+  const total = Number.isFinite(seconds) ? Math.max(Math.floor(seconds), 0) : 0;
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+
+/**
+ * KaraokeTransportBar - play / pause and seek for the karaoke block playing (mobile reader)
+ * Follows the block's audio element itself, so playback doesn't re-render the
+ * reader. While paused it is shown only if showWhenPaused (the block is on
+ * the page). A seek is made when the slider is let go.
+ */
+export const KaraokeTransportBar = ({ audio, showWhenPaused, onTogglePlay, onSeek }) => {
+  const [playing, setPlaying] = useState(!audio.paused);
+  const [currentTime, setCurrentTime] = useState(audio.currentTime);
+  const [duration, setDuration] = useState(audio.duration);
+  const [dragTime, setDragTime] = useState(null);
+
+  useEffect(() => {
+    const sync = () => {
+      setPlaying(!audio.paused);
+      setCurrentTime(audio.currentTime);
+      setDuration(audio.duration);
+    };
+    sync();
+    AUDIO_EVENTS.forEach((name) => audio.addEventListener(name, sync));
+    return () => AUDIO_EVENTS.forEach((name) => audio.removeEventListener(name, sync));
+  }, [audio]);
+
+  if (!playing && !showWhenPaused) return null;
+
+  const hasDuration = Number.isFinite(duration) && duration > 0;
+  const shownTime = dragTime ?? currentTime;
+
+  const commitSeek = () => {
+    if (dragTime === null) return;
+    onSeek(dragTime);
+    setDragTime(null);
+  };
+
+  return (
+    <div className="karaoke-transport" role="group" aria-label="Predvajanje karaoke">
+      <button
+        type="button"
+        className="karaoke-transport-play"
+        onClick={onTogglePlay}
+        aria-label={playing ? 'Premor' : 'Predvajaj'}
+      >
+        <span aria-hidden="true">{playing ? '❚❚' : '▶'}</span>
+      </button>
+      <span className="karaoke-transport-time">{formatTime(shownTime)}</span>
+      <input
+        type="range"
+        className="karaoke-transport-seek"
+        min={0}
+        max={hasDuration ? duration : 0}
+        step={0.1}
+        value={hasDuration ? Math.min(shownTime, duration) : 0}
+        disabled={!hasDuration}
+        aria-label="Položaj predvajanja"
+        aria-valuetext={`${formatTime(shownTime)} od ${formatTime(duration)}`}
+        onChange={(e) => setDragTime(parseFloat(e.target.value))}
+        onPointerUp={commitSeek}
+        onKeyUp={commitSeek}
+        onBlur={commitSeek}
+      />
+      <span className="karaoke-transport-time">{formatTime(duration)}</span>
+    </div>
+  );
+};
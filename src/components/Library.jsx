@@ -0,0 +1,275 @@
+import { useState } from 'react';
+import { useOfflineBooks } from '../hooks/useOfflineBooks';
+import './Library.css';
+
+/**
+ * Library - landing view listing all books
+ * Readers see published books; editors also see drafts and archived books
+ * and can create, rename, publish and archive them. Any book can be downloaded as EPUB
+ * or saved on the device for offline reading; with no connection only saved books are listed.
+ */
+export const Library = ({
+  books = [],
+  loading = false,
+  loadError = '',
+  offline = false,
+  isEditor = false,
+  onOpenBook,
+  onCreateBook,
+  onRenameBook,
+  onArchiveBook,
+  onTogglePublished,
+  onExportBook,
+}) => {
+  const [showNewBookForm, setShowNewBookForm] = useState(false);
+  const [newBook, setNewBook] = useState({ title: '', author: '', coverImageUrl: '' });
+  const [creating, setCreating] = useState(false);
+  const [showArchived, setShowArchived] = useState(false);
+  const [exportingBookId, setExportingBookId] = useState(null);
+  const { statuses: offlineStatuses, supported: offlineSupported, download, remove } = useOfflineBooks();
+
+  const activeBooks = books.filter((book) => !book.isArchived && (isEditor || book.isPublished));
+  const archivedBooks = isEditor ? books.filter((book) => book.isArchived) : [];
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newBook.title.trim() || creating) return;
+    setCreating(true);
+    try {
+      await onCreateBook?.({
+        title: newBook.title.trim(),
+        author: newBook.author.trim(),
+        coverImageUrl: newBook.coverImageUrl.trim() || null,
+      });
+      setNewBook({ title: '', author: '', coverImageUrl: '' });
+      setShowNewBookForm(false);
+    } catch (err) {
+      alert(err?.message || 'Knjige ni bilo mogoče ustvariti.');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRename = async (book) => {
+    const title = window.prompt('Nov naslov knjige', book.title || '');
+    if (!title || !title.trim() || title.trim() === book.title) return;
+    try {
+      await onRenameBook?.(book.id, title.trim());
+    } catch (err) {
+      alert(err?.message || 'Preimenovanje ni uspelo.');
+    }
+  };
+
+  const handleArchive = async (book, isArchived) => {
+    if (isArchived && !window.confirm(`Arhiviram knjigo "${book.title}"?`)) return;
+    try {
+      await onArchiveBook?.(book.id, isArchived);
+    } catch (err) {
+      alert(err?.message || 'Arhiviranje ni uspelo.');
+    }
+  };
+
+  const handleExport = async (book) => {
+    if (exportingBookId) return;
+    setExportingBookId(book.id);
+    try {
+      await onExportBook?.(book);
+    } catch (err) {
+      alert(err?.message || 'Izvoz EPUB ni uspel.');
+    } finally {
+      setExportingBookId(null);
+    }
+  };
+
+  const handleOfflineToggle = async (book) => {
+    try {
+      if (offlineStatuses[book.id]?.state === 'saved') {
+        if (!window.confirm(`Odstranim knjigo "${book.title}" iz te naprave?`)) return;
+        await remove(book.id);
+      } else {
+        await download(book);
+      }
+    } catch (err) {
+      alert(err?.message || 'Shranjevanje za branje brez povezave ni uspelo.');
+    }
+  };
+
+  const renderOfflineControl = (book) => {
+    const status = offlineStatuses[book.id];
+    if (status?.state === 'downloading') {
+      return (
+        <button type="button" className="library-btn-icon" disabled title="Shranjujem za branje brez povezave">
+          {Math.round((status.progress || 0) * 100)}%
+        </button>
+      );
+    }
+    const isSaved = status?.state === 'saved';
+    return (
+      <button
+        type="button"
+        className="library-btn-icon"
+        onClick={() => handleOfflineToggle(book)}
+        disabled={offline && !isSaved}
+        aria-pressed={isSaved}
+        title={isSaved ? 'Odstrani iz naprave' : 'Shrani za branje brez povezave'}
+      >
+        {isSaved ? '✓' : '☁'}
+      </button>
+    );
+  };
+
+  const renderOfflineBadge = (book) => {
+    const status = offlineStatuses[book.id];
+    if (status?.state !== 'saved') return null;
+    return (
+      <span
+        className="library-book-badge"
+        title={status.missingFiles ? `Nekaterih datotek ni bilo mogoče prenesti (${status.missingFiles}).` : undefined}
+      >
+        Na voljo brez povezave{status.missingFiles ? ' *' : ''}
+      </span>
+    );
+  };
+
+  const renderBook = (book) => (
+    <li key={book.id} className={`library-book ${book.isArchived ? 'library-book-archived' : ''}`}>
+      <button
+        type="button"
+        className="library-book-open"
+        onClick={() => onOpenBook?.(book)}
+        disabled={book.isArchived}
+      >
+        <span className="library-book-cover">
+          {book.coverImageUrl ? (
+            <img src={book.coverImageUrl} alt="" loading="lazy" decoding="async" />
+          ) : (
+            <span className="library-book-cover-placeholder">{(book.title || '?').charAt(0)}</span>
+          )}
+        </span>
+        <span className="library-book-meta">
+          <span className="library-book-title">{book.title || 'Brez naslova'}</span>
+          {book.author && <span className="library-book-author">{book.author}</span>}
+          {isEditor && !book.isPublished && !book.isArchived && (
+            <span className="library-book-badge">Osnutek</span>
+          )}
+          {!book.isArchived && renderOfflineBadge(book)}
+        </span>
+      </button>
+      {(isEditor || ((onExportBook || offlineSupported) && !book.isArchived)) && (
+        <div className="library-book-controls">
+          {!book.isArchived && offlineSupported && renderOfflineControl(book)}
+          {!book.isArchived && onExportBook && (
+            <button
+              type="button"
+              className="library-btn-icon"
+              onClick={() => handleExport(book)}
+              disabled={!!exportingBookId || offline}
+              title="Prenesi EPUB"
+            >
+              {exportingBookId === book.id ? '…' : '⤓'}
+            </button>
+          )}
+          {isEditor && !book.isArchived && (
+            <>
+              <button type="button" className="library-btn-icon" onClick={() => handleRename(book)} title="Preimenuj">
+                ✎
+              </button>
+              <button
+                type="button"
+                className="library-btn-icon"
+                onClick={() => onTogglePublished?.(book.id, !book.isPublished)}
+                title={book.isPublished ? 'Skrij pred bralci' : 'Objavi'}
+              >
+                {book.isPublished ? '◉' : '○'}
+              </button>
+            </>
+          )}
+          {isEditor && (
+            <button
+              type="button"
+              className="library-btn-icon"
+              onClick={() => handleArchive(book, !book.isArchived)}
+              title={book.isArchived ? 'Obnovi iz arhiva' : 'Arhiviraj'}
+            >
+              {book.isArchived ? '↺' : '🗄'}
+            </button>
+          )}
+        </div>
+      )}
+    </li>
+  );
+
+  return (
+    <main className="library">
+      <header className="library-header">
+        <h1 className="library-title">Knjižnica</h1>
+      </header>
+
+      {loading && <p className="library-status">Nalagam…</p>}
+      {!loading && loadError && <p className="library-status">Knjig ni bilo mogoče naložiti: {loadError}</p>}
+      {!loading && offline && (
+        <p className="library-status">Brez povezave – prikazane so knjige, shranjene v tej napravi.</p>
+      )}
+      {!loading && !loadError && activeBooks.length === 0 && (
+        <p className="library-status">Ni še nobene knjige.</p>
+      )}
+
+      <ul className="library-books">
+        {activeBooks.map(renderBook)}
+      </ul>
+
+      {isEditor && (
+        <div className="library-editor">
+          {showNewBookForm ? (
+            <form className="library-new-book" onSubmit={handleCreate}>
+              <input
+                type="text"
+                placeholder="Naslov"
+                value={newBook.title}
+                onChange={(e) => setNewBook({ ...newBook, title: e.target.value })}
+                autoFocus
+              />
+              <input
+                type="text"
+                placeholder="Avtor"
+                value={newBook.author}
+                onChange={(e) => setNewBook({ ...newBook, author: e.target.value })}
+              />
+              <input
+                type="url"
+                placeholder="URL naslovnice"
+                value={newBook.coverImageUrl}
+                onChange={(e) => setNewBook({ ...newBook, coverImageUrl: e.target.value })}
+              />
+              <div className="library-new-book-actions">
+                <button type="submit" className="library-btn" disabled={creating || !newBook.title.trim()}>
+                  {creating ? 'Ustvarjam' : 'Ustvari'}
+                </button>
+                <button type="button" className="library-btn" onClick={() => setShowNewBookForm(false)}>
+                  Prekliči
+                </button>
+              </div>
+            </form>
+          ) : (
+            <button type="button" className="library-btn" onClick={() => setShowNewBookForm(true)}>
+              + Nova knjiga
+            </button>
+          )}
+
+          {archivedBooks.length > 0 && (
+            <div className="library-archive">
+              <button type="button" className="library-archive-toggle" onClick={() => setShowArchived(!showArchived)}>
+                Arhiv ({archivedBooks.length}) {showArchived ? '▾' : '▸'}
+              </button>
+              {showArchived && (
+                <ul className="library-books">
+                  {archivedBooks.map(renderBook)}
+                </ul>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </main>
+  );
+};
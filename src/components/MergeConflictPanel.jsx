@@ -0,0 +1,154 @@
+import { useState } from 'react';
+import { diffContent, getParagraphs } from '../utils/revisionDiff';
+import { DiffParagraph } from './RevisionDiff';
+import { formatPublishTime } from '../utils/publishing';
+import './MergeConflictPanel.css';
+
+const FIELD_LABELS = {
+  epigraph: 'Epigraf',
+  hideTitle: 'Skrit naslov',
+  backgroundImageUrl: 'Ozadje',
+  pageBorderImageUrl: 'Obroba',
+  pageBorderWidth: 'Širina obrobe',
+  pageBorderSlicePercent: 'Rez obrobe',
+  isPublished: 'Objava',
+  publishAt: 'Čas objave',
+};
+
+const CHOICES = [
+  { value: 'mine', label: 'Obdrži moje' },
+  { value: 'theirs', label: 'Vzemi njihovo' },
+  { value: 'both', label: 'Obdrži oboje' },
+];
+
+const describeValue = (field, value) => {
+  if (value === null || value === undefined || value === '') return 'brez';
+  if (field === 'epigraph') return typeof value === 'string' ? value : value.text || 'brez';
+  if (field === 'hideTitle') return value ? 'da' : 'ne';
+  if (field === 'isPublished') return value ? 'objavljeno' : 'osnutek';
+  if (field === 'publishAt') return formatPublishTime(value);
+  return String(value);
+};
+
+// Text of one side of a conflict; the draft and the other save show what they changed from the base
+const ConflictColumn = ({ title, blocks, base }) => {
+  const html = blocks.join('');
+  const paragraphs = base ? diffContent(base.join(''), html) : getParagraphs(html).map((text) => ({
+    type: 'same',
+    parts: [{ type: 'same', text }],
+  }));
+  let empty = null;
+  if (!blocks.length) empty = 'Izbrisano';
+  else if (!paragraphs.length) empty = 'Brez besedila (slika, video ...)';
+
+  return (
+    <div className="merge-conflict-column">
+      <span className="merge-conflict-column-title">{title}</span>
+      <div className="revision-diff">
+        {empty
+          ? <p className="merge-conflict-empty">{empty}</p>
+          : paragraphs.map((paragraph, index) => <DiffParagraph key={index} paragraph={paragraph} />)}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * MergeConflictPanel - resolves a save that conflicted with one made in another session
+ * Shows the common base, "your draft" and "their save" side by side for every
+ * passage both changed (see utils/threeWayMerge.js); passages only one side
+ * changed are already merged. onMerge gets the author's choices once every
+ * conflict has one.
+ * @param {Object} props.merge - { chunks, fieldConflicts: [{ field, mine, theirs }], theirVersion }
+ */
+export const MergeConflictPanel = ({ merge, saving, onMerge, onCancel }) => {
+  const [resolutions, setResolutions] = useState({});
+  const [fieldResolutions, setFieldResolutions] = useState({});
+
+  const conflictIndexes = merge.chunks
+    .map((chunk, index) => (chunk.type === 'conflict' ? index : -1))
+    .filter((index) => index >= 0);
+  const autoMerged = merge.chunks.filter((chunk) => chunk.type === 'mine' || chunk.type === 'theirs').length;
+  const unresolved = conflictIndexes.filter((index) => !resolutions[index]).length
+    + merge.fieldConflicts.filter(({ field }) => !fieldResolutions[field]).length;
+
+  return (
+    <div className="karaoke-dialog-overlay">
+      <div className="karaoke-dialog merge-conflict-dialog" role="dialog" aria-label="Združevanje sprememb">
+        <div className="karaoke-dialog-content merge-conflict">
+          <h2 className="epigraph-dialog-title">Poglavje je bilo medtem objavljeno drugje</h2>
+          <p className="merge-conflict-summary">
+            Nekdo je objavil različico {merge.theirVersion}, medtem ko ste urejali.
+            {autoMerged > 0 && ` Samodejno združenih sprememb: ${autoMerged}.`}
+            {conflictIndexes.length + merge.fieldConflicts.length > 0
+              ? ' Kjer sta se spremenila ista odstavka ali nastavitev, izberite, kaj naj ostane.'
+              : ' Spremembe se ne prekrivajo.'}
+          </p>
+
+          {conflictIndexes.map((index, position) => {
+            const chunk = merge.chunks[index];
+            return (
+              <section key={index} className="merge-conflict-item">
+                <h3>Spor {position + 1}</h3>
+                <div className="merge-conflict-columns">
+                  <ConflictColumn title="Osnova" blocks={chunk.base} />
+                  <ConflictColumn title="Vaš osnutek" blocks={chunk.mine} base={chunk.base} />
+                  <ConflictColumn title="Njihova objava" blocks={chunk.theirs} base={chunk.base} />
+                </div>
+                <div className="merge-conflict-choices" role="group" aria-label={`Spor ${position + 1}`}>
+                  {CHOICES.map(({ value, label }) => (
+                    <button
+                      key={value}
+                      type="button"
+                      className={`toolbar-btn ${resolutions[index] === value ? 'active' : ''}`}
+                      aria-pressed={resolutions[index] === value}
+                      onClick={() => setResolutions((prev) => ({ ...prev, [index]: value }))}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </section>
+            );
+          })}
+
+          {merge.fieldConflicts.map(({ field, mine, theirs }) => (
+            <section key={field} className="merge-conflict-item">
+              <h3>{FIELD_LABELS[field] || field}</h3>
+              <div className="merge-conflict-choices" role="group" aria-label={FIELD_LABELS[field] || field}>
+                {[
+                  { value: 'mine', label: `Moje: ${describeValue(field, mine)}` },
+                  { value: 'theirs', label: `Njihovo: ${describeValue(field, theirs)}` },
+                ].map(({ value, label }) => (
+                  <button
+                    key={value}
+                    type="button"
+                    className={`toolbar-btn ${fieldResolutions[field] === value ? 'active' : ''}`}
+                    aria-pressed={fieldResolutions[field] === value}
+                    onClick={() => setFieldResolutions((prev) => ({ ...prev, [field]: value }))}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </section>
+          ))}
+
+          <div className="epigraph-actions">
+            <button type="button" className="epigraph-delete-btn" onClick={onCancel} disabled={saving}>
+              Prekliči
+            </button>
+            <button
+              type="button"
+              className="epigraph-save-btn"
+              onClick={() => onMerge(resolutions, fieldResolutions)}
+              disabled={saving || unresolved > 0}
+            >
+              {saving ? 'Objavljam' : 'Združi in objavi'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -3,6 +3,9 @@ import { useEditorMode } from '../hooks/useEditorMode';
 import { DndContext, closestCenter } from '@dnd-kit/core';
 import { arrayMove, SortableContext, useSortable, verticalListSortingStrategy } from '@dnd-kit/sortable';
 import { CSS } from '@dnd-kit/utilities';
+import { BookSearch } from './BookSearch';
+import { PublishStateBadge } from './PublishStateBadge';
+import { getShortcutAction } from '../utils/readerShortcuts';
 import './MobileTOC.css';
 
 export const MobileTOC = ({
@@ -24,6 +27,11 @@ export const MobileTOC = ({
   onOpenSettings,
   onAddChapter,
   onToggleEditorReader,
+  onOpenLibrary,
+  onOpenTypography,
+  onOpenNotes,
+  onSearchSelect,
+  focusSearch = false, // Opened with the search shortcut
 }) => {
   const { isEditor, canToggleEditorMode, previewingAsReader } = useEditorMode();
   const [expandedChapters, setExpandedChapters] = useState(new Set());
@@ -34,6 +42,7 @@ export const MobileTOC = ({
   const singleTapTimeoutRef = useRef(null);
   // Track triple-tap for revealing settings button
   const tripleTapRef = useRef({ taps: 0, lastTapTime: 0, timeout: null });
+  const searchInputRef = useRef(null);
 
   const handleClose = () => {
     // Clear any pending single-tap timeout
@@ -48,6 +57,34 @@ export const MobileTOC = ({
     }, 300); // Match CSS transition duration (2s + 0.6s delay)
   };
 
+  const handleCloseRef = useRef(handleClose);
+  handleCloseRef.current = handleClose;
+
+  // Keyboard while open: Escape or T closes, / goes to the search field (see utils/readerShortcuts.js)
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleKeyDown = (e) => {
+      if (document.querySelector('[role="dialog"]')) return;
+      const action = getShortcutAction(e);
+      if (action === 'toc' || (e.key === 'Escape' && !e.target?.closest?.('.book-search'))) {
+        e.preventDefault();
+        handleCloseRef.current();
+      } else if (action === 'search') {
+        e.preventDefault();
+        searchInputRef.current?.focus({ preventScroll: true });
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen]);
+
+  // Focus the search field once the curtain has come down
+  useEffect(() => {
+    if (!isOpen || !focusSearch) return;
+    const timeoutId = setTimeout(() => searchInputRef.current?.focus({ preventScroll: true }), 300);
+    return () => clearTimeout(timeoutId);
+  }, [isOpen, focusSearch]);
+
   // Cleanup timeouts on unmount
   useEffect(() => {
     return () => {
@@ -245,6 +282,7 @@ export const MobileTOC = ({
           onClick={() => handleChapterClick(chapter, chapterIndex)}
         >
           <span className="mobile-toc-chapter-title">{chapter.title}</span>
+          <PublishStateBadge entity={chapter} />
           {isEditor && (
             <div className="mobile-toc-editor-controls-inline">
               <button
@@ -305,6 +343,7 @@ export const MobileTOC = ({
                   onClick={() => handleSubchapterClick(subchapter, chapter.id)}
                 >
                   <span className="mobile-toc-subchapter-title">{subchapter.title}</span>
+                  <PublishStateBadge entity={subchapter} />
                   {isEditor && (
                     <div className="mobile-toc-editor-controls-inline">
                       <button
@@ -370,9 +409,12 @@ export const MobileTOC = ({
     <div 
       className={`mobile-toc-overlay ${isOpen && !isClosing ? 'mobile-toc-open' : ''} ${isClosing ? 'mobile-toc-closing' : ''}`}
       style={{ opacity: overlayOpacity, pointerEvents: (isOpen || dragProgress > 0) ? 'auto' : 'none' }}
+      inert={!isOpen && !dragProgress && !isClosing}
     >
       <div 
         className="mobile-toc-container"
+        role="navigation"
+        aria-label="Kazalo"
         style={{ 
           transform: `translateY(${translateY}%)`,
           transition: isDragging ? 'none' : 'transform 0.3s cubic-bezier(0.34, 1.56, 0.64, 1), color 0.3s ease-out',
@@ -418,12 +460,49 @@ export const MobileTOC = ({
           >
             {/* Hidden - kept for triple tap functionality */}
           </h2>
+          {onOpenNotes && (
+            <button
+              className="mobile-toc-notes"
+              onClick={() => {
+                handleClose();
+                onOpenNotes();
+              }}
+              aria-label="Moji zapiski"
+            >
+              <svg width="18" height="18" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <path d="M3 2.5C3 2.22386 3.22386 2 3.5 2L12.5 2C12.7761 2 13 2.22386 13 2.5L13 14L8 11L3 14L3 2.5Z" stroke="currentColor" strokeWidth="1.3" strokeLinejoin="round"/>
+              </svg>
+            </button>
+          )}
+          {onOpenTypography && (
+            <button
+              className="mobile-toc-typography"
+              onClick={() => {
+                handleClose();
+                onOpenTypography();
+              }}
+              aria-label="Nastavitve branja"
+            >
+              Aa
+            </button>
+          )}
           <button className="mobile-toc-close" onClick={handleClose}>
             ×
           </button>
         </div>
         
         <div className="mobile-toc-content">
+          <BookSearch
+            chapters={chapters}
+            pages={pages}
+            variant="mobile"
+            inputRef={searchInputRef}
+            onSelect={(page, query) => {
+              onJumpToPage(page.chapterIndex, page.pageIndex);
+              onSearchSelect?.(page, query);
+              handleClose();
+            }}
+          />
           {/* Filter chapters: hide special pages (first page, cover) in viewer mode, show in editor mode */}
           {(() => {
             // Get special pages for editor mode
@@ -556,6 +635,7 @@ export const MobileTOC = ({
                   onClick={() => handleChapterClick(chapter, chapterIndex)}
                 >
                   <span className="mobile-toc-chapter-title">{chapter.title}</span>
+                  <PublishStateBadge entity={chapter} />
                   {isEditor && (
                     <div className="mobile-toc-editor-controls-inline">
                       <button
@@ -610,6 +690,7 @@ export const MobileTOC = ({
                           onClick={() => handleSubchapterClick(subchapter, chapter.id)}
                         >
                           <span className="mobile-toc-subchapter-title">{subchapter.title}</span>
+                          <PublishStateBadge entity={subchapter} />
                           {isEditor && (
                             <div className="mobile-toc-editor-controls-inline">
                               <button
@@ -683,6 +764,17 @@ export const MobileTOC = ({
                 {previewingAsReader ? 'Nazaj na urejevalnik' : 'Knjižni vpogled'}
               </button>
             )}
+            {onOpenLibrary && (
+              <button
+                className="mobile-toc-footer-btn"
+                onClick={() => {
+                  handleClose();
+                  onOpenLibrary();
+                }}
+              >
+                Knjižnica
+              </button>
+            )}
           </div>
               </>
             );
@@ -0,0 +1,96 @@
+import { useEffect, useMemo } from 'react';
+import { compareAnnotationPoints, findPageForAnnotation } from '../utils/annotations';
+import './AnnotationPopover.css'; // Highlight colours
+import './MyNotesPanel.css';
+
+// Book order: chapter, then the chapter's own text before its subchapters, then position in the text
+const getSectionOrder = (chapters, annotation) => {
+  const chapterIndex = chapters.findIndex((c) => c.id === annotation.chapterId);
+  const chapter = chapters[chapterIndex];
+  const subIndex = annotation.subchapterId
+    ? (chapter?.children || []).findIndex((s) => s.id === annotation.subchapterId)
+    : -1;
+  return [chapterIndex < 0 ? chapters.length : chapterIndex, subIndex];
+};
+
+const getSectionTitle = (chapters, annotation) => {
+  const chapter = chapters.find((c) => c.id === annotation.chapterId);
+  const sub = annotation.subchapterId
+    ? (chapter?.children || []).find((s) => s.id === annotation.subchapterId)
+    : null;
+  return [chapter?.title, sub?.title].filter(Boolean).join(' › ');
+};
+
+/**
+ * MyNotesPanel - the reader's highlights and notes in book order
+ * Selecting one calls onSelect(page) with the page it starts on.
+ */
+export const MyNotesPanel = ({ annotations, chapters = [], pages = [], onSelect, onRemove, onClose }) => {
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const sorted = useMemo(() => annotations
+    .map((annotation) => ({ annotation, order: getSectionOrder(chapters, annotation) }))
+    .sort((a, b) => a.order[0] - b.order[0]
+      || a.order[1] - b.order[1]
+      || compareAnnotationPoints(a.annotation.start, b.annotation.start))
+    .map(({ annotation }) => annotation), [annotations, chapters]);
+
+  return (
+    <div className="my-notes-overlay" onClick={onClose}>
+      <div
+        className="my-notes-panel"
+        role="dialog"
+        aria-label="Moji zapiski"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="my-notes-header">
+          <h2>Moji zapiski</h2>
+          <button type="button" className="my-notes-close" onClick={onClose} aria-label="Zapri">×</button>
+        </div>
+
+        {sorted.length === 0 ? (
+          <p className="my-notes-empty">Ni še označb. Izberite besedilo na strani, da ga označite.</p>
+        ) : (
+          <ul className="my-notes-list">
+            {sorted.map((annotation) => {
+              const page = findPageForAnnotation(pages, annotation);
+              const pageNumber = page ? pages.indexOf(page) + 1 : null;
+              return (
+                <li key={annotation.id} className="my-notes-item">
+                  <button
+                    type="button"
+                    className="my-notes-link"
+                    disabled={!page}
+                    onClick={() => page && onSelect(page, annotation)}
+                  >
+                    <span className="my-notes-item-title">
+                      {getSectionTitle(chapters, annotation)}
+                      {pageNumber && <span className="my-notes-item-page">{pageNumber}</span>}
+                    </span>
+                    <span className={`my-notes-quote annotation-${annotation.color}`}>{annotation.quote}</span>
+                    {annotation.note && <span className="my-notes-note">{annotation.note}</span>}
+                  </button>
+                  <button
+                    type="button"
+                    className="my-notes-remove"
+                    onClick={() => onRemove(annotation.id)}
+                    aria-label="Izbriši označbo"
+                    title="Izbriši"
+                  >
+                    ×
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
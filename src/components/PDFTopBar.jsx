@@ -12,12 +12,21 @@ export const PDFTopBar = ({
   onPageChange,
   onPreviousPage,
   onNextPage,
+  zoom = 1,
+  zoomMode,
   onZoomIn,
   onZoomOut,
+  zoomInDisabled = false,
+  zoomOutDisabled = false,
   onFitToWidth,
   onFitToPage,
   onPrint,
-  onDownload
+  onOpenTypography,
+  onOpenNotes,
+  onToggleReadAloud,
+  isReadingAloud = false,
+  onDownload,
+  downloadDisabled = false
 }) => {
   const [pageInput, setPageInput] = useState(currentPage || 1);
 
@@ -63,12 +72,13 @@ export const PDFTopBar = ({
   };
 
   return (
-    <div className="pdf-top-bar">
+    <div className="pdf-top-bar" role="region" aria-label="Reader controls">
       <div className="pdf-top-bar-left">
         {/* Zoom controls */}
         <button
           className="pdf-top-bar-btn"
           onClick={onZoomOut}
+          disabled={zoomOutDisabled}
           title="Zoom out"
           aria-label="Zoom out"
         >
@@ -81,6 +91,7 @@ export const PDFTopBar = ({
         <button
           className="pdf-top-bar-btn"
           onClick={onZoomIn}
+          disabled={zoomInDisabled}
           title="Zoom in"
           aria-label="Zoom in"
         >
@@ -89,6 +100,37 @@ export const PDFTopBar = ({
             <path d="M8 5L8 11M5 8L11 8" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round"/>
           </svg>
         </button>
+
+        <div className="pdf-top-bar-divider" />
+
+        {/* Fit modes follow the window size */}
+        <button
+          className={`pdf-top-bar-btn ${zoomMode === 'fit-width' ? 'active' : ''}`}
+          onClick={onFitToWidth}
+          title="Fit to width"
+          aria-label="Fit to width"
+          aria-pressed={zoomMode === 'fit-width'}
+        >
+          <svg width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
+            <rect x="3" y="2" width="10" height="12" rx="1" stroke="currentColor" strokeWidth="1.5"/>
+            <path d="M1 8L15 8M1 8L3 6M1 8L3 10M15 8L13 6M15 8L13 10" stroke="currentColor" strokeWidth="1.2" strokeLinecap="round" strokeLinejoin="round"/>
+          </svg>
+        </button>
+
+        <button
+          className={`pdf-top-bar-btn ${zoomMode === 'fit-page' ? 'active' : ''}`}
+          onClick={onFitToPage}
+          title="Fit to page"
+          aria-label="Fit to page"
+          aria-pressed={zoomMode === 'fit-page'}
+        >
+          <svg width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
+            <rect x="3" y="1.5" width="10" height="13" rx="1" stroke="currentColor" strokeWidth="1.5"/>
+            <path d="M6 5.5L8 4L10 5.5M6 10.5L8 12L10 10.5" stroke="currentColor" strokeWidth="1.2" strokeLinecap="round" strokeLinejoin="round"/>
+          </svg>
+        </button>
+
+        <span className="pdf-zoom-level" aria-live="polite">{Math.round(zoom * 100)}%</span>
       </div>
 
       <div className="pdf-top-bar-center">
@@ -134,10 +176,51 @@ export const PDFTopBar = ({
       </div>
 
       <div className="pdf-top-bar-right">
+        {onToggleReadAloud && (
+          <button
+            className={`pdf-top-bar-btn ${isReadingAloud ? 'active' : ''}`}
+            onClick={onToggleReadAloud}
+            title={isReadingAloud ? 'Stop reading' : 'Read aloud'}
+            aria-label={isReadingAloud ? 'Stop reading' : 'Read aloud'}
+            aria-pressed={isReadingAloud}
+          >
+            <svg width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
+              <path d="M2 6L2 10L5 10L9 13L9 3L5 6L2 6Z" stroke="currentColor" strokeWidth="1.5" strokeLinejoin="round"/>
+              <path d="M11.5 5.5C12.2 6.2 12.5 7.1 12.5 8C12.5 8.9 12.2 9.8 11.5 10.5M13.5 3.5C14.5 4.7 15 6.3 15 8C15 9.7 14.5 11.3 13.5 12.5" stroke="currentColor" strokeWidth="1.2" strokeLinecap="round"/>
+            </svg>
+          </button>
+        )}
+
+        {onOpenNotes && (
+          <button
+            className="pdf-top-bar-btn"
+            onClick={onOpenNotes}
+            title="My notes"
+            aria-label="My notes"
+          >
+            <svg width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
+              <path d="M3 2.5C3 2.22386 3.22386 2 3.5 2L12.5 2C12.7761 2 13 2.22386 13 2.5L13 14L8 11L3 14L3 2.5Z" stroke="currentColor" strokeWidth="1.5" strokeLinejoin="round"/>
+              <path d="M6 5.5L10 5.5M6 8L9 8" stroke="currentColor" strokeWidth="1.2" strokeLinecap="round"/>
+            </svg>
+          </button>
+        )}
+
+        {onOpenTypography && (
+          <button
+            className="pdf-top-bar-btn pdf-top-bar-typography"
+            onClick={onOpenTypography}
+            title="Reading settings"
+            aria-label="Reading settings"
+          >
+            Aa
+          </button>
+        )}
+
         {/* Download button - icon only */}
         <button
           className="pdf-top-bar-btn"
           onClick={onDownload}
+          disabled={downloadDisabled}
           title="Download PDF"
           aria-label="Download PDF"
         >
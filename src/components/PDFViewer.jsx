@@ -6,7 +6,7 @@ import './PDFViewer.css';
  */
 export const PDFViewer = ({ children, currentPage, totalPages, onPageChange, filename }) => {
   return (
-    <div className="pdf-viewer">
+    <div className="pdf-viewer" role="main">
       <div className="pdf-viewer-container">
         {children}
       </div>
@@ -335,6 +335,37 @@ import { ReaderTopBar } from './ReaderTopBar';
 import { DesktopPageReader } from './DesktopPageReader';
 import { MobileTOC } from './MobileTOC';
 import { usePagePagination } from '../hooks/usePagePagination';
+import { usePdfZoom } from '../hooks/usePdfZoom';
+import { useReaderTypography } from '../hooks/useReaderTypography';
+import { useReaderTheme } from '../hooks/useReaderTheme';
+import { useReaderShortcuts } from '../hooks/useReaderShortcuts';
+import { ReaderSettingsPanel } from './ReaderSettingsPanel';
+import { useReaderRoute } from '../hooks/useReaderRoute';
+import { createAnchorForPage } from '../utils/readingAnchor';
+import { getTypographyKey, getTypographyVariables } from '../utils/readerTypography';
+import { highlightSearchMatches } from '../utils/bookSearch';
+import { renderAnnotationHighlights } from '../utils/annotations';
+import { applyAuthorColorContrast } from '../utils/readerThemes';
+import {
+  KARAOKE_TOGGLE_EVENT,
+  findKaraokePageIndex,
+  findKaraokeWordAtTime,
+  highlightWordSpans,
+} from '../utils/karaokeHelpers';
+import { useAnnotations } from '../hooks/useAnnotations';
+import { useAnnotationPopover } from '../hooks/useAnnotationPopover';
+import { AnnotationPopover } from './AnnotationPopover';
+import { MyNotesPanel } from './MyNotesPanel';
+import { ShortcutHelp } from './ShortcutHelp';
+import { useScreenReaderMode } from '../hooks/useScreenReaderMode';
+import { useReducedMotion } from '../hooks/useReducedMotion';
+import { useReadAloud } from '../hooks/useReadAloud';
+import { useKaraokeAutoAdvance } from '../hooks/useKaraokeAutoAdvance';
+import { KaraokeTransportBar } from './KaraokeTransportBar';
+import { READ_ALOUD_WORD_CLASS, removeReadAloudWords } from '../utils/readAloud';
+import { decoratePageForScreenReader, getPageAnnouncement } from '../utils/readerAccessibility';
+import { ReaderAnnouncer } from './ReaderAnnouncer';
+import { ContinuousText } from './ContinuousText';
 import './PageReader.css';
 
 const PROJECT_CREDIT = 'Overstimulata Collective';
@@ -433,13 +464,17 @@ const assignLetterTimingsToChars = (text, wordTimings = []) => {
   return { letterTimings, wordCharRanges };
 };
 
+// A reader selecting text (to highlight it) is not swiping
+const hasTextSelection = () => !(window.getSelection()?.isCollapsed ?? true);
+
 /**
  * PageReader component - Kindle-like page-based reading experience for mobile
  * Splits content into pages based on actual content height and handles navigation
  */
 export const PageReader = ({ 
+  bookId,
   chapters, 
-  onPageChange, 
+  onPageChange: onPageChangeProp, 
   initialPosition,
   onEditChapter,
   onAddSubchapter,
@@ -450,18 +485,38 @@ export const PageReader = ({
   onOpenSettings,
   onAddChapter,
   onToggleEditorReader,
+  onOpenLibrary,
   onPagesReady,
 }) => {
   const [currentChapterIndex, setCurrentChapterIndex] = useState(0);
   const [currentPageIndex, setCurrentPageIndex] = useState(0);
   const [pages, setPages] = useState([]);
+  const pagesRef = useRef(pages);
+  pagesRef.current = pages;
   const [isTransitioning, setIsTransitioning] = useState(false);
   const [displayPage, setDisplayPage] = useState(null); // The page currently displayed
   const [isInitializing, setIsInitializing] = useState(true); // Track if we're still initializing
+  const [isPaginating, setIsPaginating] = useState(true); // Later chapters are still being paginated
+  const [paginationError, setPaginationError] = useState(null);
+  const pdfZoom = usePdfZoom(); // Desktop reader zoom; pages are paginated at this size
+  const { typography, updateTypography, resetTypography } = useReaderTypography();
+  const { theme, setTheme } = useReaderTheme();
+  const { screenReaderMode, setScreenReaderMode } = useScreenReaderMode();
+  const { motionSetting, setMotionSetting } = useReducedMotion();
+  const [isContinuousTextOpen, setIsContinuousTextOpen] = useState(false);
+  const [isTypographyOpen, setIsTypographyOpen] = useState(false);
+  const [searchHighlight, setSearchHighlight] = useState(null); // { query, chapterIndex, pageIndex } of an opened search result
+  const searchHighlightShownRef = useRef(false);
+  const { annotations, addAnnotation, updateAnnotation, removeAnnotation } = useAnnotations(bookId);
+  const [isNotesOpen, setIsNotesOpen] = useState(false);
+  // Zoom and typography the current pages were measured with (the settings may be ahead while re-paginating)
+  const [pagesLayout, setPagesLayout] = useState(() => ({ zoom: pdfZoom.zoom, typography }));
   const hasUserInteractedRef = useRef(false); // Track if user has swiped/interacted at least once
   const [backgroundImageReady, setBackgroundImageReady] = useState(false); // Track if current page background is loaded
   const hasShownFirstPageWithBackgroundRef = useRef(false); // Track if we've shown the first page with its background loaded
   const [isTOCOpen, setIsTOCOpen] = useState(false);
+  const [tocFocusSearch, setTocFocusSearch] = useState(false); // TOC opened with the search shortcut
+  const [isShortcutHelpOpen, setIsShortcutHelpOpen] = useState(false);
   const [tocDragProgress, setTocDragProgress] = useState(0); // 0 = fully closed, 1 = fully open
   const tocDragProgressRef = useRef(0); // Use ref to avoid re-renders during drag
   const tocDragStartYRef = useRef(null);
@@ -480,23 +535,51 @@ export const PageReader = ({
   const karaokeControllersRef = useRef(new Map()); // karaokeId -> controller
   const audioUnlockedRef = useRef(false);
   const currentKaraokeSliceRef = useRef(null); // { karaokeId, sliceElement, startChar, endChar }
+  const isReadingAloudRef = useRef(false); // Karaoke doesn't start by itself while the page is read aloud
+  const [activeKaraokeId, setActiveKaraokeId] = useState(null); // Block the transport bar controls
+  const { autoAdvance: karaokeAutoAdvance, setAutoAdvance: setKaraokeAutoAdvance } = useKaraokeAutoAdvance();
+  const karaokeAutoAdvanceRef = useRef(karaokeAutoAdvance);
+  karaokeAutoAdvanceRef.current = karaokeAutoAdvance;
+  const karaokePageTurnRef = useRef(null); // goToNextPage, for auto-advance inside the karaoke controllers
   const backgroundVideoRef = useRef(null);
   const blankPageVideoRef = useRef(null);
   const [videoUnmuted, setVideoUnmuted] = useState(false);
 
+  // Report position changes with a content anchor so the saved position survives re-pagination
+  const onPageChange = useCallback((position) => {
+    if (!onPageChangeProp) return;
+    const page = pagesRef.current.find(
+      (p) => p.chapterId === position.chapterId && p.pageIndex === position.pageIndex
+    );
+    onPageChangeProp({
+      ...position,
+      anchor: createAnchorForPage(pagesRef.current, page),
+    });
+  }, [onPageChangeProp]);
+
   // Calculate pages for all chapters based on actual content height
   // Includes subchapters in the flow
   // Now works on both mobile and desktop
   const calculatePages = usePagePagination({
     chapters,
     initialPosition,
+    zoom: pdfZoom.zoom,
+    typography,
     setPages,
+    setPagesLayout,
     setKaraokeSources,
     setCurrentChapterIndex,
     setCurrentPageIndex,
-    setIsInitializing
+    setIsInitializing,
+    setIsPaginating
   });
 
+  // A failed pagination is reported (see paginationNotice) until a new run starts
+  const runPagination = useCallback((position) => {
+    setPaginationError(null);
+    return calculatePages(position).catch((error) => setPaginationError(error));
+  }, [calculatePages]);
+
   useEffect(() => {
     if (typeof window === 'undefined') return;
     if (!chapters || chapters.length === 0) {
@@ -513,8 +596,7 @@ export const PageReader = ({
     const rafId1 = requestAnimationFrame(() => {
       const rafId2 = requestAnimationFrame(() => {
         // Start calculation - loading state should already be visible
-        calculatePages().catch((error) => {
-        });
+        runPagination();
       });
       return () => cancelAnimationFrame(rafId2);
     });
@@ -522,7 +604,28 @@ export const PageReader = ({
     return () => {
       cancelAnimationFrame(rafId1);
     };
-  }, [chapters, initialPosition, pages.length, calculatePages]);
+  }, [chapters, initialPosition, pages.length, runPagination]);
+
+  // Zoom and typography change text metrics, so re-paginate and stay on the same passage.
+  // The old pages stay up (with their own zoom and typography) until the current chapter is laid out again.
+  // Zoom only applies to the desktop reader.
+  const isDesktopLayout = typeof window !== 'undefined' && window.innerWidth > 768;
+  const paginationSettingsKey = `${isDesktopLayout ? pdfZoom.zoom : 1}|${getTypographyKey(typography)}`;
+  const paginatedSettingsKeyRef = useRef(paginationSettingsKey);
+  useEffect(() => {
+    // Page turns run this too; only new settings re-paginate
+    if (paginatedSettingsKeyRef.current === paginationSettingsKey) return;
+    paginatedSettingsKeyRef.current = paginationSettingsKey;
+    // Before the first pages exist the initial pagination simply restarts with the new settings
+    if (pagesRef.current.length === 0) return;
+    const page = pagesRef.current.find(
+      (p) => p.chapterIndex === currentChapterIndex && p.pageIndex === currentPageIndex
+    );
+    const position = page && !page.isFirstPage
+      ? { chapterId: page.chapterId, pageIndex: page.pageIndex, anchor: createAnchorForPage(pagesRef.current, page) }
+      : null;
+    runPagination(position);
+  }, [paginationSettingsKey, currentChapterIndex, currentPageIndex, runPagination]);
 
   // Notify parent when pages are ready
   useEffect(() => {
@@ -828,6 +931,15 @@ export const PageReader = ({
               : lastWord.end + 0.01;
             controller.waitingForNextPage = true;
 
+            // Auto-advance: the audio plays on while the reader turns to the page
+            // with the next words, where startVisibleKaraoke picks the highlighting up
+            if (nextWord && karaokeAutoAdvanceRef.current && !isTransitioningRef.current && karaokePageTurnRef.current) {
+              controller.advancing = true;
+              cancelAnimation();
+              karaokePageTurnRef.current();
+              return;
+            }
+
 //              karaokeId,
 //              sliceStartChar: startChar,
 //              sliceEndChar: endChar,
@@ -870,6 +982,11 @@ export const PageReader = ({
       });
     };
 
+    // The transport bar follows whichever block played last
+    audio.addEventListener('play', () => {
+      setActiveKaraokeId(karaokeId);
+    });
+
     // Handle audio ended event - reset highlighting and clear resume state
     audio.addEventListener('ended', () => {
 
@@ -879,6 +996,7 @@ export const PageReader = ({
       controller.resumeWordIndex = null;
       controller.resumeTime = null;
       controller.waitingForNextPage = false;
+      controller.advancing = false;
       // Remove playing attribute from all slices of this karaoke
       const allSlices = document.querySelectorAll(`[data-karaoke-id="${karaokeId}"].karaoke-slice`);
       allSlices.forEach((slice) => {
@@ -893,6 +1011,7 @@ export const PageReader = ({
       resumeTime: null,
       waitingForNextPage: false,
       manuallyPaused: false, // Track if paused due to manual navigation
+      advancing: false, // Audio still playing while auto-advance turns the page
 
       playSlice: async (sliceElement, startChar, endChar, options = {}) => {
 
@@ -1064,8 +1183,55 @@ export const PageReader = ({
       pause: () => {
         audio.pause();
         cancelAnimation();
+        controller.advancing = false;
+      },
+      // Auto-advance: carry the audio that kept playing on to a slice of the page now shown
+      continueOnSlice: (sliceElement, startChar, endChar) => {
+        controller.advancing = false;
+        if (audio.paused) return false;
+
+        sliceElement.setAttribute('data-playing', 'true');
+        controller.waitingForNextPage = false;
+        controller.resumeWordIndex = null;
+        controller.resumeTime = null;
+        currentSlice = {
+          sliceElement,
+          startChar,
+          endChar,
+          letterTimings: source.letterTimings || [],
+          highlightStartTime: audio.currentTime,
+          _stepCount: 0,
+        };
+        cancelAnimation();
+        rafId = requestAnimationFrame(step);
+        return true;
+      },
+      // Move to a time (transport bar); playback carries on from there when the
+      // page with that word is shown. Returns the word at that time.
+      seek: (time) => {
+        audio.pause();
+        cancelAnimation();
+        const word = findKaraokeWordAtTime(source?.wordCharRanges, time);
+        controller.advancing = false;
+        controller.waitingForNextPage = false;
+        controller.manuallyPaused = true;
+        controller.resumeWordIndex = word ? word.wordIndex : null;
+        controller.resumeTime = word ? time : null;
+        try {
+          audio.currentTime = time;
+        } catch {
+          // Not loaded yet: playSlice starts from resumeTime
+        }
+
+        const allSlices = document.querySelectorAll(`[data-karaoke-id="${karaokeId}"].karaoke-slice`);
+        allSlices.forEach((slice) => {
+          slice.removeAttribute('data-playing');
+          highlightWordSpans(slice.querySelectorAll('.karaoke-word'), time);
+        });
+        return word;
       },
       pauseWithResume: () => {
+        controller.advancing = false;
         // Pause and save resume state for manual navigation
         if (!currentSlice || !audio) {
           audio?.pause();
@@ -1211,6 +1377,7 @@ export const PageReader = ({
         controller.resumeWordIndex = null;
         controller.resumeTime = null;
         controller.waitingForNextPage = false;
+        controller.advancing = false;
       },
       cleanup: () => {
         audio.pause();
@@ -1220,6 +1387,7 @@ export const PageReader = ({
         controller.resumeWordIndex = null;
         controller.resumeTime = null;
         controller.waitingForNextPage = false;
+        controller.advancing = false;
       },
     };
 
@@ -1589,6 +1757,8 @@ export const PageReader = ({
         } else {
         slice.addEventListener('click', handleInteraction);
         }
+        // Space bar (keyboard shortcut) plays or pauses like a tap
+        slice.addEventListener(KARAOKE_TOGGLE_EVENT, handleInteraction);
       }
     }
   }, [getKaraokeController]);
@@ -1626,6 +1796,7 @@ export const PageReader = ({
 
       return; // Don't try if audio isn't unlocked yet
     }
+    if (isReadingAloudRef.current) return;
     
     const node = pageContentRef.current;
     if (!node || !node.isConnected) {
@@ -1755,6 +1926,8 @@ export const PageReader = ({
 
         }
 
+        // Auto-advance landed on a page without the next words (the reader went elsewhere)
+        if (controller.advancing) controller.pauseWithResume();
         return; // Don't start karaoke on this page
       } else {
         // We found the right slice - clear waiting flag after we start playback
@@ -1853,6 +2026,17 @@ export const PageReader = ({
 //      fromController: typeof controller.resumeWordIndex === 'number',
 //      localResumeWordIndex: resumeWordIndex,
 //    });
+    // Auto-advance: the audio played on through the page turn, only the highlighting moves here
+    if (controller.advancing && controller.continueOnSlice(targetSlice, targetStartChar, targetEndChar)) {
+      currentKaraokeSliceRef.current = {
+        karaokeId,
+        sliceElement: targetSlice,
+        startChar: targetStartChar,
+        endChar: targetEndChar,
+      };
+      return;
+    }
+
     const playOptions =
       typeof finalResumeWordIndex === 'number' && finalResumeTime !== null
         ? { resumeWordIndex: finalResumeWordIndex, resumeTime: finalResumeTime }
@@ -2094,6 +2278,7 @@ export const PageReader = ({
     isTransitioning,
     onPageChange,
   ]);
+  karaokePageTurnRef.current = goToNextPage;
 
   // Check if touch target is interactive (karaoke, button, etc.)
   const isInteractiveTarget = useCallback((target) => {
@@ -2127,7 +2312,7 @@ export const PageReader = ({
 
   // Handle touch move
   const handleTouchMove = useCallback((e) => {
-    if (!touchStartRef.current) return;
+    if (!touchStartRef.current || hasTextSelection()) return;
     
     const deltaX = e.touches[0].clientX - touchStartRef.current.x;
     const deltaY = e.touches[0].clientY - touchStartRef.current.y;
@@ -2358,7 +2543,7 @@ export const PageReader = ({
   // Handle touch end - determine swipe direction
   const handleTouchEnd = useCallback(
     (e) => {
-      if (!touchStartRef.current || !touchCurrentRef.current) return;
+      if (!touchStartRef.current || !touchCurrentRef.current || hasTextSelection()) return;
 
       // Skip swipe processing if touch target is a karaoke slice (let karaoke handler process the tap)
       const touchTarget = e.target;
@@ -2590,6 +2775,34 @@ export const PageReader = ({
     }
   }, [isTransitioning, pages, onPageChange]);
 
+  // Desktop scrolls through all pages, so positions change without the mobile page transition
+  const showPageImmediately = useCallback((targetChapterIndex, targetPageIndex) => {
+    const targetPage = pages.find(
+      (p) => p.chapterIndex === targetChapterIndex && p.pageIndex === targetPageIndex
+    );
+    if (!targetPage) return;
+    setCurrentChapterIndex(targetChapterIndex);
+    setCurrentPageIndex(targetPageIndex);
+    if (onPageChange) {
+      onPageChange({
+        chapterId: targetPage.chapterId,
+        pageIndex: targetPageIndex,
+        subchapterId: targetPage.subchapterId,
+      });
+    }
+  }, [pages, onPageChange]);
+
+  // Keep the URL in sync with the reading position (deep links, back/forward)
+  const { replaceNextHistoryEntry } = useReaderRoute({
+    bookId,
+    chapters,
+    pages,
+    currentChapterIndex,
+    currentPageIndex,
+    isInitializing,
+    onNavigate: typeof window !== 'undefined' && window.innerWidth > 768 ? showPageImmediately : jumpToPage,
+  });
+
   // Initialize displayPage only on first load - never update it during normal operation
   // This prevents interference with transitions
   useEffect(() => {
@@ -2627,12 +2840,152 @@ export const PageReader = ({
     // no-op for now
   }, [pageToDisplay?.chapterIndex, pageToDisplay?.pageIndex, isTransitioning]);
 
+  // Highlight the search match once its page is displayed (mobile; DesktopPageReader highlights its own pages)
+  // and forget it when the reader moves on
+  useEffect(() => {
+    if (!searchHighlight) return;
+    const isTargetPage = pageToDisplay?.chapterIndex === searchHighlight.chapterIndex
+      && pageToDisplay?.pageIndex === searchHighlight.pageIndex;
+    if (!isTargetPage) {
+      if (searchHighlightShownRef.current) setSearchHighlight(null);
+      return;
+    }
+    searchHighlightShownRef.current = true;
+    // Wait for the page content to be set (transitions, karaoke) before wrapping matches
+    const timeoutId = setTimeout(() => {
+      highlightSearchMatches(pageContainerRef.current, searchHighlight.query);
+    }, 150);
+    return () => clearTimeout(timeoutId);
+  }, [searchHighlight, pageToDisplay?.chapterIndex, pageToDisplay?.pageIndex]);
+
   // Callback ref to apply ink effect directly when content node is set
   // Must be defined before any conditional returns (Rules of Hooks)
   const pageContentRef = useRef(null);
   const isTransitioningRef = useRef(false);
   // Store HTML with ink effect for each page (keyed by pageKey)
   const preservedHTMLMapRef = useRef(new Map()); // Map<pageKey, htmlString>
+
+  // Highlights and notes on the displayed page (mobile; DesktopPageReader handles its own pages)
+  const {
+    popover: annotationPopover,
+    openAnnotation,
+    closePopover: closeAnnotationPopover,
+    handleHighlightClick,
+  } = useAnnotationPopover({
+    containerRef: pageContainerRef,
+    resolvePage: (node) => (pageToDisplay && pageContentRef.current?.contains(node)
+      ? { root: pageContentRef.current, page: pageToDisplay }
+      : null),
+  });
+
+  useEffect(() => {
+    if (isDesktopLayout || isTransitioning || isTOCOpen || !pageToDisplay) return;
+    // Like the search highlight, wait for the page content to be set (transitions, karaoke, TOC restore)
+    const timeoutId = setTimeout(() => {
+      renderAnnotationHighlights(pageContentRef.current, pageToDisplay, annotations);
+    }, 150);
+    return () => clearTimeout(timeoutId);
+  }, [annotations, pageToDisplay, isTransitioning, isTOCOpen, isDesktopLayout]);
+
+  useEffect(() => {
+    if (isDesktopLayout || isTransitioning || isTOCOpen || !pageToDisplay) return;
+    const timeoutId = setTimeout(() => {
+      // Pages over a background image keep the colours chosen for it
+      applyAuthorColorContrast(pageContentRef.current, pageToDisplay.backgroundImageUrl ? null : theme);
+    }, 150);
+    return () => clearTimeout(timeoutId);
+  }, [theme, pageToDisplay, isTransitioning, isTOCOpen, isDesktopLayout]);
+
+  // Screen-reader mode: karaoke play controls and footnote links on the displayed page
+  useEffect(() => {
+    if (!screenReaderMode || isDesktopLayout || isTransitioning || isTOCOpen || !pageToDisplay) return;
+    let cleanup = null;
+    const timeoutId = setTimeout(() => {
+      cleanup = decoratePageForScreenReader(pageContentRef.current);
+    }, 150);
+    return () => {
+      clearTimeout(timeoutId);
+      cleanup?.();
+    };
+  }, [screenReaderMode, pageToDisplay, isTransitioning, isTOCOpen, isDesktopLayout]);
+
+  // Read aloud (mobile layout; DesktopPageReader reads its own pages)
+  const displayedPageIndex = pageToDisplay
+    ? pages.findIndex((p) => p.chapterIndex === pageToDisplay.chapterIndex && p.pageIndex === pageToDisplay.pageIndex)
+    : -1;
+  const readAloud = useReadAloud({
+    pages,
+    currentPage: displayedPageIndex,
+    getPageElement: (index) => (
+      !isDesktopLayout && !isTransitioning && !isTOCOpen && index === displayedPageIndex ? pageContentRef.current : null
+    ),
+    onTurnPage: (index) => jumpToPage(pages[index].chapterIndex, pages[index].pageIndex),
+    onStart: stopAllKaraoke,
+  });
+  isReadingAloudRef.current = readAloud.isReading;
+
+  // Karaoke transport bar (mobile layout): seeking turns to the page with the word at that time
+  const activeKaraokeController = activeKaraokeId ? karaokeControllersRef.current.get(activeKaraokeId) : null;
+  const moveKaraoke = (time, play) => {
+    const controller = activeKaraokeController;
+    if (!controller) return;
+    audioUnlockedRef.current = true;
+    const word = controller.seek(time);
+    const pageIndex = word ? findKaraokePageIndex(pages, activeKaraokeId, word.charStart) : -1;
+    if (pageIndex >= 0 && pageIndex !== displayedPageIndex) {
+      // Playback resumes once that page is shown
+      jumpToPage(pages[pageIndex].chapterIndex, pages[pageIndex].pageIndex);
+      return;
+    }
+    if (play) startVisibleKaraoke();
+  };
+  const toggleActiveKaraoke = () => {
+    const controller = activeKaraokeController;
+    if (!controller) return;
+    if (!controller.audio.paused) {
+      controller.pauseWithResume();
+      return;
+    }
+    readAloud.stop();
+    moveKaraoke(controller.audio.ended ? 0 : controller.audio.currentTime, true);
+  };
+
+  // Keyboard shortcuts (mobile layout; see utils/readerShortcuts.js)
+  // While the TOC is open it handles the keys itself
+  const openTOCFromKeyboard = (focusSearch) => {
+    if (isTOCOpen) return false;
+    stopAllKaraoke();
+    setTocFocusSearch(focusSearch);
+    setIsTOCOpen(true);
+    setTocDragProgress(1);
+    tocDragProgressRef.current = 1;
+  };
+  useReaderShortcuts({
+    enabled: !isDesktopLayout,
+    handlers: {
+      next: () => !isTOCOpen && goToNextPage(),
+      previous: () => !isTOCOpen && goToPreviousPage(),
+      first: () => !isTOCOpen && pages.length > 0 && jumpToPage(pages[0].chapterIndex, pages[0].pageIndex),
+      last: () => !isTOCOpen && pages.length > 0 && jumpToPage(pages[pages.length - 1].chapterIndex, pages[pages.length - 1].pageIndex),
+      karaoke: () => {
+        const pageContent = pageContentRef.current;
+        const slice = !isTOCOpen && pageContent
+          && (pageContent.querySelector('.karaoke-slice[data-playing="true"]') || pageContent.querySelector('.karaoke-slice'));
+        if (!slice) return false;
+        hasUserInteractedRef.current = true;
+        readAloud.stop();
+        slice.dispatchEvent(new Event(KARAOKE_TOGGLE_EVENT));
+      },
+      readAloud: () => {
+        if (isTOCOpen || !readAloud.supported) return false;
+        hasUserInteractedRef.current = true;
+        readAloud.toggle();
+      },
+      toc: () => openTOCFromKeyboard(false),
+      search: () => openTOCFromKeyboard(true),
+      help: () => setIsShortcutHelpOpen(true),
+    },
+  });
   
   // Calculate chapter progress for progress bar (must be at top level for Rules of Hooks)
   const chapterProgress = useMemo(() => {
@@ -2658,7 +3011,8 @@ export const PageReader = ({
   useEffect(() => {
     if (isTransitioning) {
       karaokeControllersRef.current.forEach((controller) => {
-        controller.pause();
+        // Auto-advance turns the page mid-song; that audio plays on
+        if (!controller.advancing) controller.pause();
       });
       currentKaraokeSliceRef.current = null;
     }
@@ -2708,7 +3062,8 @@ export const PageReader = ({
       if (!link) return;
 
       const href = link.getAttribute('href');
-      if (!href) return;
+      // Links within the page (screen-reader footnote links) handle themselves
+      if (!href || href.startsWith('#')) return;
 
       // Prevent default navigation
       e.preventDefault();
@@ -2905,6 +3260,13 @@ export const PageReader = ({
    */
   const preservePageContent = useCallback((node, pageKey) => {
     if (!node || !node.isConnected || !pageKey) return;
+    // Words wrapped for read-aloud belong to this reading only
+    if (node.querySelector(`.${READ_ALOUD_WORD_CLASS}`)) {
+      const copy = node.cloneNode(true);
+      removeReadAloudWords(copy);
+      preservedHTMLMapRef.current.set(pageKey, copy.innerHTML);
+      return;
+    }
     preservedHTMLMapRef.current.set(pageKey, node.innerHTML);
   }, []);
   
@@ -3256,12 +3618,90 @@ export const PageReader = ({
     }
   }, [displayPage?.backgroundImageUrl, displayPage?.chapterIndex, displayPage?.pageIndex]);
 
+  const typographyPanel = isTypographyOpen && (
+    <ReaderSettingsPanel
+      theme={theme}
+      onThemeChange={setTheme}
+      typography={typography}
+      onChange={updateTypography}
+      onReset={resetTypography}
+      screenReaderMode={screenReaderMode}
+      onScreenReaderModeChange={setScreenReaderMode}
+      motionSetting={motionSetting}
+      onMotionSettingChange={setMotionSetting}
+      isReadingAloud={readAloud.isReading}
+      onToggleReadAloud={!isDesktop && readAloud.supported ? readAloud.toggle : undefined}
+      karaokeAutoAdvance={karaokeAutoAdvance}
+      onKaraokeAutoAdvanceChange={!isDesktop ? setKaraokeAutoAdvance : undefined}
+      onOpenContinuousText={() => {
+        setIsTypographyOpen(false);
+        setIsContinuousTextOpen(true);
+      }}
+      onClose={() => setIsTypographyOpen(false)}
+    />
+  );
+
+  // Screen-reader mode: page announcements, and a skip link to the continuous text
+  let pageAnnouncement = '';
+  if (screenReaderMode && pageToDisplay) {
+    const numberedPages = pages.filter((p) => !p.isFirstPage && !p.isCover);
+    const pageNumber = numberedPages.findIndex(
+      (p) => p.chapterIndex === pageToDisplay.chapterIndex && p.pageIndex === pageToDisplay.pageIndex
+    ) + 1;
+    pageAnnouncement = getPageAnnouncement(pageToDisplay, pageNumber, numberedPages.length);
+  }
+  const skipLink = screenReaderMode && (
+    <button type="button" className="reader-skip-link" onClick={() => setIsContinuousTextOpen(true)}>
+      Preskoči na neprekinjeno besedilo
+    </button>
+  );
+  const screenReaderTools = (
+    <>
+      {screenReaderMode && <ReaderAnnouncer message={pageAnnouncement} />}
+      {isContinuousTextOpen && (
+        <ContinuousText
+          chapters={chapters}
+          currentChapterId={pageToDisplay?.chapterId}
+          currentSubchapterId={pageToDisplay?.subchapterId}
+          onClose={() => setIsContinuousTextOpen(false)}
+        />
+      )}
+    </>
+  );
+
+  const paginationNotice = paginationError && (
+    <div className="page-reader-error" role="alert">
+      <p>Strani ni bilo mogoče pripraviti.</p>
+      <button type="button" onClick={() => runPagination()}>Poskusi znova</button>
+    </div>
+  );
+
+  const notesPanel = isNotesOpen && (
+    <MyNotesPanel
+      annotations={annotations}
+      chapters={chapters}
+      pages={pages}
+      onSelect={(page) => {
+        setIsNotesOpen(false);
+        if (isDesktop) {
+          showPageImmediately(page.chapterIndex, page.pageIndex);
+        } else {
+          jumpToPage(page.chapterIndex, page.pageIndex);
+        }
+      }}
+      onRemove={removeAnnotation}
+      onClose={() => setIsNotesOpen(false)}
+    />
+  );
+
   // On desktop, render all pages in a PDF reader style (early return)
   if (isDesktop) {
     const currentPage = pages.find(
       (p) => p.chapterIndex === currentChapterIndex && p.pageIndex === currentPageIndex
     );
     return (
+      <>
+      {skipLink}
       <DesktopPageReader 
         pages={pages} 
         karaokeSources={karaokeSources}
@@ -3269,7 +3709,22 @@ export const PageReader = ({
         currentChapterIndex={currentChapterIndex}
         currentPageIndex={currentPageIndex}
         currentSubchapterId={currentPage?.subchapterId || null}
-        onJumpToPage={jumpToPage}
+        isPaginating={isPaginating}
+        pdfZoom={pdfZoom}
+        pagesZoom={pagesLayout.zoom}
+        pagesTypography={pagesLayout.typography}
+        onOpenTypography={() => setIsTypographyOpen(true)}
+        onOpenNotes={() => setIsNotesOpen(true)}
+        annotations={annotations}
+        onAddAnnotation={addAnnotation}
+        onUpdateAnnotation={updateAnnotation}
+        onRemoveAnnotation={removeAnnotation}
+        onJumpToPage={showPageImmediately}
+        onVisiblePageChange={(page) => {
+          // Continuous scrolling replaces the history entry instead of adding one per page
+          replaceNextHistoryEntry();
+          showPageImmediately(page.chapterIndex, page.pageIndex);
+        }}
         onEditChapter={onEditChapter}
         onAddSubchapter={onAddSubchapter}
         onDeleteChapter={onDeleteChapter}
@@ -3277,6 +3732,11 @@ export const PageReader = ({
         onDeleteSubchapter={onDeleteSubchapter}
         onReorderChapters={onReorderChapters}
       />
+      {typographyPanel}
+      {notesPanel}
+      {screenReaderTools}
+      {paginationNotice}
+      </>
     );
   }
 
@@ -3381,6 +3841,7 @@ export const PageReader = ({
       <>
         {backgroundImage}
         <div className="page-reader-loading" />
+        {paginationNotice}
       </>
     );
   }
@@ -3406,6 +3867,7 @@ export const PageReader = ({
 
   const pageContent = (
     <>
+      {skipLink}
       {backgroundImage}
       {pageToDisplay.backgroundVideo && (
                 <video
@@ -3435,6 +3897,8 @@ export const PageReader = ({
     <div
       ref={containerRef}
       className="page-reader"
+      role="main"
+      style={getTypographyVariables(pagesLayout.typography)}
       onTouchStart={handleTouchStart}
       onTouchMove={handleTouchMove}
       onTouchEnd={handleTouchEnd}
@@ -3442,6 +3906,7 @@ export const PageReader = ({
       <div
         ref={pageContainerRef}
         className={`page-container ${isTransitioning ? 'transitioning' : ''}`}
+        onClick={handleHighlightClick}
       >
         <article className={`page-sheet content-page ${pageToDisplay?.isEpigraph ? 'epigraph-page' : ''} ${pageToDisplay?.isVideo ? 'video-page' : ''} ${pageToDisplay?.backgroundVideo ? 'background-video-page' : ''} ${pageToDisplay?.isCover ? 'cover-page' : ''} ${pageToDisplay?.isFirstPage ? 'first-page' : ''} ${pageToDisplay?.hasFieldNotes ? 'field-notes-page' : ''}`}>
           <section className="page-body content-body">
@@ -3551,6 +4016,7 @@ export const PageReader = ({
         currentSubchapterId={currentPage?.subchapterId || null}
         isOpen={isTOCOpen}
         dragProgress={tocDragProgress}
+        focusSearch={tocFocusSearch}
         onClose={() => {
           // Preserve current HTML with ink effects BEFORE closing
           const pageContent = pageContentRef.current;
@@ -3566,6 +4032,7 @@ export const PageReader = ({
           }
           
           setIsTOCOpen(false);
+          setTocFocusSearch(false);
           setTocDragProgress(0);
           tocDragProgressRef.current = 0;
           
@@ -3600,8 +4067,45 @@ export const PageReader = ({
         onOpenSettings={onOpenSettings}
         onAddChapter={onAddChapter}
         onToggleEditorReader={onToggleEditorReader}
+        onOpenLibrary={onOpenLibrary}
+        onOpenTypography={() => setIsTypographyOpen(true)}
+        onOpenNotes={() => setIsNotesOpen(true)}
+        onSearchSelect={(page, query) => {
+          searchHighlightShownRef.current = false;
+          setSearchHighlight({ query, chapterIndex: page.chapterIndex, pageIndex: page.pageIndex });
+        }}
       />
     </div>
+    {typographyPanel}
+    {notesPanel}
+    {screenReaderTools}
+    {paginationNotice}
+    {readAloud.isReading && (
+      <button type="button" className="read-aloud-stop" onClick={readAloud.stop}>
+        Ustavi branje
+      </button>
+    )}
+    {activeKaraokeController && !isDesktop && !readAloud.isReading && !isTOCOpen && (
+      <KaraokeTransportBar
+        audio={activeKaraokeController.audio}
+        showWhenPaused={!!pageToDisplay?.content?.includes(`data-karaoke-id="${activeKaraokeId}"`)}
+        onTogglePlay={toggleActiveKaraoke}
+        onSeek={(time) => moveKaraoke(time, !activeKaraokeController.audio.paused)}
+      />
+    )}
+    {isShortcutHelpOpen && <ShortcutHelp onClose={() => setIsShortcutHelpOpen(false)} />}
+    {annotationPopover && (
+      <AnnotationPopover
+        key={annotationPopover.annotationId || 'selection'}
+        popover={annotationPopover}
+        annotations={annotations}
+        onAdd={addAnnotation}
+        onUpdate={updateAnnotation}
+        onRemove={removeAnnotation}
+        onOpenAnnotation={openAnnotation}
+        onClose={closeAnnotationPopover}
+      />
+    )}
     </>
   );
 
@@ -0,0 +1,17 @@
+import { getPublishState, formatPublishTime } from '../utils/publishing';
+import './PublishStateBadge.css';
+
+// Marks chapters readers don't see yet; editors get them in the table of contents too
+export const PublishStateBadge = ({ entity }) => {
+  const state = getPublishState(entity);
+  if (state === 'published') return null;
+  return state === 'scheduled' ? (
+    <span className="publish-state-badge publish-state-scheduled" title={`Objava: ${formatPublishTime(entity.publishAt)}`}>
+      načrtovano
+    </span>
+  ) : (
+    <span className="publish-state-badge publish-state-draft" title="Bralci tega še ne vidijo">
+      osnutek
+    </span>
+  );
+};
@@ -0,0 +1,23 @@
+import { useEffect, useState } from 'react';
+import './ReaderAccessibility.css';
+
+const SETTLE_DELAY = 400; // Scrolling through pages announces only where the reader stops
+
+/**
+ * ReaderAnnouncer - polite live region for the screen-reader mode
+ * Reads out the message (e.g. the page shown) once it stops changing.
+ */
+export const ReaderAnnouncer = ({ message }) => {
+  const [announced, setAnnounced] = useState('');
+
+  useEffect(() => {
+    const timeoutId = setTimeout(() => setAnnounced(message || ''), SETTLE_DELAY);
+    return () => clearTimeout(timeoutId);
+  }, [message]);
+
+  return (
+    <div className="reader-sr-only" role="status" aria-live="polite" aria-atomic="true">
+      {announced}
+    </div>
+  );
+};
@@ -0,0 +1,203 @@
+import { useEffect } from 'react';
+import { FONT_FAMILIES, FONT_SCALES, LINE_SPACINGS, MARGINS } from '../utils/readerTypography';
+import { READER_THEMES } from '../utils/readerThemes';
+import { MOTION_SETTINGS } from '../utils/motionPreference';
+import './ReaderSettingsPanel.css';
+
+// Row of mutually exclusive options
+const OptionGroup = ({ label, options, value, onSelect }) => (
+  <div className="reader-settings-row">
+    <span className="reader-settings-label">{label}</span>
+    <div className="reader-settings-options" role="group" aria-label={label}>
+      {options.map((option) => (
+        <button
+          key={String(option.value)}
+          type="button"
+          className={`reader-settings-option ${option.value === value ? 'active' : ''}`}
+          aria-pressed={option.value === value}
+          style={option.style}
+          onClick={() => onSelect(option.value)}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  </div>
+);
+
+const toOptions = (map) => Object.entries(map).map(([value, { label }]) => ({ value, label }));
+
+/**
+ * ReaderSettingsPanel - colour theme, typography and accessibility settings for the reader
+ * Typography changes re-paginate the book; the reader stays on the same passage.
+ * The theme only restyles the pages; the motion setting applies to the whole app.
+ * The read-aloud and karaoke page-turn rows are shown when their handlers are given.
+ */
+export const ReaderSettingsPanel = ({
+  theme,
+  onThemeChange,
+  typography,
+  onChange,
+  onReset,
+  screenReaderMode,
+  onScreenReaderModeChange,
+  motionSetting,
+  onMotionSettingChange,
+  isReadingAloud,
+  onToggleReadAloud,
+  karaokeAutoAdvance,
+  onKaraokeAutoAdvanceChange,
+  onOpenContinuousText,
+  onClose,
+}) => {
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const scaleIndex = FONT_SCALES.indexOf(typography.fontScale);
+
+  return (
+    <div className="reader-settings-overlay" onClick={onClose}>
+      <div
+        className="reader-settings-panel"
+        role="dialog"
+        aria-label="Nastavitve branja"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="reader-settings-header">
+          <h2>Nastavitve branja</h2>
+          <button type="button" className="reader-settings-close" onClick={onClose} aria-label="Zapri">×</button>
+        </div>
+
+        <OptionGroup
+          label="Tema"
+          options={toOptions(READER_THEMES)}
+          value={theme}
+          onSelect={onThemeChange}
+        />
+
+        <div className="reader-settings-row">
+          <span className="reader-settings-label">Velikost pisave</span>
+          <div className="reader-settings-options">
+            <button
+              type="button"
+              className="reader-settings-option"
+              disabled={scaleIndex <= 0}
+              onClick={() => onChange({ fontScale: FONT_SCALES[scaleIndex - 1] })}
+              aria-label="Manjša pisava"
+            >
+              A−
+            </button>
+            <span className="reader-settings-value">{Math.round(typography.fontScale * 100)}%</span>
+            <button
+              type="button"
+              className="reader-settings-option"
+              disabled={scaleIndex >= FONT_SCALES.length - 1}
+              onClick={() => onChange({ fontScale: FONT_SCALES[scaleIndex + 1] })}
+              aria-label="Večja pisava"
+            >
+              A+
+            </button>
+          </div>
+        </div>
+
+        <OptionGroup
+          label="Pisava"
+          options={Object.entries(FONT_FAMILIES).map(([value, { label, stack }]) => ({
+            value,
+            label,
+            style: { fontFamily: stack },
+          }))}
+          value={typography.fontFamily}
+          onSelect={(fontFamily) => onChange({ fontFamily })}
+        />
+
+        <OptionGroup
+          label="Razmik med vrsticami"
+          options={toOptions(LINE_SPACINGS)}
+          value={typography.lineSpacing}
+          onSelect={(lineSpacing) => onChange({ lineSpacing })}
+        />
+
+        <OptionGroup
+          label="Robovi"
+          options={toOptions(MARGINS)}
+          value={typography.margins}
+          onSelect={(margins) => onChange({ margins })}
+        />
+
+        <OptionGroup
+          label="Poravnava"
+          options={[
+            { value: true, label: 'Obojestranska' },
+            { value: false, label: 'Levo' },
+          ]}
+          value={typography.justify}
+          onSelect={(justify) => onChange({ justify })}
+        />
+
+        <button type="button" className="reader-settings-reset" onClick={onReset}>
+          Ponastavi
+        </button>
+
+        <OptionGroup
+          label="Gibanje"
+          options={toOptions(MOTION_SETTINGS)}
+          value={motionSetting}
+          onSelect={onMotionSettingChange}
+        />
+
+        <OptionGroup
+          label="Bralnik zaslona"
+          options={[
+            { value: true, label: 'Vklopljen' },
+            { value: false, label: 'Izklopljen' },
+          ]}
+          value={screenReaderMode}
+          onSelect={onScreenReaderModeChange}
+        />
+
+        {onToggleReadAloud && (
+          <div className="reader-settings-row">
+            <span className="reader-settings-label">Branje na glas</span>
+            <div className="reader-settings-options">
+              <button
+                type="button"
+                className={`reader-settings-option ${isReadingAloud ? 'active' : ''}`}
+                aria-pressed={!!isReadingAloud}
+                onClick={onToggleReadAloud}
+              >
+                {isReadingAloud ? 'Ustavi branje' : 'Preberi na glas'}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {onKaraokeAutoAdvanceChange && (
+          <OptionGroup
+            label="Karaoke čez strani"
+            options={[
+              { value: true, label: 'Obrni stran' },
+              { value: false, label: 'Počakaj' },
+            ]}
+            value={karaokeAutoAdvance}
+            onSelect={onKaraokeAutoAdvanceChange}
+          />
+        )}
+
+        <div className="reader-settings-row">
+          <span className="reader-settings-label">Branje brez strani</span>
+          <div className="reader-settings-options">
+            <button type="button" className="reader-settings-option" onClick={onOpenContinuousText}>
+              Neprekinjeno besedilo
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,16 @@
+import './RevisionDiff.css';
+
+/**
+ * DiffParagraph - one paragraph from diffContent (utils/revisionDiff.js),
+ * added words marked with <ins> and removed ones with <del>
+ * Used inside a .revision-diff container.
+ */
+export const DiffParagraph = ({ paragraph }) => (
+  <p className={`revision-diff-paragraph revision-diff-${paragraph.type}`}>
+    {paragraph.parts.map((part, index) => {
+      if (part.type === 'added') return <ins key={index}>{part.text}</ins>;
+      if (part.type === 'removed') return <del key={index}>{part.text}</del>;
+      return <span key={index}>{part.text}</span>;
+    })}
+  </p>
+);
@@ -0,0 +1,192 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { diffContent, getChangedSettings } from '../utils/revisionDiff';
+import { formatPublishTime } from '../utils/publishing';
+import { DiffParagraph } from './RevisionDiff';
+import './RevisionHistoryPanel.css';
+
+const formatDate = (timestamp) => {
+  const date = timestamp?.toDate?.();
+  return date ? date.toLocaleString('sl-SI', { dateStyle: 'medium', timeStyle: 'short' }) : '';
+};
+
+// State the revision was saved with; revisions from before drafts existed were all published
+const describePublishState = (revision) => {
+  if (revision.isPublished !== false) return 'objavljena';
+  if (typeof revision.publishAt === 'number') return `načrtovana za ${formatPublishTime(revision.publishAt)}`;
+  return 'osnutek';
+};
+
+/**
+ * RevisionHistoryPanel - saved revisions of a chapter or subchapter, with the
+ * differences each one made and a restore button
+ * A revision is compared with the one before it, or with what is in the editor
+ * now (`current`, in the shape of a revision). Restoring saves the revision
+ * again as a new one, through onRestore.
+ */
+export const RevisionHistoryPanel = ({ loadRevisions, current, onRestore, onClose }) => {
+  const [revisions, setRevisions] = useState(null);
+  const [error, setError] = useState('');
+  const [selectedIndex, setSelectedIndex] = useState(0);
+  const [compareWith, setCompareWith] = useState('previous');
+  const [restoring, setRestoring] = useState(false);
+
+  // Loaded once per opening; loadRevisions is a new function on every render of the editor
+  const loadRevisionsRef = useRef(loadRevisions);
+  useEffect(() => {
+    let cancelled = false;
+    loadRevisionsRef.current()
+      .then((list) => {
+        if (!cancelled) setRevisions(list);
+      })
+      .catch(() => {
+        if (!cancelled) setError('Zgodovine ni bilo mogoče naložiti.');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const selected = revisions?.[selectedIndex] || null;
+  const previous = revisions?.[selectedIndex + 1] || null;
+  const [before, after] = compareWith === 'current' ? [selected, current] : [previous, selected];
+
+  const diff = useMemo(() => {
+    if (!selected) return null;
+    const paragraphs = diffContent(before?.contentHtml || '', after?.contentHtml || '');
+    return {
+      paragraphs,
+      hasContentChanges: paragraphs.some((paragraph) => paragraph.type !== 'same'),
+      settings: before ? getChangedSettings(before, after) : [],
+    };
+  }, [selected, before, after]);
+
+  const handleRestore = async () => {
+    if (!selected || restoring) return;
+    const confirmed = window.confirm(
+      `Obnovim različico ${selected.version}? Shranjena bo kot nova različica, neshranjene spremembe v urejevalniku pa se izgubijo.`
+    );
+    if (!confirmed) return;
+    setRestoring(true);
+    try {
+      await onRestore(selected);
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  const describeComparison = () => {
+    if (compareWith === 'current') return `Razlike med različico ${selected.version} in besedilom v urejevalniku`;
+    if (!previous) return 'Najstarejša shranjena različica';
+    return `Spremembe od različice ${previous.version} do ${selected.version}`;
+  };
+
+  return (
+    <div
+      className="karaoke-dialog-overlay"
+      onClick={(e) => {
+        if (e.target === e.currentTarget) onClose();
+      }}
+    >
+      <div
+        className="karaoke-dialog revision-history-dialog"
+        role="dialog"
+        aria-label="Zgodovina različic"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <button className="close-btn close-top" onClick={onClose} aria-label="Zapri">
+          ✕
+        </button>
+        <div className="karaoke-dialog-content revision-history">
+          <h2 className="epigraph-dialog-title">Zgodovina različic</h2>
+
+          {error && <p className="revision-history-message">{error}</p>}
+          {!error && !revisions && <p className="revision-history-message">Nalaganje ...</p>}
+          {revisions && revisions.length === 0 && (
+            <p className="revision-history-message">Shranjenih različic še ni. Nastanejo ob vsakem shranjevanju.</p>
+          )}
+
+          {selected && (
+            <div className="revision-history-body">
+              <ul className="revision-history-list">
+                {revisions.map((revision, index) => (
+                  <li key={revision.id}>
+                    <button
+                      type="button"
+                      className={`revision-history-item ${index === selectedIndex ? 'active' : ''}`}
+                      aria-pressed={index === selectedIndex}
+                      onClick={() => setSelectedIndex(index)}
+                    >
+                      <span className="revision-history-version">
+                        Različica {revision.version}
+                        {` · ${describePublishState(revision)}`}
+                      </span>
+                      <span className="revision-history-meta">{formatDate(revision.createdAt)}</span>
+                      {revision.authorEmail && (
+                        <span className="revision-history-meta">{revision.authorEmail}</span>
+                      )}
+                      {typeof revision.restoredFromVersion === 'number' && (
+                        <span className="revision-history-meta">Obnovljena različica {revision.restoredFromVersion}</span>
+                      )}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+
+              <div className="revision-history-detail">
+                <div className="revision-history-compare" role="group" aria-label="Primerjaj z">
+                  <button
+                    type="button"
+                    className={`toolbar-btn ${compareWith === 'previous' ? 'active' : ''}`}
+                    aria-pressed={compareWith === 'previous'}
+                    onClick={() => setCompareWith('previous')}
+                  >
+                    S prejšnjo
+                  </button>
+                  <button
+                    type="button"
+                    className={`toolbar-btn ${compareWith === 'current' ? 'active' : ''}`}
+                    aria-pressed={compareWith === 'current'}
+                    onClick={() => setCompareWith('current')}
+                  >
+                    Z urejevalnikom
+                  </button>
+                </div>
+                <p className="revision-history-summary">{describeComparison()}</p>
+                {diff.settings.length > 0 && (
+                  <p className="revision-history-settings">Spremenjeno tudi: {diff.settings.join(', ')}</p>
+                )}
+                <div className="revision-diff">
+                  {before && !diff.hasContentChanges ? (
+                    <p className="revision-history-message">Besedilo je enako.</p>
+                  ) : (
+                    diff.paragraphs.map((paragraph, index) => (
+                      <DiffParagraph key={index} paragraph={paragraph} />
+                    ))
+                  )}
+                </div>
+                <div className="epigraph-actions">
+                  <button
+                    type="button"
+                    className="epigraph-save-btn"
+                    onClick={handleRestore}
+                    disabled={restoring || selectedIndex === 0}
+                  >
+                    {restoring ? 'Obnavljam' : 'Obnovi to različico'}
+                  </button>
+                </div>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,46 @@
+import { useEffect } from 'react';
+import { READER_SHORTCUTS } from '../utils/readerShortcuts';
+import './ShortcutHelp.css';
+
+/**
+ * ShortcutHelp - overlay listing the reader's keyboard shortcuts
+ * Escape or ? closes it.
+ */
+export const ShortcutHelp = ({ onClose }) => {
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape' || e.key === '?') {
+        e.preventDefault();
+        onClose();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  return (
+    <div className="shortcut-help-overlay" onClick={onClose}>
+      <div
+        className="shortcut-help-panel"
+        role="dialog"
+        aria-label="Bližnjice na tipkovnici"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="shortcut-help-header">
+          <h2>Bližnjice na tipkovnici</h2>
+          <button type="button" className="shortcut-help-close" onClick={onClose} aria-label="Zapri">×</button>
+        </div>
+        <dl className="shortcut-help-list">
+          {READER_SHORTCUTS.map(({ action, keys, label }) => (
+            <div key={action} className="shortcut-help-item">
+              <dt>
+                {keys.map((key) => <kbd key={key}>{key}</kbd>)}
+              </dt>
+              <dd>{label}</dd>
+            </div>
+          ))}
+        </dl>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,107 @@
+import { collab, getVersion, receiveTransaction, sendableSteps } from '@tiptap/pm/collab';
+import { Plugin, PluginKey } from '@tiptap/pm/state';
+import { Decoration, DecorationSet } from '@tiptap/pm/view';
+import { Step } from '@tiptap/pm/transform';
+
+// ProseMirror side of live co-editing (hooks/useCollaboration.js): prosemirror-collab tracks which
+// local steps the session has not confirmed yet, and a second plugin draws the other editors'
+// carets. Both are registered on a running TipTap editor once the session is joined.
+
+const collabCursorsKey = new PluginKey('collabCursors');
+
+const clampPos = (doc, pos) => Math.max(0, Math.min(pos, doc.content.size));
+
+const createCaret = ({ name, color }) => {
+  const caret = document.createElement('span');
+  caret.className = 'collab-caret';
+  caret.style.borderColor = color;
+  const label = document.createElement('span');
+  label.className = 'collab-caret-label';
+  label.style.backgroundColor = color;
+  label.textContent = name;
+  caret.appendChild(label);
+  return caret;
+};
+
+// Carets are mapped through later changes until the editor they belong to reports a new position
+const collabCursors = () => new Plugin({
+  key: collabCursorsKey,
+  state: {
+    init: () => [],
+    apply: (tr, cursors) => {
+      const next = tr.getMeta(collabCursorsKey);
+      if (next) return next;
+      if (!tr.docChanged) return cursors;
+      return cursors.map((cursor) => ({
+        ...cursor,
+        anchor: tr.mapping.map(cursor.anchor),
+        head: tr.mapping.map(cursor.head),
+      }));
+    },
+  },
+  props: {
+    decorations: (state) => {
+      const cursors = collabCursorsKey.getState(state);
+      if (!cursors?.length) return null;
+      const decorations = [];
+      cursors.forEach((cursor) => {
+        const anchor = clampPos(state.doc, cursor.anchor);
+        const head = clampPos(state.doc, cursor.head);
+        if (anchor !== head) {
+          decorations.push(Decoration.inline(Math.min(anchor, head), Math.max(anchor, head), {
+            class: 'collab-selection',
+            style: `background-color: ${cursor.color}33`,
+          }));
+        }
+        decorations.push(Decoration.widget(head, () => createCaret(cursor), {
+          key: `${cursor.clientId}:${cursor.name}:${cursor.color}`,
+          side: -1,
+        }));
+      });
+      return DecorationSet.create(state.doc, decorations);
+    },
+  },
+});
+
+// Starts tracking steps from session step `version`; returns the function that stops
+export const registerCollaboration = (editor, { version, clientId }) => {
+  editor.registerPlugin(collab({ version, clientID: clientId }));
+  editor.registerPlugin(collabCursors());
+  return () => editor.unregisterPlugin(['collab', collabCursorsKey]);
+};
+
+export const getCollabVersion = (state) => getVersion(state);
+
+// Local steps the session has not confirmed yet, serialized for the channel
+export const getSendableSteps = (state) => {
+  const sendable = sendableSteps(state);
+  if (!sendable) return null;
+  return {
+    version: sendable.version,
+    steps: sendable.steps.map((step) => JSON.stringify(step.toJSON())),
+  };
+};
+
+// Applies a batch from the session; false when it does not continue the local version
+export const applyRemoteSteps = (editor, { version, steps, clientId }) => {
+  if (version !== getVersion(editor.state)) return false;
+  const parsed = steps.map((json) => Step.fromJSON(editor.schema, JSON.parse(json)));
+  editor.view.dispatch(receiveTransaction(editor.state, parsed, parsed.map(() => clientId), {
+    mapSelectionBackward: true,
+  }));
+  return true;
+};
+
+// A position in the confirmed document, moved past the local steps not confirmed yet
+export const mapThroughUnconfirmed = (state, pos) => {
+  const sendable = sendableSteps(state);
+  const mapped = sendable ? sendable.steps.reduce((current, step) => step.getMap().map(current), pos) : pos;
+  return clampPos(state.doc, mapped);
+};
+
+export const getRemoteCursors = (state) => collabCursorsKey.getState(state) || [];
+
+// cursors: [{ clientId, name, color (#rrggbb), anchor, head }]
+export const setRemoteCursors = (editor, cursors) => {
+  editor.view.dispatch(editor.state.tr.setMeta(collabCursorsKey, cursors).setMeta('addToHistory', false));
+};
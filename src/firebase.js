@@ -1,5 +1,5 @@
 import { initializeApp } from 'firebase/app';
-import { getFirestore } from 'firebase/firestore';
+import { getFirestore, connectFirestoreEmulator } from 'firebase/firestore';
 import { getStorage } from 'firebase/storage';
 import { getAuth } from 'firebase/auth';
 
@@ -15,6 +15,12 @@ const firebaseConfig = {
 
 const app = initializeApp(firebaseConfig);
 export const db = getFirestore(app);
+// Local Firestore emulator (`firebase emulators:start --only firestore`), e.g. VITE_FIRESTORE_EMULATOR_HOST=localhost:8080,
+// so co-editing sessions can be tried without touching the live database
+if (import.meta.env.VITE_FIRESTORE_EMULATOR_HOST) {
+  const [host, port] = import.meta.env.VITE_FIRESTORE_EMULATOR_HOST.split(':');
+  connectFirestoreEmulator(db, host, Number(port) || 8080);
+}
 export const storage = getStorage(app);
 export const auth = getAuth(app);
 
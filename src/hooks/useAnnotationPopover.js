@@ -0,0 +1,78 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { getAnnotationIdAt, getSelectionAnnotationRange } from '../utils/annotations';
+
+// Selection handles keep moving while the reader drags them
+const SELECTION_SETTLE_MS = 250;
+
+/**
+ * Hook to drive the annotation popover of a reader
+ * Selecting text on a page offers a new highlight; clicking a highlight opens it.
+ * @param {Object} params
+ * @param {Object} params.containerRef - element holding the rendered pages
+ * @param {Function} params.resolvePage - (node) => { root, page } for the page a DOM node is on, or null
+ * @returns {{ popover: Object|null, openAnnotation: Function, closePopover: Function, handleHighlightClick: Function }}
+ *   popover is { range, rect } for a selection or { annotationId, rect, editing } for a highlight
+ */
+export const useAnnotationPopover = ({ containerRef, resolvePage }) => {
+  const [popover, setPopover] = useState(null);
+  const resolvePageRef = useRef(resolvePage);
+  resolvePageRef.current = resolvePage;
+
+  const closePopover = useCallback(() => setPopover(null), []);
+
+  const openAnnotation = useCallback((annotationId, rect, editing = false) => {
+    setPopover({ annotationId, rect, editing });
+  }, []);
+
+  // New selection inside a page
+  useEffect(() => {
+    let timeoutId = null;
+    const handleSelectionChange = () => {
+      clearTimeout(timeoutId);
+      timeoutId = setTimeout(() => {
+        const selection = window.getSelection();
+        const container = containerRef.current;
+        if (!selection || selection.isCollapsed || selection.rangeCount === 0 || !container) {
+          setPopover((prev) => (prev?.range ? null : prev));
+          return;
+        }
+        const range = selection.getRangeAt(0);
+        const target = resolvePageRef.current(range.commonAncestorContainer);
+        if (!container.contains(range.commonAncestorContainer) || !target) return;
+        const annotationRange = getSelectionAnnotationRange(target.root, target.page, range);
+        if (!annotationRange) return;
+        setPopover({ range: annotationRange, rect: range.getBoundingClientRect() });
+      }, SELECTION_SETTLE_MS);
+    };
+    document.addEventListener('selectionchange', handleSelectionChange);
+    return () => {
+      clearTimeout(timeoutId);
+      document.removeEventListener('selectionchange', handleSelectionChange);
+    };
+  }, [containerRef]);
+
+  // Click on an existing highlight (attach to the pages container's onClick)
+  const handleHighlightClick = useCallback((e) => {
+    const annotationId = getAnnotationIdAt(e.target);
+    if (!annotationId || !window.getSelection()?.isCollapsed) return;
+    openAnnotation(annotationId, e.target.closest('mark').getBoundingClientRect());
+  }, [openAnnotation]);
+
+  // The popover is placed against the page; scrolling or resizing leaves it behind
+  useEffect(() => {
+    if (!popover) return;
+    const handleMove = (e) => {
+      // Scrolling the note field, or the on-screen keyboard opening for it, keeps it open
+      if (e.target?.closest?.('.annotation-popover') || document.activeElement?.closest?.('.annotation-popover')) return;
+      setPopover(null);
+    };
+    window.addEventListener('scroll', handleMove, true);
+    window.addEventListener('resize', handleMove);
+    return () => {
+      window.removeEventListener('scroll', handleMove, true);
+      window.removeEventListener('resize', handleMove);
+    };
+  }, [popover]);
+
+  return { popover, openAnnotation, closePopover, handleHighlightClick };
+};
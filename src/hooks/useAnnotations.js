@@ -0,0 +1,104 @@
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { onAuthStateChange, getCurrentUser } from '../services/auth';
+import { getAnnotations, saveAnnotation } from '../services/firestore';
+import {
+  createAnnotationId,
+  DEFAULT_HIGHLIGHT_COLOR,
+  getStoredAnnotations,
+  mergeAnnotations,
+  normalizeAnnotation,
+  setStoredAnnotations,
+} from '../utils/annotations';
+
+/**
+ * Hook to manage the reader's highlights and notes for a book
+ * Annotations are kept on the device; signed-in readers also sync them to
+ * Firestore, merged per annotation (the latest edit wins).
+ * @returns {{ annotations: Array, addAnnotation: Function, updateAnnotation: Function, removeAnnotation: Function }}
+ *   addAnnotation(range, changes?) takes a range from getSelectionAnnotationRange and returns the new annotation
+ */
+export const useAnnotations = (bookId) => {
+  const [stored, setStored] = useState(() => getStoredAnnotations(bookId)); // Includes tombstones
+  const storedRef = useRef(stored);
+  storedRef.current = stored;
+  const [user, setUser] = useState(() => getCurrentUser());
+  const userRef = useRef(user);
+  userRef.current = user;
+
+  useEffect(() => onAuthStateChange(setUser), []);
+
+  // Another book opened
+  useEffect(() => {
+    setStored(getStoredAnnotations(bookId));
+  }, [bookId]);
+
+  // Signed in: merge with the account's copy and upload what only this device has
+  useEffect(() => {
+    if (!user || !bookId) return;
+    let cancelled = false;
+    getAnnotations(user.uid, bookId)
+      .then((remoteDocs) => {
+        if (cancelled) return;
+        const remote = remoteDocs.filter((a) => a.chapterId).map(normalizeAnnotation);
+        const merged = mergeAnnotations(getStoredAnnotations(bookId), remote);
+        setStoredAnnotations(bookId, merged);
+        setStored(merged);
+
+        const remoteById = new Map(remote.map((a) => [a.id, a]));
+        merged
+          .filter((a) => !remoteById.has(a.id) || remoteById.get(a.id).updatedAt < a.updatedAt)
+          .forEach((a) => saveAnnotation(user.uid, bookId, a).catch(() => {}));
+      })
+      .catch(() => {
+        // Offline or not permitted - keep the device's annotations
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [bookId, user]);
+
+  const save = useCallback((annotation) => {
+    const next = [...storedRef.current.filter((a) => a.id !== annotation.id), annotation];
+    storedRef.current = next;
+    setStored(next);
+    setStoredAnnotations(bookId, next);
+
+    const currentUser = userRef.current;
+    if (currentUser && bookId) {
+      saveAnnotation(currentUser.uid, bookId, annotation).catch(() => {
+        // Uploaded on the next merge
+      });
+    }
+  }, [bookId]);
+
+  const addAnnotation = useCallback((range, changes = {}) => {
+    const now = Date.now();
+    const annotation = normalizeAnnotation({
+      ...range,
+      color: DEFAULT_HIGHLIGHT_COLOR,
+      ...changes,
+      id: createAnnotationId(),
+      createdAt: now,
+      updatedAt: now,
+    });
+    save(annotation);
+    return annotation;
+  }, [save]);
+
+  const updateAnnotation = useCallback((id, changes) => {
+    const existing = storedRef.current.find((a) => a.id === id && !a.deleted);
+    if (!existing) return;
+    save(normalizeAnnotation({ ...existing, ...changes, updatedAt: Date.now() }));
+  }, [save]);
+
+  // The private text goes; the tombstone carries the deletion to other devices
+  const removeAnnotation = useCallback((id) => {
+    const existing = storedRef.current.find((a) => a.id === id);
+    if (!existing) return;
+    save({ ...existing, quote: '', note: '', deleted: true, updatedAt: Date.now() });
+  }, [save]);
+
+  const annotations = useMemo(() => stored.filter((a) => !a.deleted), [stored]);
+
+  return { annotations, addAnnotation, updateAnnotation, removeAnnotation };
+};
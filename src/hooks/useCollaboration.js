@@ -0,0 +1,256 @@
+import { useState, useEffect, useRef } from 'react';
+import { getCurrentUser } from '../services/auth';
+import {
+  registerCollaboration,
+  getCollabVersion,
+  getSendableSteps,
+  applyRemoteSteps,
+  mapThroughUnconfirmed,
+  getRemoteCursors,
+  setRemoteCursors,
+} from '../extensions/collaboration';
+
+// Selection changes are reported at most this often
+const PRESENCE_THROTTLE_MS = 300;
+// Open editors report in this often even when idle; ones silent for longer than the timeout have left
+const PRESENCE_HEARTBEAT_MS = 15000;
+const PRESENCE_TIMEOUT_MS = 45000;
+// Steps after the session's stored document before a client stores a newer one
+const CHECKPOINT_STEPS = 200;
+const RETRY_DELAY_MS = 3000;
+const CURSOR_COLORS = ['#d7263d', '#1b998b', '#3a5ba0', '#f46036', '#8e44ad', '#2e86ab', '#9c6615', '#c2185b'];
+
+const createClientId = () => (
+  globalThis.crypto?.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`
+);
+
+const colorFor = (key) => {
+  let hash = 0;
+  for (const char of key) hash = (hash * 31 + char.charCodeAt(0)) | 0;
+  return CURSOR_COLORS[Math.abs(hash) % CURSOR_COLORS.length];
+};
+
+const isActive = (presence, now) => {
+  const updatedAt = presence.updatedAt?.toMillis?.();
+  return !updatedAt || now - updatedAt < PRESENCE_TIMEOUT_MS;
+};
+
+const OFF = { status: 'off', sessionId: null, chapterVersion: null, collaborators: [] };
+
+/**
+ * Hook for live co-editing of the chapter open in a TipTap editor
+ * Joins the chapter's session on `channel` (createCollabChannel in services/firestore.js, or
+ * anything with the same methods), then sends local steps, applies everyone else's and shows
+ * their carets under the name of the signed-in Firebase user. The editor is read-only until the
+ * session is joined; if joining fails, editing carries on alone.
+ * `chapterVersion` is the saved version the editor content was loaded from. Returns
+ * { status: 'off' | 'connecting' | 'live' | 'offline', sessionId, chapterVersion, collaborators },
+ * where chapterVersion follows saves made from the session.
+ */
+export const useCollaboration = (editor, channel, chapterVersion) => {
+  const [collab, setCollab] = useState(OFF);
+  const channelRef = useRef(channel);
+  channelRef.current = channel;
+  const chapterVersionRef = useRef(chapterVersion);
+  chapterVersionRef.current = chapterVersion;
+  const channelId = channel?.id ?? null;
+
+  useEffect(() => {
+    const activeChannel = channelRef.current;
+    if (!editor || !activeChannel) {
+      setCollab(OFF);
+      return undefined;
+    }
+
+    let cancelled = false;
+    let session = null;
+    let sending = false;
+    let unregister = null;
+    let retryTimer = null;
+    let presenceTimer = null;
+    let heartbeatTimer = null;
+    let lastPresenceKey = null;
+    let checkpointVersion = 0;
+    let presences = [];
+    const unsubscribes = [];
+    const clientId = createClientId();
+    const user = getCurrentUser();
+    const name = user?.displayName || user?.email || 'Urednik';
+    const color = colorFor(user?.uid || clientId);
+
+    // Remote keystrokes arrive often; the editor only re-renders when something shown changes
+    const update = (patch) => setCollab((prev) => (
+      Object.keys(patch).every((key) => JSON.stringify(prev[key]) === JSON.stringify(patch[key]))
+        ? prev
+        : { ...prev, ...patch }
+    ));
+    const handleError = () => {
+      if (!cancelled) update({ status: 'offline' });
+    };
+
+    // One batch in flight at a time; a rejected one goes again once the steps that got in first
+    // have arrived and the local ones are rebased over them
+    const flush = async () => {
+      if (cancelled || !session || sending) return;
+      const sendable = getSendableSteps(editor.state);
+      if (!sendable) return;
+      sending = true;
+      try {
+        await activeChannel.sendSteps(session.id, sendable.version, sendable.steps, clientId);
+      } catch {
+        clearTimeout(retryTimer);
+        retryTimer = setTimeout(flush, RETRY_DELAY_MS);
+        handleError();
+        return;
+      } finally {
+        sending = false;
+      }
+      const next = getSendableSteps(editor.state);
+      if (next && next.version !== sendable.version) flush();
+    };
+
+    // Positions only mean the same to everyone once the local steps are confirmed
+    const publishPresence = () => {
+      presenceTimer = null;
+      if (cancelled || !session || getSendableSteps(editor.state)) return;
+      const { anchor, head } = editor.state.selection;
+      const version = getCollabVersion(editor.state);
+      const key = `${anchor}:${head}:${version}`;
+      if (key === lastPresenceKey) return;
+      lastPresenceKey = key;
+      activeChannel.setPresence(session.id, clientId, {
+        name,
+        color,
+        uid: user?.uid ?? null,
+        anchor,
+        head,
+        version,
+      }).catch(handleError);
+    };
+
+    const schedulePresence = () => {
+      if (!presenceTimer) presenceTimer = setTimeout(publishPresence, PRESENCE_THROTTLE_MS);
+    };
+
+    const showCollaborators = () => {
+      if (cancelled || !session || editor.isDestroyed) return;
+      const now = Date.now();
+      const others = presences.filter((presence) => presence.clientId !== clientId && isActive(presence, now));
+      update({ collaborators: others.map(({ clientId: id, name: otherName, color: otherColor }) => ({ clientId: id, name: otherName, color: otherColor })) });
+
+      // A caret reported against another version keeps its last known place until the next report
+      const { state } = editor;
+      const version = getCollabVersion(state);
+      const previous = new Map(getRemoteCursors(state).map((cursor) => [cursor.clientId, cursor]));
+      const cursors = others
+        .map((presence) => (presence.version === version
+          ? {
+            clientId: presence.clientId,
+            name: presence.name,
+            color: presence.color,
+            anchor: mapThroughUnconfirmed(state, presence.anchor),
+            head: mapThroughUnconfirmed(state, presence.head),
+          }
+          : previous.get(presence.clientId)))
+        .filter(Boolean);
+      setRemoteCursors(editor, cursors);
+    };
+
+    const receiveSteps = (batches) => {
+      if (cancelled || !session || editor.isDestroyed) return;
+      batches.forEach((batch) => applyRemoteSteps(editor, batch));
+      update({ status: 'live' });
+      showCollaborators();
+      // Confirming local steps changes no content, so it does not reach handleTransaction
+      schedulePresence();
+
+      const version = getCollabVersion(editor.state);
+      if (!getSendableSteps(editor.state) && version - Math.max(session.docVersion ?? 0, checkpointVersion) >= CHECKPOINT_STEPS) {
+        checkpointVersion = version;
+        activeChannel.saveCheckpoint(session.id, JSON.stringify(editor.getJSON()), version).catch(() => {
+          // Only makes joining slower; another client stores one later
+        });
+      }
+    };
+
+    const handleTransaction = ({ transaction }) => {
+      if (!session) return;
+      if (transaction.docChanged) flush();
+      if (transaction.docChanged || transaction.selectionSet) schedulePresence();
+    };
+
+    const stopSession = () => {
+      editor.off('transaction', handleTransaction);
+      unsubscribes.splice(0).forEach((unsubscribe) => unsubscribe());
+      clearTimeout(retryTimer);
+      clearTimeout(presenceTimer);
+      clearInterval(heartbeatTimer);
+      if (unregister && !editor.isDestroyed) unregister();
+      unregister = null;
+    };
+
+    editor.setEditable(false);
+    update({ status: 'connecting' });
+    activeChannel.join({
+      chapterVersion: chapterVersionRef.current,
+      docJson: JSON.stringify(editor.getJSON()),
+      idleAfterMs: PRESENCE_TIMEOUT_MS,
+    })
+      .then((joined) => {
+        if (cancelled || editor.isDestroyed) return;
+        session = joined;
+        // Everyone starts from the session's document, which may hold edits nobody has saved yet
+        editor.chain().setMeta('addToHistory', false).setContent(JSON.parse(joined.doc)).run();
+        unregister = registerCollaboration(editor, { version: joined.docVersion ?? 0, clientId });
+        editor.setEditable(true);
+        editor.on('transaction', handleTransaction);
+
+        unsubscribes.push(activeChannel.subscribeSteps(joined, receiveSteps, handleError));
+        unsubscribes.push(activeChannel.subscribeSession(joined.id, (data) => {
+          if (cancelled) return;
+          if (data) {
+            update({ chapterVersion: data.chapterVersion ?? null });
+            return;
+          }
+          // Ended by an editor who thought they were the last one here: carry on alone
+          stopSession();
+          session = null;
+          update({ status: 'offline', sessionId: null, collaborators: [] });
+        }, handleError));
+        unsubscribes.push(activeChannel.subscribePresence(joined.id, (list) => {
+          presences = list;
+          showCollaborators();
+        }, handleError));
+        heartbeatTimer = setInterval(() => {
+          lastPresenceKey = null;
+          publishPresence();
+          showCollaborators();
+        }, PRESENCE_HEARTBEAT_MS);
+
+        publishPresence();
+        update({ status: 'live', sessionId: joined.id, chapterVersion: joined.chapterVersion ?? null });
+      })
+      .catch(() => {
+        if (cancelled || editor.isDestroyed) return;
+        editor.setEditable(true);
+        update({ status: 'offline' });
+      });
+
+    return () => {
+      cancelled = true;
+      stopSession();
+      if (session) {
+        // The last one out ends the session; the chapter and this editor's draft keep the text
+        const now = Date.now();
+        const othersHere = presences.some((presence) => presence.clientId !== clientId && isActive(presence, now));
+        const leave = othersHere
+          ? activeChannel.removePresence(session.id, clientId)
+          : activeChannel.endSession(session.id);
+        leave.catch(() => {});
+      }
+      setCollab(OFF);
+    };
+  }, [editor, channelId]);
+
+  return collab;
+};
@@ -0,0 +1,11 @@
+import { useSyncExternalStore } from 'react';
+import { getKaraokeAutoAdvance, setKaraokeAutoAdvance, subscribeKaraokeAutoAdvance } from '../utils/karaokeAutoAdvance';
+
+/**
+ * Whether karaoke keeps playing through page turns (utils/karaokeAutoAdvance.js)
+ * @returns {{ autoAdvance: boolean, setAutoAdvance: Function }}
+ */
+export const useKaraokeAutoAdvance = () => {
+  const autoAdvance = useSyncExternalStore(subscribeKaraokeAutoAdvance, getKaraokeAutoAdvance);
+  return { autoAdvance, setAutoAdvance: setKaraokeAutoAdvance };
+};
@@ -1,5 +1,5 @@
 import { useRef, useCallback, useEffect } from 'react';
-import { ensureWordSliceInitialized } from '../utils/karaokeHelpers';
+import { ensureWordSliceInitialized, highlightWordSpans, KARAOKE_TOGGLE_EVENT } from '../utils/karaokeHelpers';
 
 /**
  * useKaraokePlayer - Hook for managing karaoke playback and highlighting
@@ -219,45 +219,7 @@ export const useKaraokePlayer = ({
             return; // Skip slices on non-visible pages
           }
 
-          const wordSpans = slice.querySelectorAll('.karaoke-word');
-          
-          wordSpans.forEach((span) => {
-            const wordIndex = parseInt(span.dataset.wordIndex ?? '-1', 10);
-            if (wordIndex < 0) return;
-            
-            // If resuming, mark words before resumeWordIndex as complete
-            if (currentSlice && typeof currentSlice.resumeWordIndex === 'number' && wordIndex < currentSlice.resumeWordIndex) {
-              span.classList.add('karaoke-word-complete');
-              span.classList.remove('karaoke-word-active');
-              span.style.setProperty('--karaoke-fill', '1');
-              return;
-            }
-            
-            const startStr = span.dataset.start;
-            const endStr = span.dataset.end;
-            if (!startStr || !endStr) return;
-
-            const start = parseFloat(startStr);
-            const end = parseFloat(endStr);
-            if (Number.isNaN(start) || Number.isNaN(end)) return;
-
-            let fillValue = 0;
-            if (currentTime >= end) {
-              span.classList.add('karaoke-word-complete');
-              span.classList.remove('karaoke-word-active');
-              fillValue = 1;
-            } else if (currentTime >= start) {
-              const duration = Math.max(end - start, 0.001);
-              fillValue = Math.min(Math.max((currentTime - start) / duration, 0), 1);
-              span.classList.add('karaoke-word-active');
-              span.classList.remove('karaoke-word-complete');
-            } else {
-              span.classList.remove('karaoke-word-active', 'karaoke-word-complete');
-              fillValue = 0;
-            }
-            
-            span.style.setProperty('--karaoke-fill', fillValue.toFixed(3));
-          });
+          highlightWordSpans(slice.querySelectorAll('.karaoke-word'), currentTime, currentSlice?.resumeWordIndex);
         });
       } else {
         // Mobile: Update only current slice (original behavior)
@@ -265,43 +227,7 @@ export const useKaraokePlayer = ({
         const { sliceElement } = currentSlice;
         if (!sliceElement || !sliceElement.isConnected) return;
 
-        const wordSpans = sliceElement.querySelectorAll('.karaoke-word');
-        wordSpans.forEach((span) => {
-          const wordIndex = parseInt(span.dataset.wordIndex ?? '-1', 10);
-          if (wordIndex < 0) return;
-          
-          if (typeof currentSlice.resumeWordIndex === 'number' && wordIndex < currentSlice.resumeWordIndex) {
-            span.classList.add('karaoke-word-complete');
-            span.classList.remove('karaoke-word-active');
-            span.style.setProperty('--karaoke-fill', '1');
-            return;
-          }
-          
-          const startStr = span.dataset.start;
-          const endStr = span.dataset.end;
-          if (!startStr || !endStr) return;
-
-          const start = parseFloat(startStr);
-          const end = parseFloat(endStr);
-          if (Number.isNaN(start) || Number.isNaN(end)) return;
-
-          let fillValue = 0;
-          if (currentTime >= end) {
-            span.classList.add('karaoke-word-complete');
-            span.classList.remove('karaoke-word-active');
-            fillValue = 1;
-          } else if (currentTime >= start) {
-            const duration = Math.max(end - start, 0.001);
-            fillValue = Math.min(Math.max((currentTime - start) / duration, 0), 1);
-            span.classList.add('karaoke-word-active');
-            span.classList.remove('karaoke-word-complete');
-          } else {
-            span.classList.remove('karaoke-word-active', 'karaoke-word-complete');
-            fillValue = 0;
-          }
-          
-          span.style.setProperty('--karaoke-fill', fillValue.toFixed(3));
-        });
+        highlightWordSpans(sliceElement.querySelectorAll('.karaoke-word'), currentTime, currentSlice.resumeWordIndex);
       }
     };
 
@@ -990,6 +916,7 @@ export const useKaraokePlayer = ({
           // Desktop: use click
           slice.addEventListener('click', handleInteraction);
         }
+        slice.addEventListener(KARAOKE_TOGGLE_EVENT, handleInteraction);
       }
     }
   }, [getKaraokeController, isDesktop]);
@@ -0,0 +1,23 @@
+import { useSyncExternalStore } from 'react';
+import {
+  downloadBookForOffline,
+  getOfflineStatuses,
+  isOfflineReadingSupported,
+  removeOfflineBook,
+  subscribeOfflineStatuses,
+} from '../services/offlineBook';
+
+/**
+ * Offline copies of books on this device, with download progress
+ * @returns {{ statuses: Object, supported: boolean, download: Function, remove: Function }}
+ *   statuses maps bookId to { state: 'saved' | 'downloading', progress, savedAt, missingFiles }
+ */
+export const useOfflineBooks = () => {
+  const statuses = useSyncExternalStore(subscribeOfflineStatuses, getOfflineStatuses);
+  return {
+    statuses,
+    supported: isOfflineReadingSupported(),
+    download: downloadBookForOffline,
+    remove: removeOfflineBook,
+  };
+};
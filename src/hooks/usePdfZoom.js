@@ -0,0 +1,101 @@
+import { useState, useEffect, useCallback } from 'react';
+
+const STORAGE_KEY = 'pdfZoom:v1';
+
+export const FIT_WIDTH = 'fit-width';
+export const FIT_PAGE = 'fit-page';
+export const ZOOM_STEPS = [0.75, 0.9, 1, 1.1, 1.25, 1.5, 1.75, 2];
+
+const MIN_ZOOM = ZOOM_STEPS[0];
+const MAX_ZOOM = ZOOM_STEPS[ZOOM_STEPS.length - 1];
+
+// Unzoomed desktop page size (see getPaginationLayout) and the viewer chrome around a page
+const PAGE_WIDTH = 450;
+const PAGE_HEIGHT = 636;
+const TOP_BAR_HEIGHT = 48;
+const VIEWER_MARGIN = 32;
+
+const RESIZE_DEBOUNCE_MS = 250;
+
+const readStoredMode = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (stored === FIT_WIDTH || stored === FIT_PAGE) return stored;
+    const zoom = Number(stored);
+    return ZOOM_STEPS.includes(zoom) ? zoom : 1;
+  } catch {
+    return 1;
+  }
+};
+
+const clampZoom = (zoom) => Math.min(Math.max(zoom, MIN_ZOOM), MAX_ZOOM);
+
+// Fit modes depend on the space the viewer has (narrower while the editor panel is open)
+const resolveZoom = (mode) => {
+  if (typeof mode === 'number') return mode;
+  if (typeof window === 'undefined') return 1;
+  const viewer = document.querySelector('.pdf-viewer');
+  const width = (viewer?.clientWidth || window.innerWidth) - VIEWER_MARGIN;
+  const height = (viewer?.clientHeight || window.innerHeight) - TOP_BAR_HEIGHT - VIEWER_MARGIN;
+  const zoom = mode === FIT_WIDTH ? width / PAGE_WIDTH : Math.min(width / PAGE_WIDTH, height / PAGE_HEIGHT);
+  // Rounded so small resizes don't re-paginate the book
+  return Math.round(clampZoom(zoom) * 20) / 20;
+};
+
+/**
+ * Zoom level of the desktop PDF-style reader
+ * A mode is either a fixed step from ZOOM_STEPS or FIT_WIDTH / FIT_PAGE, which
+ * follow the viewer size. The mode is remembered per device.
+ * @returns {{ zoom: number, zoomMode: (number|string), zoomIn: Function, zoomOut: Function,
+ *   fitToWidth: Function, fitToPage: Function, canZoomIn: boolean, canZoomOut: boolean }}
+ */
+export const usePdfZoom = () => {
+  const [zoomMode, setZoomMode] = useState(readStoredMode);
+  const [zoom, setZoom] = useState(() => resolveZoom(zoomMode));
+
+  useEffect(() => {
+    setZoom(resolveZoom(zoomMode));
+    try {
+      localStorage.setItem(STORAGE_KEY, String(zoomMode));
+    } catch {
+      // Storage unavailable (private browsing): the zoom just isn't remembered
+    }
+
+    if (typeof zoomMode === 'number') return;
+    let timeoutId = null;
+    const handleResize = () => {
+      clearTimeout(timeoutId);
+      timeoutId = setTimeout(() => setZoom(resolveZoom(zoomMode)), RESIZE_DEBOUNCE_MS);
+    };
+    window.addEventListener('resize', handleResize);
+    return () => {
+      clearTimeout(timeoutId);
+      window.removeEventListener('resize', handleResize);
+    };
+  }, [zoomMode]);
+
+  // Steps continue from the current size, also when it came from a fit mode
+  const zoomIn = useCallback(() => {
+    const next = ZOOM_STEPS.find((step) => step > zoom + 0.001);
+    if (next) setZoomMode(next);
+  }, [zoom]);
+
+  const zoomOut = useCallback(() => {
+    const previous = [...ZOOM_STEPS].reverse().find((step) => step < zoom - 0.001);
+    if (previous) setZoomMode(previous);
+  }, [zoom]);
+
+  const fitToWidth = useCallback(() => setZoomMode(FIT_WIDTH), []);
+  const fitToPage = useCallback(() => setZoomMode(FIT_PAGE), []);
+
+  return {
+    zoom,
+    zoomMode,
+    zoomIn,
+    zoomOut,
+    fitToWidth,
+    fitToPage,
+    canZoomIn: zoom < MAX_ZOOM - 0.001,
+    canZoomOut: zoom > MIN_ZOOM + 0.001,
+  };
+};
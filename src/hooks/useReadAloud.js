@@ -0,0 +1,278 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  getFirstSentenceEnd,
+  getPageReadableText,
+  getSentenceContinuation,
+  prepareReadAloudPage,
+  splitIntoChunks,
+} from '../utils/readAloud';
+
+const LANG = 'sl-SI';
+// Speaking speed until boundary events give a measured one (about 14 characters a second)
+const DEFAULT_CHARS_PER_MS = 0.014;
+const PAGE_POLL_MS = 100;
+const PAGE_WAIT_MS = 3000;
+// Time for the reader to finish setting up a shown page (karaoke, highlights) before words are wrapped
+const PAGE_SETTLE_MS = 200;
+
+export const isReadAloudSupported = () =>
+  typeof window !== 'undefined' && 'speechSynthesis' in window && typeof SpeechSynthesisUtterance !== 'undefined';
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const getVoice = () =>
+  window.speechSynthesis.getVoices().find((voice) => voice.lang?.toLowerCase().startsWith('sl')) || null;
+
+const waitForPageElement = async (session, index) => {
+  for (let waited = 0; waited <= PAGE_WAIT_MS; waited += PAGE_POLL_MS) {
+    if (session.cancelled) return null;
+    const element = session.getOptions().getPageElement(index);
+    if (element?.isConnected) {
+      await wait(PAGE_SETTLE_MS);
+      return element.isConnected ? element : null;
+    }
+    await wait(PAGE_POLL_MS);
+  }
+  return null;
+};
+
+const waitForPageShown = async (session, index) => {
+  for (let waited = 0; waited <= PAGE_WAIT_MS; waited += PAGE_POLL_MS) {
+    if (session.cancelled) return false;
+    if (session.getOptions().currentPage === index) return true;
+    await wait(PAGE_POLL_MS);
+  }
+  return false;
+};
+
+const preparePage = async (session, index) => {
+  const element = await waitForPageElement(session, index);
+  return element && !session.cancelled ? prepareReadAloudPage(element) : null;
+};
+
+// The spoken position reached the next page's words: turn to it while the sentence is finished
+const startTurn = (session) => {
+  const { turn } = session;
+  turn.started = true;
+  session.page?.cleanup();
+  session.pageIndex = turn.index;
+  session.getOptions().onTurnPage(turn.index);
+  turn.ready = preparePage(session, turn.index).then((page) => {
+    turn.page = page;
+    return page;
+  });
+};
+
+const highlight = (session, position) => {
+  const { turn } = session;
+  if (turn && position >= turn.at) {
+    if (!turn.started) startTurn(session);
+    turn.page?.highlight(position - turn.at);
+    return;
+  }
+  session.page?.highlight(position);
+};
+
+// Between boundary events the highlight moves on at the measured speed, up to the end of the word
+const animate = (session) => {
+  if (session.cancelled) return;
+  const { anchor } = session;
+  if (anchor) {
+    const elapsed = performance.now() - anchor.time;
+    highlight(session, Math.min(anchor.position + elapsed * session.charsPerMs, anchor.limit));
+  }
+  session.frameId = requestAnimationFrame(() => animate(session));
+};
+
+/**
+ * Speak one chunk; resolves to false if speech failed
+ */
+const speakChunk = (session, chunk) => new Promise((resolve) => {
+  const utterance = new SpeechSynthesisUtterance(chunk.text);
+  utterance.lang = LANG;
+  const voice = getVoice();
+  if (voice) utterance.voice = voice;
+
+  const setAnchor = (position, limit) => {
+    session.anchor = { position, time: performance.now(), limit };
+  };
+  const getWordLength = (charIndex) => {
+    const length = chunk.text.slice(charIndex).search(/\s/);
+    return length < 0 ? chunk.text.length - charIndex : length;
+  };
+
+  utterance.onstart = () => {
+    session.lastBoundary = null;
+    // Without boundary events (some voices) the highlight runs through the chunk on time alone
+    setAnchor(chunk.start, session.hasBoundaries ? chunk.start + getWordLength(0) : chunk.end);
+  };
+  utterance.onboundary = (event) => {
+    if (event.name && event.name !== 'word') return;
+    const position = chunk.start + event.charIndex;
+    const now = performance.now();
+    const previous = session.lastBoundary;
+    if (previous && position > previous.position && now > previous.time) {
+      const charsPerMs = (position - previous.position) / (now - previous.time);
+      session.charsPerMs = session.charsPerMs * 0.7 + charsPerMs * 0.3;
+    }
+    session.lastBoundary = { position, time: now };
+    session.hasBoundaries = true;
+    setAnchor(position, position + (event.charLength || getWordLength(event.charIndex)));
+  };
+  utterance.onend = () => {
+    setAnchor(chunk.end, chunk.end);
+    resolve(true);
+  };
+  utterance.onerror = () => resolve(false);
+
+  window.speechSynthesis.speak(utterance);
+});
+
+/**
+ * Read pages from pageIndex on; resolves when the book ends, speech fails or a page can't be found
+ */
+const readPages = async (session, pageIndex) => {
+  let index = pageIndex;
+  let page = null;
+  let from = 0;
+
+  while (!session.cancelled) {
+    const { pages, onTurnPage } = session.getOptions();
+    if (index >= pages.length) return;
+    if (!page && !getPageReadableText(pages[index]).trim()) {
+      // Nothing to read (videos, the table of contents): on to the next page once this one is shown
+      if (index + 1 >= pages.length || !(await waitForPageShown(session, index))) return;
+      session.pageIndex = index + 1;
+      onTurnPage(index + 1);
+      index += 1;
+      from = 0;
+      continue;
+    }
+    if (!page) page = await preparePage(session, index);
+    if (!page || session.cancelled) return;
+
+    session.page = page;
+    session.turn = null;
+    session.anchor = null;
+    const chunks = splitIntoChunks(page.text, from);
+    const nextIndex = index + 1;
+    const nextText = nextIndex < pages.length ? getPageReadableText(pages[nextIndex]) : '';
+    const continuation = chunks.length ? getSentenceContinuation(page.text, nextText) : 0;
+    if (continuation) {
+      // The last chunk runs on into the next page, which is shown once its first word is reached
+      const last = chunks[chunks.length - 1];
+      const at = page.text.length + 1;
+      chunks[chunks.length - 1] = {
+        start: last.start,
+        end: at + continuation,
+        text: `${page.text.slice(last.start)} ${nextText.slice(0, continuation)}`,
+      };
+      session.turn = { at, index: nextIndex, started: false, ready: null, page: null };
+    }
+
+    for (const chunk of chunks) {
+      const spoken = await speakChunk(session, chunk);
+      if (session.cancelled || !spoken) return;
+    }
+
+    if (session.turn) {
+      if (!session.turn.started) startTurn(session);
+      page = await session.turn.ready;
+      if (!page) return;
+      // Carry on after the sentence already spoken
+      from = Math.min(getFirstSentenceEnd(page.text), page.text.length);
+    } else {
+      page.cleanup();
+      session.page = null;
+      if (nextIndex >= pages.length) return;
+      session.pageIndex = nextIndex;
+      onTurnPage(nextIndex);
+      page = null;
+      from = 0;
+    }
+    index = nextIndex;
+  }
+};
+
+const endSession = (session) => {
+  if (!session || session.cancelled) return;
+  session.cancelled = true;
+  cancelAnimationFrame(session.frameId);
+  session.page?.cleanup();
+  session.turn?.page?.cleanup();
+};
+
+/**
+ * Hook to read pages aloud with the browser's speech synthesis
+ * The words being spoken are highlighted like karaoke (see utils/readAloud.js)
+ * and pages are turned when the speech reaches the next one. Turning to
+ * another page while reading carries on from there.
+ * @param {Object} params
+ * @param {Array} params.pages - the reader's pages, in order
+ * @param {number} params.currentPage - index in pages of the page on screen
+ * @param {Function} params.getPageElement - (index) => content element of that page once it is shown, or null
+ * @param {Function} params.onTurnPage - (index) => show that page
+ * @param {Function} [params.onStart] - called when reading starts (e.g. to stop karaoke audio)
+ * @returns {{ isReading: boolean, supported: boolean, start: Function, stop: Function, toggle: Function }}
+ */
+export const useReadAloud = ({ pages, currentPage, getPageElement, onTurnPage, onStart }) => {
+  const [isReading, setIsReading] = useState(false);
+  const sessionRef = useRef(null);
+  const optionsRef = useRef(null);
+  optionsRef.current = { pages, currentPage, getPageElement, onTurnPage, onStart };
+
+  const stop = useCallback(() => {
+    endSession(sessionRef.current);
+    sessionRef.current = null;
+    if (isReadAloudSupported()) window.speechSynthesis.cancel();
+    setIsReading(false);
+  }, []);
+
+  const start = useCallback((pageIndex = optionsRef.current.currentPage) => {
+    if (!isReadAloudSupported() || pageIndex < 0) return;
+    endSession(sessionRef.current);
+    window.speechSynthesis.cancel();
+
+    const session = {
+      cancelled: false,
+      pageIndex,
+      page: null,
+      turn: null,
+      anchor: null,
+      lastBoundary: null,
+      hasBoundaries: false,
+      charsPerMs: DEFAULT_CHARS_PER_MS,
+      frameId: null,
+      getOptions: () => optionsRef.current,
+    };
+    sessionRef.current = session;
+    setIsReading(true);
+    optionsRef.current.onStart?.();
+    animate(session);
+
+    readPages(session, pageIndex)
+      .catch(() => {})
+      .then(() => {
+        if (sessionRef.current === session) stop();
+      });
+  }, [stop]);
+
+  const toggle = useCallback(() => {
+    if (sessionRef.current) stop();
+    else start();
+  }, [start, stop]);
+
+  // Turned to another page while reading: read from there
+  useEffect(() => {
+    const session = sessionRef.current;
+    if (session && currentPage !== session.pageIndex) start(currentPage);
+  }, [currentPage, start]);
+
+  useEffect(() => () => {
+    endSession(sessionRef.current);
+    sessionRef.current = null;
+    if (isReadAloudSupported()) window.speechSynthesis.cancel();
+  }, []);
+
+  return { isReading, supported: isReadAloudSupported(), start, stop, toggle };
+};
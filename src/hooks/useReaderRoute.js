@@ -0,0 +1,72 @@
+import { useEffect, useRef, useCallback } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import {
+  parseReaderPath,
+  resolveRoutePosition,
+  findPageForRoutePosition,
+  buildPathForPage,
+} from '../utils/readerRoutes';
+
+/**
+ * Hook to keep the reader position and the URL in sync
+ * - Page changes push a history entry (or replace it, for continuous desktop scrolling)
+ * - Back/forward and pasted deep links call onNavigate(chapterIndex, pageIndex)
+ */
+export const useReaderRoute = ({
+  bookId,
+  chapters,
+  pages,
+  currentChapterIndex,
+  currentPageIndex,
+  isInitializing,
+  onNavigate,
+}) => {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const lastSyncedPathRef = useRef(null);
+  const replaceNextRef = useRef(true); // First sync normalizes the opening URL in place
+  const currentRef = useRef({ chapterIndex: currentChapterIndex, pageIndex: currentPageIndex });
+  currentRef.current = { chapterIndex: currentChapterIndex, pageIndex: currentPageIndex };
+  const onNavigateRef = useRef(onNavigate);
+  onNavigateRef.current = onNavigate;
+  // Read when the URL changes; new pages alone don't move the reader
+  const contentRef = useRef({ chapters, pages });
+  contentRef.current = { chapters, pages };
+
+  // Reader -> URL
+  useEffect(() => {
+    if (isInitializing || pages.length === 0) return;
+    const page = pages.find(
+      (p) => p.chapterIndex === currentChapterIndex && p.pageIndex === currentPageIndex
+    );
+    if (!page) return;
+    const path = buildPathForPage(bookId, chapters, pages, page);
+    lastSyncedPathRef.current = path;
+    if (path !== window.location.pathname) {
+      navigate(path, { replace: replaceNextRef.current });
+    }
+    replaceNextRef.current = false;
+  }, [bookId, chapters, pages, currentChapterIndex, currentPageIndex, isInitializing, navigate]);
+
+  // URL -> reader (back/forward, links)
+  useEffect(() => {
+    const { chapters: routeChapters, pages: routePages } = contentRef.current;
+    if (location.pathname === lastSyncedPathRef.current) return;
+    if (routePages.length === 0) return;
+    const route = parseReaderPath(location.pathname);
+    const target = findPageForRoutePosition(routePages, resolveRoutePosition(routeChapters, route));
+    if (!target) return;
+    const { chapterIndex, pageIndex } = currentRef.current;
+    if (target.chapterIndex === chapterIndex && target.pageIndex === pageIndex) return;
+    lastSyncedPathRef.current = location.pathname;
+    replaceNextRef.current = true; // Don't add a history entry if the link gets normalized
+    onNavigateRef.current?.(target.chapterIndex, target.pageIndex);
+  }, [location.pathname]);
+
+  // Mark the next position change as a history replacement instead of a new entry
+  const replaceNextHistoryEntry = useCallback(() => {
+    replaceNextRef.current = true;
+  }, []);
+
+  return { replaceNextHistoryEntry };
+};
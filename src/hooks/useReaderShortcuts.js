@@ -0,0 +1,26 @@
+import { useEffect, useRef } from 'react';
+import { getShortcutAction } from '../utils/readerShortcuts';
+
+/**
+ * Hook to handle the reader's keyboard shortcuts (see utils/readerShortcuts.js)
+ * Nothing fires while a dialog or the chapter editor is open; dialogs handle their own keys.
+ * @param {Object} params
+ * @param {boolean} params.enabled
+ * @param {Object} params.handlers - action => handler; a handler returning false leaves the key to the browser
+ */
+export const useReaderShortcuts = ({ enabled, handlers }) => {
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  useEffect(() => {
+    if (!enabled) return;
+    const handleKeyDown = (e) => {
+      const action = getShortcutAction(e);
+      if (!action || document.querySelector('[role="dialog"], .editor-overlay')) return;
+      const handler = handlersRef.current[action];
+      if (handler && handler() !== false) e.preventDefault();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [enabled]);
+};
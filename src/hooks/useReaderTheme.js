@@ -0,0 +1,11 @@
+import { useSyncExternalStore } from 'react';
+import { getReaderTheme, setReaderTheme, subscribeReaderTheme } from '../utils/readerThemes';
+
+/**
+ * Reader colour theme (utils/readerThemes.js)
+ * @returns {{ theme: string, setTheme: Function }}
+ */
+export const useReaderTheme = () => {
+  const theme = useSyncExternalStore(subscribeReaderTheme, getReaderTheme);
+  return { theme, setTheme: setReaderTheme };
+};
@@ -0,0 +1,31 @@
+import { useState, useCallback } from 'react';
+import {
+  DEFAULT_TYPOGRAPHY,
+  getStoredTypography,
+  normalizeTypography,
+  setStoredTypography,
+} from '../utils/readerTypography';
+
+/**
+ * Reader typography settings, remembered per device
+ * @returns {{ typography: Object, updateTypography: Function, resetTypography: Function }}
+ *   updateTypography(changes) merges changes into the current settings
+ */
+export const useReaderTypography = () => {
+  const [typography, setTypography] = useState(getStoredTypography);
+
+  const updateTypography = useCallback((changes) => {
+    setTypography((prev) => {
+      const next = normalizeTypography({ ...prev, ...changes });
+      setStoredTypography(next);
+      return next;
+    });
+  }, []);
+
+  const resetTypography = useCallback(() => {
+    setStoredTypography(DEFAULT_TYPOGRAPHY);
+    setTypography({ ...DEFAULT_TYPOGRAPHY });
+  }, []);
+
+  return { typography, updateTypography, resetTypography };
+};
@@ -1,36 +1,131 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef, useCallback } from 'react';
 import { getBookmark, setBookmark } from '../utils/bookmark';
+import { onAuthStateChange, getCurrentUser } from '../services/auth';
+import { getReadingPosition, saveReadingPosition } from '../services/firestore';
+
+// Page turns are batched into one cloud write per pause in reading
+const REMOTE_SAVE_DELAY_MS = 2000;
+// Don't hold the reader back for long if the cloud copy is slow to arrive
+const REMOTE_LOAD_TIMEOUT_MS = 2500;
+
+const toPosition = (saved) => ({
+  chapterId: saved.chapterId,
+  pageIndex: saved.pageIndex || 0,
+  subchapterId: saved.subchapterId || null,
+  anchor: saved.anchor || null,
+});
 
 /**
  * Hook to manage reading position for page-based reading
- * Saves and restores: { chapterId, pageIndex, subchapterId? }
+ * Saves and restores per book: { chapterId, pageIndex, subchapterId?, anchor? }
+ * Signed-in readers also sync the position to Firestore; the newest timestamp wins.
+ * `ready` turns true once the cloud copy (if any) has been compared with the local one.
  */
-export const useReadingPosition = () => {
+export const useReadingPosition = (bookId) => {
   const [position, setPosition] = useState(null);
+  const [user, setUser] = useState(() => getCurrentUser());
+  const [authResolved, setAuthResolved] = useState(false);
+  const [ready, setReady] = useState(false);
+  const userRef = useRef(user);
+  userRef.current = user;
+  const pendingRemoteRef = useRef(null); // { uid, bookId, data }
+  const remoteTimerRef = useRef(null);
 
-  // Load saved position on mount
   useEffect(() => {
-    const saved = getBookmark();
-    if (saved) {
-      setPosition({
-        chapterId: saved.chapterId,
-        pageIndex: saved.pageIndex || 0,
-        subchapterId: saved.subchapterId || null,
-      });
-    }
+    return onAuthStateChange((nextUser) => {
+      setUser(nextUser);
+      setAuthResolved(true);
+    });
+  }, []);
+
+  const flushRemote = useCallback(() => {
+    clearTimeout(remoteTimerRef.current);
+    remoteTimerRef.current = null;
+    const pending = pendingRemoteRef.current;
+    pendingRemoteRef.current = null;
+    if (!pending) return;
+    saveReadingPosition(pending.uid, pending.bookId, pending.data).catch(() => {
+      // Offline or not permitted - the local bookmark still has the position
+    });
   }, []);
 
+  // Load saved position on mount and whenever another book is opened or the user signs in
+  useEffect(() => {
+    let cancelled = false;
+    const local = getBookmark(bookId);
+    setPosition(local ? toPosition(local) : null);
+
+    if (!authResolved) {
+      setReady(false);
+      return;
+    }
+    if (!user || !bookId) {
+      setReady(true);
+      return;
+    }
+
+    setReady(false);
+    const timeoutId = setTimeout(() => {
+      if (!cancelled) setReady(true);
+    }, REMOTE_LOAD_TIMEOUT_MS);
+
+    getReadingPosition(user.uid, bookId)
+      .then((remote) => {
+        if (cancelled) return;
+        const localTs = local?.ts || 0;
+        const remoteTs = remote?.ts || 0;
+        if (remote?.chapterId && remoteTs > localTs) {
+          // Another device read further more recently
+          setPosition(toPosition(remote));
+          setBookmark({ ...toPosition(remote), ts: remoteTs }, bookId);
+        } else if (local?.chapterId && localTs > remoteTs) {
+          saveReadingPosition(user.uid, bookId, { ...toPosition(local), ts: localTs }).catch(() => {});
+        }
+      })
+      .catch(() => {
+        // Fall back to the local bookmark
+      })
+      .finally(() => {
+        if (cancelled) return;
+        clearTimeout(timeoutId);
+        setReady(true);
+      });
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeoutId);
+    };
+  }, [bookId, user, authResolved]);
+
+  // Write out a pending cloud save when switching books or leaving the page
+  useEffect(() => {
+    const handlePageHide = () => flushRemote();
+    window.addEventListener('pagehide', handlePageHide);
+    return () => {
+      window.removeEventListener('pagehide', handlePageHide);
+      flushRemote();
+    };
+  }, [bookId, flushRemote]);
+
   // Save position
   const savePosition = (newPosition) => {
     const positionData = {
       chapterId: newPosition.chapterId,
       pageIndex: newPosition.pageIndex || 0,
       subchapterId: newPosition.subchapterId || null,
+      anchor: newPosition.anchor || null,
     };
+    const ts = Date.now();
     setPosition(positionData);
-    setBookmark(positionData);
+    setBookmark({ ...positionData, ts }, bookId);
+
+    const currentUser = userRef.current;
+    if (currentUser && bookId) {
+      pendingRemoteRef.current = { uid: currentUser.uid, bookId, data: { ...positionData, ts } };
+      clearTimeout(remoteTimerRef.current);
+      remoteTimerRef.current = setTimeout(flushRemote, REMOTE_SAVE_DELAY_MS);
+    }
   };
 
-  return { position, savePosition };
+  return { position, savePosition, ready };
 };
-
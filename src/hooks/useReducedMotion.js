@@ -0,0 +1,12 @@
+import { useSyncExternalStore } from 'react';
+import { getMotionSetting, getReducedMotion, setMotionSetting, subscribeMotionPreference } from '../utils/motionPreference';
+
+/**
+ * Whether to reduce motion, and the reader's setting behind it (utils/motionPreference.js)
+ * @returns {{ reducedMotion: boolean, motionSetting: string, setMotionSetting: Function }}
+ */
+export const useReducedMotion = () => {
+  const reducedMotion = useSyncExternalStore(subscribeMotionPreference, getReducedMotion);
+  const motionSetting = useSyncExternalStore(subscribeMotionPreference, getMotionSetting);
+  return { reducedMotion, motionSetting, setMotionSetting };
+};
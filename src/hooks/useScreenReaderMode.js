@@ -0,0 +1,11 @@
+import { useSyncExternalStore } from 'react';
+import { getScreenReaderMode, setScreenReaderMode, subscribeScreenReaderMode } from '../utils/readerAccessibility';
+
+/**
+ * Screen-reader mode of the reader (utils/readerAccessibility.js)
+ * @returns {{ screenReaderMode: boolean, setScreenReaderMode: Function }}
+ */
+export const useScreenReaderMode = () => {
+  const screenReaderMode = useSyncExternalStore(subscribeScreenReaderMode, getScreenReaderMode);
+  return { screenReaderMode, setScreenReaderMode };
+};
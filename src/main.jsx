@@ -26,6 +26,15 @@ if (typeof window !== 'undefined' && window.screen && window.screen.orientation
   });
 }
 
+// Service worker for offline reading (public/sw.js); the dev server is left uncached
+if (import.meta.env.PROD && typeof navigator !== 'undefined' && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(() => {
+      // Unsupported or blocked (private browsing): the app works online only
+    });
+  });
+}
+
 createRoot(document.getElementById('root')).render(
   <StrictMode>
     <BrowserRouter>
@@ -0,0 +1,362 @@
+import JSZip from 'jszip';
+import { getChapters, getSubchapters } from './firestore';
+import { getAllFootnotes, renderFootnotesInContent, generateAcknowledgementsContent } from '../utils/footnotes';
+import { sortChapters } from '../utils/paginationHelpers';
+import { getSlug } from '../utils/readerRoutes';
+
+/**
+ * EPUB 3 export of a whole book
+ *
+ * Every chapter becomes one XHTML document (subchapters are sections inside
+ * it). Footnote references link to endnotes built from
+ * generateAcknowledgementsContent - appended to the book's acknowledgements
+ * chapter when it has one, otherwise to a generated "Zahvale" document.
+ * Images, including base64 data URIs, are packaged into the EPUB; images
+ * that can't be fetched are replaced by their alt text. Videos, audio and
+ * karaoke timing data have no EPUB equivalent and are left out (karaoke text stays).
+ */
+
+const BOOK_LANGUAGE = 'sl';
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg',
+};
+const REMOVED_ELEMENTS = 'video, audio, iframe, script, style, object, embed';
+const REMOVED_ATTRIBUTES = ['contenteditable', 'data-karaoke', 'data-content', 'loading', 'decoding', 'srcset'];
+
+const BOOK_CSS = `body { font-family: Georgia, serif; line-height: 1.5; margin: 0 5%; }
+h1 { font-size: 1.6em; margin: 2em 0 1em; text-align: center; }
+h2 { font-size: 1.25em; margin: 1.5em 0 0.75em; }
+p { margin: 0 0 0.8em; }
+img { max-width: 100%; height: auto; }
+.poetry { text-align: center; font-style: italic; margin: 0.8em 0; padding: 0 1em; }
+.poetry p { margin: 0.3em 0; }
+.dinkus { text-align: center; margin: 1em 0; }
+.dinkus img { max-width: 40px; }
+.epigraph { font-style: italic; margin: 2em 10% 2em; }
+.epigraph-author { font-style: normal; text-align: right; }
+.footnote-ref a { text-decoration: none; }
+.acknowledgement-item { margin: 0 0 0.5em; }
+.acknowledgement-number { margin-right: 0.35em; }
+.cover, .first-page { text-align: center; }
+nav ol { list-style: none; padding-left: 1em; }
+`;
+
+const escapeXml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const isAcknowledgementsChapter = (chapter) =>
+  /acknowledgement|zahvale/i.test(chapter.title || '');
+
+const xhtmlDocument = (title, body) => `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${BOOK_LANGUAGE}" lang="${BOOK_LANGUAGE}">
+<head>
+<meta charset="UTF-8" />
+<title>${escapeXml(title)}</title>
+<link rel="stylesheet" type="text/css" href="../styles/book.css" />
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+
+// DOM nodes -> XHTML markup; data-epub-type stands in for epub:type, which an HTML DOM can't hold
+const serializeNodes = (nodes) => {
+  const serializer = new XMLSerializer();
+  return Array.from(nodes)
+    .map((node) => serializer.serializeToString(node))
+    .join('')
+    .replace(/ xmlns="http:\/\/www\.w3\.org\/1999\/xhtml"/g, '')
+    .replace(/ data-epub-type="/g, ' epub:type="');
+};
+
+const parseHtml = (html) => new DOMParser().parseFromString(`<body>${html || ''}</body>`, 'text/html');
+
+const readImage = async (src) => {
+  if (src.startsWith('data:')) {
+    const match = src.match(/^data:([^;,]+)(;base64)?,([\s\S]*)$/);
+    if (!match) return null;
+    const [, mediaType, isBase64, payload] = match;
+    const data = isBase64
+      ? Uint8Array.from(atob(payload), (char) => char.charCodeAt(0))
+      : new TextEncoder().encode(decodeURIComponent(payload));
+    return { mediaType, data };
+  }
+  const response = await fetch(new URL(src, window.location.href));
+  if (!response.ok) return null;
+  const blob = await response.blob();
+  return { mediaType: blob.type.split(';')[0], data: await blob.arrayBuffer() };
+};
+
+// Each distinct image src is packaged once, as images/image-N.ext
+const createImageStore = () => {
+  const bySrc = new Map();
+  return {
+    add(src) {
+      if (!bySrc.has(src)) {
+        const id = `image-${bySrc.size + 1}`;
+        bySrc.set(src, readImage(src)
+          .then((image) => {
+            const extension = image && IMAGE_EXTENSIONS[image.mediaType];
+            if (!extension) return null;
+            return { id, href: `images/${id}.${extension}`, ...image };
+          })
+          .catch(() => null));
+      }
+      return bySrc.get(src);
+    },
+    async all() {
+      return (await Promise.all(bySrc.values())).filter(Boolean);
+    },
+  };
+};
+
+const renderEpigraph = (epigraph) => {
+  const isObject = epigraph && typeof epigraph === 'object';
+  const text = ((isObject ? epigraph.text : epigraph) || '').trim();
+  if (!text) return '';
+  const author = isObject ? (epigraph.author || '').trim() : '';
+  const align = isObject && ['left', 'center', 'right'].includes(epigraph.align) ? epigraph.align : 'center';
+  return `<blockquote class="epigraph" epub:type="epigraph" style="text-align: ${align}">`
+    + `<p>${escapeXml(text).split('\n').join('<br />')}</p>`
+    + (author ? `<p class="epigraph-author">${escapeXml(author)}</p>` : '')
+    + '</blockquote>';
+};
+
+/**
+ * Build the EPUB package
+ * @param {Object} book - { id, title, author, coverImageUrl }
+ * @param {Array} chapters - chapters (in `order`) with subchapters in `children`
+ * @returns {Promise<Blob>}
+ */
+export async function buildEpub(book, chapters) {
+  const images = createImageStore();
+  const allFootnotes = getAllFootnotes(chapters);
+  const footnoteContentToNumber = new Map();
+  allFootnotes.forEach((fn) => footnoteContentToNumber.set(fn.content.trim(), fn.globalNumber));
+
+  const sortedChapters = sortChapters(chapters);
+  const acknowledgementsChapter = sortedChapters.find(
+    (chapter) => !chapter.isFirstPage && !chapter.isCover && isAcknowledgementsChapter(chapter)
+  );
+  const fileForChapter = (chapter) => `chapter-${sortedChapters.indexOf(chapter) + 1}.xhtml`;
+  const notesHref = acknowledgementsChapter ? fileForChapter(acknowledgementsChapter) : 'notes.xhtml';
+  const noterefTargets = new Map(); // note number -> first reference, for the back link
+
+  const convertContent = async (html, file) => {
+    const doc = parseHtml(renderFootnotesInContent(html, allFootnotes));
+    doc.body.querySelectorAll(REMOVED_ELEMENTS).forEach((el) => el.remove());
+
+    doc.body.querySelectorAll('sup.footnote-ref').forEach((sup) => {
+      const content = (sup.getAttribute('data-content') || '').trim();
+      const number = footnoteContentToNumber.get(content)
+        || parseInt(sup.getAttribute('data-footnote-number') || sup.getAttribute('data-number'), 10);
+      Array.from(sup.attributes).forEach((attr) => {
+        if (attr.name !== 'class') sup.removeAttribute(attr.name);
+      });
+      if (!number) return;
+      const link = doc.createElement('a');
+      link.setAttribute('data-epub-type', 'noteref');
+      link.setAttribute('href', `${notesHref}#note-${number}`);
+      if (!noterefTargets.has(number)) {
+        link.setAttribute('id', `noteref-${number}`);
+        noterefTargets.set(number, `${file}#noteref-${number}`);
+      }
+      link.textContent = String(number);
+      sup.replaceChildren(link);
+    });
+
+    for (const img of Array.from(doc.body.querySelectorAll('img'))) {
+      const src = img.getAttribute('src');
+      const image = src ? await images.add(src) : null;
+      if (!image) {
+        const alt = img.classList.contains('dinkus-image') ? '* * *' : img.getAttribute('alt');
+        img.replaceWith(alt ? doc.createTextNode(alt) : '');
+        continue;
+      }
+      img.setAttribute('src', `../${image.href}`);
+      if (img.classList.contains('dinkus-image')) {
+        img.setAttribute('alt', '* * *');
+      } else if (!img.hasAttribute('alt')) {
+        img.setAttribute('alt', '');
+      }
+    }
+
+    doc.body.querySelectorAll('*').forEach((el) => {
+      REMOVED_ATTRIBUTES.forEach((name) => el.removeAttribute(name));
+      Array.from(el.attributes).forEach((attr) => {
+        if (attr.name.startsWith('on')) el.removeAttribute(attr.name);
+      });
+    });
+    doc.body.querySelectorAll('.dinkus').forEach((el) => el.setAttribute('role', 'separator'));
+
+    return serializeNodes(doc.body.childNodes);
+  };
+
+  // Endnotes: the acknowledgements list with ids and back links
+  const renderNotes = () => {
+    const doc = parseHtml(generateAcknowledgementsContent(allFootnotes));
+    doc.body.querySelectorAll('.acknowledgement-item').forEach((item) => {
+      const number = parseInt(item.querySelector('.acknowledgement-number')?.textContent, 10);
+      const aside = doc.createElement('aside');
+      aside.className = item.className;
+      aside.setAttribute('data-epub-type', 'endnote');
+      aside.setAttribute('id', `note-${number}`);
+      aside.append(...item.childNodes);
+      if (noterefTargets.has(number)) {
+        const back = doc.createElement('a');
+        back.setAttribute('href', noterefTargets.get(number));
+        back.textContent = ' ↩';
+        aside.append(back);
+      }
+      item.replaceWith(aside);
+    });
+    return `<section epub:type="endnotes" id="notes">${serializeNodes(doc.body.childNodes)}</section>`;
+  };
+
+  // Chapter documents
+  const documents = [];
+  for (const chapter of sortedChapters) {
+    const file = fileForChapter(chapter);
+    let body;
+    if (chapter.isFirstPage || chapter.isCover) {
+      body = `<section class="${chapter.isCover ? 'cover' : 'first-page'}"${chapter.isCover ? ' epub:type="cover"' : ''}>`
+        + await convertContent(chapter.contentHtml || chapter.content, file)
+        + '</section>';
+    } else {
+      let sections = '';
+      for (const sub of chapter.children || []) {
+        sections += `<section id="sub-${escapeXml(sub.id)}">`
+          + `<h2>${escapeXml(sub.title)}</h2>`
+          + renderEpigraph(sub.epigraph)
+          + await convertContent(sub.contentHtml || sub.content, file)
+          + '</section>';
+      }
+      body = `<section epub:type="chapter">`
+        + `<h1>${escapeXml(chapter.title)}</h1>`
+        + renderEpigraph(chapter.epigraph)
+        + await convertContent(chapter.contentHtml || chapter.content, file)
+        + sections
+        + '</section>';
+    }
+    documents.push({ id: file.replace('.xhtml', ''), file, chapter, title: chapter.title || book.title, body });
+  }
+
+  if (allFootnotes.length > 0) {
+    if (acknowledgementsChapter) {
+      const notesDocument = documents.find((doc) => doc.chapter === acknowledgementsChapter);
+      notesDocument.body += renderNotes();
+    } else {
+      documents.push({ id: 'notes', file: notesHref, chapter: null, title: 'Zahvale', body: `<h1>Zahvale</h1>${renderNotes()}` });
+    }
+  }
+
+  // Cover image: the book's cover, shown on its own page unless the book has a cover chapter
+  const coverImage = book.coverImageUrl ? await images.add(book.coverImageUrl) : null;
+  const hasCoverChapter = sortedChapters.some((chapter) => chapter.isCover);
+  if (coverImage && !hasCoverChapter) {
+    documents.unshift({
+      id: 'cover',
+      file: 'cover.xhtml',
+      chapter: { isCover: true },
+      title: book.title,
+      body: `<section class="cover" epub:type="cover"><img src="../${coverImage.href}" alt="${escapeXml(book.title)}" /></section>`,
+    });
+  }
+
+  // Generated table of contents - readers skip the first page and cover there too
+  const regularDocuments = documents.filter((doc) => !doc.chapter?.isFirstPage && !doc.chapter?.isCover);
+  const tocItems = regularDocuments.map((doc) => {
+    const subItems = (doc.chapter?.children || [])
+      .map((sub) => `<li><a href="${doc.file}#sub-${escapeXml(sub.id)}">${escapeXml(sub.title)}</a></li>`)
+      .join('');
+    return `<li><a href="${doc.file}">${escapeXml(doc.title)}</a>${subItems ? `<ol>${subItems}</ol>` : ''}</li>`;
+  }).join('\n');
+  const landmarks = [
+    '<li><a epub:type="toc" href="nav.xhtml#toc">Kazalo</a></li>',
+    regularDocuments[0] ? `<li><a epub:type="bodymatter" href="${regularDocuments[0].file}">Začetek</a></li>` : '',
+  ].join('');
+  const navBody = `<nav epub:type="toc" id="toc"><h1>Kazalo</h1><ol>\n${tocItems}\n</ol></nav>\n`
+    + `<nav epub:type="landmarks" hidden="hidden"><ol>${landmarks}</ol></nav>`;
+
+  // Spine: first page and cover, then the table of contents (like the reader), then the chapters
+  const leadingDocuments = documents.filter((doc) => doc.chapter?.isFirstPage || doc.chapter?.isCover);
+  const spineIds = [...leadingDocuments.map((doc) => doc.id), 'nav', ...regularDocuments.map((doc) => doc.id)];
+
+  const packagedImages = await images.all();
+  const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+  const manifestItems = [
+    '<item id="nav" href="text/nav.xhtml" media-type="application/xhtml+xml" properties="nav" />',
+    '<item id="css" href="styles/book.css" media-type="text/css" />',
+    ...documents.map((doc) => `<item id="${doc.id}" href="text/${doc.file}" media-type="application/xhtml+xml" />`),
+    ...packagedImages.map((image) => `<item id="${image.id}" href="${image.href}" media-type="${image.mediaType}"`
+      + `${image === coverImage ? ' properties="cover-image"' : ''} />`),
+  ];
+  const opf = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${BOOK_LANGUAGE}">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="book-id">urn:overstimulata:${escapeXml(book.id)}</dc:identifier>
+<dc:title>${escapeXml(book.title || 'Brez naslova')}</dc:title>
+<dc:language>${BOOK_LANGUAGE}</dc:language>
+${book.author ? `<dc:creator>${escapeXml(book.author)}</dc:creator>\n` : ''}<meta property="dcterms:modified">${modified}</meta>
+</metadata>
+<manifest>
+${manifestItems.join('\n')}
+</manifest>
+<spine>
+${spineIds.map((id) => `<itemref idref="${id}" />`).join('\n')}
+</spine>
+</package>
+`;
+
+  const zip = new JSZip();
+  // The mimetype entry must come first and be stored uncompressed
+  zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+  zip.file('META-INF/container.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles>
+<rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml" />
+</rootfiles>
+</container>
+`);
+  zip.file('OEBPS/content.opf', opf);
+  zip.file('OEBPS/styles/book.css', BOOK_CSS);
+  zip.file('OEBPS/text/nav.xhtml', xhtmlDocument('Kazalo', navBody));
+  documents.forEach((doc) => zip.file(`OEBPS/text/${doc.file}`, xhtmlDocument(doc.title, doc.body)));
+  packagedImages.forEach((image) => zip.file(`OEBPS/${image.href}`, image.data));
+
+  return zip.generateAsync({ type: 'blob', mimeType: 'application/epub+zip', compression: 'DEFLATE' });
+}
+
+/**
+ * Load a book's chapters from Firestore and download it as an .epub file
+ * @param {Object} book - book document (see getBooks)
+ */
+export async function exportBookAsEpub(book) {
+  const chapters = await getChapters(book.id);
+  const withChildren = await Promise.all(
+    chapters.map(async (chapter) => ({
+      ...chapter,
+      children: await getSubchapters(book.id, chapter.id),
+    }))
+  );
+  const blob = await buildEpub(book, withChildren);
+
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${getSlug(book).replace(/[\\/:*?"<>|]+/g, '-') || 'knjiga'}.epub`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
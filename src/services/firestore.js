@@ -1,4 +1,4 @@
-import { db } from '../firebase';
+import { auth, db } from '../firebase';
 import {
   collection,
   doc,
@@ -8,15 +8,87 @@ import {
   deleteDoc,
   serverTimestamp,
   query,
+  where,
+  or,
   orderBy,
+  limit,
+  onSnapshot,
   writeBatch,
   runTransaction,
+  setDoc,
 } from 'firebase/firestore';
 
+const booksCol = () => collection(db, 'books');
+const bookDoc = (bookId) => doc(db, `books/${bookId}`);
 const chaptersCol = (bookId) => collection(db, `books/${bookId}/chapters`);
 const chapterDoc = (bookId, chapterId) => doc(db, `books/${bookId}/chapters/${chapterId}`);
 const subchaptersCol = (bookId, chapterId) => collection(db, `books/${bookId}/chapters/${chapterId}/subchapters`);
 const subchapterDoc = (bookId, chapterId, subId) => doc(db, `books/${bookId}/chapters/${chapterId}/subchapters/${subId}`);
+const chapterRevisionsCol = (bookId, chapterId) => collection(db, `books/${bookId}/chapters/${chapterId}/revisions`);
+const chapterRevisionDoc = (bookId, chapterId, version) => doc(db, `books/${bookId}/chapters/${chapterId}/revisions/${version}`);
+const subchapterRevisionsCol = (bookId, chapterId, subId) => collection(db, `books/${bookId}/chapters/${chapterId}/subchapters/${subId}/revisions`);
+const subchapterRevisionDoc = (bookId, chapterId, subId, version) => doc(db, `books/${bookId}/chapters/${chapterId}/subchapters/${subId}/revisions/${version}`);
+const editablePath = (bookId, chapterId, subId = null) => (
+  subId ? `books/${bookId}/chapters/${chapterId}/subchapters/${subId}` : `books/${bookId}/chapters/${chapterId}`
+);
+const collabSessionDoc = (path, sessionId) => doc(db, `${path}/collabSessions/${sessionId}`);
+// A write batch holds at most 500 operations
+const BATCH_LIMIT = 500;
+const readingPositionDoc = (uid, bookId) => doc(db, `users/${uid}/readingPositions/${bookId}`);
+const annotationsCol = (uid, bookId) => collection(db, `users/${uid}/books/${bookId}/annotations`);
+const annotationDoc = (uid, bookId, annotationId) => doc(db, `users/${uid}/books/${bookId}/annotations/${annotationId}`);
+
+export async function getBooks() {
+  // Sorted client-side: orderBy('order') would drop book docs that have no order field yet
+  const snap = await getDocs(booksCol());
+  return snap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .sort((a, b) => (a.order || 0) - (b.order || 0));
+}
+
+export async function getBookById(bookId) {
+  const snap = await getDoc(bookDoc(bookId));
+  if (!snap.exists()) return null;
+  return { id: snap.id, ...snap.data() };
+}
+
+export async function addBook({ title, slug, author, coverImageUrl, isPublished, order }) {
+  // If no order specified, get the next available order number
+  if (!order) {
+    const existingBooks = await getBooks();
+    const maxOrder = existingBooks.length > 0 ? Math.max(...existingBooks.map(b => b.order || 0)) : 0;
+    order = maxOrder + 100;
+  }
+
+  return addDoc(booksCol(), {
+    title,
+    slug: slug ?? title?.toLowerCase().replace(/\s+/g, '-'),
+    author: author ?? '',
+    coverImageUrl: coverImageUrl ?? null,
+    isPublished: isPublished ?? false,
+    isArchived: false,
+    order,
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+  });
+}
+
+export async function updateBook(bookId, data) {
+  // Merge so books created before the books collection existed (e.g. 'primary') can get metadata
+  return setDoc(bookDoc(bookId), {
+    ...data,
+    updatedAt: serverTimestamp(),
+  }, { merge: true });
+}
+
+export async function renameBook(bookId, title) {
+  return updateBook(bookId, { title, slug: title?.toLowerCase().replace(/\s+/g, '-') });
+}
+
+// Archived books are hidden from the library but keep their chapters, so they can be restored
+export async function archiveBook(bookId, isArchived = true) {
+  return updateBook(bookId, { isArchived: !!isArchived });
+}
 
 export async function getChapterById(bookId, chapterId) {
   const snap = await getDoc(chapterDoc(bookId, chapterId));
@@ -30,22 +102,62 @@ export async function getSubchapterById(bookId, chapterId, subId) {
   return { id: snap.id, ...snap.data(), parentChapterId: chapterId };
 }
 
-export async function getChapters(bookId) {
-  const q = query(chaptersCol(bookId), orderBy('order'));
-  const snap = await getDocs(q);
-  return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+// Chapters saved before drafts existed have no isPublished flag and were public; readers only
+// get flagged ones, so the first editor to load the book marks them published. Not awaited:
+// a write only resolves once the server has it, and loading should not wait for that
+const backfillPublished = (snap) => {
+  const legacy = snap.docs.filter((d) => d.data().isPublished == null);
+  for (let i = 0; i < legacy.length; i += BATCH_LIMIT) {
+    const batch = writeBatch(db);
+    legacy.slice(i, i + BATCH_LIMIT).forEach((d) => batch.update(d.ref, { isPublished: true, publishAt: null }));
+    batch.commit().catch((err) => console.warn('Failed to mark legacy chapters published:', err));
+  }
+};
+
+// Chapters and subchapters in reading order. Readers get the published ones only
+// (utils/publishing.js): firestore.rules lets them read nothing else, so the query has to ask
+// for exactly those. Editors pass includeDrafts, which the rules allow to a signed-in allowed email.
+const getOrderedDocs = async (col, { includeDrafts = false } = {}) => {
+  const toSorted = (snap) => snap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .sort((a, b) => (a.order || 0) - (b.order || 0));
+
+  if (includeDrafts) {
+    await auth.authStateReady();
+    try {
+      const snap = await getDocs(query(col, orderBy('order')));
+      backfillPublished(snap);
+      return toSorted(snap).map((d) => (d.isPublished == null ? { ...d, isPublished: true, publishAt: null } : d));
+    } catch (err) {
+      // Signed out since the device was whitelisted: the book as readers see it
+      if (err?.code !== 'permission-denied') throw err;
+    }
+  }
+
+  // Sorted client-side: the single-field indexes cover both halves of the `or`
+  const published = where('isPublished', '==', true);
+  try {
+    return toSorted(await getDocs(query(col, or(published, where('publishAt', '<=', Date.now())))));
+  } catch (err) {
+    // The rules hold scheduled times against the server clock, so a device clock running ahead
+    // asks for too much; scheduled chapters then wait until the clocks agree
+    if (err?.code !== 'permission-denied') throw err;
+    return toSorted(await getDocs(query(col, published)));
+  }
+};
+
+export async function getChapters(bookId, options) {
+  return getOrderedDocs(chaptersCol(bookId), options);
 }
 
-export async function getSubchapters(bookId, chapterId) {
-  const q = query(subchaptersCol(bookId, chapterId), orderBy('order'));
-  const snap = await getDocs(q);
-  return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+export async function getSubchapters(bookId, chapterId, options) {
+  return getOrderedDocs(subchaptersCol(bookId, chapterId), options);
 }
 
-export async function addChapter(bookId, { title, slug, contentHtml, epigraph, order, isFirstPage, isCover, backgroundImageUrl, pageBorder, pageBorderImageUrl, pageBorderWidth, pageBorderSlicePercent }) {
+export async function addChapter(bookId, { title, slug, contentHtml, epigraph, order, isFirstPage, isCover, backgroundImageUrl, pageBorder, pageBorderImageUrl, pageBorderWidth, pageBorderSlicePercent, isPublished, publishAt }) {
   // If no order specified, get the next available order number
   if (!order) {
-    const existingChapters = await getChapters(bookId);
+    const existingChapters = await getChapters(bookId, { includeDrafts: true });
     const maxOrder = existingChapters.length > 0 ? Math.max(...existingChapters.map(c => c.order || 0)) : 0;
     order = maxOrder + 100;
   }
@@ -63,14 +175,77 @@ export async function addChapter(bookId, { title, slug, contentHtml, epigraph, o
     order,
     isFirstPage: isFirstPage ?? false,
     isCover: isCover ?? false,
-    isPublished: true,
+    isPublished: isPublished ?? true,
+    publishAt: publishAt ?? null,
     createdAt: serverTimestamp(),
     updatedAt: serverTimestamp(),
     version: 0,
   });
 }
 
-export async function updateChapter(bookId, chapterId, data, expectedVersion = 0) {
+// Revisions: every save of a chapter or subchapter also writes a snapshot of what was saved
+// to its `revisions` subcollection, one doc per version (the doc id is the version).
+const REVISION_FIELDS = [
+  'title',
+  'contentHtml',
+  'epigraph',
+  'hideTitle',
+  'backgroundImageUrl',
+  'pageBorder',
+  'pageBorderImageUrl',
+  'pageBorderWidth',
+  'pageBorderSlicePercent',
+  'isPublished',
+  'publishAt',
+];
+
+const toRevision = (entity, version, { restoredFromVersion = null } = {}) => ({
+  ...Object.fromEntries(REVISION_FIELDS.map((field) => [field, entity[field] ?? null])),
+  version,
+  restoredFromVersion,
+  authorEmail: auth.currentUser?.email ?? null,
+  createdAt: serverTimestamp(),
+});
+
+// Reads what the revision writes need (transactions need every read before the first write)
+// and returns the function that writes them. Content saved before revisions existed gets a
+// revision of its own on the first save after, so the earliest state stays restorable.
+const prepareRevisions = async (transaction, revisionDocFor, current, currentVersion, next, nextVersion, options) => {
+  const previousRef = revisionDocFor(currentVersion);
+  const previous = await transaction.get(previousRef);
+  return () => {
+    if (!previous.exists()) {
+      transaction.set(previousRef, {
+        ...toRevision(current, currentVersion),
+        authorEmail: null,
+        createdAt: current.updatedAt ?? serverTimestamp(),
+      });
+    }
+    transaction.set(revisionDocFor(nextVersion), toRevision(next, nextVersion, options));
+  };
+};
+
+/**
+ * Revisions of a chapter, or of a subchapter when subId is given, newest first
+ */
+export async function getRevisions(bookId, chapterId, subId = null) {
+  const col = subId ? subchapterRevisionsCol(bookId, chapterId, subId) : chapterRevisionsCol(bookId, chapterId);
+  const snap = await getDocs(query(col, orderBy('version', 'desc')));
+  return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+}
+
+// The co-editing session a save came from, if it is still there: sessions end when their last
+// editor leaves, and a save must not fail because of that. Read with the saved document, as
+// transactions read before they write.
+const getOpenCollabSession = async (transaction, path, sessionId) => {
+  if (!sessionId) return null;
+  const snapshot = await transaction.get(collabSessionDoc(path, sessionId));
+  return snapshot.exists() ? snapshot.ref : null;
+};
+
+// options.restoredFromVersion marks the revision written when an older one is restored;
+// options.collabSessionId is the co-editing session the saved content came from (see createCollabChannel)
+export async function updateChapter(bookId, chapterId, data, expectedVersion = 0, options = {}) {
   // Note: Device whitelist check is handled at app level (useEditorMode hook)
   // Email authentication is only used to whitelist devices, not for ongoing access
   
@@ -91,13 +266,30 @@ export async function updateChapter(bookId, chapterId, data, expectedVersion = 0
       throw err;
     }
 
+    const sessionRef = await getOpenCollabSession(transaction, editablePath(bookId, chapterId), options.collabSessionId);
     const nextVersion = currentVersion + 1;
+    const writeRevisions = await prepareRevisions(
+      transaction,
+      (version) => chapterRevisionDoc(bookId, chapterId, version),
+      snapshot.data(),
+      currentVersion,
+      { ...snapshot.data(), ...data },
+      nextVersion,
+      options
+    );
     const updateData = {
       ...data,
       version: nextVersion,
       updatedAt: serverTimestamp(),
     };
     transaction.update(ref, updateData);
+    writeRevisions();
+    if (sessionRef) {
+      transaction.update(sessionRef, {
+        chapterVersion: nextVersion,
+        updatedAt: serverTimestamp(),
+      });
+    }
     return {
       id: chapterId,
       ...snapshot.data(),
@@ -112,10 +304,10 @@ export async function deleteChapter(bookId, chapterId) {
   return deleteDoc(chapterDoc(bookId, chapterId));
 }
 
-export async function addSubchapter(bookId, chapterId, { title, slug, contentHtml, contentDelta, epigraph, order, audioUrl, wordTimings, pageBorder, pageBorderImageUrl, pageBorderWidth, pageBorderSlicePercent }) {
+export async function addSubchapter(bookId, chapterId, { title, slug, contentHtml, contentDelta, epigraph, order, audioUrl, wordTimings, pageBorder, pageBorderImageUrl, pageBorderWidth, pageBorderSlicePercent, isPublished, publishAt }) {
   // If no order specified, get the next available order number
   if (!order) {
-    const existingSubchapters = await getSubchapters(bookId, chapterId);
+    const existingSubchapters = await getSubchapters(bookId, chapterId, { includeDrafts: true });
     const maxOrder = existingSubchapters.length > 0 ? Math.max(...existingSubchapters.map(s => s.order || 0)) : 0;
     order = maxOrder + 100;
   }
@@ -133,14 +325,15 @@ export async function addSubchapter(bookId, chapterId, { title, slug, contentHtm
     pageBorderWidth: pageBorderWidth ?? null,
     pageBorderSlicePercent: pageBorderSlicePercent ?? null,
     order,
-    isPublished: true,
+    isPublished: isPublished ?? true,
+    publishAt: publishAt ?? null,
     createdAt: serverTimestamp(),
     updatedAt: serverTimestamp(),
     version: 0,
   });
 }
 
-export async function updateSubchapter(bookId, chapterId, subId, data, expectedVersion = 0) {
+export async function updateSubchapter(bookId, chapterId, subId, data, expectedVersion = 0, options = {}) {
   return runTransaction(db, async (transaction) => {
     const ref = subchapterDoc(bookId, chapterId, subId);
     const snapshot = await transaction.get(ref);
@@ -158,12 +351,29 @@ export async function updateSubchapter(bookId, chapterId, subId, data, expectedV
       throw err;
     }
 
+    const sessionRef = await getOpenCollabSession(transaction, editablePath(bookId, chapterId, subId), options.collabSessionId);
     const nextVersion = currentVersion + 1;
+    const writeRevisions = await prepareRevisions(
+      transaction,
+      (version) => subchapterRevisionDoc(bookId, chapterId, subId, version),
+      snapshot.data(),
+      currentVersion,
+      { ...snapshot.data(), ...data },
+      nextVersion,
+      options
+    );
     transaction.update(ref, {
       ...data,
       version: nextVersion,
       updatedAt: serverTimestamp(),
     });
+    writeRevisions();
+    if (sessionRef) {
+      transaction.update(sessionRef, {
+        chapterVersion: nextVersion,
+        updatedAt: serverTimestamp(),
+      });
+    }
     return {
       id: subId,
       parentChapterId: chapterId,
@@ -174,6 +384,145 @@ export async function updateSubchapter(bookId, chapterId, subId, data, expectedV
   });
 }
 
+// Live co-editing of a chapter, or of a subchapter when subId is given (hooks/useCollaboration.js).
+// Editors of the same saved version share a session in `collabSessions`: the document it started
+// from (`doc`, ProseMirror JSON as of step `docVersion`) plus numbered batches of steps in `steps`.
+// A batch only gets in when it continues the session's `version`, so every client applies the
+// same steps in the same order. A session's id is the chapter version it started from and
+// `chapterVersion` follows saves made from it, so editors who open the chapter later join it.
+// `presence` holds each open editor's name and selection. The last editor to leave deletes the
+// session; one nobody is present in any more is deleted by the next to join. A session id can
+// come back after that, so steps carry the `epoch` of the session they were sent to.
+export function createCollabChannel(bookId, chapterId, subId = null) {
+  const path = editablePath(bookId, chapterId, subId);
+  const sessionsCol = collection(db, `${path}/collabSessions`);
+  const stepsCol = (sessionId) => collection(db, `${path}/collabSessions/${sessionId}/steps`);
+  const presenceCol = (sessionId) => collection(db, `${path}/collabSessions/${sessionId}/presence`);
+
+  const hasActivePresence = async (sessionId, idleAfterMs) => {
+    const snap = await getDocs(presenceCol(sessionId));
+    const now = Date.now();
+    return snap.docs.some((d) => {
+      const updatedAt = d.data({ serverTimestamps: 'estimate' }).updatedAt?.toMillis?.();
+      return !updatedAt || now - updatedAt < idleAfterMs;
+    });
+  };
+
+  // The session first, so nobody joins or sends to it while the rest goes
+  const endSession = async (sessionId) => {
+    await deleteDoc(collabSessionDoc(path, sessionId));
+    const [steps, presence] = await Promise.all([getDocs(stepsCol(sessionId)), getDocs(presenceCol(sessionId))]);
+    const refs = [...steps.docs, ...presence.docs].map((d) => d.ref);
+    for (let start = 0; start < refs.length; start += BATCH_LIMIT) {
+      const batch = writeBatch(db);
+      refs.slice(start, start + BATCH_LIMIT).forEach((ref) => batch.delete(ref));
+      await batch.commit();
+    }
+  };
+
+  return {
+    id: path,
+
+    // Joins the session for chapterVersion, or starts one from docJson. A session whose editors
+    // have all been silent for idleAfterMs was left by closed tabs: what they had not saved is
+    // in their editor drafts (utils/editorDrafts.js), so it is ended rather than replayed here.
+    async join({ chapterVersion, docJson, idleAfterMs }) {
+      const existing = await getDocs(query(sessionsCol, where('chapterVersion', '==', chapterVersion), limit(1)));
+      if (!existing.empty) {
+        const found = existing.docs[0];
+        if (await hasActivePresence(found.id, idleAfterMs)) {
+          return { id: found.id, ...found.data() };
+        }
+        await endSession(found.id);
+      }
+      return runTransaction(db, async (transaction) => {
+        const ref = collabSessionDoc(path, String(chapterVersion));
+        const snapshot = await transaction.get(ref);
+        if (snapshot.exists()) {
+          if (snapshot.data().chapterVersion !== chapterVersion) {
+            const err = new Error('Chapter has been modified by another session.');
+            err.code = 'version-conflict';
+            throw err;
+          }
+          return { id: snapshot.id, ...snapshot.data() };
+        }
+        const session = { chapterVersion, doc: docJson, docVersion: 0, version: 0, epoch: doc(sessionsCol).id };
+        transaction.set(ref, { ...session, createdAt: serverTimestamp(), updatedAt: serverTimestamp() });
+        return { id: ref.id, ...session };
+      });
+    },
+
+    // Resolves false when other steps got in first
+    sendSteps(sessionId, version, steps, clientId) {
+      const ref = collabSessionDoc(path, sessionId);
+      return runTransaction(db, async (transaction) => {
+        const snapshot = await transaction.get(ref);
+        if (!snapshot.exists() || snapshot.data().version !== version) return false;
+        transaction.set(doc(stepsCol(sessionId), String(version)), {
+          version,
+          steps,
+          clientId,
+          epoch: snapshot.data().epoch ?? null,
+          createdAt: serverTimestamp(),
+        });
+        transaction.update(ref, { version: version + steps.length, updatedAt: serverTimestamp() });
+        return true;
+      });
+    },
+
+    // Calls back with the batches added to a joined session after its stored document, in order
+    subscribeSteps(session, callback, onError) {
+      const q = query(stepsCol(session.id), where('version', '>=', session.docVersion ?? 0), orderBy('version'));
+      return onSnapshot(q, (snap) => {
+        const batches = snap.docChanges()
+          .filter((change) => change.type === 'added' || change.type === 'modified')
+          .map((change) => change.doc.data())
+          .filter((batch) => (batch.epoch ?? null) === (session.epoch ?? null));
+        if (batches.length) callback(batches);
+      }, onError);
+    },
+
+    // Calls back with null once the session has been ended
+    subscribeSession(sessionId, callback, onError) {
+      return onSnapshot(collabSessionDoc(path, sessionId), (snap) => {
+        if (snap.exists()) callback({ id: snap.id, ...snap.data() });
+        else if (!snap.metadata.fromCache) callback(null);
+      }, onError);
+    },
+
+    endSession,
+
+    // Stores the document as of step `version`, so later joiners replay fewer steps
+    saveCheckpoint(sessionId, docJson, version) {
+      const ref = collabSessionDoc(path, sessionId);
+      return runTransaction(db, async (transaction) => {
+        const snapshot = await transaction.get(ref);
+        if (!snapshot.exists()) return;
+        const { docVersion = 0, version: sessionVersion = 0 } = snapshot.data();
+        if (docVersion >= version || sessionVersion < version) return;
+        transaction.update(ref, { doc: docJson, docVersion: version });
+      });
+    },
+
+    setPresence(sessionId, clientId, presence) {
+      return setDoc(doc(presenceCol(sessionId), clientId), {
+        ...presence,
+        updatedAt: serverTimestamp(),
+      });
+    },
+
+    removePresence(sessionId, clientId) {
+      return deleteDoc(doc(presenceCol(sessionId), clientId));
+    },
+
+    subscribePresence(sessionId, callback, onError) {
+      return onSnapshot(presenceCol(sessionId), (snap) => {
+        callback(snap.docs.map((d) => ({ clientId: d.id, ...d.data({ serverTimestamps: 'estimate' }) })));
+      }, onError);
+    },
+  };
+}
+
 export async function deleteSubchapter(bookId, chapterId, subId) {
   return deleteDoc(subchapterDoc(bookId, chapterId, subId));
 }
@@ -194,4 +543,35 @@ export async function reorderSubchapters(bookId, chapterId, orderedIds) {
   await batch.commit();
 }
 
+// Reading positions of signed-in readers, one doc per user and book.
+// `ts` is the client time of the page turn and decides which device wins on conflict.
+export async function getReadingPosition(uid, bookId) {
+  const snap = await getDoc(readingPositionDoc(uid, bookId));
+  if (!snap.exists()) return null;
+  return snap.data();
+}
+
+export async function saveReadingPosition(uid, bookId, { chapterId, pageIndex, subchapterId, anchor, ts }) {
+  return setDoc(readingPositionDoc(uid, bookId), {
+    chapterId: chapterId ?? null,
+    pageIndex: pageIndex ?? 0,
+    subchapterId: subchapterId ?? null,
+    anchor: anchor ?? null,
+    ts: ts ?? Date.now(),
+    updatedAt: serverTimestamp(),
+  });
+}
 
+// Highlights and notes of signed-in readers, one doc per annotation (see utils/annotations.js).
+// Deleted annotations stay behind as tombstones; the newer client `updatedAt` wins on conflict.
+export async function getAnnotations(uid, bookId) {
+  const snap = await getDocs(annotationsCol(uid, bookId));
+  return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+}
+
+export async function saveAnnotation(uid, bookId, { id, ...annotation }) {
+  return setDoc(annotationDoc(uid, bookId, id), {
+    ...annotation,
+    savedAt: serverTimestamp(),
+  });
+}
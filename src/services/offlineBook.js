@@ -0,0 +1,298 @@
+import { getChapters, getSubchapters } from './firestore';
+
+/**
+ * Books downloaded for offline reading
+ *
+ * A download saves the book's chapters and subchapters (as Firestore returns
+ * them) to IndexedDB and puts every file they reference - background and
+ * page-border images, inline images that aren't data URIs, karaoke audio and
+ * videos - into a per-book Cache Storage cache that the service worker
+ * (public/sw.js) answers from. App reads the saved copy when Firestore can't
+ * be reached, and refreshOfflineBook downloads a saved book again in the
+ * background once its chapter versions change. Files that couldn't be fetched
+ * are retried on the next refresh.
+ */
+
+const DB_NAME = 'offline-books';
+const DB_VERSION = 1;
+const STORE_NAME = 'books';
+const CACHE_PREFIX = 'offline-book:'; // Matches BOOK_CACHE_PREFIX in public/sw.js
+
+const getCacheName = (bookId) => `${CACHE_PREFIX}${bookId}`;
+
+export const isOfflineReadingSupported = () =>
+  typeof indexedDB !== 'undefined' && typeof caches !== 'undefined';
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'bookId' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+};
+
+const runRequest = (mode, createRequest) =>
+  openDatabase().then((db) => new Promise((resolve, reject) => {
+    const request = createRequest(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }));
+
+// --- Status shared with the library ------------------------------------------
+
+// bookId -> { state: 'saved' | 'downloading', progress, savedAt, missingFiles }
+let statuses = {};
+let statusesLoaded = false;
+const listeners = new Set();
+
+const setStatus = (bookId, status) => {
+  const next = { ...statuses };
+  if (status) next[bookId] = status;
+  else delete next[bookId];
+  statuses = next;
+  listeners.forEach((listener) => listener());
+};
+
+const toStatus = (record) => ({
+  state: 'saved',
+  progress: 1,
+  savedAt: record.savedAt,
+  missingFiles: record.missingFiles || 0,
+});
+
+const loadStatuses = () => {
+  if (statusesLoaded || !isOfflineReadingSupported()) return;
+  statusesLoaded = true;
+  runRequest('readonly', (store) => store.getAll())
+    .then((records) => {
+      records.forEach((record) => {
+        if (!statuses[record.bookId]) setStatus(record.bookId, toStatus(record));
+      });
+    })
+    .catch(() => {
+      statusesLoaded = false;
+    });
+};
+
+export const getOfflineStatuses = () => statuses;
+
+export const subscribeOfflineStatuses = (listener) => {
+  listeners.add(listener);
+  loadStatuses();
+  return () => listeners.delete(listener);
+};
+
+// --- Saved copies -----------------------------------------------------------
+
+/**
+ * Saved copy of a book, or null
+ * @returns {Promise<{ bookId, book, chapters, versionKey, files, missingFiles, savedAt } | null>}
+ */
+export async function getOfflineBook(bookId) {
+  if (!isOfflineReadingSupported()) return null;
+  return runRequest('readonly', (store) => store.get(bookId)).then((record) => record || null).catch(() => null);
+}
+
+/**
+ * Book documents of all saved copies (what the library shows with no connection)
+ */
+export async function getOfflineBooks() {
+  if (!isOfflineReadingSupported()) return [];
+  const records = await runRequest('readonly', (store) => store.getAll()).catch(() => []);
+  return records.map((record) => record.book);
+}
+
+/**
+ * Changes whenever a chapter or subchapter is added, removed, edited or reordered
+ */
+export const getBookVersionKey = (chapters = []) =>
+  chapters
+    .map((chapter) => {
+      const children = (chapter.children || [])
+        .map((sub) => `${sub.id}@${sub.version ?? 0}#${sub.order ?? ''}`)
+        .join(',');
+      return `${chapter.id}@${chapter.version ?? 0}#${chapter.order ?? ''}[${children}]`;
+    })
+    .join('|');
+
+const fetchBookChapters = async (bookId) => {
+  const chapters = await getChapters(bookId);
+  return Promise.all(
+    chapters.map(async (chapter) => ({
+      ...chapter,
+      children: await getSubchapters(bookId, chapter.id),
+    }))
+  );
+};
+
+const getKaraokeAudioUrl = (element) => {
+  try {
+    return JSON.parse(decodeURIComponent(element.getAttribute('data-karaoke'))).audioUrl || null;
+  } catch {
+    return null;
+  }
+};
+
+const collectContentFiles = (html, add) => {
+  if (!html) return;
+  const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+  doc.querySelectorAll('img[src], video[src], audio[src], source[src]').forEach((el) => add(el.getAttribute('src')));
+  doc.querySelectorAll('video[poster]').forEach((el) => add(el.getAttribute('poster')));
+  doc.querySelectorAll('[data-karaoke]').forEach((el) => add(getKaraokeAudioUrl(el)));
+  doc.querySelectorAll('[data-audio-url]').forEach((el) => add(el.getAttribute('data-audio-url')));
+  doc.querySelectorAll('[style]').forEach((el) => {
+    for (const match of el.getAttribute('style').matchAll(/url\(\s*['"]?([^'")]+)['"]?\s*\)/g)) add(match[1]);
+  });
+};
+
+/**
+ * Absolute URLs of every file a book's pages load (data: URIs are already in the HTML)
+ */
+export const collectBookFiles = (book, chapters = []) => {
+  const files = new Set();
+  const add = (url) => {
+    if (typeof url !== 'string' || !url.trim() || /^(data|blob):/i.test(url.trim())) return;
+    try {
+      files.add(new URL(url.trim(), window.location.href).href);
+    } catch {
+      // Not a URL - nothing to download
+    }
+  };
+
+  add(book?.coverImageUrl);
+  chapters.forEach((chapter) => {
+    [chapter, ...(chapter.children || [])].forEach((entry) => {
+      add(entry.backgroundImageUrl);
+      add(entry.pageBorderImageUrl);
+      add(entry.audioUrl);
+      collectContentFiles(entry.contentHtml, add);
+    });
+  });
+  return Array.from(files);
+};
+
+// CORS copies can be sliced for audio and video seeking; hosts without CORS still give an opaque copy
+const downloadFile = async (cache, url) => {
+  let response = await fetch(url, { mode: 'cors' }).catch(() => null);
+  if (!response?.ok) response = await fetch(url, { mode: 'no-cors' });
+  if (!response.ok && response.type !== 'opaque') throw new Error(`HTTP ${response.status}`);
+  await cache.put(url, response);
+};
+
+// Book documents can carry Firestore Timestamps; the saved copy keeps plain data
+const toPlainData = (value) => JSON.parse(JSON.stringify(value));
+
+const saveBook = async (book, chapters, onProgress) => {
+  const files = collectBookFiles(book, chapters);
+  const cache = await caches.open(getCacheName(book.id));
+  const cached = new Set((await cache.keys()).map((request) => request.url));
+  let missingFiles = 0;
+
+  // One file at a time: videos are large, and a phone may be on a slow connection
+  for (const [index, url] of files.entries()) {
+    if (!cached.has(url)) {
+      try {
+        await downloadFile(cache, url);
+      } catch {
+        missingFiles += 1;
+      }
+    }
+    onProgress?.((index + 1) / files.length);
+  }
+
+  // Files the book no longer uses
+  const used = new Set(files);
+  await Promise.all(Array.from(cached).filter((url) => !used.has(url)).map((url) => cache.delete(url)));
+
+  const record = {
+    bookId: book.id,
+    book: toPlainData(book),
+    chapters: toPlainData(chapters),
+    versionKey: getBookVersionKey(chapters),
+    files,
+    missingFiles,
+    savedAt: Date.now(),
+  };
+  await runRequest('readwrite', (store) => store.put(record));
+  return record;
+};
+
+// Downloads in progress, so a background refresh doesn't run alongside one
+const activeDownloads = new Set();
+
+const runDownload = async (book, chapters) => {
+  const previous = statuses[book.id];
+  activeDownloads.add(book.id);
+  setStatus(book.id, { ...previous, state: 'downloading', progress: 0 });
+  try {
+    const record = await saveBook(book, chapters, (progress) => {
+      setStatus(book.id, { ...statuses[book.id], progress });
+    });
+    setStatus(book.id, toStatus(record));
+    return record;
+  } catch (err) {
+    setStatus(book.id, previous);
+    throw err;
+  } finally {
+    activeDownloads.delete(book.id);
+  }
+};
+
+/**
+ * Download a whole book for offline reading
+ * @param {Object} book - book document (see getBooks)
+ */
+export async function downloadBookForOffline(book) {
+  if (!isOfflineReadingSupported()) throw new Error('Ta brskalnik ne podpira branja brez povezave.');
+  if (activeDownloads.has(book.id)) return null;
+  // Ask the browser not to clear the download when space runs low
+  navigator.storage?.persist?.().catch(() => {});
+  return runDownload(book, await fetchBookChapters(book.id));
+}
+
+/**
+ * Bring a saved copy up to date with freshly loaded chapters
+ * Does nothing for books that aren't saved or haven't changed. Never rejects.
+ * @param {string} bookId
+ * @param {Array} chapters - chapters with their subchapters as `children`, as Firestore returns them
+ * @param {Object} [book] - current book document; the saved one is kept without it
+ * @returns {Promise<boolean>} - whether the copy was updated
+ */
+export async function refreshOfflineBook(bookId, chapters, book = null) {
+  if (activeDownloads.has(bookId)) return false;
+  const saved = await getOfflineBook(bookId);
+  if (!saved || (saved.versionKey === getBookVersionKey(chapters) && !saved.missingFiles)) return false;
+  try {
+    await runDownload({ ...saved.book, ...book, id: bookId }, chapters);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Delete a book's saved copy and its files
+ */
+export async function removeOfflineBook(bookId) {
+  if (!isOfflineReadingSupported()) return;
+  await Promise.all([
+    caches.delete(getCacheName(bookId)),
+    runRequest('readwrite', (store) => store.delete(bookId)),
+  ]);
+  setStatus(bookId, null);
+}
@@ -0,0 +1,262 @@
+/**
+ * Reader highlights and notes
+ *
+ * An annotation covers a passage of one chapter (or subchapter) section:
+ *   { id, chapterId, subchapterId, start, end, quote, note, color,
+ *     createdAt, updatedAt, deleted }
+ * where start and end are { blockIndex, charOffset } counted like reading
+ * anchors (see readingAnchor.js), so annotations survive re-pagination.
+ * Pagination marks every content element on a page with data-block-index;
+ * that, plus the page's own anchor, turns a selection on a rendered page into
+ * offsets and offsets back into highlighted text.
+ *
+ * Annotations are saved per book and device. Deleting one leaves a tombstone
+ * (deleted: true, quote and note cleared) so the deletion also reaches a
+ * signed-in reader's other devices.
+ */
+
+import { findPageForAnchor } from './readingAnchor';
+
+const STORAGE_KEY = 'annotations:v1';
+const HIGHLIGHT_CLASS = 'annotation-highlight';
+
+export const HIGHLIGHT_COLORS = {
+  yellow: { label: 'Rumena' },
+  green: { label: 'Zelena' },
+  blue: { label: 'Modra' },
+  pink: { label: 'Roza' },
+};
+
+export const DEFAULT_HIGHLIGHT_COLOR = 'yellow';
+
+const storageKeyFor = (bookId) => `${STORAGE_KEY}:${bookId || 'primary'}`;
+
+const normalizePoint = (point) => ({
+  blockIndex: Number(point?.blockIndex) || 0,
+  charOffset: Number(point?.charOffset) || 0,
+});
+
+// Known fields only: remote docs carry server timestamps, older versions may lack fields
+export const normalizeAnnotation = (raw) => ({
+  id: String(raw.id),
+  chapterId: raw.chapterId,
+  subchapterId: raw.subchapterId || null,
+  start: normalizePoint(raw.start),
+  end: normalizePoint(raw.end),
+  quote: raw.quote || '',
+  note: raw.note || '',
+  color: HIGHLIGHT_COLORS[raw.color] ? raw.color : DEFAULT_HIGHLIGHT_COLOR,
+  createdAt: Number(raw.createdAt) || 0,
+  updatedAt: Number(raw.updatedAt) || 0,
+  deleted: !!raw.deleted,
+});
+
+export function getStoredAnnotations(bookId) {
+  try {
+    const raw = localStorage.getItem(storageKeyFor(bookId));
+    const list = raw ? JSON.parse(raw) : [];
+    return Array.isArray(list) ? list.filter((a) => a?.id && a.chapterId).map(normalizeAnnotation) : [];
+  } catch {
+    return [];
+  }
+}
+
+export function setStoredAnnotations(bookId, annotations) {
+  try {
+    localStorage.setItem(storageKeyFor(bookId), JSON.stringify(annotations));
+  } catch {
+    // Storage unavailable or full: annotations last for this visit (and the account, if signed in)
+  }
+}
+
+export const createAnnotationId = () =>
+  typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * Merge annotation lists by id; the most recently updated copy wins
+ */
+export const mergeAnnotations = (...lists) => {
+  const byId = new Map();
+  lists.flat().forEach((annotation) => {
+    if (!annotation?.id || !annotation.chapterId) return;
+    const existing = byId.get(annotation.id);
+    if (!existing || annotation.updatedAt > existing.updatedAt) byId.set(annotation.id, annotation);
+  });
+  return Array.from(byId.values());
+};
+
+export const compareAnnotationPoints = (a, b) =>
+  a.blockIndex !== b.blockIndex ? a.blockIndex - b.blockIndex : a.charOffset - b.charOffset;
+
+/**
+ * Page the annotation starts on, or null while its section isn't paginated yet
+ */
+export const findPageForAnnotation = (pages, annotation) =>
+  findPageForAnchor(pages, {
+    chapterId: annotation.chapterId,
+    subchapterId: annotation.subchapterId,
+    ...annotation.start,
+  });
+
+// ---------------------------------------------------------------------------
+// Rendered pages
+// ---------------------------------------------------------------------------
+
+// Characters that offsets count (see countAnchorChars)
+const isAnchorChar = (ch) => !/[\s\u00AD]/.test(ch);
+
+const countFragmentChars = (fragment) => {
+  fragment.querySelectorAll('sup').forEach((sup) => sup.remove());
+  return Array.from(fragment.textContent || '').filter(isAnchorChar).length;
+};
+
+// Karaoke text is rebuilt by the player and has no stable offsets
+const isKaraokeElement = (element) =>
+  element.matches('.karaoke-object, .karaoke-slice, [data-karaoke]') ||
+  !!element.querySelector('.karaoke-object, .karaoke-slice, [data-karaoke]');
+
+const getContentElements = (root) =>
+  Array.from(root.querySelectorAll('[data-block-index]')).filter((element) => !isKaraokeElement(element));
+
+const getBlockIndex = (element) => Number(element.getAttribute('data-block-index'));
+
+// Offset of an element's first character on this page: the page's first element may continue from the previous page
+const getElementStart = (element, elements, page) =>
+  element === elements[0] && page.anchor?.blockIndex === getBlockIndex(element)
+    ? page.anchor.charOffset || 0
+    : 0;
+
+// Visible characters of an element with the text node and offset each one sits at
+const collectChars = (element) => {
+  const chars = [];
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    if (node.parentElement?.closest('sup')) continue;
+    const text = node.nodeValue;
+    for (let i = 0; i < text.length; i++) {
+      if (isAnchorChar(text[i])) chars.push({ node, offset: i });
+    }
+  }
+  return chars;
+};
+
+const getPointInElement = (element, elements, page, container, offset) => {
+  const range = document.createRange();
+  range.selectNodeContents(element);
+  range.setEnd(container, offset);
+  return {
+    blockIndex: getBlockIndex(element),
+    charOffset: getElementStart(element, elements, page) + countFragmentChars(range.cloneContents()),
+  };
+};
+
+/**
+ * Turn a selection range on a rendered page into an annotation's position
+ * @param {Element} root - the page's content element
+ * @param {Object} page - the paginated page rendered in root
+ * @param {Range} range - the selection
+ * @returns {Object|null} - { chapterId, subchapterId, start, end, quote }, or null when no text is selected
+ */
+export const getSelectionAnnotationRange = (root, page, range) => {
+  if (!root || !page?.chapterId || !range || range.collapsed) return null;
+  const allElements = getContentElements(root);
+  const elements = allElements.filter((element) => range.intersectsNode(element));
+  if (elements.length === 0) return null;
+  const first = elements[0];
+  const last = elements[elements.length - 1];
+
+  // Ends outside the text (page margins, footnotes) snap to the nearest selected element
+  const start = first.contains(range.startContainer)
+    ? getPointInElement(first, allElements, page, range.startContainer, range.startOffset)
+    : { blockIndex: getBlockIndex(first), charOffset: getElementStart(first, allElements, page) };
+  const end = last.contains(range.endContainer)
+    ? getPointInElement(last, allElements, page, range.endContainer, range.endOffset)
+    : {
+      blockIndex: getBlockIndex(last),
+      charOffset: getElementStart(last, allElements, page) + collectChars(last).length,
+    };
+  if (compareAnnotationPoints(start, end) >= 0) return null;
+
+  const fragment = range.cloneContents();
+  fragment.querySelectorAll('sup').forEach((sup) => sup.remove());
+  fragment.querySelectorAll('[data-block-index]').forEach((element) => element.append(' '));
+  const quote = (fragment.textContent || '').replace(/\u00AD/g, '').replace(/\s+/g, ' ').trim();
+  if (!quote) return null;
+
+  return {
+    chapterId: page.chapterId,
+    subchapterId: page.subchapterId || null,
+    start,
+    end,
+    quote,
+  };
+};
+
+/**
+ * Remove highlights added by renderAnnotationHighlights
+ */
+export const clearAnnotationHighlights = (root) => {
+  if (!root) return;
+  root.querySelectorAll(`mark.${HIGHLIGHT_CLASS}`).forEach((mark) => {
+    const parent = mark.parentNode;
+    while (mark.firstChild) parent.insertBefore(mark.firstChild, mark);
+    parent.removeChild(mark);
+    parent.normalize();
+  });
+};
+
+// Wrap each text node's share of the characters in a mark
+const wrapChars = (chars, annotation) => {
+  const spans = new Map(); // text node -> { start, end }
+  chars.forEach(({ node, offset }) => {
+    const span = spans.get(node);
+    if (span) span.end = offset + 1;
+    else spans.set(node, { start: offset, end: offset + 1 });
+  });
+  spans.forEach(({ start, end }, node) => {
+    const target = node.splitText(start);
+    target.splitText(end - start);
+    const mark = document.createElement('mark');
+    mark.className = `${HIGHLIGHT_CLASS} annotation-${annotation.color}${annotation.note ? ' has-note' : ''}`;
+    mark.setAttribute('data-annotation-id', annotation.id);
+    target.parentNode.insertBefore(mark, target);
+    mark.appendChild(target);
+  });
+};
+
+/**
+ * Highlight the page's share of every annotation in its section
+ * Replaces highlights from a previous call, so it can be re-run whenever annotations change.
+ */
+export const renderAnnotationHighlights = (root, page, annotations) => {
+  clearAnnotationHighlights(root);
+  if (!root || !page?.chapterId || !Array.isArray(annotations)) return;
+  const subchapterId = page.subchapterId || null;
+  const inSection = annotations.filter(
+    (a) => !a.deleted && a.chapterId === page.chapterId && (a.subchapterId || null) === subchapterId
+  );
+  if (inSection.length === 0) return;
+
+  const elements = getContentElements(root);
+  inSection.forEach((annotation) => {
+    elements.forEach((element) => {
+      const blockIndex = getBlockIndex(element);
+      if (blockIndex < annotation.start.blockIndex || blockIndex > annotation.end.blockIndex) return;
+      const elementStart = getElementStart(element, elements, page);
+      // Collected per annotation: earlier marks have split the text nodes
+      const chars = collectChars(element);
+      const from = blockIndex === annotation.start.blockIndex ? annotation.start.charOffset - elementStart : 0;
+      const to = blockIndex === annotation.end.blockIndex ? annotation.end.charOffset - elementStart : chars.length;
+      if (to <= 0 || from >= chars.length) return;
+      wrapChars(chars.slice(Math.max(from, 0), Math.min(to, chars.length)), annotation);
+    });
+  });
+};
+
+/**
+ * Id of the annotation whose highlight was clicked, if any
+ */
+export const getAnnotationIdAt = (target) =>
+  target?.closest?.(`mark.${HIGHLIGHT_CLASS}`)?.getAttribute('data-annotation-id') || null;
@@ -0,0 +1,259 @@
+/**
+ * Full-text search over the book, client-side
+ *
+ * The index holds one entry per searchable piece of text: every top-level
+ * element of a chapter's (or subchapter's) content, its epigraph, each
+ * footnote and each karaoke text. Content elements are split exactly like
+ * pagination splits them (see processHTMLContent), so a match converts to a
+ * reading anchor { chapterId, subchapterId, blockIndex, charOffset } and
+ * findPageForAnchor maps it to whichever page holds it after pagination.
+ *
+ * Matching ignores case, diacritics (č matches c), soft hyphens and the dash
+ * replacements pagination makes.
+ */
+
+import { buildChapterContentBlocks, extractVideosFromContent, replaceLongDashes } from './contentProcessing';
+import { parseFootnotes } from './footnotes';
+import { findPageForAnchor } from './readingAnchor';
+
+export const MIN_QUERY_LENGTH = 2;
+const MAX_RESULTS = 100;
+const SNIPPET_RADIUS = 40;
+const HIGHLIGHT_CLASS = 'search-highlight';
+const LEGACY_FOOTNOTE_REGEX = /\^\[[^\]]*\]/g;
+
+// One folded char per UTF-16 unit, so offsets in folded text are offsets in the original
+const foldChar = (ch) => {
+  if (ch === '—' || ch === '–') return '-';
+  return ch.normalize('NFD').charAt(0).toLowerCase().charAt(0);
+};
+
+export const foldText = (text) => {
+  let folded = '';
+  for (let i = 0; i < text.length; i++) folded += foldChar(text[i]);
+  return folded;
+};
+
+const normalizeQuery = (query) => foldText((query || '').replace(/\s+/g, ' ').trim());
+
+// Characters anchors are counted in (see countAnchorChars)
+const countVisibleChars = (text) => text.replace(/[\s\u00AD]/g, '').length;
+
+let parseEl = null;
+const parseHtml = (html) => {
+  if (!parseEl) parseEl = document.createElement('div');
+  parseEl.innerHTML = html || '';
+  return Array.from(parseEl.children).map((child) => child.cloneNode(true));
+};
+
+const readKaraokeText = (element) => {
+  const karaoke = element.hasAttribute('data-karaoke') ? element : element.querySelector('[data-karaoke]');
+  if (!karaoke) return null;
+  try {
+    let raw = karaoke.getAttribute('data-karaoke');
+    try {
+      raw = decodeURIComponent(raw);
+    } catch {
+      // Stored unencoded
+    }
+    const data = JSON.parse(raw);
+    return typeof data?.text === 'string' ? data.text : null;
+  } catch {
+    return null;
+  }
+};
+
+const getEpigraphText = (epigraph) => {
+  if (!epigraph) return '';
+  if (typeof epigraph === 'string') return epigraph.trim();
+  return [epigraph.text, epigraph.author].filter(Boolean).join(' - ').trim();
+};
+
+/**
+ * Build the search index for a book
+ * @param {Array} chapters - chapters with children, as loaded in App
+ * @returns {Array} - entries { chapterId, subchapterId, chapterTitle, subchapterTitle, kind, text, folded, blockIndex, anchorOffset }
+ */
+export const buildSearchIndex = (chapters) => {
+  if (!Array.isArray(chapters) || typeof document === 'undefined') return [];
+  const entries = [];
+
+  chapters.forEach((chapter) => {
+    buildChapterContentBlocks(chapter).forEach((block) => {
+      const base = {
+        chapterId: chapter.id,
+        subchapterId: block.subchapterId || null,
+        chapterTitle: chapter.title || '',
+        subchapterTitle: block.type === 'subchapter' ? block.title || '' : null,
+      };
+      const addEntry = (kind, text, blockIndex, anchorOffset = null) => {
+        const clean = (text || '').replace(/\u00AD/g, '').replace(/\s+/g, ' ').trim();
+        if (!clean) return;
+        entries.push({ ...base, kind, text: clean, folded: foldText(clean), blockIndex, anchorOffset });
+      };
+
+      // Epigraph pages come before the block's content, at its very start
+      addEntry('epigraph', getEpigraphText(block.epigraph), 0, 0);
+
+      const { htmlContent } = extractVideosFromContent(block.content || '');
+      parseHtml(replaceLongDashes(htmlContent)).forEach((element, blockIndex) => {
+        // Footnotes are found on the page that references them
+        parseFootnotes(element.outerHTML).footnotes.forEach((footnote) => {
+          const prefix = element.outerHTML.slice(0, footnote.index).replace(/<[^>]*>/g, '');
+          addEntry('footnote', footnote.content.replace(/<[^>]*>/g, ''), blockIndex, countVisibleChars(prefix));
+        });
+
+        const karaokeText = readKaraokeText(element);
+        if (karaokeText) {
+          addEntry('karaoke', karaokeText, blockIndex);
+          return;
+        }
+
+        element.querySelectorAll('sup').forEach((sup) => sup.remove());
+        // Legacy ^[...] footnotes are indexed above; offsets after one land slightly early
+        addEntry('text', (element.textContent || '').replace(LEGACY_FOOTNOTE_REGEX, ''), blockIndex);
+      });
+    });
+  });
+
+  return entries;
+};
+
+/**
+ * Search the index
+ * @returns {Array} - results { id, chapterId, subchapterId, chapterTitle, subchapterTitle, kind,
+ *   snippet: { before, match, after }, anchor }
+ */
+export const searchBook = (index, query, limit = MAX_RESULTS) => {
+  const needle = normalizeQuery(query);
+  if (needle.length < MIN_QUERY_LENGTH || !Array.isArray(index)) return [];
+  const results = [];
+
+  for (const entry of index) {
+    let from = 0;
+    let position;
+    while ((position = entry.folded.indexOf(needle, from)) !== -1) {
+      const start = Math.max(0, position - SNIPPET_RADIUS);
+      const end = Math.min(entry.text.length, position + needle.length + SNIPPET_RADIUS);
+      results.push({
+        id: `${entry.chapterId}:${entry.subchapterId || ''}:${entry.kind}:${entry.blockIndex}:${position}`,
+        chapterId: entry.chapterId,
+        subchapterId: entry.subchapterId,
+        chapterTitle: entry.chapterTitle,
+        subchapterTitle: entry.subchapterTitle,
+        kind: entry.kind,
+        snippet: {
+          before: (start > 0 ? '…' : '') + entry.text.slice(start, position),
+          match: entry.text.slice(position, position + needle.length),
+          after: entry.text.slice(position + needle.length, end) + (end < entry.text.length ? '…' : ''),
+        },
+        anchor: {
+          chapterId: entry.chapterId,
+          subchapterId: entry.subchapterId,
+          blockIndex: entry.blockIndex,
+          charOffset: entry.anchorOffset ?? countVisibleChars(entry.text.slice(0, position)),
+        },
+      });
+      if (results.length >= limit) return results;
+      from = position + needle.length;
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Page holding a search result, or null while its chapter isn't paginated yet
+ */
+export const findPageForResult = (pages, result) => {
+  if (!result) return null;
+  if (result.kind === 'epigraph') {
+    const epigraphPage = pages.find(
+      (p) => p.isEpigraph && p.chapterId === result.chapterId && (p.subchapterId || null) === result.subchapterId
+    );
+    if (epigraphPage) return epigraphPage;
+  }
+  return findPageForAnchor(pages, result.anchor);
+};
+
+/**
+ * Remove highlights added by highlightSearchMatches
+ */
+export const clearSearchHighlights = (root) => {
+  if (!root) return;
+  root.querySelectorAll(`mark.${HIGHLIGHT_CLASS}`).forEach((mark) => {
+    const parent = mark.parentNode;
+    while (mark.firstChild) parent.insertBefore(mark.firstChild, mark);
+    parent.removeChild(mark);
+    parent.normalize();
+  });
+};
+
+/**
+ * Wrap every occurrence of the query inside root in <mark class="search-highlight">
+ * Matches may span text nodes (hyphenation, inline formatting); soft hyphens are skipped.
+ * @returns {Element|null} - the first mark, to scroll into view
+ */
+export const highlightSearchMatches = (root, query) => {
+  clearSearchHighlights(root);
+  const needle = normalizeQuery(query);
+  if (!root || needle.length < MIN_QUERY_LENGTH) return null;
+
+  // Folded text of the page with a map back to (text node, offset)
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  const positions = [];
+  let folded = '';
+  let lastWasSpace = true;
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    // Screen-reader copies of karaoke text (see readerAccessibility) are not on screen
+    if (node.parentElement?.closest('[data-reader-a11y]')) continue;
+    const text = node.nodeValue;
+    for (let i = 0; i < text.length; i++) {
+      if (text[i] === '\u00AD') continue;
+      const isSpace = /\s/.test(text[i]);
+      if (isSpace && lastWasSpace) continue;
+      folded += isSpace ? ' ' : foldChar(text[i]);
+      positions.push({ node, offset: i });
+      lastWasSpace = isSpace;
+    }
+  }
+
+  const ranges = [];
+  let from = 0;
+  let position;
+  while ((position = folded.indexOf(needle, from)) !== -1) {
+    const start = positions[position];
+    const end = positions[position + needle.length - 1];
+    const range = document.createRange();
+    range.setStart(start.node, start.offset);
+    range.setEnd(end.node, end.offset + 1);
+    ranges.push(range);
+    from = position + needle.length;
+  }
+
+  // Wrap from the last match backwards so earlier ranges stay valid; multi-node ranges get one mark per node
+  let firstMark = null;
+  ranges.reverse().forEach((range) => {
+    const nodes = [];
+    const rangeWalker = document.createTreeWalker(range.commonAncestorContainer.nodeType === 3
+      ? range.commonAncestorContainer.parentNode
+      : range.commonAncestorContainer, NodeFilter.SHOW_TEXT);
+    for (let node = rangeWalker.nextNode(); node; node = rangeWalker.nextNode()) {
+      if (range.intersectsNode(node)) nodes.push(node);
+    }
+    nodes.reverse().forEach((node) => {
+      const startOffset = node === range.startContainer ? range.startOffset : 0;
+      const endOffset = node === range.endContainer ? range.endOffset : node.nodeValue.length;
+      if (endOffset <= startOffset) return;
+      const target = node.splitText(startOffset);
+      target.splitText(endOffset - startOffset);
+      const mark = document.createElement('mark');
+      mark.className = HIGHLIGHT_CLASS;
+      target.parentNode.insertBefore(mark, target);
+      mark.appendChild(target);
+      firstMark = mark;
+    });
+  });
+
+  return firstMark;
+};
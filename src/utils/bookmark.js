@@ -1,8 +1,13 @@
 const STORAGE_KEY = 'bookmark:v1';
+const LEGACY_BOOK_ID = 'primary';
 
-export function getBookmark() {
+// The original single-book bookmark keeps its un-suffixed key so existing readers keep their place
+const storageKeyFor = (bookId) =>
+  bookId && bookId !== LEGACY_BOOK_ID ? `${STORAGE_KEY}:${bookId}` : STORAGE_KEY;
+
+export function getBookmark(bookId) {
   try {
-    const raw = localStorage.getItem(STORAGE_KEY);
+    const raw = localStorage.getItem(storageKeyFor(bookId));
     if (!raw) return null;
     return JSON.parse(raw);
   } catch {
@@ -10,13 +15,14 @@ export function getBookmark() {
   }
 }
 
-export function setBookmark(data) {
+export function setBookmark(data, bookId) {
   try {
     // Support both old format (just chapterId) and new format (object)
+    // Positions adopted from another device keep their original timestamp
     const bookmarkData = typeof data === 'string' 
       ? { chapterId: data, ts: Date.now() }
-      : { ...data, ts: Date.now() };
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(bookmarkData));
+      : { ...data, ts: data.ts ?? Date.now() };
+    localStorage.setItem(storageKeyFor(bookId), JSON.stringify(bookmarkData));
   } catch {}
 }
 
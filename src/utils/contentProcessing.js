@@ -85,8 +85,9 @@ export const waitForImagesToLoad = (contentDiv) => {
 
 /**
  * Process HTML content: extract videos, replace dashes, prepare for pagination
+ * waitForImages comes from the measurer, so headless runs don't wait on image loads
  */
-export const processHTMLContent = async (htmlContent, isDesktop) => {
+export const processHTMLContent = async (htmlContent, isDesktop, waitForImages = waitForImagesToLoad) => {
   // Extract videos first
   const { videoElements, htmlContent: contentWithoutVideos } = extractVideosFromContent(htmlContent);
   
@@ -120,7 +121,7 @@ export const processHTMLContent = async (htmlContent, isDesktop) => {
   });
   
   // Wait for images to load
-  await waitForImagesToLoad(contentDiv);
+  await waitForImages(contentDiv);
   
   const elements = Array.from(contentDiv.children);
   
@@ -0,0 +1,79 @@
+import { diffContent, getChangedSettings } from './revisionDiff';
+
+/**
+ * Editor drafts - unsaved ChapterEditor content, stored in IndexedDB
+ *
+ * One record per chapter or subchapter being edited (see getDraftKey), written
+ * while the author types and removed once a save goes through, so a crashed
+ * or closed tab can offer the draft back. A record holds what getEditorSnapshot
+ * returns plus `baseVersion`, the saved version the draft was edited from.
+ */
+
+const DB_NAME = 'editor-drafts';
+const DB_VERSION = 1;
+const STORE_NAME = 'drafts';
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Private browsing and blocked storage: no drafts, try again next time
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+};
+
+const runRequest = (mode, createRequest) =>
+  openDatabase().then((db) => new Promise((resolve, reject) => {
+    const request = createRequest(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }));
+
+/**
+ * Key of the draft for an existing chapter or subchapter, or for a new one
+ * (new subchapters are kept per parent chapter)
+ */
+export const getDraftKey = (chapterId, parentChapterId = null) => {
+  if (chapterId) return `entity:${chapterId}`;
+  return parentChapterId ? `new-subchapter:${parentChapterId}` : 'new-chapter';
+};
+
+/**
+ * Resolves to { key, baseVersion, savedAt, ...snapshot } or null
+ */
+export const getDraft = (key) =>
+  runRequest('readonly', (store) => store.get(key)).then((draft) => draft || null);
+
+export const saveDraft = (key, { baseVersion, ...snapshot }) =>
+  runRequest('readwrite', (store) => store.put({
+    ...snapshot,
+    key,
+    baseVersion: baseVersion ?? 0,
+    savedAt: Date.now(),
+  }));
+
+export const deleteDraft = (key) =>
+  runRequest('readwrite', (store) => store.delete(key));
+
+/**
+ * Whether a draft differs from the saved chapter in anything worth offering back
+ * (the text, or settings as getChangedSettings sees them)
+ */
+export const hasDraftChanges = (draft, saved) =>
+  diffContent(saved?.contentHtml || '', draft?.contentHtml || '').some((paragraph) => paragraph.type !== 'same')
+  || getChangedSettings(saved, draft).length > 0;
@@ -29,9 +29,9 @@ export const calculateAvailableHeightForElement = ({
   
   // Measure footnote height first, then get available height
   const tempFootnotesContainer = document.createElement('div');
-  tempFootnotesContainer.style.width = isDesktop ? contentWidth + 'px' : measure.body.clientWidth + 'px';
+  tempFootnotesContainer.style.width = isDesktop ? contentWidth + 'px' : measure.getContentWidth() + 'px';
   measure.body.appendChild(tempFootnotesContainer);
-  const footnotesHeight = measureFootnotesHeight(testFootnotes, tempFootnotesContainer, allFootnotes, isDesktop, pageWidth);
+  const footnotesHeight = measureFootnotesHeight(testFootnotes, tempFootnotesContainer, allFootnotes, isDesktop, pageWidth, measure);
   measure.body.removeChild(tempFootnotesContainer);
   
   // Get available height - it will use footnotes height if provided, or bottom margin if not
@@ -66,7 +66,7 @@ export const checkElementFits = ({
 }) => {
   const testElements = [...currentPageElements, element.outerHTML];
   const tempTotalContainer = document.createElement('div');
-  tempTotalContainer.style.width = isDesktop ? contentWidth + 'px' : measure.body.clientWidth + 'px';
+  tempTotalContainer.style.width = isDesktop ? contentWidth + 'px' : measure.getContentWidth() + 'px';
   // For desktop, append to pageContent to match actual DOM structure; for mobile, body is fine
   const measureParent = (isDesktop && measure.pageContent) ? measure.pageContent : measure.body;
   measureParent.appendChild(tempTotalContainer);
@@ -88,7 +88,7 @@ export const checkElementFits = ({
   applyParagraphStylesToContainer(contentWrapper, isDesktop);
   tempTotalContainer.appendChild(contentWrapper);
   
-  const totalContentHeight = tempTotalContainer.offsetHeight;
+  const totalContentHeight = measure.measureHeight(tempTotalContainer);
   measureParent.removeChild(tempTotalContainer);
   
   // Element fits if total content height (with padding) fits in contentAvailableHeight + padding
@@ -112,7 +112,7 @@ export const calculateRemainingHeight = ({
   applyParagraphStylesToContainer
 }) => {
   const tempCurrentPageContainer = document.createElement('div');
-  tempCurrentPageContainer.style.width = isDesktop ? contentWidth + 'px' : measure.body.clientWidth + 'px';
+  tempCurrentPageContainer.style.width = isDesktop ? contentWidth + 'px' : measure.getContentWidth() + 'px';
   // For desktop, append to pageContent to match actual DOM structure; for mobile, body is fine
   const measureParent = (isDesktop && measure.pageContent) ? measure.pageContent : measure.body;
   measureParent.appendChild(tempCurrentPageContainer);
@@ -126,7 +126,7 @@ export const calculateRemainingHeight = ({
   // Apply base paragraph styles to match actual rendering
   applyParagraphStylesToContainer(tempCurrentPageContainer, isDesktop);
   
-  const currentPageContentHeight = tempCurrentPageContainer.offsetHeight;
+  const currentPageContentHeight = measure.measureHeight(tempCurrentPageContainer);
   measureParent.removeChild(tempCurrentPageContainer);
   
   const remainingContentHeight = Math.max(0, contentAvailableHeight - currentPageContentHeight);
@@ -266,7 +266,7 @@ export const processSplitResult = ({
   // Measure how much space the first part would actually use
   const firstPartTestContainer = document.createElement('div');
   // Use contentWidth for desktop (accounts for padding), body.clientWidth for mobile
-  const measureWidth = (isDesktop && contentWidth) ? contentWidth : measure.body.clientWidth;
+  const measureWidth = (isDesktop && contentWidth) ? contentWidth : measure.getContentWidth();
   firstPartTestContainer.style.width = measureWidth + 'px';
   // For desktop, append to pageContent to match structure; for mobile, body is fine
   const measureParent = (isDesktop && measure.pageContent) ? measure.pageContent : measure.body;
@@ -285,7 +285,7 @@ export const processSplitResult = ({
   
   applyParagraphStylesToContainer(firstPartContentWrapper, isDesktop);
   firstPartTestContainer.appendChild(firstPartContentWrapper);
-  const firstPartHeight = firstPartTestContainer.offsetHeight;
+  const firstPartHeight = measure.measureHeight(firstPartTestContainer);
   measureParent.removeChild(firstPartTestContainer);
   
   const firstPartRemainingSpace = baseAvailableHeight - firstPartHeight;
@@ -467,7 +467,7 @@ export const paginateElement = ({
       // Element fits - double-check that the total page content (with padding) still fits
       const finalTestElements = [...currentPageElements, element.outerHTML];
       const finalTestContainer = document.createElement('div');
-      finalTestContainer.style.width = isDesktop ? contentWidth + 'px' : measure.body.clientWidth + 'px';
+      finalTestContainer.style.width = isDesktop ? contentWidth + 'px' : measure.getContentWidth() + 'px';
       // For desktop, append to pageContent to match actual DOM structure; for mobile, body is fine
       const finalMeasureParent = (isDesktop && measure.pageContent) ? measure.pageContent : measure.body;
       finalMeasureParent.appendChild(finalTestContainer);
@@ -492,7 +492,7 @@ export const paginateElement = ({
       
       applyParagraphStylesToContainer(finalContentWrapper, isDesktop);
       finalTestContainer.appendChild(finalContentWrapper);
-      const finalTotalHeight = finalTestContainer.offsetHeight;
+      const finalTotalHeight = measure.measureHeight(finalTestContainer);
       finalMeasureParent.removeChild(finalTestContainer);
       
       // Calculate overflow amount
@@ -616,7 +616,7 @@ export const paginateElement = ({
           const tempFootnotesContainerFirst = document.createElement('div');
           tempFootnotesContainerFirst.style.width = contentWidth + 'px';
           measure.body.appendChild(tempFootnotesContainerFirst);
-          const footnotesHeightWithFirst = measureFootnotesHeight(testFootnotesWithFirst, tempFootnotesContainerFirst, allFootnotes, isDesktop, pageWidth);
+          const footnotesHeightWithFirst = measureFootnotesHeight(testFootnotesWithFirst, tempFootnotesContainerFirst, allFootnotes, isDesktop, pageWidth, measure);
           measure.body.removeChild(tempFootnotesContainerFirst);
           
           const isFirstPage = chapter.isFirstPage;
@@ -633,7 +633,7 @@ export const paginateElement = ({
           tempFirstPartOnly.appendChild(tempFirst.firstElementChild || tempFirst);
           
           applyParagraphStylesToContainer(tempFirstPartOnly, isDesktop);
-          const firstPartHeight = tempFirstPartOnly.offsetHeight;
+          const firstPartHeight = measure.measureHeight(tempFirstPartOnly);
           measureParentFirst.removeChild(tempFirstPartOnly);
           
           const firstPartFits = firstPartHeight <= remainingContentHeight;
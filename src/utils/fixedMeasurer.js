@@ -0,0 +1,124 @@
+/**
+ * Deterministic measurer for running the pagination engine without a layout engine
+ *
+ * jsdom has a DOM but no layout (offsetHeight is always 0), so this measurer
+ * estimates heights from text length instead: every character is `charWidth`
+ * wide, text wraps at `contentWidth`, and each line is `lineHeight` tall.
+ * Images and videos take `mediaHeight` unless they carry a height attribute.
+ * The numbers are not meant to match a browser - only to be stable, so page
+ * breaks, footnote placement and karaoke slice boundaries can be asserted on.
+ *
+ * Implements the same interface as createMeasureContainer (paginationHelpers.js).
+ */
+
+const BLOCK_TAGS = new Set([
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DIV', 'DL', 'DT', 'DD', 'FIGCAPTION', 'FIGURE',
+  'FOOTER', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'LI', 'OL', 'P', 'PRE', 'SECTION',
+  'TABLE', 'TR', 'UL',
+]);
+const MEDIA_TAGS = new Set(['IMG', 'VIDEO', 'IFRAME', 'AUDIO']);
+
+const parsePx = (value) => {
+  const n = parseFloat(value);
+  return Number.isFinite(n) && /px$/.test(String(value).trim()) ? n : 0;
+};
+
+/**
+ * @param {Object} [options]
+ * @param {boolean} [options.isDesktop=true] - selects the desktop or mobile bottom margins
+ * @param {number} [options.pageHeight=636]
+ * @param {number} [options.contentWidth=370] - text column width in px
+ * @param {number} [options.lineHeight=24]
+ * @param {number} [options.charWidth=10]
+ * @param {number} [options.mediaHeight=200]
+ */
+export const createFixedMeasurer = ({
+  isDesktop = true,
+  pageHeight = 636,
+  contentWidth = 370,
+  lineHeight = 24,
+  charWidth = 10,
+  mediaHeight = 200,
+} = {}) => {
+  const container = document.createElement('div');
+  container.className = 'page-container';
+  const sheet = document.createElement('div');
+  sheet.className = 'page-sheet content-page';
+  const body = document.createElement('section');
+  body.className = 'page-body';
+  const pageContent = document.createElement('div');
+  pageContent.className = 'page-content';
+  body.appendChild(pageContent);
+  sheet.appendChild(body);
+  container.appendChild(sheet);
+
+  const bodyHeight = isDesktop ? pageHeight - 48 - 48 : pageHeight;
+
+  const countLines = (text, width) => {
+    const charsPerLine = Math.max(1, Math.floor(width / charWidth));
+    return text
+      .split('\n')
+      .reduce((sum, line) => sum + Math.max(1, Math.ceil(line.length / charsPerLine)), 0);
+  };
+
+  // Text of an inline subtree; <br> becomes a line break
+  const inlineText = (node, preserveWhitespace) => {
+    if (node.nodeType === 3) {
+      return preserveWhitespace ? node.textContent : node.textContent.replace(/\s+/g, ' ');
+    }
+    if (node.nodeType !== 1) return '';
+    if (node.tagName === 'BR') return '\n';
+    return Array.from(node.childNodes).map((child) => inlineText(child, preserveWhitespace)).join('');
+  };
+
+  const estimateHeight = (node, width, preserveWhitespace = false) => {
+    if (node.nodeType !== 1) return 0;
+    if (MEDIA_TAGS.has(node.tagName)) {
+      return Number(node.getAttribute('height')) || mediaHeight;
+    }
+    if (node.tagName === 'HR') return lineHeight;
+
+    const ownWidth = parsePx(node.style?.width) || width;
+    const preserve = preserveWhitespace || /pre/.test(node.style?.whiteSpace || '');
+    let height = 0;
+    let text = '';
+    const flushText = () => {
+      if (text.trim()) height += countLines(text.trim(), ownWidth) * lineHeight;
+      text = '';
+    };
+
+    Array.from(node.childNodes).forEach((child) => {
+      if (child.nodeType === 1 && (BLOCK_TAGS.has(child.tagName) || MEDIA_TAGS.has(child.tagName) || child.tagName === 'HR')) {
+        flushText();
+        height += estimateHeight(child, ownWidth, preserve);
+      } else {
+        text += inlineText(child, preserve);
+      }
+    });
+    flushText();
+
+    return height + parsePx(node.style?.paddingTop) + parsePx(node.style?.paddingBottom);
+  };
+
+  return {
+    container,
+    sheet,
+    body,
+    pageContent,
+    destroy: () => container.remove(),
+    setHeading: (hasHeading) => {
+      sheet.classList.remove('page-with-heading', 'page-without-heading');
+      sheet.classList.add(hasHeading ? 'page-with-heading' : 'page-without-heading');
+    },
+    getAvailableHeight: (footnotesHeight = 0, isFirstPage = false) => {
+      // Same bottom margins as createMeasureContainer
+      const bottomMargin = isDesktop ? (isFirstPage ? 20 : 24) : (isFirstPage ? 20 : 32);
+      const reservedSpace = footnotesHeight > 0 ? footnotesHeight : bottomMargin;
+      return Math.max(0, bodyHeight - reservedSpace);
+    },
+    measureHeight: (node) => estimateHeight(node, contentWidth),
+    getContentWidth: () => contentWidth,
+    getBodyHeight: () => bodyHeight,
+    waitForImages: () => Promise.resolve(),
+  };
+};
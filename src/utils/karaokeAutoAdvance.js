@@ -0,0 +1,20 @@
+/**
+ * Karaoke auto-advance: whether a karaoke block that runs over several pages
+ * keeps playing through the page turns on mobile, the reader turning to the
+ * next page by itself, or pauses at the end of each page until the reader
+ * turns it. On unless the reader switches it off in the reader settings; the
+ * choice is saved per device.
+ */
+
+import { createPersistedSetting } from './persistedSetting';
+
+const STORAGE_KEY = 'karaokeAutoAdvance:v1';
+
+const autoAdvance = createPersistedSetting(STORAGE_KEY, {
+  parse: (stored) => stored !== 'off',
+  serialize: (enabled) => (enabled ? 'on' : 'off'),
+});
+
+export const getKaraokeAutoAdvance = autoAdvance.get;
+export const setKaraokeAutoAdvance = autoAdvance.set;
+export const subscribeKaraokeAutoAdvance = autoAdvance.subscribe;
@@ -3,6 +3,9 @@
  * Functions for text processing, timing assignment, and slice initialization
  */
 
+// Dispatched on a karaoke slice to play or pause it without a tap (keyboard, screen readers)
+export const KARAOKE_TOGGLE_EVENT = 'karaoketoggle';
+
 export const normalizeWord = (value) => {
   if (!value) return '';
   return value
@@ -96,6 +99,79 @@ export const assignLetterTimingsToChars = (text, wordTimings = []) => {
   return { letterTimings, wordCharRanges };
 };
 
+/**
+ * Fill word spans up to `time`: spoken words get karaoke-word-complete, the
+ * current one karaoke-word-active with --karaoke-fill for its progress.
+ * Spans carry data-word-index, data-start and data-end (seconds for recorded
+ * audio; read-aloud uses character positions). Words before resumeWordIndex
+ * are shown as already spoken.
+ */
+export const highlightWordSpans = (wordSpans, time, resumeWordIndex = null) => {
+  wordSpans.forEach((span) => {
+    const wordIndex = parseInt(span.dataset.wordIndex ?? '-1', 10);
+    if (wordIndex < 0) return;
+
+    if (typeof resumeWordIndex === 'number' && wordIndex < resumeWordIndex) {
+      span.classList.add('karaoke-word-complete');
+      span.classList.remove('karaoke-word-active');
+      span.style.setProperty('--karaoke-fill', '1');
+      return;
+    }
+
+    const start = parseFloat(span.dataset.start);
+    const end = parseFloat(span.dataset.end);
+    if (Number.isNaN(start) || Number.isNaN(end)) return;
+
+    let fillValue = 0;
+    if (time >= end) {
+      span.classList.add('karaoke-word-complete');
+      span.classList.remove('karaoke-word-active');
+      fillValue = 1;
+    } else if (time >= start) {
+      const duration = Math.max(end - start, 0.001);
+      fillValue = Math.min(Math.max((time - start) / duration, 0), 1);
+      span.classList.add('karaoke-word-active');
+      span.classList.remove('karaoke-word-complete');
+    } else {
+      span.classList.remove('karaoke-word-active', 'karaoke-word-complete');
+    }
+
+    span.style.setProperty('--karaoke-fill', fillValue.toFixed(3));
+  });
+};
+
+/**
+ * Word being sung at `time`: the one it falls in, else the last one before it,
+ * else the first timed word
+ * @param {Array} wordCharRanges - from assignLetterTimingsToChars
+ */
+export const findKaraokeWordAtTime = (wordCharRanges = [], time) => {
+  const timed = wordCharRanges.filter((word) => word && typeof word.start === 'number' && typeof word.end === 'number');
+  return timed.find((word) => time >= word.start && time < word.end)
+    || timed.filter((word) => time >= word.end).pop()
+    || timed[0]
+    || null;
+};
+
+/**
+ * Index in pages of the page whose slice of a karaoke block holds a character
+ * of the block's text (-1 if none does)
+ * @param {Array} pages - paginated pages; slices are in page.content (see karaokePagination.js)
+ */
+export const findKaraokePageIndex = (pages, karaokeId, charIndex) => {
+  const template = document.createElement('template');
+  return pages.findIndex((page) => {
+    if (!page.content || !page.content.includes(karaokeId)) return false;
+    template.innerHTML = page.content;
+    return Array.from(template.content.querySelectorAll('.karaoke-slice')).some((slice) => {
+      if (slice.getAttribute('data-karaoke-id') !== karaokeId) return false;
+      const start = parseInt(slice.getAttribute('data-karaoke-start') || '0', 10);
+      const end = parseInt(slice.getAttribute('data-karaoke-end') || '0', 10);
+      return charIndex >= start && charIndex < end;
+    });
+  });
+};
+
 /**
  * Initialize a karaoke slice by wrapping words in spans for highlighting
  * This is extracted from PageReader.jsx for reuse in the hook
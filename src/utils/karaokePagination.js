@@ -139,7 +139,8 @@ export const handleKaraokeElement = ({
       measure.body,
       allFootnotes,
       isDesktop,
-      pageWidth
+      pageWidth,
+      measure
     );
     const BOTTOM_MARGIN_KARAOKE = 32; // Reduced from 48px to fit one more line
     // For karaoke, use the reduced bottom margin when no footnotes
@@ -156,7 +157,7 @@ export const handleKaraokeElement = ({
       height = pageHeight - bodyPaddingTop - bodyPaddingBottom;
     } else {
       // Mobile: use actual rendered height (matching original behavior)
-      height = measure.body.clientHeight;
+      height = measure.getBodyHeight();
     }
     const availableHeight = Math.max(0, height - reservedSpace);
     const remainingText = sourceText.slice(cursor);
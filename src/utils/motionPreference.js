@@ -0,0 +1,60 @@
+/**
+ * Motion preference: whether animated parts of the app (the feather cursor,
+ * the loaders, the karaoke highlight) switch to their static variants
+ *
+ * Follows the system's prefers-reduced-motion unless the reader overrides it
+ * in the reader settings; the override is saved per device. While motion is
+ * reduced, data-reduced-motion is set on <html> for CSS-only animations.
+ */
+
+import { createPersistedSetting } from './persistedSetting';
+
+const STORAGE_KEY = 'motionPreference:v1';
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+export const MOTION_SETTINGS = {
+  system: { label: 'Kot v sistemu' },
+  reduced: { label: 'Zmanjšano' },
+  full: { label: 'Polno' },
+};
+
+export const DEFAULT_MOTION_SETTING = 'system';
+
+const normalizeSetting = (setting) => (MOTION_SETTINGS[setting] ? setting : DEFAULT_MOTION_SETTING);
+
+const motionSetting = createPersistedSetting(STORAGE_KEY, { parse: normalizeSetting });
+
+const getMediaQuery = () => (typeof window !== 'undefined' && window.matchMedia
+  ? window.matchMedia(REDUCED_MOTION_QUERY)
+  : null);
+
+export const getMotionSetting = motionSetting.get;
+export const setMotionSetting = motionSetting.set;
+
+/**
+ * Whether motion is reduced, after the reader's override
+ */
+export const getReducedMotion = () => {
+  const setting = getMotionSetting();
+  if (setting !== 'system') return setting === 'reduced';
+  return !!getMediaQuery()?.matches;
+};
+
+// Listeners also hear the system preference change
+export const subscribeMotionPreference = (listener) => {
+  const query = getMediaQuery();
+  query?.addEventListener?.('change', listener);
+  const unsubscribe = motionSetting.subscribe(listener);
+  return () => {
+    query?.removeEventListener?.('change', listener);
+    unsubscribe();
+  };
+};
+
+/**
+ * Reflect the preference on the document for CSS
+ */
+export const applyReducedMotion = (reduced) => {
+  if (reduced) document.documentElement.dataset.reducedMotion = 'true';
+  else delete document.documentElement.dataset.reducedMotion;
+};
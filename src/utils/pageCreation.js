@@ -5,7 +5,7 @@ import { measureFootnotesHeight } from './paginationHelpers';
  * Remove empty paragraphs from the start of elements array
  * Used for standalone first page to fit more content on small screens
  */
-export const removeEmptyParagraphs = (elements, isStandaloneFirstPage, isDesktop = false) => {
+export const removeEmptyParagraphs = (elements, isStandaloneFirstPage, isDesktop = false, screenHeight = 1000) => {
   if (!isStandaloneFirstPage) return elements;
   
   // For desktop, remove more empty paragraphs to fit content better
@@ -14,8 +14,7 @@ export const removeEmptyParagraphs = (elements, isStandaloneFirstPage, isDesktop
   if (isDesktop) {
     maxRemovals = 3; // Remove up to 6 empty paragraphs on desktop
   } else {
-  const deviceScreenHeight = typeof window !== 'undefined' && window.screen ? window.screen.height : 1000;
-    maxRemovals = deviceScreenHeight <= 700 ? 5 : deviceScreenHeight <= 850 ? 1 : 0;
+    maxRemovals = screenHeight <= 700 ? 5 : screenHeight <= 850 ? 1 : 0;
   }
   
   const initialLength = elements.length;
@@ -98,7 +97,7 @@ export const calculatePagePadding = (pageFootnotes, currentPageFootnotes, hasKar
   // Footnotes are absolutely positioned at bottom of page-body
   // Content needs padding-bottom to reserve space for footnotes OR bottom margin
   const footnotesHeight = pageFootnotes.length > 0 
-    ? measureFootnotesHeight(currentPageFootnotes, measure.body, allFootnotes, isDesktop, pageWidth)
+    ? measureFootnotesHeight(currentPageFootnotes, measure.body, allFootnotes, isDesktop, pageWidth, measure)
     : 0;
   
   // Standard bottom margin when there are no footnotes (for consistent page spacing)
@@ -134,13 +133,14 @@ export const createPageFromElements = ({
   measure,
   backgroundVideosByPage,
   isDesktop,
-  pageWidth
+  pageWidth,
+  screenHeight
 }) => {
   if (!elements.length) return null;
   
   // CRITICAL: For standalone first page, remove empty paragraphs from the start BEFORE processing
   const isStandaloneFirstPage = chapter.isFirstPage && chapterPageIndex === 0;
-  const filteredElements = removeEmptyParagraphs(elements, isStandaloneFirstPage, isDesktop);
+  const filteredElements = removeEmptyParagraphs(elements, isStandaloneFirstPage, isDesktop, screenHeight);
   
   // Log elements being used to create page on desktop
   if (isDesktop) {
@@ -0,0 +1,131 @@
+/**
+ * Pagination cache - computed pages per chapter, stored in IndexedDB
+ *
+ * One record per (chapterId, page dimensions, font settings). A record is only
+ * reused while the chapter's content key still matches: chapter and subchapter
+ * `version` counters (bumped by updateChapter/updateSubchapter), plus the
+ * things outside the chapter that end up in its pages - its chapterIndex
+ * (from `order`) and the global footnote numbers it was given. PAGE_FORMAT is
+ * bumped whenever pagination starts writing different page HTML.
+ *
+ * Every resize, zoom or typography change paginates for a new layout, so each
+ * chapter keeps records for its MAX_LAYOUTS_PER_CHAPTER most recently used
+ * layouts only.
+ */
+
+const DB_NAME = 'pagination-cache';
+const PAGE_FORMAT = 2; // 2: content elements carry data-block-index
+const DB_VERSION = 1;
+const STORE_NAME = 'chapters';
+export const MAX_LAYOUTS_PER_CHAPTER = 3;
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Private browsing and blocked storage: run without a cache, try again next load
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+};
+
+const runRequest = (mode, createRequest) =>
+  openDatabase().then((db) => new Promise((resolve, reject) => {
+    const request = createRequest(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }));
+
+// Records of one chapter: their keys all start with the chapter id
+const chapterRange = (chapterId) => IDBKeyRange.bound(`${chapterId}|`, `${chapterId}|\uffff`);
+
+// Drop the chapter's least recently used layouts beyond the limit
+const evictLayouts = (store, chapterId) => {
+  const request = store.getAll(chapterRange(chapterId));
+  request.onsuccess = () => {
+    request.result
+      .sort((a, b) => (b.usedAt ?? b.savedAt) - (a.usedAt ?? a.savedAt))
+      .slice(MAX_LAYOUTS_PER_CHAPTER)
+      .forEach((record) => store.delete(record.key));
+  };
+};
+
+const putRecord = (record) =>
+  openDatabase().then((db) => new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    store.put(record).onsuccess = () => evictLayouts(store, record.chapterId);
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  }));
+
+/**
+ * Font settings that affect line breaking, read from the measurement container
+ */
+export const getFontSignature = (element) => {
+  if (!element || typeof window === 'undefined') return '';
+  const style = window.getComputedStyle(element);
+  return [style.fontFamily, style.fontSize, style.lineHeight, style.letterSpacing, style.wordSpacing].join('/');
+};
+
+/**
+ * Content key of a chapter: changes whenever its pages could come out different
+ */
+export const getChapterContentKey = (chapter, chapterIndex, footnoteNumbers = []) => {
+  const children = (chapter.children || [])
+    .map((sub) => `${sub.id}@${sub.version ?? 0}#${sub.order ?? ''}`)
+    .join(',');
+  return `p${PAGE_FORMAT}|${chapter.version ?? 0}|${chapterIndex}|${children}|${footnoteNumbers.join(',')}`;
+};
+
+/**
+ * Create the cache used for one pagination run
+ * @param {Object} params
+ * @param {string} params.dimensions - measured page content size and device class
+ * @param {string} params.fontSignature - from getFontSignature
+ * @returns {{ get: Function, set: Function }} - get(chapterId, contentKey) resolves to
+ *   { pages, karaokeSources } or null; set(chapterId, contentKey, entry) never rejects
+ */
+export const createPaginationCache = ({ dimensions, fontSignature }) => {
+  const recordKey = (chapterId) => `${chapterId}|${dimensions}|${fontSignature}`;
+
+  return {
+    get: (chapterId, contentKey) =>
+      runRequest('readonly', (store) => store.get(recordKey(chapterId)))
+        .then((record) => {
+          if (!record || record.contentKey !== contentKey) return null;
+          // Mark the layout as used, so it outlives ones not used since
+          runRequest('readwrite', (store) => store.put({ ...record, usedAt: Date.now() })).catch(() => {});
+          return { pages: record.pages, karaokeSources: record.karaokeSources || {} };
+        })
+        .catch(() => null),
+    // Overwrites the chapter's previous record for these dimensions, so stale versions don't pile up
+    set: (chapterId, contentKey, { pages, karaokeSources }) =>
+      putRecord({
+        key: recordKey(chapterId),
+        chapterId,
+        contentKey,
+        pages,
+        karaokeSources,
+        savedAt: Date.now(),
+        usedAt: Date.now(),
+      }).catch(() => {
+        // Not cacheable (quota, unsupported values) - the chapter is just re-measured next time
+      }),
+  };
+};
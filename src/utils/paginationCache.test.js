@@ -0,0 +1,60 @@
+import 'fake-indexeddb/auto';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { MAX_LAYOUTS_PER_CHAPTER, createPaginationCache } from './paginationCache';
+
+const entry = (label) => ({ pages: [{ content: label }], karaokeSources: {} });
+
+// The cache the reader would make for a page size
+const cacheFor = (width) => createPaginationCache({ dimensions: `desktop:${width}x540`, fontSignature: 'serif' });
+
+describe('createPaginationCache', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1000;
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(now);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const tick = () => vi.setSystemTime(++now);
+
+  it('returns the pages saved for the same layout and content key', async () => {
+    await cacheFor(370).set('reuse', 'v1', entry('a'));
+    expect(await cacheFor(370).get('reuse', 'v1')).toEqual(entry('a'));
+    expect(await cacheFor(370).get('reuse', 'v2')).toBeNull();
+    expect(await cacheFor(400).get('reuse', 'v1')).toBeNull();
+  });
+
+  it(`keeps a chapter's ${MAX_LAYOUTS_PER_CHAPTER} most recently used layouts`, async () => {
+    const widths = [300, 310, 320, 330];
+    for (const width of widths.slice(0, MAX_LAYOUTS_PER_CHAPTER)) {
+      tick();
+      await cacheFor(width).set('lru', 'v1', entry(String(width)));
+    }
+
+    // Using the oldest layout again keeps it; the next oldest goes when a new layout is saved
+    tick();
+    expect(await cacheFor(300).get('lru', 'v1')).toEqual(entry('300'));
+    tick();
+    await cacheFor(widths[3]).set('lru', 'v1', entry(String(widths[3])));
+
+    expect(await cacheFor(310).get('lru', 'v1')).toBeNull();
+    expect(await cacheFor(300).get('lru', 'v1')).toEqual(entry('300'));
+    expect(await cacheFor(320).get('lru', 'v1')).toEqual(entry('320'));
+    expect(await cacheFor(330).get('lru', 'v1')).toEqual(entry('330'));
+  });
+
+  it('leaves other chapters alone when evicting', async () => {
+    await cacheFor(300).set('other', 'v1', entry('other'));
+    for (const width of [300, 310, 320, 330]) {
+      tick();
+      await cacheFor(width).set('busy', 'v1', entry(String(width)));
+    }
+    expect(await cacheFor(300).get('other', 'v1')).toEqual(entry('other'));
+    expect(await cacheFor(300).get('busy', 'v1')).toBeNull();
+  });
+});
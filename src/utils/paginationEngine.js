@@ -0,0 +1,427 @@
+import { getAllFootnotes } from './footnotes';
+import { sortChapters, determineChapterIndex, createEmptyPage, createEpigraphPage, createVideoPage, extractBackgroundVideos } from './paginationHelpers';
+import { createPageFromElements } from './pageCreation';
+import { processHTMLContent, buildChapterContentBlocks } from './contentProcessing';
+import { handleKaraokeElement } from './karaokePagination';
+import { handleFieldNotesElement, hasFieldNotesBlocks } from './fieldNotesPagination';
+import { paginateElement } from './elementPagination';
+import { extractFootnotesFromContent, measureFootnotesHeight, applyParagraphStylesToContainer, isAtomicElement, splitTextAtSentenceBoundary, splitTextAtWordBoundary } from './paginationHelpers';
+import { createBlockAnchorTracker } from './readingAnchor';
+import { getChapterContentKey } from './paginationCache';
+
+/**
+ * Pagination engine - splits chapters into pages
+ *
+ * Doesn't read the window: page geometry comes in through `layout` and every
+ * height/width measurement goes through `measurer`. In the browser that is
+ * createMeasureContainer (paginationHelpers.js); under Node/jsdom use
+ * createFixedMeasurer (fixedMeasurer.js) for deterministic page breaks.
+ */
+
+/**
+ * Derive page geometry from the viewport
+ * Desktop PDF pages are a fixed 450x636 (matches PDFViewer.css max-width/max-height;
+ * single-page spreads are taller, but the smaller height keeps content fitting
+ * everywhere). Mobile pages fill the viewport height.
+ * `zoom` is the desktop reader's zoom level: page geometry stays in unzoomed px,
+ * but the measurer lays text out at the zoomed size, where line breaks can differ.
+ * `marginScale` scales the horizontal page margins (reader typography settings).
+ */
+export const getPaginationLayout = ({ viewportWidth, viewportHeight, screenHeight = 1000, zoom = 1, marginScale = 1 }) => {
+  const isDesktop = viewportWidth > 768;
+  const pageWidth = isDesktop ? 450 : undefined; // undefined = use CSS min(680px, 96vw)
+  const pageHeight = isDesktop ? 636 : viewportHeight;
+  // Desktop: content width = page width - 2.5rem padding per side (.page-body has padding: 3rem 2.5rem),
+  // scaled by the margin setting
+  const contentWidth = isDesktop ? (pageWidth - 2 * 40 * marginScale) : undefined;
+  return { isDesktop, pageWidth, pageHeight, contentWidth, screenHeight, zoom: isDesktop ? zoom : 1 };
+};
+
+/**
+ * Paginate chapters (with their subchapters) into page objects
+ * @param {Object} params
+ * @param {Array} params.chapters - chapters with children, as loaded in App
+ * @param {Object} params.layout - from getPaginationLayout
+ * @param {Object} params.measurer - measurer interface (see createMeasureContainer)
+ * @param {string} [params.priorityChapterId] - chapter to paginate first (after the first page and cover)
+ * @param {Function} [params.onProgress] - called with { pages, karaokeSources, isComplete } once the
+ *   leading chapters are done and after every chapter from then on; return false to stop early
+ * @param {Function} [params.yieldToMain] - awaited between chapters so the page stays responsive
+ * @param {Object} [params.pageCache] - per-chapter page cache (see createPaginationCache)
+ * @returns {Promise<{ pages: Array, karaokeSources: Object }>} - pages before finalizePages/hyphenation
+ */
+export const paginateChapters = async ({ chapters, layout, measurer, priorityChapterId, onProgress, yieldToMain, pageCache }) => {
+  const { isDesktop, pageWidth, pageHeight, contentWidth, screenHeight } = layout;
+  const measure = measurer;
+  const newKaraokeSources = {};
+
+  if (!chapters || chapters.length === 0) {
+    return { pages: [], karaokeSources: newKaraokeSources };
+  }
+
+  // Sort chapters: isFirstPage first, then isCover, then regular chapters by order
+  const sortedChapters = sortChapters(chapters);
+
+  // Get all footnotes globally for numbering
+  const allFootnotes = getAllFootnotes(chapters);
+  // Create a map of footnote content to global number for quick lookup
+  const footnoteContentToNumber = new Map();
+  allFootnotes.forEach((fn) => {
+    footnoteContentToNumber.set(fn.content.trim(), fn.globalNumber);
+  });
+
+  // Paginate one chapter (with its subchapters); chapters don't depend on each other
+  const paginateChapter = async (chapterIdx) => {
+    const chapter = sortedChapters[chapterIdx];
+    const newPages = [];
+    
+    // Determine chapterIndex: use order field, or special indices for first page/cover
+    const chapterIndex = determineChapterIndex(chapter, chapterIdx);
+    
+    // Build content array: chapter content + all subchapter content
+    const contentBlocks = buildChapterContentBlocks(chapter);
+    
+    // Check if chapter has field notes blocks (to hide title)
+    const chapterHasFieldNotes = contentBlocks.some(block => 
+      hasFieldNotesBlocks(block.content)
+    );
+
+    // Special pages (first page, cover) should always create at least one page, even if empty
+    // Regular chapters with no content are skipped
+    if (contentBlocks.length === 0) {
+      if (chapter.isFirstPage || chapter.isCover) {
+        // Create an empty page for special pages
+        const emptyPage = createEmptyPage(chapter, chapterIndex, 0, chapterHasFieldNotes);
+        newPages.push(emptyPage);
+      }
+      return newPages;
+    }
+
+    // First, collect all background videos with their targetPage from all blocks
+    const backgroundVideosByPage = extractBackgroundVideos(contentBlocks);
+
+    let chapterPageIndex = 0;
+    let currentPageElements = [];
+    let pageHasHeading = false;
+    let currentPageFootnotes = new Set(); // Track footnote numbers on current page
+    let anchorTracker = null; // Records where each page of the current block starts in its content
+
+    const startNewPage = (initialHeading = false) => {
+      // Clear array in place instead of reassigning to preserve reference
+      currentPageElements.length = 0;
+      pageHasHeading = initialHeading;
+      currentPageFootnotes.clear();
+      measure.pageContent.innerHTML = '';
+      measure.setHeading(initialHeading);
+    };
+
+    const pushPage = (blockMeta) => {
+      if (!currentPageElements.length) return;
+      
+      // For field-notes-only chapters, we should NOT be pushing regular content pages
+      // This is a safeguard - if chapter has field notes and we're trying to push,
+      // it means there's mixed content (which is fine), but we should be careful
+      if (chapterHasFieldNotes) {
+        // Check if elements are actually non-empty (not just whitespace)
+        const hasRealContent = currentPageElements.some(el => {
+          const trimmed = el.trim();
+          // Check if it's not just empty tags or whitespace
+          return trimmed.length > 0 && !/^<[^>]+>\s*<\/[^>]+>$/i.test(trimmed);
+        });
+        if (!hasRealContent) {
+          // No real content, don't push empty page
+          return;
+        }
+      }
+      
+      const newPage = createPageFromElements({
+        elements: currentPageElements,
+        blockMeta,
+        chapter,
+        chapterIndex,
+        chapterPageIndex,
+        pageHasHeading,
+        currentPageFootnotes,
+        footnoteContentToNumber,
+        allFootnotes,
+        measure,
+        backgroundVideosByPage,
+        isDesktop,
+        pageWidth,
+        screenHeight,
+        hasFieldNotes: chapterHasFieldNotes
+      });
+      
+      if (newPage) {
+        anchorTracker?.addPage(newPage, currentPageElements.join(''));
+        newPages.push(newPage);
+        chapterPageIndex += 1;
+        startNewPage(false);
+      }
+    };
+
+    startNewPage(false);
+
+    for (let blockIdx = 0; blockIdx < contentBlocks.length; blockIdx++) {
+      const block = contentBlocks[blockIdx];
+      anchorTracker = createBlockAnchorTracker(block);
+      
+      // Create epigraph page if epigraph exists
+      const epigraphPage = createEpigraphPage(block, chapter, chapterIndex, chapterPageIndex);
+      if (epigraphPage) {
+        anchorTracker.addPage(epigraphPage);
+        newPages.push(epigraphPage);
+        chapterPageIndex += 1;
+      }
+      
+      // Process HTML content: extract videos, replace dashes, prepare for pagination
+      const { elements, videoElements } = await processHTMLContent(block.content, isDesktop, measure.waitForImages);
+      
+      // Create video pages for blank-page videos
+      videoElements.forEach((video) => {
+        const videoPage = createVideoPage(video, chapter, chapterIndex, chapterPageIndex, block);
+        anchorTracker.addPage(videoPage);
+        newPages.push(videoPage);
+        chapterPageIndex += 1;
+      });
+
+      // Main pagination loop: process each element
+      let lastElementWasFieldNotes = false;
+      for (let elementIndex = 0; elementIndex < elements.length; elementIndex++) {
+        const element = elements[elementIndex];
+        const isHeadingElement = /^H[1-6]$/i.test(element.tagName || '');
+        const isSubchapterTitle = /^H[4-6]$/i.test(element.tagName || '');
+        const isChapterTitle = /^H[1-3]$/i.test(element.tagName || '');
+        
+        // Skip heading elements if chapter has field notes (title should be hidden)
+        if (chapterHasFieldNotes && isHeadingElement) {
+          continue; // Don't reset flag on skipped elements
+        }
+        
+        // Skip heading elements if hideTitle is enabled
+        // For chapters, skip h1-h3; for subchapters, skip h4-h6
+        if (block.hideTitle) {
+          if ((block.type === 'chapter' && isChapterTitle) || 
+              (block.type === 'subchapter' && isSubchapterTitle)) {
+            continue; // Don't reset flag on skipped elements
+          }
+        }
+        
+        // Reset flag only when we actually process a non-field-notes element
+        // (We'll set it to true if this element is field notes)
+        lastElementWasFieldNotes = false;
+        
+        // Update heading state if needed (affects available height)
+        if (isSubchapterTitle && !pageHasHeading) {
+          pageHasHeading = true;
+          measure.setHeading(true);
+          // Force a reflow to ensure CSS changes take effect before measurement
+          measure.body.offsetHeight;
+        }
+
+        // Handle background video elements - skip them from content
+        if (element.tagName === 'VIDEO') {
+          const videoMode = element.getAttribute('data-video-mode') || 'blank-page';
+          if (videoMode === 'background') {
+            continue;
+          }
+        }
+
+        // Element takes part in pagination - its text counts toward page anchors
+        anchorTracker.addElement(elementIndex, element);
+        // Split parts are clones, so every piece on a page knows its element (see annotations.js)
+        element.setAttribute('data-block-index', String(elementIndex));
+
+        // Handle karaoke elements (they manage their own pagination)
+        if (
+          element.classList?.contains('karaoke-object') ||
+          element.hasAttribute?.('data-karaoke') ||
+          element.querySelector?.('.karaoke-object')
+        ) {
+          // Create wrapper functions that always use the current array references
+          // This ensures that when startNewPage creates a new array, handleKaraokeElement
+          // will use the new array reference on subsequent iterations
+          const getCurrentPageElements = () => currentPageElements;
+          const getCurrentPageFootnotes = () => currentPageFootnotes;
+          const addToCurrentPageElements = (html) => {
+            currentPageElements.push(html);
+          };
+          const addToCurrentPageFootnotes = (num) => {
+            currentPageFootnotes.add(num);
+          };
+          
+          const handled = handleKaraokeElement({
+            element,
+            blockMeta: block,
+            chapterIdx,
+            newKaraokeSources,
+            getCurrentPageFootnotes,
+            getCurrentPageElements,
+            addToCurrentPageElements,
+            addToCurrentPageFootnotes,
+            measure,
+            footnoteContentToNumber,
+            allFootnotes,
+            isDesktop,
+            pageWidth,
+            pageHeight,
+            contentWidth,
+            pushPage,
+            startNewPage
+          });
+          
+          if (handled) {
+            continue;
+          }
+        }
+
+        // Handle field notes elements (one page per block)
+        if (element.hasAttribute('data-field-notes-block')) {
+          // Save current state before processing field notes
+          const hadContentBefore = currentPageElements.length > 0;
+          
+          const fieldNotesPage = handleFieldNotesElement({
+            element,
+            blockMeta: block,
+            chapter,
+            chapterIndex,
+            chapterPageIndex,
+            pushPage: () => pushPage(block),
+            startNewPage: () => startNewPage(false),
+            getCurrentPageElements: () => currentPageElements, // Pass function to check current elements
+            chapterHasFieldNotes: chapterHasFieldNotes // Pass flag to know if chapter only has field notes
+          });
+          
+          if (fieldNotesPage) {
+            anchorTracker.addPageForElement(fieldNotesPage);
+            newPages.push(fieldNotesPage);
+            chapterPageIndex += 1;
+            // handleFieldNotesElement already called startNewPage, which cleared currentPageElements
+            // CRITICAL: Ensure it stays empty to prevent empty page at end
+            // Also ensure pageHasHeading is reset since field notes pages don't have headings
+            currentPageElements.length = 0;
+            currentPageFootnotes.clear();
+            pageHasHeading = false; // Reset heading state
+            lastElementWasFieldNotes = true; // Mark that last element was field notes
+            continue;
+          }
+        }
+
+        // Paginate regular elements
+        // Note: paginateElement mutates currentPageElements and currentPageFootnotes directly
+        const result = paginateElement({
+          element,
+          elementIndex,
+          elementsLength: elements.length,
+          currentPageElements,
+          currentPageFootnotes,
+          pageHasHeading,
+          chapter,
+          chapterPageIndex,
+          block,
+          measure,
+          contentWidth,
+          isDesktop,
+          pageHeight,
+          pageWidth,
+          footnoteContentToNumber,
+          allFootnotes,
+          applyParagraphStylesToContainer,
+          extractFootnotesFromContent,
+          measureFootnotesHeight,
+          isAtomicElement,
+          splitTextAtSentenceBoundary,
+          splitTextAtWordBoundary,
+          pushPage,
+          startNewPage
+        });
+        
+        // Update state from result
+        if (result && result.pageHasHeading !== undefined) {
+          pageHasHeading = result.pageHasHeading;
+        }
+      }
+
+      // Finalize last page of block
+      // For chapters with ONLY field notes, we should ONLY have field notes pages (no regular content pages)
+      // CRITICAL: If chapter has field notes and last element was field notes, NEVER push a final page
+      if (lastElementWasFieldNotes) {
+        // Field notes element already created its page, ensure no leftover content
+        currentPageElements.length = 0;
+        currentPageFootnotes.clear();
+        // Don't push - field notes already created its own page
+      } else if (chapterHasFieldNotes) {
+        // Chapter has field notes
+        // Only push if there's actual content AND it's not empty
+        // But be very careful - if we only have field notes, currentPageElements should be empty
+        if (currentPageElements.length > 0) {
+          // There's regular content mixed with field notes, so push it
+          pushPage(block);
+        }
+        // If empty, don't push - field notes pages were already added individually
+      } else if (currentPageElements.length > 0) {
+        // Regular chapter without field notes - push if there's content
+        pushPage(block);
+      }
+      // If currentPageElements is empty and last wasn't field notes and chapter doesn't have field notes,
+      // that's fine - nothing to push (empty chapter)
+
+      anchorTracker.finish();
+    }
+
+    return newPages;
+  };
+
+  // The chapter the reader opens at (plus the special pages before it) goes first, the rest follow in reading order
+  const priorityIdx = sortedChapters.findIndex((chapter) => chapter.id === priorityChapterId);
+  const isLeading = (chapterIdx) =>
+    chapterIdx === priorityIdx || !!sortedChapters[chapterIdx].isFirstPage || !!sortedChapters[chapterIdx].isCover;
+  const order = sortedChapters.map((_, chapterIdx) => chapterIdx);
+  order.sort((a, b) => Number(isLeading(b)) - Number(isLeading(a)));
+  const leadingCount = Math.max(order.filter(isLeading).length, 1);
+
+  const pagesByChapter = new Array(sortedChapters.length);
+  const collectPages = () => pagesByChapter.filter(Boolean).flat();
+
+  // Unchanged chapters come from the cache, the rest are measured and cached
+  const loadChapter = async (chapterIdx) => {
+    const chapter = sortedChapters[chapterIdx];
+    if (!pageCache) return { pages: await paginateChapter(chapterIdx), fromCache: false };
+
+    const footnoteNumbers = allFootnotes
+      .filter((fn) => fn.chapterId === chapter.id)
+      .map((fn) => footnoteContentToNumber.get(fn.content.trim()));
+    const contentKey = getChapterContentKey(chapter, determineChapterIndex(chapter, chapterIdx), footnoteNumbers);
+    const cached = await pageCache.get(chapter.id, contentKey);
+    if (cached) {
+      Object.assign(newKaraokeSources, cached.karaokeSources);
+      return { pages: cached.pages, fromCache: true };
+    }
+
+    const sourcesBefore = new Set(Object.keys(newKaraokeSources));
+    const chapterPages = await paginateChapter(chapterIdx);
+    const chapterSources = {};
+    Object.keys(newKaraokeSources).forEach((id) => {
+      if (!sourcesBefore.has(id)) chapterSources[id] = newKaraokeSources[id];
+    });
+    pageCache.set(chapter.id, contentKey, { pages: chapterPages, karaokeSources: chapterSources });
+    return { pages: chapterPages, fromCache: false };
+  };
+
+  for (let done = 1; done <= order.length; done++) {
+    const chapterIdx = order[done - 1];
+    const { pages: chapterPages, fromCache } = await loadChapter(chapterIdx);
+    pagesByChapter[chapterIdx] = chapterPages;
+    if (done < leadingCount) continue;
+
+    const isComplete = done === order.length;
+    if (onProgress) {
+      const keepGoing = onProgress({ pages: collectPages(), karaokeSources: { ...newKaraokeSources }, isComplete });
+      if (keepGoing === false) break;
+    }
+    // Cached chapters are cheap, only yield after measuring one
+    if (!isComplete && !fromCache && yieldToMain) await yieldToMain();
+  }
+
+  return { pages: collectPages(), karaokeSources: newKaraokeSources };
+};
@@ -0,0 +1,184 @@
+// @vitest-environment jsdom
+import { describe, expect, it } from 'vitest';
+import { getPaginationLayout, paginateChapters } from './paginationEngine';
+import { createFixedMeasurer } from './fixedMeasurer';
+import { createAnchorForPage, findPageForAnchor } from './readingAnchor';
+
+// Every paragraph is the same length, so with the fixed measurer each page holds the same amount of text
+const paragraphs = (count) => Array.from(
+  { length: count },
+  (_, i) => `<p>Odstavek ${i}: ${'besedilo za preizkus '.repeat(6)}</p>`
+).join('');
+
+const CHAPTERS = [
+  { id: 'c2', title: 'Drugo', order: 200, version: 1, contentHtml: `<h3>Drugo</h3>${paragraphs(12)}`, children: [
+    { id: 's1', title: 'Pod', order: 100, version: 1, contentHtml: `<h4>Pod</h4>${paragraphs(10)}` },
+  ] },
+  { id: 'c1', title: 'Prvo', order: 100, version: 1, contentHtml: `<h3>Prvo</h3>${paragraphs(30)}`, children: [] },
+];
+
+const paginate = (options = {}) => paginateChapters({
+  chapters: CHAPTERS,
+  layout: getPaginationLayout({ viewportWidth: 1200, viewportHeight: 900 }),
+  measurer: createFixedMeasurer(),
+  ...options,
+});
+
+const pageKey = (page) => `${page.chapterId}/${page.subchapterId ?? '-'}/${page.pageIndex}`;
+
+describe('paginateChapters with the fixed measurer', () => {
+  it('breaks pages at the same places in reading order', async () => {
+    const { pages } = await paginate();
+
+    expect(pages.map(pageKey)).toEqual([
+      'c1/-/0', 'c1/-/1', 'c1/-/2', 'c1/-/3', 'c1/-/4', 'c1/-/5',
+      'c2/-/0', 'c2/-/1', 'c2/-/2', 'c2/s1/3', 'c2/s1/4',
+    ]);
+    expect(pages.map((page) => page.anchor && [page.anchor.blockIndex, page.anchor.charOffset])).toEqual([
+      [0, 0], [6, 0], [11, 21], [16, 21], [21, 21], [26, 21],
+      [0, 0], [6, 0], [11, 21],
+      [0, 0], [6, 0],
+    ]);
+    expect(pages.every((page) => page.chapterIndex === (page.chapterId === 'c1' ? 100 : 200))).toBe(true);
+  });
+
+  it('gives the same pages on every run', async () => {
+    const first = await paginate();
+    const second = await paginate();
+    expect(second.pages.map((page) => page.content)).toEqual(first.pages.map((page) => page.content));
+  });
+
+  it('shows the priority chapter first, then the rest in reading order', async () => {
+    const progress = [];
+    await paginate({
+      priorityChapterId: 'c2',
+      onProgress: ({ pages, isComplete }) => {
+        progress.push({ chapterIds: [...new Set(pages.map((page) => page.chapterId))], isComplete });
+        return true;
+      },
+    });
+
+    expect(progress).toEqual([
+      { chapterIds: ['c2'], isComplete: false },
+      { chapterIds: ['c1', 'c2'], isComplete: true },
+    ]);
+  });
+
+  it('stops when onProgress returns false', async () => {
+    const { pages } = await paginate({ priorityChapterId: 'c2', onProgress: () => false });
+    expect(new Set(pages.map((page) => page.chapterId))).toEqual(new Set(['c2']));
+  });
+});
+
+describe('footnote placement', () => {
+  const paginateFootnotes = (contentHtml) => paginateChapters({
+    chapters: [{ id: 'f', title: 'Opombe', order: 100, version: 1, contentHtml, children: [] }],
+    layout: getPaginationLayout({ viewportWidth: 1200, viewportHeight: 900 }),
+    measurer: createFixedMeasurer(),
+  });
+  const withNote = (note) => `<h3>Opombe</h3><p>Odstavek 0: ${'besedilo za preizkus '.repeat(6)}${note}</p>${paragraphs(12)}`;
+  const summary = (pages) => pages.map((page) => ({
+    start: [page.anchor.blockIndex, page.anchor.charOffset],
+    footnotes: page.footnotes.map((footnote) => footnote.globalNumber),
+  }));
+
+  it('puts a footnote on the page of its reference and leaves the page breaks alone when it fits the margin', async () => {
+    const { pages } = await paginateFootnotes(withNote('^[Kratka opomba]'));
+    expect(summary(pages)).toEqual([
+      { start: [0, 0], footnotes: [1] },
+      { start: [6, 0], footnotes: [] },
+      { start: [11, 20], footnotes: [] },
+    ]);
+    expect(pages[0].content).toContain('data-footnote-number="1"');
+  });
+
+  it('takes the space of a long footnote from its page', async () => {
+    const { pages } = await paginateFootnotes(withNote(`^[${'dolga opomba '.repeat(20).trim()}]`));
+    expect(summary(pages)).toEqual([
+      { start: [0, 0], footnotes: [1] },
+      { start: [3, 0], footnotes: [] },
+      { start: [8, 20], footnotes: [] },
+      { start: [13, 21], footnotes: [] },
+    ]);
+  });
+
+  it('carries a footnote over with the part of a split paragraph that holds its reference', async () => {
+    const { pages } = await paginateFootnotes(
+      `<h3>Opombe</h3><p>Začetek^[Prva opomba]</p>${paragraphs(4)}<p>Drugi^[Druga opomba]</p>`
+      + `<p>${'dolgo besedilo ki se razlomi '.repeat(40)}konec^[Opomba na koncu]</p>`
+    );
+    expect(summary(pages)).toEqual([
+      { start: [0, 0], footnotes: [1, 2] },
+      { start: [7, 24], footnotes: [3] },
+    ]);
+    expect(pages[0].content).not.toContain('data-footnote-number="3"');
+    expect(pages[1].content).toContain('data-footnote-number="3"');
+  });
+});
+
+describe('karaoke slices', () => {
+  const LYRICS = 'Pesem gre takole in se nadaljuje skozi mnoge vrstice, dokler ne zmanjka besed za petje. '.repeat(30).trim();
+  const karaokeHtml = `<h3>Pesem</h3><div class="karaoke-object" data-karaoke-id="k1" data-karaoke="${
+    encodeURIComponent(JSON.stringify({ type: 'karaoke', text: LYRICS, wordTimings: [] }))
+  }">${LYRICS}</div>`;
+
+  const paginateKaraoke = () => paginateChapters({
+    chapters: [{ id: 'k', title: 'Pesem', order: 100, version: 1, contentHtml: karaokeHtml, children: [] }],
+    layout: getPaginationLayout({ viewportWidth: 1200, viewportHeight: 900 }),
+    measurer: createFixedMeasurer(),
+  });
+
+  const slicesOf = (page) => [...page.content.matchAll(/data-karaoke-start="(\d+)" data-karaoke-end="(\d+)"/g)]
+    .map((match) => [Number(match[1]), Number(match[2])]);
+
+  it('splits the text into one slice per page at the same places', async () => {
+    const { pages } = await paginateKaraoke();
+    expect(pages.map(slicesOf)).toEqual([
+      [[0, 775]],
+      [[775, 1559]],
+      [[1559, 2332]],
+      [[2332, 2819]],
+    ]);
+  });
+
+  it('covers the hyphenated source text end to end and breaks only between words', async () => {
+    const { pages, karaokeSources } = await paginateKaraoke();
+    const source = karaokeSources.k1.text;
+    const slices = pages.flatMap(slicesOf);
+
+    expect(source).toContain('\u00AD');
+    expect(source.length).toBe(2819);
+    slices.forEach(([start, end], index) => {
+      expect(start).toBe(index === 0 ? 0 : slices[index - 1][1]);
+      // The space between the words starts the next slice
+      if (end < source.length) expect(source[end]).toBe(' ');
+    });
+    expect(slices[slices.length - 1][1]).toBe(source.length);
+  });
+});
+
+describe('findPageForAnchor on paginated pages', () => {
+  it('finds the page every page anchor was made from', async () => {
+    const { pages } = await paginate();
+    pages.forEach((page) => {
+      expect(pageKey(findPageForAnchor(pages, createAnchorForPage(pages, page)))).toBe(pageKey(page));
+    });
+  });
+
+  it('finds the page holding an anchor between two page starts', async () => {
+    const { pages } = await paginate();
+    const anchor = { chapterId: 'c1', subchapterId: null, blockIndex: 13, charOffset: 40 };
+    expect(pageKey(findPageForAnchor(pages, anchor))).toBe('c1/-/2');
+  });
+
+  it('keeps subchapter anchors in their subchapter', async () => {
+    const { pages } = await paginate();
+    const anchor = { chapterId: 'c2', subchapterId: 's1', blockIndex: 8, charOffset: 0 };
+    expect(pageKey(findPageForAnchor(pages, anchor))).toBe('c2/s1/4');
+  });
+
+  it('returns null for a section that no longer exists', async () => {
+    const { pages } = await paginate();
+    expect(findPageForAnchor(pages, { chapterId: 'missing', blockIndex: 0, charOffset: 0 })).toBeNull();
+  });
+});
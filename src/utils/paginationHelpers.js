@@ -1,4 +1,13 @@
 import { hyphenateSync } from 'hyphen/en';
+import { waitForImagesToLoad } from './contentProcessing';
+import {
+  applyTypographyVariables,
+  MOBILE_SHEET_WIDTH,
+  READER_FONT_FAMILY,
+  scaledFontSize,
+  scaledLineHeight,
+  scaledMargin,
+} from './readerTypography';
 
 /**
  * Normalize word for matching (remove diacritics, lowercase, etc.)
@@ -186,8 +195,23 @@ export const applyHyphenationToHTML = (html) => {
 /**
  * Creates a measurement container that matches the real DOM structure exactly.
  * Used for accurate page height calculations during pagination.
+ *
+ * This is the browser implementation of the measurer interface the pagination
+ * engine works against (see utils/paginationEngine.js):
+ * - body, pageContent: elements temporary measurement nodes are attached to
+ * - setHeading(hasHeading), getAvailableHeight(footnotesHeight, isFirstPage)
+ * - measureHeight(node): rendered height of an attached node
+ * - getContentWidth(), getBodyHeight(): dimensions of the page body
+ * - waitForImages(container): resolves once images inside have loaded
+ * - destroy()
+ * utils/fixedMeasurer.js provides a deterministic implementation for Node/jsdom.
+ *
+ * Options mirror how the pages are rendered:
+ * - zoom: CSS zoom of the desktop pages container; text is laid out at the
+ *   zoomed font size, while measurements stay in the unzoomed px below
+ * - typography: reader typography settings (see readerTypography.js)
  */
-export const createMeasureContainer = (isDesktop, pageWidth, pageHeight) => {
+export const createMeasureContainer = (isDesktop, pageWidth, pageHeight, { zoom = 1, typography } = {}) => {
   const container = document.createElement('div');
   container.className = 'page-container';
   container.style.position = 'absolute';
@@ -204,10 +228,14 @@ export const createMeasureContainer = (isDesktop, pageWidth, pageHeight) => {
   container.style.alignItems = 'center';
   container.style.justifyContent = 'center';
   container.style.pointerEvents = 'none';
+  if (zoom !== 1) {
+    container.style.zoom = String(zoom);
+  }
+  applyTypographyVariables(container, typography);
 
   const sheet = document.createElement('div');
   sheet.className = 'page-sheet content-page';
-  sheet.style.width = isDesktop ? `${pageWidth}px` : 'min(680px, 96vw)';
+  sheet.style.width = isDesktop ? `${pageWidth}px` : MOBILE_SHEET_WIDTH;
   // Desktop: sheet has fixed height matching pageHeight (matches PDFViewer.css)
   // Mobile: sheet is 100% of container
   sheet.style.height = isDesktop ? `${pageHeight}px` : '100%';
@@ -226,7 +254,7 @@ export const createMeasureContainer = (isDesktop, pageWidth, pageHeight) => {
   // Desktop: page-body has padding: 3rem 2.5rem (48px top/bottom) - matches PDFViewer.css
   // Mobile: no explicit padding on body (handled by container)
   if (isDesktop) {
-    body.style.padding = '3rem 2.5rem';
+    body.style.padding = `3rem ${scaledMargin('2.5rem')}`;
     body.style.boxSizing = 'border-box';
     body.style.display = 'flex';
     body.style.flexDirection = 'column';
@@ -270,6 +298,10 @@ export const createMeasureContainer = (isDesktop, pageWidth, pageHeight) => {
     body,
     pageContent, // Expose pageContent for content insertion
     destroy: () => container.remove(),
+    measureHeight: (node) => node.offsetHeight,
+    getContentWidth: () => body.clientWidth,
+    getBodyHeight: () => body.clientHeight,
+    waitForImages: (contentDiv) => waitForImagesToLoad(contentDiv),
     setHeading: (hasHeading) => {
       sheet.classList.remove('page-with-heading', 'page-without-heading');
       sheet.classList.add(hasHeading ? 'page-with-heading' : 'page-without-heading');
@@ -321,9 +353,9 @@ export const createMeasureContainer = (isDesktop, pageWidth, pageHeight) => {
  */
 export const applyParagraphStylesToContainer = (container, isDesktop) => {
   // Desktop PDF uses 1.35rem (matches PDFViewer.css), mobile uses 1.3rem
-  const desktopFontSize = isDesktop ? '1.35rem' : '1.3rem';
+  const desktopFontSize = scaledFontSize(isDesktop ? '1.35rem' : '1.3rem');
   // Desktop PDF uses 1.62 line-height (matches PDFViewer.css), mobile uses 1.35
-  const desktopLineHeight = isDesktop ? '1.62' : '1.35';
+  const desktopLineHeight = scaledLineHeight(isDesktop ? '1.62' : '1.35');
   
   const paragraphs = container.querySelectorAll('p');
   paragraphs.forEach(p => {
@@ -331,7 +363,7 @@ export const applyParagraphStylesToContainer = (container, isDesktop) => {
     if (!p.style.fontSize) p.style.fontSize = desktopFontSize;
     if (!p.style.lineHeight) p.style.lineHeight = desktopLineHeight;
     if (!p.style.margin) p.style.margin = '0.35rem 0';
-    if (!p.style.fontFamily) p.style.fontFamily = "'Times New Roman', 'Times', 'Garamond', 'Baskerville', 'Caslon', 'Hoefler Text', 'Minion Pro', 'Palatino', 'Georgia', serif";
+    if (!p.style.fontFamily) p.style.fontFamily = READER_FONT_FAMILY;
     
     // Ensure empty paragraphs create visible spacing
     const isEmpty = !p.textContent || p.textContent.trim().length === 0 || (p.children.length === 0 && (!p.textContent || p.textContent.trim() === ''));
@@ -402,8 +434,9 @@ export const extractFootnotesFromContent = (htmlContent, footnoteContentToNumber
 
 /**
  * Measure actual footnote section height (including padding for browser bar)
+ * `measure` is the active measurer (see createMeasureContainer)
  */
-export const measureFootnotesHeight = (footnoteNumbers, container, allFootnotes, isDesktop, pageWidth) => {
+export const measureFootnotesHeight = (footnoteNumbers, container, allFootnotes, isDesktop, pageWidth, measure) => {
   if (footnoteNumbers.size === 0) return 0;
   
   // Get the actual footnote data for accurate measurement
@@ -457,7 +490,7 @@ export const measureFootnotesHeight = (footnoteNumbers, container, allFootnotes,
   // Force a reflow to ensure accurate measurement
   container.offsetHeight;
   
-  const height = tempDiv.offsetHeight;
+  const height = measure.measureHeight(tempDiv);
   container.removeChild(tempDiv);
   
   // Subtract the extra padding from measurement - it's visual spacing at bottom of footnotes,
@@ -478,9 +511,9 @@ export const checkContentWithFootnotesFits = (contentElements, footnoteNumbers,
   tempContainer.style.width = contentWidth + 'px';
   // Apply the same font/line-height/margin rules that .page-content p uses
   // Desktop PDF uses 1.4rem (matches PDFViewer.css), mobile uses 1.3rem
-  tempContainer.style.fontFamily = "'Times New Roman', 'Times', 'Garamond', 'Baskerville', 'Caslon', 'Hoefler Text', 'Minion Pro', 'Palatino', 'Georgia', serif";
-  tempContainer.style.fontSize = isDesktop ? '1.4rem' : '1.3rem';
-  tempContainer.style.lineHeight = isDesktop ? '1.62' : '1.35';
+  tempContainer.style.fontFamily = READER_FONT_FAMILY;
+  tempContainer.style.fontSize = scaledFontSize(isDesktop ? '1.4rem' : '1.3rem');
+  tempContainer.style.lineHeight = scaledLineHeight(isDesktop ? '1.62' : '1.35');
   measure.pageContent.appendChild(tempContainer);
   
   contentElements.forEach(el => {
@@ -493,7 +526,7 @@ export const checkContentWithFootnotesFits = (contentElements, footnoteNumbers,
   applyParagraphStylesToContainer(tempContainer, isDesktop);
   
   // Check if content alone fits
-  const contentHeight = tempContainer.offsetHeight;
+  const contentHeight = measure.measureHeight(tempContainer);
   
   // If content alone doesn't fit, content + footnotes definitely won't
   if (contentHeight > availableHeight) {
@@ -503,7 +536,7 @@ export const checkContentWithFootnotesFits = (contentElements, footnoteNumbers,
   
   // Now add footnotes and check total height
   // Footnotes are absolutely positioned, so total height = contentHeight + footnotesHeight
-  const footnotesHeight = measureFootnotesHeight(footnoteNumbers, tempContainer, allFootnotes, isDesktop, pageWidth);
+  const footnotesHeight = measureFootnotesHeight(footnoteNumbers, tempContainer, allFootnotes, isDesktop, pageWidth, measure);
   const totalHeight = contentHeight + footnotesHeight;
   
   measure.pageContent.removeChild(tempContainer);
@@ -651,15 +684,15 @@ export const splitTextAtWordBoundary = (element, maxHeight, measure, options = {
     clone.appendChild(cloneRange);
     
     // Apply font styles to clone to match actual rendering
-    const desktopFontSize = isDesktop ? '1.35rem' : '1.3rem';
-    const desktopLineHeight = isDesktop ? '1.62' : '1.35';
+    const desktopFontSize = scaledFontSize(isDesktop ? '1.35rem' : '1.3rem');
+    const desktopLineHeight = scaledLineHeight(isDesktop ? '1.62' : '1.35');
     if (!clone.style.fontSize) clone.style.fontSize = desktopFontSize;
     if (!clone.style.lineHeight) clone.style.lineHeight = desktopLineHeight;
     
     // Create a temporary container to measure just the clone
     // Use same measurement approach as final check: contentWidth for desktop, body.clientWidth for mobile
     const tempMeasureContainer = document.createElement('div');
-    const measureWidth = (isDesktop && contentWidth) ? contentWidth : measure.body.clientWidth;
+    const measureWidth = (isDesktop && contentWidth) ? contentWidth : measure.getContentWidth();
     tempMeasureContainer.style.width = measureWidth + 'px';
     tempMeasureContainer.style.position = 'absolute';
     tempMeasureContainer.style.visibility = 'hidden';
@@ -667,7 +700,7 @@ export const splitTextAtWordBoundary = (element, maxHeight, measure, options = {
     const measureParent = (isDesktop && measure.pageContent) ? measure.pageContent : measure.body;
     measureParent.appendChild(tempMeasureContainer);
     tempMeasureContainer.appendChild(clone);
-    const height = clone.offsetHeight; // Measure the clone itself, not the body
+    const height = measure.measureHeight(clone); // Measure the clone itself, not the body
     measureParent.removeChild(tempMeasureContainer);
     
     if (height <= maxHeight + 2) {
@@ -689,21 +722,21 @@ export const splitTextAtWordBoundary = (element, maxHeight, measure, options = {
   // Check if entire element fits (for returnCharCount calculation)
   const fullClone = element.cloneNode(true);
   // Apply font styles to clone to match actual rendering (same as binary search)
-  const desktopFontSize = isDesktop ? '1.35rem' : '1.3rem';
-  const desktopLineHeight = isDesktop ? '1.62' : '1.35';
+  const desktopFontSize = scaledFontSize(isDesktop ? '1.35rem' : '1.3rem');
+  const desktopLineHeight = scaledLineHeight(isDesktop ? '1.62' : '1.35');
   if (!fullClone.style.fontSize) fullClone.style.fontSize = desktopFontSize;
   if (!fullClone.style.lineHeight) fullClone.style.lineHeight = desktopLineHeight;
   
   // Create a temporary container to measure just the clone
   const tempMeasureContainer2 = document.createElement('div');
-  const measureWidth2 = (isDesktop && contentWidth) ? contentWidth : measure.body.clientWidth;
+  const measureWidth2 = (isDesktop && contentWidth) ? contentWidth : measure.getContentWidth();
   tempMeasureContainer2.style.width = measureWidth2 + 'px';
   tempMeasureContainer2.style.position = 'absolute';
   tempMeasureContainer2.style.visibility = 'hidden';
   const measureParent2 = (isDesktop && measure.pageContent) ? measure.pageContent : measure.body;
   measureParent2.appendChild(tempMeasureContainer2);
   tempMeasureContainer2.appendChild(fullClone);
-  const fullHeight = fullClone.offsetHeight; // Measure the clone itself, not the body
+  const fullHeight = measure.measureHeight(fullClone); // Measure the clone itself, not the body
   measureParent2.removeChild(tempMeasureContainer2);
   
   if (fullHeight <= maxHeight + 2) {
@@ -909,15 +942,15 @@ export const splitTextAtSentenceBoundary = (element, maxHeight, measure, splitTe
     clone.appendChild(cloneRange);
     
     // Apply font styles to clone to match actual rendering
-    const desktopFontSize = isDesktop ? '1.35rem' : '1.3rem';
-    const desktopLineHeight = isDesktop ? '1.62' : '1.35';
+    const desktopFontSize = scaledFontSize(isDesktop ? '1.35rem' : '1.3rem');
+    const desktopLineHeight = scaledLineHeight(isDesktop ? '1.62' : '1.35');
     if (!clone.style.fontSize) clone.style.fontSize = desktopFontSize;
     if (!clone.style.lineHeight) clone.style.lineHeight = desktopLineHeight;
     
     // Create a temporary container to measure just the clone
     // Use contentWidth for desktop (accounts for padding), body.clientWidth for mobile
     const tempMeasureContainer = document.createElement('div');
-    const measureWidth = (isDesktop && contentWidth) ? contentWidth : measure.body.clientWidth;
+    const measureWidth = (isDesktop && contentWidth) ? contentWidth : measure.getContentWidth();
     tempMeasureContainer.style.width = measureWidth + 'px';
     tempMeasureContainer.style.position = 'absolute';
     tempMeasureContainer.style.visibility = 'hidden';
@@ -925,7 +958,7 @@ export const splitTextAtSentenceBoundary = (element, maxHeight, measure, splitTe
     const measureParent = (isDesktop && measure.pageContent) ? measure.pageContent : measure.body;
     measureParent.appendChild(tempMeasureContainer);
     tempMeasureContainer.appendChild(clone);
-    const height = clone.offsetHeight; // Measure the clone itself, not the body
+    const height = measure.measureHeight(clone); // Measure the clone itself, not the body
     measureParent.removeChild(tempMeasureContainer);
     
     if (height <= maxHeight + 2) {
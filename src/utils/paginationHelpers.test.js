@@ -0,0 +1,51 @@
+// @vitest-environment jsdom
+import { describe, expect, it } from 'vitest';
+import { splitTextAtWordBoundary } from './paginationHelpers';
+import { createFixedMeasurer } from './fixedMeasurer';
+
+// 37 characters to a line and 24px lines with the fixed measurer, so two lines are 48px
+const TEXT = 'Prva beseda, druga beseda in tretja beseda so tukaj, da bi se odstavek razlomil na dveh mestih med besedami brez ločil.';
+const OPTIONS = { returnCharCount: true, contentWidth: 370, isDesktop: true };
+
+const paragraph = (html) => {
+  const element = document.createElement('p');
+  element.innerHTML = html;
+  return element;
+};
+
+describe('splitTextAtWordBoundary with the fixed measurer', () => {
+  it('splits at the last word that fits', () => {
+    expect(splitTextAtWordBoundary(paragraph(TEXT), 48, createFixedMeasurer(), OPTIONS)).toEqual({
+      first: '<p>Prva beseda, druga beseda in tretja beseda so tukaj, da bi se </p>',
+      second: '<p>odstavek razlomil na dveh mestih med besedami brez ločil.</p>',
+      firstCharCount: 70,
+    });
+  });
+
+  it('keeps inline markup on both sides of the split', () => {
+    const result = splitTextAtWordBoundary(
+      paragraph('Prva beseda, <em>druga beseda in tretja</em> beseda so tukaj, da bi se odstavek razlomil na dveh mestih med besedami brez ločil.'),
+      48,
+      createFixedMeasurer(),
+      OPTIONS
+    );
+    expect(result.first).toBe('<p>Prva beseda, <em>druga beseda in tretja</em> beseda so tukaj, da bi se </p>');
+    expect(result.second).toBe('<p>odstavek razlomil na dveh mestih med besedami brez ločil.</p>');
+  });
+
+  it('leaves an element that fits whole', () => {
+    expect(splitTextAtWordBoundary(paragraph('Kratko.'), 48, createFixedMeasurer(), OPTIONS)).toEqual({
+      first: '<p>Kratko.</p>',
+      second: null,
+      firstCharCount: 7,
+    });
+  });
+
+  it('moves the whole element on when not even one line fits', () => {
+    expect(splitTextAtWordBoundary(paragraph('Prva beseda, druga beseda in tretja beseda'), 10, createFixedMeasurer(), OPTIONS)).toEqual({
+      first: null,
+      second: '<p>Prva beseda, druga beseda in tretja beseda</p>',
+      firstCharCount: 0,
+    });
+  });
+});
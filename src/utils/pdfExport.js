@@ -0,0 +1,119 @@
+/**
+ * PDF export of the desktop reader
+ *
+ * Prints the page sheets DesktopPageReader has already rendered, so page
+ * breaks, page borders and footnotes are exactly the ones on screen. The
+ * sheets are copied into a print-only root (styled in PDFViewer.css) and the
+ * browser's print dialog saves it as PDF. The copies have no karaoke players
+ * attached, so karaoke text prints as plain text; videos are replaced by
+ * their current frame, or by a caption when the frame can't be read.
+ * Whatever the reader theme, the copies print as the light page.
+ */
+
+import { restoreAuthorColors } from './readerThemes';
+
+const PRINT_CLASS = 'printing-pdf';
+const IMAGE_LOAD_TIMEOUT_MS = 10000;
+
+// Still image of a video's current frame, or a caption
+const createVideoFallback = (video) => {
+  const fallback = document.createElement('div');
+  fallback.className = 'pdf-video-fallback';
+  try {
+    if (video && video.readyState >= 2 && video.videoWidth) {
+      const canvas = document.createElement('canvas');
+      canvas.width = video.videoWidth;
+      canvas.height = video.videoHeight;
+      canvas.getContext('2d').drawImage(video, 0, 0);
+      const img = document.createElement('img');
+      img.src = canvas.toDataURL('image/jpeg', 0.85);
+      img.alt = '';
+      fallback.appendChild(img);
+      return fallback;
+    }
+  } catch {
+    // Cross-origin video without CORS headers taints the canvas
+  }
+  fallback.classList.add('pdf-video-fallback-caption');
+  fallback.textContent = '▶ Video';
+  return fallback;
+};
+
+const waitForImages = (root) => Promise.race([
+  Promise.all(Array.from(root.querySelectorAll('img')).map((img) => {
+    if (img.complete) return Promise.resolve();
+    return new Promise((resolve) => {
+      img.addEventListener('load', resolve, { once: true });
+      img.addEventListener('error', resolve, { once: true });
+    });
+  })),
+  new Promise((resolve) => setTimeout(resolve, IMAGE_LOAD_TIMEOUT_MS)),
+]);
+
+/**
+ * Open the print dialog for all rendered pages
+ * @param {Object} params
+ * @param {Element} params.container - element holding the rendered .page-sheet elements
+ * @param {string} params.title - suggested PDF file name (browsers use the document title)
+ * @returns {Promise<void>} - resolves once the print dialog has been opened
+ */
+export const printPagesAsPdf = async ({ container, title }) => {
+  const sheets = Array.from(container?.querySelectorAll('.page-sheet') || []);
+  if (sheets.length === 0) return;
+
+  const root = document.createElement('div');
+  root.className = 'pdf-viewer pdf-print-root';
+  // Pages were paginated at the reader's zoom and typography (inline on the container), so they print with them too
+  root.style.cssText = container.style.cssText;
+  const zoom = parseFloat(container.style.zoom) || 1;
+
+  // Border frames are drawn outside the sheet (border-image-outset), so the PDF page gets a margin for them
+  let bleed = 0;
+  sheets.forEach((sheet) => {
+    const copy = sheet.cloneNode(true);
+    const videos = sheet.querySelectorAll('video');
+    copy.querySelectorAll('video').forEach((video, index) => {
+      video.replaceWith(createVideoFallback(videos[index]));
+    });
+    // Lazy images would never load inside the hidden print root
+    copy.querySelectorAll('img[loading="lazy"]').forEach((img) => {
+      img.loading = 'eager';
+    });
+    restoreAuthorColors(copy);
+    if (sheet.classList.contains('page-border')) {
+      // Dark reader themes draw the frame without its fill
+      if (copy.style.borderImageSlice && !copy.style.borderImageSlice.includes('fill')) {
+        copy.style.borderImageSlice += ' fill';
+      }
+      bleed = Math.max(bleed, parseFloat(window.getComputedStyle(sheet).borderImageOutset) || 0);
+    }
+
+    const page = document.createElement('div');
+    page.className = 'pdf-print-page';
+    page.appendChild(copy);
+    root.appendChild(page);
+  });
+
+  const width = sheets[0].offsetWidth * zoom;
+  const height = sheets[0].offsetHeight * zoom;
+  const pageStyle = document.createElement('style');
+  pageStyle.textContent = `@page { size: ${width + 2 * bleed * zoom}px ${height + 2 * bleed * zoom}px; margin: 0; }
+.pdf-print-root .pdf-print-page { padding: ${bleed}px; }`;
+
+  document.head.appendChild(pageStyle);
+  document.body.appendChild(root);
+  await waitForImages(root);
+
+  const previousTitle = document.title;
+  const cleanup = () => {
+    document.documentElement.classList.remove(PRINT_CLASS);
+    document.title = previousTitle;
+    root.remove();
+    pageStyle.remove();
+  };
+  // Some browsers return from print() before the dialog closes, so clean up on afterprint
+  window.addEventListener('afterprint', cleanup, { once: true });
+  document.title = title;
+  document.documentElement.classList.add(PRINT_CLASS);
+  window.print();
+};
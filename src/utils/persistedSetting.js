@@ -0,0 +1,51 @@
+/**
+ * Reader setting saved per device in localStorage
+ *
+ * The value is read from storage once and then kept in memory, so every
+ * component reading it (through useSyncExternalStore) sees the same value and
+ * re-renders when it is set. If storage is unavailable (private browsing), a
+ * setting lasts for the visit only.
+ *
+ * @param {string} storageKey
+ * @param {Object} codec
+ * @param {Function} codec.parse - stored string, or null when there is none, to a valid value
+ * @param {Function} [codec.serialize=String] - value to the stored string
+ * @returns {{ get: Function, set: Function, subscribe: Function }}
+ */
+export const createPersistedSetting = (storageKey, { parse, serialize = String }) => {
+  let loaded = false;
+  let current;
+  const listeners = new Set();
+
+  const get = () => {
+    if (!loaded) {
+      try {
+        current = parse(localStorage.getItem(storageKey));
+      } catch {
+        current = parse(null);
+      }
+      loaded = true;
+    }
+    return current;
+  };
+
+  // Round-trips through the codec, so anything set reads back as it would after a reload
+  const set = (value) => {
+    const stored = serialize(value);
+    current = parse(stored);
+    loaded = true;
+    try {
+      localStorage.setItem(storageKey, stored);
+    } catch {
+      // Kept in memory only
+    }
+    listeners.forEach((listener) => listener());
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return { get, set, subscribe };
+};
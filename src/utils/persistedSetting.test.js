@@ -0,0 +1,50 @@
+// @vitest-environment jsdom
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { createPersistedSetting } from './persistedSetting';
+
+const onOff = {
+  parse: (stored) => stored === 'on',
+  serialize: (enabled) => (enabled ? 'on' : 'off'),
+};
+
+describe('createPersistedSetting', () => {
+  afterEach(() => {
+    localStorage.clear();
+    vi.restoreAllMocks();
+  });
+
+  it('reads the stored value, and the default when there is none', () => {
+    localStorage.setItem('stored', 'on');
+    expect(createPersistedSetting('stored', onOff).get()).toBe(true);
+    expect(createPersistedSetting('missing', onOff).get()).toBe(false);
+  });
+
+  it('saves what is set and tells subscribers until they unsubscribe', () => {
+    const setting = createPersistedSetting('mode', onOff);
+    const listener = vi.fn();
+    const unsubscribe = setting.subscribe(listener);
+
+    setting.set(1);
+    expect(setting.get()).toBe(true);
+    expect(localStorage.getItem('mode')).toBe('on');
+    expect(listener).toHaveBeenCalledTimes(1);
+
+    unsubscribe();
+    setting.set(false);
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps the value for the visit when storage is unavailable', () => {
+    vi.spyOn(Storage.prototype, 'getItem').mockImplementation(() => {
+      throw new Error('SecurityError');
+    });
+    vi.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw new Error('QuotaExceededError');
+    });
+    const setting = createPersistedSetting('theme', { parse: (stored) => stored || 'light' });
+
+    expect(setting.get()).toBe('light');
+    setting.set('dark');
+    expect(setting.get()).toBe('dark');
+  });
+});
@@ -1,4 +1,6 @@
 import { hyphenateSync } from 'hyphen/en';
+import { findPageForRoutePosition } from './readerRoutes';
+import { findPageForAnchor } from './readingAnchor';
 
 // Apply hyphenation to HTML content - the hyphen library automatically skips HTML tags
 // IMPORTANT: We EXCLUDE karaoke blocks themselves from this page-level hyphenation.
@@ -183,12 +185,22 @@ export const restoreInitialPosition = (newPages, initialPosition, setters) => {
   const coverPage = newPages.find(p => p.isCover && !p.isFirstPage);
   
   if (initialPosition) {
-    const { chapterId, pageIndex } = initialPosition;
+    const { chapterId, pageIndex, sectionPageIndex, anchor } = initialPosition;
     // Only restore position if it's NOT the cover page
     if (chapterId !== null) {
-      const page = newPages.find(
-        (p) => !p.isCover && p.chapterId === chapterId && p.pageIndex === (pageIndex || 0)
-      );
+      // Deep links address pages within a chapter/subchapter section instead of chapter-wide pageIndex;
+      // saved positions carry an anchor that survives re-pagination, pageIndex is the legacy fallback
+      let page = null;
+      if (sectionPageIndex !== undefined) {
+        page = findPageForRoutePosition(newPages, initialPosition);
+      } else if (anchor) {
+        page = findPageForAnchor(newPages, anchor);
+      }
+      if (!page) {
+        page = newPages.find(
+          (p) => !p.isCover && p.chapterId === chapterId && p.pageIndex === (pageIndex || 0)
+        );
+      }
       if (page) {
         setCurrentChapterIndex(page.chapterIndex);
         setCurrentPageIndex(page.pageIndex);
@@ -0,0 +1,50 @@
+/**
+ * Publication state of chapters and subchapters
+ *
+ * `isPublished: false` keeps a chapter to editors; `publishAt` (client ms)
+ * schedules such a draft to go live at that time. Nothing flips the flag
+ * when the time comes - readers start seeing the chapter from then on.
+ * firestore.rules and the reader query in services/firestore.js use the same
+ * states. A document without the flag is not published, as readers cannot query
+ * for a missing field; getChapters backfills the flag on chapters saved before
+ * drafts existed.
+ */
+
+/**
+ * @returns {'published' | 'scheduled' | 'draft'}
+ */
+export const getPublishState = (entity, now = Date.now()) => {
+  if (entity?.isPublished === true) return 'published';
+  if (typeof entity?.publishAt === 'number') return entity.publishAt <= now ? 'published' : 'scheduled';
+  return 'draft';
+};
+
+export const isVisibleToReaders = (entity, now = Date.now()) => getPublishState(entity, now) === 'published';
+
+/**
+ * Fields written for a publication state; publishAt is only kept for 'scheduled'
+ */
+export const toPublishFields = (state, publishAt = null) => ({
+  isPublished: state === 'published',
+  publishAt: state === 'scheduled' ? publishAt : null,
+});
+
+export const formatPublishTime = (ms) => (typeof ms === 'number'
+  ? new Date(ms).toLocaleString('sl-SI', { dateStyle: 'medium', timeStyle: 'short' })
+  : '');
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Value for an <input type="datetime-local"> (local time, to the minute)
+ */
+export const toDateTimeLocalValue = (ms) => {
+  if (typeof ms !== 'number') return '';
+  const date = new Date(ms);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+export const fromDateTimeLocalValue = (value) => {
+  const ms = value ? new Date(value).getTime() : NaN;
+  return Number.isNaN(ms) ? null : ms;
+};
@@ -0,0 +1,221 @@
+/**
+ * Read-aloud text of rendered pages
+ *
+ * Read-aloud speaks a page with the browser's SpeechSynthesis and highlights
+ * it through the karaoke pipeline: the page's words are found with
+ * tokenizeText / assignLetterTimingsToChars and wrapped in word spans that
+ * highlightWordSpans fills. Instead of seconds, a word's data-start / data-end
+ * are its character positions in the spoken text, which is what speech
+ * boundary events report. Karaoke blocks have recorded audio and footnotes are
+ * not part of the running text, so both are left out.
+ */
+
+import { assignLetterTimingsToChars, highlightWordSpans, tokenizeText } from './karaokeHelpers';
+
+const SKIPPED = [
+  '.karaoke-slice',
+  '.karaoke-player',
+  '.footnote-ref',
+  '.footnotes-list',
+  '.footnotes-divider',
+  '.inline-footnote',
+  '.inline-footnote-divider',
+  '.reader-sr-only',
+  '[data-reader-a11y]',
+  '[aria-hidden="true"]',
+  'script',
+  'style',
+  'video',
+  'audio',
+].join(', ');
+
+const BLOCKS = 'p, li, h1, h2, h3, h4, h5, h6, blockquote, figcaption, td, th, div';
+
+export const READ_ALOUD_WORD_CLASS = 'read-aloud-word';
+
+// Longer utterances get cut off by some voices, so pages are spoken a sentence or so at a time
+const MAX_CHUNK_LENGTH = 240;
+const SENTENCE_END = /[.!?…]["'»«”“)\]]*$/;
+
+/**
+ * Text of a page as it will be spoken, with where each character came from
+ * Soft hyphens are dropped; paragraphs are separated by a newline.
+ * @param {HTMLElement} root - the page's content element
+ * @returns {{ text: string, segments: Array<{ node: Text, start: number, offsets: number[] }> }}
+ *   offsets[i] is the node offset of the segment's i-th spoken character
+ */
+export const extractReadableText = (root) => {
+  const segments = [];
+  let text = '';
+  if (!root) return { text, segments };
+
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) => (node.parentElement?.closest(SKIPPED) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT),
+  });
+
+  let previousBlock = null;
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const offsets = [];
+    let value = '';
+    for (let i = 0; i < node.nodeValue.length; i += 1) {
+      const char = node.nodeValue[i];
+      if (char === '\u00AD') continue;
+      offsets.push(i);
+      value += char === '\u00A0' ? ' ' : char;
+    }
+    if (!value.trim()) {
+      // Whitespace between words still counts, whitespace between blocks doesn't
+      if (value && text && !/\s$/.test(text)) text += ' ';
+      continue;
+    }
+
+    const block = node.parentElement?.closest(BLOCKS) || root;
+    if (text && block !== previousBlock && !text.endsWith('\n')) text += '\n';
+    previousBlock = block;
+
+    segments.push({ node, start: text.length, offsets });
+    text += value;
+  }
+  return { text, segments };
+};
+
+/**
+ * Text a page will speak, from its data rather than the DOM (for the next page,
+ * which isn't rendered yet); matches extractReadableText on the rendered page
+ */
+export const getPageReadableText = (page) => {
+  if (!page || page.isVideo || page.isTOC) return '';
+  const root = document.createElement('div');
+  if (page.isEpigraph) {
+    const text = document.createElement('div');
+    text.textContent = page.epigraphText || '';
+    root.append(text);
+    if (page.epigraphAuthor) {
+      const author = document.createElement('div');
+      author.textContent = `– ${page.epigraphAuthor}`;
+      root.append(author);
+    }
+  } else {
+    root.innerHTML = page.content || '';
+  }
+  return extractReadableText(root).text;
+};
+
+/**
+ * Split text into utterances: whole sentences, and long sentences at a comma or space
+ * @returns {Array<{ start: number, end: number, text: string }>}
+ */
+export const splitIntoChunks = (text, from = 0) => {
+  const chunks = [];
+  const pattern = /[^.!?…:;\n]+(?:[.!?…:;]+["'»«”“)\]]*|\n|$)/g;
+  pattern.lastIndex = from;
+  let match;
+  while ((match = pattern.exec(text)) !== null && match[0]) {
+    let start = match.index;
+    const end = match.index + match[0].length;
+    while (end - start > MAX_CHUNK_LENGTH) {
+      const head = text.slice(start, start + MAX_CHUNK_LENGTH);
+      const cut = Math.max(head.lastIndexOf(', '), head.lastIndexOf(' '));
+      const splitAt = cut > 0 ? start + cut + 1 : start + MAX_CHUNK_LENGTH;
+      chunks.push({ start, end: splitAt, text: text.slice(start, splitAt) });
+      start = splitAt;
+    }
+    if (text.slice(start, end).trim()) chunks.push({ start, end, text: text.slice(start, end) });
+  }
+  return chunks;
+};
+
+/**
+ * End of the first sentence of a text
+ */
+export const getFirstSentenceEnd = (text) => splitIntoChunks(text)[0]?.end ?? 0;
+
+/**
+ * How much of the next page's text to speak with this page, so a sentence
+ * running over the page break isn't cut in two (0 when the page ends one)
+ */
+export const getSentenceContinuation = (text, nextText) => {
+  if (!text.trim() || SENTENCE_END.test(text.trim())) return 0;
+  const end = getFirstSentenceEnd(nextText);
+  return end <= MAX_CHUNK_LENGTH ? end : 0;
+};
+
+/**
+ * Wrap a rendered page's words in spans for highlightWordSpans
+ * @param {HTMLElement} root - the page's content element
+ * @returns {{ text: string, words: Array, getWordAt: Function, highlight: Function, cleanup: Function }}
+ *   highlight(position) fills the words up to a character position;
+ *   getWordAt(position) is the word being spoken at it
+ */
+export const prepareReadAloudPage = (root) => {
+  const { text, segments } = extractReadableText(root);
+  const tokens = tokenizeText(text);
+  const { wordCharRanges } = assignLetterTimingsToChars(
+    text,
+    tokens.map((token) => ({ word: token.raw, start: token.start, end: token.end }))
+  );
+  const words = wordCharRanges.filter(Boolean);
+  const spans = [];
+
+  // Back to front within each text node, so the offsets still to come stay valid
+  segments.forEach(({ node, start, offsets }) => {
+    const segmentEnd = start + offsets.length;
+    const inSegment = words.filter((word) => word.charStart < segmentEnd && word.charEnd > start);
+    for (let i = inSegment.length - 1; i >= 0; i -= 1) {
+      const word = inSegment[i];
+      const from = offsets[Math.max(word.charStart, start) - start];
+      const to = offsets[Math.min(word.charEnd, segmentEnd) - start - 1] + 1;
+      const wordNode = node.splitText(from);
+      wordNode.splitText(to - from);
+      const span = document.createElement('span');
+      span.className = READ_ALOUD_WORD_CLASS;
+      span.dataset.wordIndex = String(word.wordIndex);
+      span.dataset.start = String(word.charStart);
+      span.dataset.end = String(word.charEnd);
+      span.dataset.word = wordNode.nodeValue.replace(/\u00AD/g, '');
+      wordNode.replaceWith(span);
+      span.append(wordNode);
+      spans.push(span);
+    }
+  });
+
+  const getWordAt = (position) => {
+    let low = 0;
+    let high = words.length - 1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (words[mid].charEnd <= position) low = mid + 1;
+      else if (words[mid].charStart > position) high = mid - 1;
+      else return words[mid];
+    }
+    return words[low] || null;
+  };
+
+  return {
+    text,
+    words,
+    getWordAt,
+    highlight: (position) => highlightWordSpans(spans, position),
+    cleanup: () => {
+      const parents = new Set();
+      spans.forEach((span) => {
+        if (!span.isConnected) return;
+        parents.add(span.parentNode);
+        span.replaceWith(...span.childNodes);
+      });
+      parents.forEach((parent) => parent.normalize());
+    },
+  };
+};
+
+/**
+ * Unwrap every read-aloud word span under root (e.g. in a copy of a page being read)
+ */
+export const removeReadAloudWords = (root) => {
+  const parents = new Set();
+  root.querySelectorAll(`.${READ_ALOUD_WORD_CLASS}`).forEach((span) => {
+    parents.add(span.parentNode);
+    span.replaceWith(...span.childNodes);
+  });
+  parents.forEach((parent) => parent.normalize());
+};
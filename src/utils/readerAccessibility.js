@@ -0,0 +1,260 @@
+/**
+ * Screen-reader mode of the reader
+ *
+ * Pages are rendered from HTML strings, and karaoke text is split into one span
+ * per word or character for the highlight, which assistive tech reads as loose
+ * letters. With the mode on, the reader announces page changes in a live
+ * region, decorates each rendered page (decoratePageForScreenReader) and offers
+ * the whole book as one continuous text (buildContinuousText). The mode also
+ * turns off the mobile ink effect. The choice is saved per device.
+ */
+
+import { buildChapterContentBlocks, extractVideosFromContent, replaceLongDashes } from './contentProcessing';
+import { getAllFootnotes, renderFootnotesInContent } from './footnotes';
+import { KARAOKE_TOGGLE_EVENT } from './karaokeHelpers';
+import { sortChapters } from './paginationHelpers';
+import { createPersistedSetting } from './persistedSetting';
+
+const STORAGE_KEY = 'readerAccessibility:v1';
+
+const screenReaderMode = createPersistedSetting(STORAGE_KEY, {
+  parse: (stored) => stored === 'on',
+  serialize: (enabled) => (enabled ? 'on' : 'off'),
+});
+
+export const getScreenReaderMode = screenReaderMode.get;
+export const setScreenReaderMode = screenReaderMode.set;
+export const subscribeScreenReaderMode = screenReaderMode.subscribe;
+
+/**
+ * What the live region says when a page is shown, e.g. "Stran 12 od 240, Poglavje – Podpoglavje"
+ */
+export const getPageAnnouncement = (page, pageNumber, totalPages) => {
+  if (!page) return '';
+  const position = pageNumber > 0 ? `Stran ${pageNumber} od ${totalPages}` : null;
+  const title = [page.chapterTitle, page.subchapterTitle].filter(Boolean).join(' – ');
+  return [position, title].filter(Boolean).join(', ');
+};
+
+// --- Rendered pages -----------------------------------------------------------
+
+// Everything added here carries this attribute, so it can be told apart and removed
+const DECORATION_ATTR = 'data-reader-a11y';
+
+const getFootnoteNumber = (ref, root) => {
+  const content = (ref.getAttribute('data-content') || '').trim();
+  if (!content) return ref.getAttribute('data-footnote-number');
+  // Editor footnotes keep their editor number; the page lists them under the global one
+  const item = Array.from(root.querySelectorAll('.footnote-item'))
+    .find((el) => el.querySelector('.footnote-content')?.textContent.trim() === content);
+  return item ? item.id.replace('footnote-', '') : null;
+};
+
+const findFootnoteItem = (root, number) =>
+  root.querySelector(`[id="footnote-${number}"]`) || document.getElementById(`footnote-${number}`);
+
+const decorateFootnotes = (root) => {
+  root.querySelectorAll('.footnote-ref').forEach((ref) => {
+    const number = getFootnoteNumber(ref, root);
+    const item = number ? findFootnoteItem(root, number) : null;
+    if (!item || ref.querySelector('a')) return;
+
+    // The reference becomes a link to the footnote (the document-level handler
+    // would jump to the acknowledgements chapter instead)
+    const link = document.createElement('a');
+    link.href = `#footnote-${number}`;
+    link.className = 'footnote-link';
+    link.setAttribute('aria-label', `Opomba ${number}`);
+    link.setAttribute(DECORATION_ATTR, 'link');
+    link.append(...ref.childNodes);
+    link.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      item.focus();
+    });
+    ref.append(link);
+
+    if (item.hasAttribute(DECORATION_ATTR)) return;
+    item.setAttribute(DECORATION_ATTR, 'footnote');
+    item.setAttribute('tabindex', '-1');
+    const back = document.createElement('a');
+    back.href = '#';
+    back.className = 'footnote-back';
+    back.textContent = '↩';
+    back.setAttribute('aria-label', 'Nazaj na besedilo');
+    back.setAttribute(DECORATION_ATTR, '');
+    back.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      link.focus();
+    });
+    item.append(back);
+  });
+};
+
+const syncKaraokeControl = (slice) => {
+  const button = slice.previousElementSibling?.querySelector('.reader-a11y-karaoke-play');
+  if (!button) return;
+  const isPlaying = slice.getAttribute('data-playing') === 'true';
+  button.setAttribute('aria-pressed', String(isPlaying));
+  button.textContent = isPlaying ? 'Ustavi branje' : 'Predvajaj branje';
+};
+
+const decorateKaraoke = (root) => {
+  root.querySelectorAll('.karaoke-slice').forEach((slice) => {
+    if (slice.getAttribute('aria-hidden') === 'true') return;
+    // The highlighted spans stay on screen; the plain text and a play control are read instead
+    const control = document.createElement('span');
+    control.className = 'reader-a11y-karaoke';
+    control.setAttribute(DECORATION_ATTR, '');
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'reader-a11y-karaoke-play';
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      slice.dispatchEvent(new Event(KARAOKE_TOGGLE_EVENT));
+    });
+
+    const text = document.createElement('span');
+    text.className = 'reader-sr-only';
+    text.textContent = slice.textContent;
+
+    control.append(button, text);
+    slice.before(control);
+    slice.setAttribute('aria-hidden', 'true');
+    syncKaraokeControl(slice);
+  });
+};
+
+/**
+ * Undo decoratePageForScreenReader
+ */
+export const removeScreenReaderDecorations = (root) => {
+  if (!root) return;
+  root.querySelectorAll(`a[${DECORATION_ATTR}="link"]`).forEach((link) => link.replaceWith(...link.childNodes));
+  root.querySelectorAll(`[${DECORATION_ATTR}="footnote"]`).forEach((item) => {
+    item.removeAttribute(DECORATION_ATTR);
+    item.removeAttribute('tabindex');
+  });
+  root.querySelectorAll(`[${DECORATION_ATTR}]`).forEach((el) => el.remove());
+  root.querySelectorAll('.karaoke-slice[aria-hidden]').forEach((slice) => slice.removeAttribute('aria-hidden'));
+};
+
+/**
+ * Make a rendered page readable with a screen reader
+ * Footnote references become links to their (focusable) footnotes, and each
+ * karaoke slice is hidden behind its plain text and a play / pause button that
+ * follows the slice's data-playing state. Re-running is safe.
+ * @param {HTMLElement} root - the page's content element
+ * @returns {Function} - cleanup: stops following playback and removes the decorations
+ */
+export const decoratePageForScreenReader = (root) => {
+  if (!root) return () => {};
+  decorateFootnotes(root);
+  decorateKaraoke(root);
+
+  const observer = new MutationObserver((mutations) => {
+    mutations.forEach(({ target }) => {
+      if (target.classList?.contains('karaoke-slice')) syncKaraokeControl(target);
+    });
+  });
+  observer.observe(root, { attributes: true, attributeFilter: ['data-playing'], subtree: true });
+
+  return () => {
+    observer.disconnect();
+    removeScreenReaderDecorations(root);
+  };
+};
+
+// --- Continuous text ------------------------------------------------------------
+
+const REMOVED_ELEMENTS = 'video, audio, iframe, script, style, object, embed';
+const REMOVED_ATTRIBUTES = ['contenteditable', 'data-karaoke', 'data-karaoke-block', 'data-content', 'data-id', 'data-number'];
+
+const getEpigraph = (epigraph) => {
+  if (!epigraph) return null;
+  if (typeof epigraph === 'string') return epigraph.trim() ? { text: epigraph.trim(), author: '' } : null;
+  return epigraph.text ? { text: epigraph.text, author: epigraph.author || '' } : null;
+};
+
+/**
+ * The book as one semantic document, for reading without pages
+ * Karaoke blocks become plain paragraphs, videos are left out and footnote
+ * references link to notes listed at the end of their section (ids are
+ * prefixed with idPrefix so they don't clash with the rendered pages).
+ * @param {Array} chapters - chapters with children, as loaded in App
+ * @returns {Array} - sections { id, chapterId, subchapterId, title, level, epigraph, html, notes: [{ number, html }] }
+ */
+export const buildContinuousText = (chapters, idPrefix = 'continuous') => {
+  if (!Array.isArray(chapters) || typeof document === 'undefined') return [];
+  const allFootnotes = getAllFootnotes(chapters);
+  const footnoteNumbers = new Map(allFootnotes.map((fn) => [fn.content.trim(), fn.globalNumber]));
+  const sections = [];
+
+  sortChapters(chapters).forEach((chapter) => {
+    buildChapterContentBlocks(chapter).forEach((block) => {
+      const container = document.createElement('div');
+      const { htmlContent } = extractVideosFromContent(block.content || '');
+      container.innerHTML = renderFootnotesInContent(replaceLongDashes(htmlContent), allFootnotes);
+      container.querySelectorAll(REMOVED_ELEMENTS).forEach((el) => el.remove());
+
+      container.querySelectorAll('[data-karaoke]').forEach((karaoke) => {
+        const paragraph = document.createElement('p');
+        paragraph.append(...karaoke.childNodes);
+        karaoke.replaceWith(paragraph);
+      });
+
+      const notes = [];
+      container.querySelectorAll('sup.footnote-ref').forEach((sup) => {
+        const content = (sup.getAttribute('data-content') || '').trim();
+        const number = footnoteNumbers.get(content) || parseInt(sup.getAttribute('data-footnote-number'), 10);
+        const footnote = allFootnotes.find((fn) => fn.globalNumber === number);
+        if (!footnote) return;
+        const link = document.createElement('a');
+        link.href = `#${idPrefix}-note-${number}`;
+        link.id = `${idPrefix}-ref-${number}`;
+        link.setAttribute('aria-label', `Opomba ${number}`);
+        link.textContent = String(number);
+        // A plain sup, so the reader's footnote handler doesn't jump to the acknowledgements
+        Array.from(sup.attributes).forEach((attr) => sup.removeAttribute(attr.name));
+        sup.replaceChildren(link);
+        if (!notes.some((note) => note.number === number)) notes.push({ number, html: footnote.content });
+      });
+
+      container.querySelectorAll('*').forEach((el) => {
+        REMOVED_ATTRIBUTES.forEach((name) => el.removeAttribute(name));
+        Array.from(el.attributes).forEach((attr) => {
+          if (attr.name.startsWith('on')) el.removeAttribute(attr.name);
+        });
+      });
+      container.querySelectorAll('img:not([alt])').forEach((img) => img.setAttribute('alt', ''));
+      container.querySelectorAll('.dinkus').forEach((el) => el.setAttribute('role', 'separator'));
+
+      if (block.type === 'subchapter' && block.includeChapterTitle) {
+        sections.push({
+          id: `${idPrefix}-${chapter.id}`,
+          chapterId: chapter.id,
+          subchapterId: null,
+          title: chapter.title || '',
+          level: 2,
+          epigraph: getEpigraph(chapter.epigraph),
+          html: '',
+          notes: [],
+        });
+      }
+      sections.push({
+        id: `${idPrefix}-${block.subchapterId || chapter.id}`,
+        chapterId: chapter.id,
+        subchapterId: block.subchapterId || null,
+        title: block.title || '',
+        level: block.type === 'subchapter' ? 3 : 2,
+        epigraph: getEpigraph(block.epigraph),
+        html: container.innerHTML,
+        notes,
+      });
+    });
+  });
+
+  return sections;
+};
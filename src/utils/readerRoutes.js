@@ -0,0 +1,134 @@
+/**
+ * Reader URL helpers
+ *
+ * URL scheme:
+ *   /                                                   library
+ *   /read/:chapterSlug/:subchapterSlug?/p/:page         legacy (primary) book
+ *   /books/:bookId/read/:chapterSlug/:subchapterSlug?/p/:page
+ *
+ * `:page` is 1-based and counts pages within the chapter section (or the
+ * subchapter section when a subchapter slug is present), so links survive
+ * edits to other chapters. The `/p/:page` and slug segments are optional;
+ * a bare `/read` or `/books/:bookId` opens the book at the saved bookmark.
+ */
+import { matchPath } from 'react-router-dom';
+
+export const LIBRARY_PATH = '/';
+const LEGACY_BOOK_ID = 'primary';
+
+const READER_PATTERNS = [
+  '/books/:bookId/read/:chapterSlug/:subchapterSlug/p/:page',
+  '/books/:bookId/read/:chapterSlug/p/:page',
+  '/books/:bookId/read/:chapterSlug/:subchapterSlug',
+  '/books/:bookId/read/:chapterSlug',
+  '/books/:bookId/read',
+  '/books/:bookId',
+  '/read/:chapterSlug/:subchapterSlug/p/:page',
+  '/read/:chapterSlug/p/:page',
+  '/read/:chapterSlug/:subchapterSlug',
+  '/read/:chapterSlug',
+  '/read',
+];
+
+// Segment that introduces the page number; no chapter or subchapter slug may equal it
+const PAGE_SEGMENT = 'p';
+
+/**
+ * Slug used in URLs; falls back to the title the same way firestore.js
+ * derives slugs for new chapters. A slug of `p` gets a trailing dash so
+ * `/read/:chapter/p` always means a page and never a subchapter named "p"
+ */
+export const getSlug = (entity) => {
+  if (!entity) return '';
+  const slug = String(entity.slug || entity.title?.toLowerCase().replace(/\s+/g, '-') || entity.id);
+  return slug === PAGE_SEGMENT ? `${slug}-` : slug;
+};
+
+/**
+ * Parse a pathname into { bookId, chapterSlug, subchapterSlug, page }
+ * @returns {Object|null} - null when the path is not a reader path
+ */
+export const parseReaderPath = (pathname) => {
+  for (const pattern of READER_PATTERNS) {
+    const match = matchPath({ path: pattern, end: true }, pathname);
+    if (!match) continue;
+    const { bookId = LEGACY_BOOK_ID, chapterSlug = null, subchapterSlug = null, page } = match.params;
+    const pageNumber = parseInt(page, 10);
+    return {
+      bookId,
+      chapterSlug,
+      subchapterSlug,
+      page: Number.isFinite(pageNumber) && pageNumber > 0 ? pageNumber : null,
+    };
+  }
+  return null;
+};
+
+/**
+ * Build a reader pathname; slugs and page are optional
+ */
+export const buildReaderPath = (bookId, { chapterSlug, subchapterSlug, page } = {}) => {
+  const base = !bookId || bookId === LEGACY_BOOK_ID
+    ? '/read'
+    : `/books/${encodeURIComponent(bookId)}/read`;
+  if (!chapterSlug) return base;
+  let path = `${base}/${encodeURIComponent(chapterSlug)}`;
+  if (subchapterSlug) path += `/${encodeURIComponent(subchapterSlug)}`;
+  if (page) path += `/${PAGE_SEGMENT}/${page}`;
+  return path;
+};
+
+// Pages belonging to the same chapter/subchapter section as `page`, in reading order
+const getSectionPages = (pages, chapterId, subchapterId) =>
+  pages.filter((p) => p.chapterId === chapterId && (p.subchapterId || null) === (subchapterId || null));
+
+/**
+ * Resolve parsed route slugs against the loaded chapters
+ * @returns {Object|null} - { chapterId, subchapterId, sectionPageIndex } or null if no chapter matches
+ */
+export const resolveRoutePosition = (chapters, route) => {
+  if (!route?.chapterSlug || !Array.isArray(chapters)) return null;
+  const chapter = chapters.find((c) => getSlug(c) === route.chapterSlug);
+  if (!chapter) return null;
+  let subchapterId = null;
+  if (route.subchapterSlug) {
+    const sub = chapter.children?.find((s) => getSlug(s) === route.subchapterSlug);
+    if (sub) subchapterId = sub.id;
+  }
+  return {
+    chapterId: chapter.id,
+    subchapterId,
+    sectionPageIndex: route.page ? route.page - 1 : 0,
+  };
+};
+
+/**
+ * Find the paginated page for a resolved route position
+ * Falls back to the first page of the section when the page number is out of range
+ */
+export const findPageForRoutePosition = (pages, position) => {
+  if (!position || !Array.isArray(pages)) return null;
+  const section = getSectionPages(pages, position.chapterId, position.subchapterId);
+  if (section.length === 0) {
+    return pages.find((p) => p.chapterId === position.chapterId) || null;
+  }
+  return section[position.sectionPageIndex] || section[0];
+};
+
+/**
+ * Build the pathname for a paginated page
+ */
+export const buildPathForPage = (bookId, chapters, pages, page) => {
+  if (!page || !Array.isArray(chapters)) return buildReaderPath(bookId);
+  const chapter = chapters.find((c) => c.id === page.chapterId);
+  if (!chapter) return buildReaderPath(bookId);
+  const subchapterId = page.subchapterId || null;
+  const sub = subchapterId ? chapter.children?.find((s) => s.id === subchapterId) : null;
+  const section = getSectionPages(pages, page.chapterId, subchapterId);
+  const sectionIndex = section.findIndex((p) => p.pageIndex === page.pageIndex);
+  return buildReaderPath(bookId, {
+    chapterSlug: getSlug(chapter),
+    subchapterSlug: sub ? getSlug(sub) : null,
+    page: sectionIndex >= 0 ? sectionIndex + 1 : null,
+  });
+};
@@ -0,0 +1,53 @@
+/**
+ * Keyboard shortcuts of the mobile reader
+ *
+ * READER_SHORTCUTS is what the shortcut overlay lists; getShortcutAction maps
+ * a keydown event to one of its actions. Shortcuts never fire while the reader
+ * types (fields, the chapter editor) or with Ctrl / Alt / Cmd held, so browser
+ * and editor shortcuts keep working.
+ */
+
+export const READER_SHORTCUTS = [
+  { action: 'next', keys: ['→', '↓', 'Page Down'], label: 'Naslednja stran' },
+  { action: 'previous', keys: ['←', '↑', 'Page Up'], label: 'Prejšnja stran' },
+  { action: 'first', keys: ['Home'], label: 'Prva stran' },
+  { action: 'last', keys: ['End'], label: 'Zadnja stran' },
+  { action: 'karaoke', keys: ['Preslednica'], label: 'Predvajaj / ustavi karaoke na strani' },
+  { action: 'readAloud', keys: ['R'], label: 'Preberi na glas / ustavi branje' },
+  { action: 'toc', keys: ['T'], label: 'Odpri / zapri kazalo' },
+  { action: 'search', keys: ['/'], label: 'Iskanje po knjigi' },
+  { action: 'help', keys: ['?'], label: 'Prikaži bližnjice' },
+];
+
+const KEY_ACTIONS = {
+  ArrowRight: 'next',
+  ArrowDown: 'next',
+  PageDown: 'next',
+  ArrowLeft: 'previous',
+  ArrowUp: 'previous',
+  PageUp: 'previous',
+  Home: 'first',
+  End: 'last',
+  ' ': 'karaoke',
+  r: 'readAloud',
+  R: 'readAloud',
+  t: 'toc',
+  T: 'toc',
+  '/': 'search',
+  '?': 'help',
+};
+
+/**
+ * Whether keys typed at this element belong to it (text fields, the editor)
+ */
+export const isTypingTarget = (target) => !!target?.closest?.(
+  'input, textarea, select, [contenteditable=""], [contenteditable="true"]'
+);
+
+/**
+ * Shortcut action for a keydown event, or null
+ */
+export const getShortcutAction = (e) => {
+  if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || isTypingTarget(e.target)) return null;
+  return KEY_ACTIONS[e.key] || null;
+};
@@ -0,0 +1,196 @@
+/**
+ * Reader colour themes
+ *
+ * While a book is open, a theme other than the default sets data-reader-theme
+ * (and data-reader-tone="dark" for dark themes) on <html>; readerThemes.css
+ * restyles the reader, its overlays, the top bar and the loader from there.
+ * Themes don't change text metrics, so pages are not re-paginated.
+ * Colours authors set in the editor (TextColor / Highlight marks) are inline
+ * styles; applyAuthorColorContrast adjusts them per rendered page so they stay
+ * legible on the theme's paper. The choice is saved per device.
+ */
+
+import { createPersistedSetting } from './persistedSetting';
+
+const STORAGE_KEY = 'readerTheme:v1';
+
+// Paper colours match readerThemes.css
+export const READER_THEMES = {
+  light: { label: 'Svetla', paper: '#ffffff', dark: false },
+  sepia: { label: 'Sepija', paper: '#f4ecd8', dark: false },
+  dark: { label: 'Temna', paper: '#1c1b19', dark: true },
+  contrast: { label: 'Visok kontrast', paper: '#000000', dark: true },
+};
+
+export const DEFAULT_READER_THEME = 'light';
+
+const MIN_CONTRAST = 4.5; // WCAG AA for body text
+
+const normalizeTheme = (themeId) => (READER_THEMES[themeId] ? themeId : DEFAULT_READER_THEME);
+
+// The reader and the app shell (which themes the loader) share the current theme
+const themeSetting = createPersistedSetting(STORAGE_KEY, { parse: normalizeTheme });
+
+export const getReaderTheme = themeSetting.get;
+export const setReaderTheme = themeSetting.set;
+export const subscribeReaderTheme = themeSetting.subscribe;
+
+/**
+ * Apply a theme to the document (null or the default theme removes it)
+ */
+export const applyReaderTheme = (themeId) => {
+  const root = document.documentElement;
+  const theme = themeId && themeId !== DEFAULT_READER_THEME ? READER_THEMES[themeId] : null;
+  if (theme) {
+    root.dataset.readerTheme = themeId;
+    if (theme.dark) root.dataset.readerTone = 'dark';
+    else delete root.dataset.readerTone;
+  } else {
+    delete root.dataset.readerTheme;
+    delete root.dataset.readerTone;
+  }
+};
+
+// --- Colour maths -----------------------------------------------------------
+
+// Computed colours are rgb()/rgba(); hex is accepted for the theme paper
+const parseColor = (value) => {
+  if (!value) return null;
+  const hex = value.match(/^#([0-9a-f]{6})$/i);
+  if (hex) {
+    const n = parseInt(hex[1], 16);
+    return { r: n >> 16, g: (n >> 8) & 255, b: n & 255, a: 1 };
+  }
+  const rgb = value.match(/^rgba?\(([^)]+)\)$/i);
+  if (!rgb) return null;
+  const [r, g, b, a = 1] = rgb[1].split(/[\s,/]+/).filter(Boolean).map(parseFloat);
+  return { r, g, b, a };
+};
+
+const channelLuminance = (c) => {
+  const s = c / 255;
+  return s <= 0.03928 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4;
+};
+
+const luminance = ({ r, g, b }) => 0.2126 * channelLuminance(r) + 0.7152 * channelLuminance(g) + 0.0722 * channelLuminance(b);
+
+const contrastRatio = (a, b) => {
+  const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (light + 0.05) / (dark + 0.05);
+};
+
+// Semi-transparent highlights are seen over the paper
+const blend = (color, base) => ({
+  r: color.r * color.a + base.r * (1 - color.a),
+  g: color.g * color.a + base.g * (1 - color.a),
+  b: color.b * color.a + base.b * (1 - color.a),
+  a: 1,
+});
+
+const toHsl = ({ r, g, b }) => {
+  const [rn, gn, bn] = [r / 255, g / 255, b / 255];
+  const max = Math.max(rn, gn, bn);
+  const min = Math.min(rn, gn, bn);
+  const l = (max + min) / 2;
+  if (max === min) return { h: 0, s: 0, l };
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  const h = max === rn ? (gn - bn) / d + (gn < bn ? 6 : 0)
+    : max === gn ? (bn - rn) / d + 2
+      : (rn - gn) / d + 4;
+  return { h: h / 6, s, l };
+};
+
+const fromHsl = ({ h, s, l }) => {
+  if (s === 0) return { r: l * 255, g: l * 255, b: l * 255, a: 1 };
+  const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+  const p = 2 * l - q;
+  const hue = (t) => {
+    const x = t < 0 ? t + 1 : t > 1 ? t - 1 : t;
+    if (x < 1 / 6) return p + (q - p) * 6 * x;
+    if (x < 1 / 2) return q;
+    if (x < 2 / 3) return p + (q - p) * (2 / 3 - x) * 6;
+    return p;
+  };
+  return { r: hue(h + 1 / 3) * 255, g: hue(h) * 255, b: hue(h - 1 / 3) * 255, a: 1 };
+};
+
+const toCss = ({ r, g, b }) => `rgb(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)})`;
+
+/**
+ * Move a colour's lightness away from the background until the text is legible,
+ * keeping its hue (so an author's red stays red)
+ */
+const ensureContrast = (color, background) => {
+  if (contrastRatio(color, background) >= MIN_CONTRAST) return null;
+  const hsl = toHsl(color);
+  const step = luminance(background) > 0.18 ? -0.05 : 0.05;
+  let adjusted = color;
+  for (let l = hsl.l + step; l >= 0 && l <= 1; l += step) {
+    adjusted = fromHsl({ ...hsl, l });
+    if (contrastRatio(adjusted, background) >= MIN_CONTRAST) break;
+  }
+  return adjusted;
+};
+
+// --- Author colours on rendered pages ----------------------------------------
+
+const ORIGINAL_ATTR = 'data-theme-color';
+const BLACK = { r: 0, g: 0, b: 0, a: 1 };
+const WHITE = { r: 255, g: 255, b: 255, a: 1 };
+
+/**
+ * Undo applyAuthorColorContrast (also used on copies printed to PDF)
+ */
+export const restoreAuthorColors = (root) => {
+  if (!root) return;
+  root.querySelectorAll(`[${ORIGINAL_ATTR}]`).forEach((el) => {
+    el.style.color = el.getAttribute(ORIGINAL_ATTR);
+    el.removeAttribute(ORIGINAL_ATTR);
+  });
+};
+
+// Author highlight behind an element (the element's own, or an enclosing mark's)
+const getAuthorBackground = (el, paper) => {
+  for (let node = el; node && !node.classList?.contains('page-content'); node = node.parentElement) {
+    if (node.style?.backgroundColor) {
+      const background = parseColor(window.getComputedStyle(node).backgroundColor);
+      if (background && background.a > 0) return blend(background, paper);
+    }
+  }
+  return null;
+};
+
+/**
+ * Keep inline author colours on a page legible in the given theme
+ * Text colours are lightened or darkened against the paper (or the highlight
+ * they sit on); highlights without a text colour get the theme's ink, or
+ * black / white when the ink doesn't read on them. Re-running is safe.
+ * @param {HTMLElement} root - rendered page (or its content)
+ * @param {string} themeId
+ */
+export const applyAuthorColorContrast = (root, themeId) => {
+  if (!root) return;
+  restoreAuthorColors(root);
+  if (!themeId || themeId === DEFAULT_READER_THEME || !READER_THEMES[themeId]) return;
+  const paper = parseColor(READER_THEMES[themeId].paper);
+
+  root.querySelectorAll('[style*="color"]').forEach((el) => {
+    // Video text is forced white over the footage; background images keep the light ink
+    if (!el.closest('.page-content') || el.closest('.background-video-text, .has-background-image')) return;
+    const text = parseColor(window.getComputedStyle(el).color);
+    const behind = getAuthorBackground(el, paper);
+    if (!text || (!el.style.color && !behind)) return;
+
+    let replacement = null;
+    if (el.style.color) {
+      replacement = ensureContrast(text, behind || paper);
+    } else if (contrastRatio(text, behind) < MIN_CONTRAST) {
+      // Theme ink on an author highlight: whichever of black and white reads better
+      replacement = contrastRatio(BLACK, behind) >= contrastRatio(WHITE, behind) ? BLACK : WHITE;
+    }
+    if (!replacement) return;
+    el.setAttribute(ORIGINAL_ATTR, el.style.color);
+    el.style.color = toCss(replacement);
+  });
+};
@@ -0,0 +1,115 @@
+/**
+ * Reader typography settings
+ *
+ * The reader's font size, font family, line spacing, margins and justification
+ * are applied as CSS custom properties. The stylesheets (PageReader.css,
+ * PDFViewer.css) and the inline styles pagination puts on measurement nodes
+ * scale their base values by them, so measured and rendered pages always use
+ * the same typography:
+ *   --reader-font-scale, --reader-line-scale, --reader-margin-scale,
+ *   --reader-font-family, --reader-text-align
+ * Settings are saved per device.
+ */
+
+const STORAGE_KEY = 'readerTypography:v1';
+
+const DEFAULT_FONT_STACK = "'Times New Roman', 'Times', 'Garamond', 'Baskerville', 'Caslon', 'Hoefler Text', 'Minion Pro', 'Palatino', 'Georgia', serif";
+
+export const FONT_SCALES = [0.85, 0.92, 1, 1.1, 1.2, 1.35];
+
+export const FONT_FAMILIES = {
+  times: { label: 'Times', stack: DEFAULT_FONT_STACK },
+  baskerville: { label: 'Baskerville', stack: "'Baskerville Old Face', 'Baskerville', 'Times New Roman', serif" },
+  georgia: { label: 'Georgia', stack: "'Georgia', 'Palatino', serif" },
+  sans: { label: 'Brez serifov', stack: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif" },
+};
+
+export const LINE_SPACINGS = {
+  tight: { label: 'Ozek', scale: 0.9 },
+  normal: { label: 'Običajen', scale: 1 },
+  loose: { label: 'Širok', scale: 1.15 },
+};
+
+export const MARGINS = {
+  narrow: { label: 'Ozki', scale: 0.5 },
+  normal: { label: 'Običajni', scale: 1 },
+  wide: { label: 'Široki', scale: 1.5 },
+};
+
+export const DEFAULT_TYPOGRAPHY = {
+  fontScale: 1,
+  fontFamily: 'times',
+  lineSpacing: 'normal',
+  margins: 'normal',
+  justify: true,
+};
+
+// Unknown values (older versions, edited storage) fall back to the defaults
+export const normalizeTypography = (settings) => {
+  const value = { ...DEFAULT_TYPOGRAPHY, ...(settings || {}) };
+  return {
+    fontScale: FONT_SCALES.includes(value.fontScale) ? value.fontScale : DEFAULT_TYPOGRAPHY.fontScale,
+    fontFamily: FONT_FAMILIES[value.fontFamily] ? value.fontFamily : DEFAULT_TYPOGRAPHY.fontFamily,
+    lineSpacing: LINE_SPACINGS[value.lineSpacing] ? value.lineSpacing : DEFAULT_TYPOGRAPHY.lineSpacing,
+    margins: MARGINS[value.margins] ? value.margins : DEFAULT_TYPOGRAPHY.margins,
+    justify: value.justify !== false,
+  };
+};
+
+export function getStoredTypography() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return normalizeTypography(raw ? JSON.parse(raw) : null);
+  } catch {
+    return { ...DEFAULT_TYPOGRAPHY };
+  }
+}
+
+export function setStoredTypography(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(normalizeTypography(settings)));
+  } catch {
+    // Storage unavailable (private browsing): settings last for this visit only
+  }
+}
+
+/**
+ * Stable string identifying settings that change pagination
+ */
+export const getTypographyKey = (settings) => {
+  const value = normalizeTypography(settings);
+  return `${value.fontScale}/${value.fontFamily}/${value.lineSpacing}/${value.margins}/${value.justify ? 'justify' : 'left'}`;
+};
+
+export const getMarginScale = (settings) => MARGINS[normalizeTypography(settings).margins].scale;
+
+/**
+ * CSS custom properties for a settings object (usable as a React style)
+ */
+export const getTypographyVariables = (settings) => {
+  const value = normalizeTypography(settings);
+  return {
+    '--reader-font-scale': String(value.fontScale),
+    '--reader-line-scale': String(LINE_SPACINGS[value.lineSpacing].scale),
+    '--reader-margin-scale': String(MARGINS[value.margins].scale),
+    '--reader-font-family': FONT_FAMILIES[value.fontFamily].stack,
+    '--reader-text-align': value.justify ? 'justify' : 'left',
+  };
+};
+
+/**
+ * Set the custom properties on an element (e.g. a measurement container)
+ */
+export const applyTypographyVariables = (element, settings) => {
+  Object.entries(getTypographyVariables(settings)).forEach(([name, value]) => {
+    element.style.setProperty(name, value);
+  });
+};
+
+// Inline style values for measurement nodes, scaled like the stylesheets
+export const READER_FONT_FAMILY = `var(--reader-font-family, ${DEFAULT_FONT_STACK})`;
+export const scaledFontSize = (base) => `calc(${base} * var(--reader-font-scale, 1))`;
+export const scaledLineHeight = (base) => `calc(${base} * var(--reader-line-scale, 1))`;
+export const scaledMargin = (base) => `calc(${base} * var(--reader-margin-scale, 1))`;
+// Mobile content sheet (PageReader.css .page-sheet.content-page): margins widen or narrow the sheet itself
+export const MOBILE_SHEET_WIDTH = 'min(680px, calc(96vw - 1.5rem * (var(--reader-margin-scale, 1) - 1)))';
@@ -0,0 +1,135 @@
+/**
+ * Reading anchors - positions that survive re-pagination
+ *
+ * A raw pageIndex changes meaning whenever pages are recalculated (viewport
+ * size, device class, edited content). An anchor instead points into the
+ * content itself:
+ *   { chapterId, subchapterId, blockIndex, charOffset }
+ * where blockIndex is the top-level element of the chapter's (or
+ * subchapter's) contentHtml and charOffset counts visible characters inside
+ * it. Pagination records the anchor of each page's first character, and a
+ * saved anchor is mapped back to whichever page now holds it.
+ *
+ * Bookmarks saved before anchors existed may carry { progress } (fraction of
+ * the section) instead; those are still honoured.
+ */
+
+let measureEl = null;
+
+/**
+ * Count the characters an anchor offset is measured in
+ * Whitespace and soft hyphens differ between paginations and footnote markers
+ * are renumbered, so only the remaining visible characters count.
+ * @param {string|Element} source - HTML string or DOM element
+ */
+export const countAnchorChars = (source) => {
+  if (!source || typeof document === 'undefined') return 0;
+  let el;
+  if (typeof source === 'string') {
+    if (!measureEl) measureEl = document.createElement('div');
+    measureEl.innerHTML = source;
+    el = measureEl;
+  } else {
+    el = source.cloneNode(true);
+  }
+  el.querySelectorAll('sup').forEach((sup) => sup.remove());
+  return (el.textContent || '').replace(/[\s\u00AD]/g, '').length;
+};
+
+/**
+ * Create the per-block tracker used while paginating one content block
+ * - addElement(elementIndex, element): an element of the block enters pagination
+ * - addPage(page, html?): a page was created; html is the content it consumed
+ * - addPageForElement(page): a page holding exactly the last added element (field notes)
+ * - finish(): writes `anchor` onto every tracked page
+ */
+export const createBlockAnchorTracker = (block) => {
+  const spans = []; // { elementIndex, start }
+  const trackedPages = []; // { page, offset }
+  let elementsTotal = 0;
+  let consumed = 0;
+
+  return {
+    addElement(elementIndex, element) {
+      spans.push({ elementIndex, start: elementsTotal });
+      elementsTotal += countAnchorChars(element);
+    },
+    addPage(page, html) {
+      trackedPages.push({ page, offset: consumed });
+      if (html) consumed += countAnchorChars(html);
+    },
+    addPageForElement(page) {
+      const span = spans[spans.length - 1];
+      trackedPages.push({ page, offset: span ? span.start : consumed });
+      consumed = elementsTotal;
+    },
+    finish() {
+      trackedPages.forEach(({ page, offset }) => {
+        let span = spans[0];
+        for (let i = 1; i < spans.length && spans[i].start <= offset; i++) {
+          span = spans[i];
+        }
+        page.anchor = {
+          chapterId: block.chapterId,
+          subchapterId: block.subchapterId || null,
+          blockIndex: span ? span.elementIndex : 0,
+          charOffset: span ? Math.max(offset - span.start, 0) : 0,
+        };
+      });
+    },
+  };
+};
+
+// Pages of the chapter/subchapter section a position belongs to, in reading order
+const getSectionPages = (pages, chapterId, subchapterId) =>
+  pages.filter(
+    (p) => !p.isCover && p.chapterId === chapterId && (p.subchapterId || null) === (subchapterId || null)
+  );
+
+const compareAnchors = (a, b) =>
+  a.blockIndex !== b.blockIndex ? a.blockIndex - b.blockIndex : a.charOffset - b.charOffset;
+
+/**
+ * Create an anchor for a paginated page
+ * @returns {Object|null} - the page's content anchor, or a { progress } anchor for pages without one
+ */
+export const createAnchorForPage = (pages, page) => {
+  if (!page || !Array.isArray(pages)) return null;
+  if (page.anchor) return { ...page.anchor };
+  const subchapterId = page.subchapterId || null;
+  const section = getSectionPages(pages, page.chapterId, subchapterId);
+  const index = section.findIndex((p) => p.pageIndex === page.pageIndex);
+  if (index < 0) return null;
+  return {
+    chapterId: page.chapterId,
+    subchapterId,
+    progress: section.length > 1 ? index / section.length : 0,
+  };
+};
+
+/**
+ * Find the page that now holds an anchor
+ * @returns {Object|null} - the page, or null when the anchored section no longer exists
+ */
+export const findPageForAnchor = (pages, anchor) => {
+  if (!anchor?.chapterId || !Array.isArray(pages)) return null;
+  const section = getSectionPages(pages, anchor.chapterId, anchor.subchapterId);
+  if (section.length === 0) return null;
+
+  if (typeof anchor.blockIndex === 'number') {
+    const target = { blockIndex: anchor.blockIndex, charOffset: anchor.charOffset || 0 };
+    // First page starting exactly at the anchor (e.g. an epigraph), else the last page starting before it
+    let match = null;
+    for (const p of section) {
+      if (!p.anchor) continue;
+      const cmp = compareAnchors(p.anchor, target);
+      if (cmp > 0) break;
+      match = p;
+      if (cmp === 0) break;
+    }
+    return match || section[0];
+  }
+
+  const progress = Math.min(Math.max(Number(anchor.progress) || 0, 0), 1);
+  return section[Math.min(Math.floor(progress * section.length), section.length - 1)];
+};
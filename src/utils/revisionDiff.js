@@ -0,0 +1,149 @@
+/**
+ * Differences between two revisions of a chapter, for the editor's history panel
+ *
+ * Content is compared as text: paragraphs are matched first, and paragraphs
+ * that changed are compared word by word. Settings that aren't text (the
+ * epigraph, the page border, the background) are listed by name.
+ */
+
+// Above this many cells a comparison is shown as a whole removal and addition
+const MAX_LCS_CELLS = 1000000;
+
+const BLOCKS = 'p, li, h1, h2, h3, h4, h5, h6, blockquote, pre, figcaption, div';
+
+/**
+ * Text of saved content, one entry per paragraph (soft hyphens dropped)
+ */
+export const getParagraphs = (html) => {
+  if (!html) return [];
+  const root = document.createElement('div');
+  root.innerHTML = html;
+  const blocks = Array.from(root.querySelectorAll(BLOCKS)).filter((block) => !block.querySelector(BLOCKS));
+  const texts = blocks.length ? blocks.map((block) => block.textContent) : [root.textContent];
+  return texts
+    .map((text) => text.replace(/\u00AD/g, '').replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+};
+
+/**
+ * Longest-common-subsequence alignment of two lists
+ * @returns {Array<{ type: 'same' | 'removed' | 'added', value }>}
+ */
+export const alignSequences = (before, after) => {
+  if (before.length * after.length > MAX_LCS_CELLS) {
+    return [
+      ...before.map((value) => ({ type: 'removed', value })),
+      ...after.map((value) => ({ type: 'added', value })),
+    ];
+  }
+
+  const rows = before.length + 1;
+  const cols = after.length + 1;
+  const lengths = new Uint32Array(rows * cols);
+  for (let i = before.length - 1; i >= 0; i -= 1) {
+    for (let j = after.length - 1; j >= 0; j -= 1) {
+      lengths[i * cols + j] = before[i] === after[j]
+        ? lengths[(i + 1) * cols + j + 1] + 1
+        : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (before[i] === after[j]) {
+      ops.push({ type: 'same', value: before[i] });
+      i += 1;
+      j += 1;
+    } else if (lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1]) {
+      ops.push({ type: 'removed', value: before[i] });
+      i += 1;
+    } else {
+      ops.push({ type: 'added', value: after[j] });
+      j += 1;
+    }
+  }
+  before.slice(i).forEach((value) => ops.push({ type: 'removed', value }));
+  after.slice(j).forEach((value) => ops.push({ type: 'added', value }));
+  return ops;
+};
+
+// Words with the spaces after them, so joined parts read as the original text
+const splitWords = (text) => text.match(/\S+\s*/g) || [];
+
+// Merge neighbouring parts of the same type
+const mergeParts = (parts) => parts.reduce((merged, part) => {
+  const last = merged[merged.length - 1];
+  if (last && last.type === part.type) last.text += part.text;
+  else merged.push({ ...part });
+  return merged;
+}, []);
+
+const diffWords = (before, after) =>
+  mergeParts(alignSequences(splitWords(before), splitWords(after)).map(({ type, value }) => ({ type, text: value })));
+
+/**
+ * Paragraph-by-paragraph differences between two HTML contents
+ * @returns {Array<{ type: 'same' | 'removed' | 'added' | 'changed', parts: Array<{ type, text }> }>}
+ *   changed paragraphs have word-level parts; the others a single part
+ */
+export const diffContent = (beforeHtml, afterHtml) => {
+  const ops = alignSequences(getParagraphs(beforeHtml), getParagraphs(afterHtml));
+  const paragraphs = [];
+
+  for (let index = 0; index < ops.length;) {
+    if (ops[index].type === 'same') {
+      paragraphs.push({ type: 'same', parts: [{ type: 'same', text: ops[index].value }] });
+      index += 1;
+      continue;
+    }
+
+    // A run of removed and added paragraphs: pair them up as edits of each other
+    const removed = [];
+    const added = [];
+    while (index < ops.length && ops[index].type !== 'same') {
+      (ops[index].type === 'removed' ? removed : added).push(ops[index].value);
+      index += 1;
+    }
+    const paired = Math.min(removed.length, added.length);
+    for (let k = 0; k < paired; k += 1) {
+      paragraphs.push({ type: 'changed', parts: diffWords(removed[k], added[k]) });
+    }
+    removed.slice(paired).forEach((text) => paragraphs.push({ type: 'removed', parts: [{ type: 'removed', text }] }));
+    added.slice(paired).forEach((text) => paragraphs.push({ type: 'added', parts: [{ type: 'added', text }] }));
+  }
+  return paragraphs;
+};
+
+const formatEpigraph = (epigraph) => {
+  if (!epigraph) return '';
+  if (typeof epigraph === 'string') return epigraph;
+  return [epigraph.text, epigraph.author, epigraph.align].join('|');
+};
+
+const SETTINGS = [
+  { label: 'Naslov', get: (revision) => revision.title || '' },
+  { label: 'Epigraf', get: (revision) => formatEpigraph(revision.epigraph) },
+  { label: 'Skrit naslov', get: (revision) => !!revision.hideTitle },
+  { label: 'Ozadje', get: (revision) => revision.backgroundImageUrl || '' },
+  {
+    label: 'Obroba',
+    get: (revision) => (revision.pageBorder
+      ? [revision.pageBorderImageUrl, revision.pageBorderWidth, revision.pageBorderSlicePercent].join('|')
+      : ''),
+  },
+  // The stored state, not getPublishState: a revision does not become published as time passes
+  {
+    label: 'Objava',
+    get: (revision) => (revision.isPublished === false
+      ? ['draft', revision.publishAt ?? ''].join('|')
+      : 'published'),
+  },
+];
+
+/**
+ * Names of the settings (title, epigraph, border ...) that differ between two revisions
+ */
+export const getChangedSettings = (before, after) =>
+  SETTINGS.filter(({ get }) => get(before || {}) !== get(after || {})).map(({ label }) => label);
@@ -0,0 +1,130 @@
+/**
+ * Three-way merge of a chapter draft with a save made in another session
+ *
+ * The draft ("mine") and the other save ("theirs") are compared with the
+ * version both started from ("base") one top-level block (paragraph, heading,
+ * karaoke block ...) at a time. Blocks only one side changed are taken from
+ * that side; where both sides changed the same blocks differently there is a
+ * conflict for the author to resolve. Settings (epigraph, border, background)
+ * are merged the same way, field by field.
+ */
+
+import { alignSequences } from './revisionDiff';
+
+/**
+ * Top-level blocks of editor HTML, as HTML strings
+ */
+export const splitBlocks = (html) => {
+  if (!html) return [];
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  return Array.from(template.content.childNodes)
+    .map((node) => (node.nodeType === Node.ELEMENT_NODE ? node.outerHTML : node.textContent))
+    .filter((block) => block.trim());
+};
+
+// For each base index, the index of the same block in other (-1 if it was changed or removed)
+const matchBase = (base, other) => {
+  const matches = new Array(base.length).fill(-1);
+  let b = 0;
+  let o = 0;
+  alignSequences(base, other).forEach(({ type }) => {
+    if (type === 'same') {
+      matches[b] = o;
+      b += 1;
+      o += 1;
+    } else if (type === 'removed') {
+      b += 1;
+    } else {
+      o += 1;
+    }
+  });
+  return matches;
+};
+
+const sameBlocks = (a, b) => a.length === b.length && a.every((block, index) => block === b[index]);
+
+const resolveChunk = (base, mine, theirs) => {
+  if (sameBlocks(mine, base)) return { type: 'theirs', blocks: theirs };
+  if (sameBlocks(theirs, base)) return { type: 'mine', blocks: mine };
+  if (sameBlocks(mine, theirs)) return { type: 'both', blocks: mine };
+  return { type: 'conflict', base, mine, theirs };
+};
+
+/**
+ * Merge three versions of the content
+ * @returns {Array} chunks in order: { type: 'same' | 'mine' | 'theirs' | 'both', blocks }
+ *   or { type: 'conflict', base, mine, theirs } (each a list of block HTML strings)
+ */
+export const mergeContent = (baseHtml, mineHtml, theirsHtml) => {
+  const base = splitBlocks(baseHtml);
+  const mine = splitBlocks(mineHtml);
+  const theirs = splitBlocks(theirsHtml);
+  const mineMatches = matchBase(base, mine);
+  const theirsMatches = matchBase(base, theirs);
+  const chunks = [];
+
+  let b = 0;
+  let m = 0;
+  let t = 0;
+  for (;;) {
+    // Next base block both sides kept unchanged
+    let stable = b;
+    while (stable < base.length && (mineMatches[stable] < 0 || theirsMatches[stable] < 0)) stable += 1;
+    const mineEnd = stable < base.length ? mineMatches[stable] : mine.length;
+    const theirsEnd = stable < base.length ? theirsMatches[stable] : theirs.length;
+
+    if (stable > b || mineEnd > m || theirsEnd > t) {
+      chunks.push(resolveChunk(base.slice(b, stable), mine.slice(m, mineEnd), theirs.slice(t, theirsEnd)));
+    }
+    if (stable >= base.length) break;
+
+    const last = chunks[chunks.length - 1];
+    if (last?.type === 'same') last.blocks.push(base[stable]);
+    else chunks.push({ type: 'same', blocks: [base[stable]] });
+    b = stable + 1;
+    m = mineEnd + 1;
+    t = theirsEnd + 1;
+  }
+  return chunks;
+};
+
+/**
+ * HTML of merged chunks, with each conflict resolved as resolutions[index]:
+ * 'mine', 'theirs' or 'both' (mine followed by theirs)
+ */
+export const buildMergedContent = (chunks, resolutions = {}) =>
+  chunks
+    .flatMap((chunk, index) => {
+      if (chunk.type !== 'conflict') return chunk.blocks;
+      const resolution = resolutions[index];
+      if (resolution === 'theirs') return chunk.theirs;
+      if (resolution === 'both') return [...chunk.mine, ...chunk.theirs];
+      return chunk.mine;
+    })
+    .join('');
+
+const valueKey = (value) => JSON.stringify(value ?? null);
+
+/**
+ * Field-by-field merge of settings
+ * @param {string[]} fields
+ * @returns {{ merged: Object, conflicts: string[] }} merged has the values both agree on or only one
+ *   side changed; conflicting fields are left to the author (merged holds mine for them)
+ */
+export const mergeFields = (fields, base, mine, theirs) => {
+  const merged = {};
+  const conflicts = [];
+  fields.forEach((field) => {
+    const baseKey = valueKey(base?.[field]);
+    const mineKey = valueKey(mine?.[field]);
+    const theirsKey = valueKey(theirs?.[field]);
+    if (mineKey === baseKey) {
+      merged[field] = theirs?.[field] ?? null;
+    } else {
+      merged[field] = mine?.[field] ?? null;
+      if (theirsKey !== baseKey && theirsKey !== mineKey) conflicts.push(field);
+    }
+  });
+  return { merged, conflicts };
+};